@@ -5,15 +5,18 @@ Flask バックエンドアプリケーション
 
 from flask import Flask, request, jsonify
 from flask_cors import CORS
+from flask_sock import Sock
 from pydantic import BaseModel, Field, ValidationError
 from typing import List, Dict, Optional
+import json
 import traceback
 
-from physics import simulate_multiple_particles, validate_circular_motion, calculate_kinetic_energy
+from physics import simulate_multiple_particles, validate_circular_motion, calculate_kinetic_energy, StreamingSimulation
 
 
 app = Flask(__name__)
 CORS(app)  # フロントエンドからのリクエストを許可
+sock = Sock(app)  # WebSocket（/stream）
 
 
 # Pydantic モデル（バリデーション用）
@@ -44,6 +47,33 @@ class SimulationRequest(BaseModel):
     t_final: float = Field(..., gt=0, description="終了時刻 (s)")
     dt: float = Field(..., gt=0, description="時間刻み (s)")
     integrator: str = Field(default="RK4", pattern="^(RK4|Euler)$", description="積分法")
+    c: Optional[float] = Field(default=None, gt=0, description="光速 (m/s)。指定すると相対論的に計算")
+
+
+class StreamUpdate(BaseModel):
+    """ストリーミング中の変更（指定したものだけを次のステップから使う）"""
+    dt: Optional[float] = Field(default=None, gt=0, description="時間刻み (s)")
+    integrator: Optional[str] = Field(default=None, pattern="^(RK4|Euler)$", description="積分法")
+    fields: Optional[Fields] = None
+
+
+def check_simulation_limits(sim_request: SimulationRequest) -> Optional[str]:
+    """パラメータの制限を確かめ、超えていればエラーメッセージを返す"""
+    if sim_request.t_final > 100:
+        return 't_final は 100秒以下にしてください'
+
+    if sim_request.dt < 0.0001:
+        return 'dt は 0.0001秒以上にしてください'
+
+    if len(sim_request.particles) > 100:
+        return '粒子数は100個以下にしてください'
+
+    if sim_request.c is not None:
+        for p in sim_request.particles:
+            if (p.vx**2 + p.vy**2)**0.5 >= sim_request.c:
+                return f'粒子 {p.id} の速さが光速 c 以上です'
+
+    return None
 
 
 @app.route('/')
@@ -56,7 +86,8 @@ def index():
             '/': 'API情報',
             '/health': 'ヘルスチェック',
             '/simulate': 'シミュレーション実行 (POST)',
-            '/validate-circular': '円運動の検証 (POST)'
+            '/validate-circular': '円運動の検証 (POST)',
+            '/stream': 'シミュレーションのストリーミング (WebSocket)'
         }
     })
 
@@ -84,7 +115,8 @@ def simulate():
         "t0": 0.0,
         "t_final": 10.0,
         "dt": 0.01,
-        "integrator": "RK4"
+        "integrator": "RK4",
+        "c": null
     }
 
     Response (JSON):
@@ -104,14 +136,9 @@ def simulate():
         sim_request = SimulationRequest(**data)
 
         # パラメータの制限チェック
-        if sim_request.t_final > 100:
-            return jsonify({'error': 't_final は 100秒以下にしてください'}), 400
-
-        if sim_request.dt < 0.0001:
-            return jsonify({'error': 'dt は 0.0001秒以上にしてください'}), 400
-
-        if len(sim_request.particles) > 100:
-            return jsonify({'error': '粒子数は100個以下にしてください'}), 400
+        error = check_simulation_limits(sim_request)
+        if error:
+            return jsonify({'error': error}), 400
 
         # シミュレーション実行
         fields_dict = {
@@ -126,7 +153,8 @@ def simulate():
             sim_request.t0,
             sim_request.t_final,
             sim_request.dt,
-            sim_request.integrator
+            sim_request.integrator,
+            sim_request.c
         )
 
         return jsonify(results)
@@ -140,6 +168,151 @@ def simulate():
         return jsonify({'error': 'サーバーエラー', 'message': str(e)}), 500
 
 
+class StreamSession:
+    """
+    /stream の 1 つの接続の状態
+
+    プロトコル（JSON。どのメッセージも送り手ごとに 1 から数える通し番号 seq を持つ）
+    クライアント → サーバー
+        start  {request, chunkSize, window}  request は /simulate と同じ形
+        pause / resume                        計算を止める・続ける
+        update {dt?, integrator?, fields?}    次のステップから刻み・積分法・場を変える
+        ack    {ack}                          seq が ack までの frames を受け取った（累積）
+        stop                                  計算をやめる
+    サーバー → クライアント
+        frames {times, particles: {id: {x, y, vx, vy}}}  t0 より後の時刻だけを含むチャンク
+        paused / resumed
+        done                                  t_final まで送り終えた
+        error  {error, details?, replyTo?}    replyTo は原因になったクライアントのメッセージの seq
+    ack されていない frames は window 個までしか送らない（バックプレッシャー）
+    """
+
+    DEFAULT_CHUNK_SIZE = 200
+    DEFAULT_WINDOW = 4
+
+    def __init__(self, send):
+        """
+        Args:
+            send: 文字列を 1 つのメッセージとして送る関数
+        """
+        self.send = send
+        self.seq = 0
+        self.run = None  # StreamingSimulation
+        self.chunk_size = self.DEFAULT_CHUNK_SIZE
+        self.window = self.DEFAULT_WINDOW
+        self.paused = False
+        self.in_flight = []  # ack を待っている frames の seq
+
+    @property
+    def can_send(self) -> bool:
+        """次のチャンクを計算して送ってよいか"""
+        return self.run is not None and not self.paused and len(self.in_flight) < self.window
+
+    def reply(self, message: Dict):
+        self.seq += 1
+        self.send(json.dumps(dict(message, seq=self.seq)))
+
+    def receive(self, text: str):
+        """クライアントのメッセージを 1 つ処理する"""
+        message = {}
+        try:
+            message = json.loads(text)
+            if not isinstance(message, dict):
+                raise ValueError('メッセージは JSON オブジェクトにしてください')
+            self.handle(message)
+        except ValidationError as e:
+            self.reply({'type': 'error', 'error': 'バリデーションエラー',
+                        'details': json.loads(e.json()), 'replyTo': message.get('seq')})
+        except ValueError as e:
+            # json.JSONDecodeError も ValueError
+            self.reply({'type': 'error', 'error': str(e), 'replyTo': message.get('seq')})
+
+    def handle(self, message: Dict):
+        kind = message.get('type')
+        if kind == 'start':
+            self.start(message)
+        elif kind in ('pause', 'resume'):
+            self.require_run(kind)
+            self.paused = kind == 'pause'
+            self.reply({'type': 'paused' if self.paused else 'resumed'})
+        elif kind == 'update':
+            self.require_run(kind)
+            params = StreamUpdate(**{k: v for k, v in message.items() if k in ('dt', 'integrator', 'fields')})
+            if params.dt is not None and params.dt < 0.0001:
+                raise ValueError('dt は 0.0001秒以上にしてください')
+            self.run.update(
+                fields=params.fields.model_dump() if params.fields else None,
+                dt=params.dt,
+                integrator=params.integrator
+            )
+        elif kind == 'ack':
+            # 送り終えた後に届いた ack は捨てる
+            if self.run is not None:
+                self.in_flight = [seq for seq in self.in_flight if seq > message.get('ack', 0)]
+        elif kind == 'stop':
+            self.run = None
+        else:
+            raise ValueError(f'不明なメッセージの種類です: {kind}')
+
+    def require_run(self, kind: str):
+        if self.run is None:
+            raise ValueError(f'{kind} の前に start で計算を始めてください')
+
+    def start(self, message: Dict):
+        sim_request = SimulationRequest(**(message.get('request') or {}))
+        if sim_request.t_final <= sim_request.t0:
+            raise ValueError('t_final は t0 より後にしてください')
+        error = check_simulation_limits(sim_request)
+        if error:
+            raise ValueError(error)
+
+        self.run = StreamingSimulation(
+            {'E': sim_request.fields.E.model_dump(), 'B': sim_request.fields.B.model_dump()},
+            [p.model_dump() for p in sim_request.particles],
+            sim_request.t0,
+            sim_request.t_final,
+            sim_request.dt,
+            sim_request.integrator,
+            sim_request.c
+        )
+        self.chunk_size = max(1, int(message.get('chunkSize') or self.DEFAULT_CHUNK_SIZE))
+        self.window = max(1, int(message.get('window') or self.DEFAULT_WINDOW))
+        self.paused = False
+        self.in_flight = []
+
+    def send_chunk(self):
+        """次のチャンクを計算して送り、t_final に届いたら done を送る"""
+        chunk = self.run.advance(self.chunk_size)
+        self.reply(dict(chunk, type='frames'))
+        self.in_flight.append(self.seq)
+        if self.run.finished:
+            self.reply({'type': 'done'})
+            self.run = None
+
+
+@sock.route('/stream')
+def stream(ws):
+    """
+    シミュレーションを WebSocket でチャンクに分けて送るエンドポイント
+    プロトコルは StreamSession を参照（フロントエンドの api.js と同じ）
+    """
+    session = StreamSession(ws.send)
+    while True:
+        # 送れるチャンクがあるときは届いているメッセージだけを先に処理し、なければ次のメッセージを待つ
+        # （接続が閉じると receive が例外を投げ、flask-sock が後始末をする）
+        text = ws.receive(timeout=0 if session.can_send else None)
+        if text is not None:
+            session.receive(text)
+        elif session.can_send:
+            try:
+                session.send_chunk()
+            except Exception as e:
+                print(f"Error: {e}")
+                traceback.print_exc()
+                session.run = None
+                session.reply({'type': 'error', 'error': 'サーバーエラー', 'message': str(e)})
+
+
 @app.route('/validate-circular', methods=['POST'])
 def validate_circular():
     """
@@ -4,20 +4,22 @@
 """
 
 import numpy as np
-from typing import Dict, List, Tuple
+from typing import Dict, List, Optional, Tuple
 
 
 class LorentzForceSimulator:
     """ローレンツ力シミュレータ"""
 
-    def __init__(self, E: np.ndarray, B: np.ndarray):
+    def __init__(self, E: np.ndarray, B: np.ndarray, c: Optional[float] = None):
         """
         Args:
             E: 電場ベクトル [Ex, Ey, Ez] (N/C)
             B: 磁場ベクトル [Bx, By, Bz] (T)
+            c: 光速 (m/s)。指定すると相対論的な運動方程式を使う
         """
         self.E = np.array(E, dtype=float)
         self.B = np.array(B, dtype=float)
+        self.c = c
 
     def lorentz_force(self, v: np.ndarray, q: float) -> np.ndarray:
         """
@@ -40,6 +42,9 @@ class LorentzForceSimulator:
         state = [x, y, z, vx, vy, vz]
         d(state)/dt = [vx, vy, vz, ax, ay, az]
 
+        相対論モードでは速度成分に固有速度 u = γv を持つ
+        d(state)/dt = [u/γ, F/m]
+
         Args:
             state: 状態ベクトル [x, y, z, vx, vy, vz]
             q: 電荷 (C)
@@ -48,14 +53,36 @@ class LorentzForceSimulator:
         Returns:
             状態の時間微分 [vx, vy, vz, ax, ay, az]
         """
-        pos = state[:3]
         vel = state[3:]
+        if self.c is not None:
+            vel = vel / np.sqrt(1.0 + np.dot(vel, vel) / self.c**2)
 
         force = self.lorentz_force(vel, q)
         acc = force / m
 
         return np.concatenate([vel, acc])
 
+    def acceleration(self, v: np.ndarray, q: float, m: float) -> np.ndarray:
+        """
+        速度 v の粒子の加速度 dv/dt
+
+        相対論モードでは a = (F - v (v·F) / c²) / (γm)
+
+        Args:
+            v: 速度ベクトル [vx, vy, vz] (m/s)
+            q: 電荷 (C)
+            m: 質量 (kg)
+
+        Returns:
+            加速度ベクトル [ax, ay, az] (m/s²)
+        """
+        force = self.lorentz_force(v, q)
+        if self.c is None:
+            return force / m
+
+        gamma = lorentz_factor(v, self.c)
+        return (force - v * np.dot(v, force) / self.c**2) / (gamma * m)
+
     def rk4_step(self, state: np.ndarray, dt: float, q: float, m: float) -> np.ndarray:
         """
         4次ルンゲ＝クッタ法による1ステップ
@@ -123,21 +150,120 @@ class LorentzForceSimulator:
         states = np.zeros((n_steps, 6))
         states[0] = initial_state
 
+        # 相対論モードでは固有速度 u = γv で積分する
+        if self.c is not None:
+            states[0, 3:] *= lorentz_factor(states[0, 3:], self.c)
+
         step_function = self.rk4_step if integrator == 'RK4' else self.euler_step
 
         for i in range(1, n_steps):
             states[i] = step_function(states[i - 1], dt, q, m)
 
+        # 出力は速度 v に戻す
+        if self.c is not None:
+            u = states[:, 3:]
+            gamma = np.sqrt(1.0 + np.sum(u**2, axis=1) / self.c**2)
+            states[:, 3:] = u / gamma[:, np.newaxis]
+
         return times, states
 
 
+class StreamingSimulation:
+    """
+    チャンクに分けて少しずつ進めるシミュレーション（WebSocket の /stream 用）
+    途中で時間刻み・積分法・場を変えると次のステップから使う
+    """
+
+    def __init__(
+        self,
+        fields: Dict,
+        particles: List[Dict],
+        t0: float,
+        t_final: float,
+        dt: float,
+        integrator: str = 'RK4',
+        c: Optional[float] = None
+    ):
+        """
+        Args:
+            fields: フィールド情報 {'E': {'magnitude': ..., 'angle_deg': ...}, 'B': {...}}
+            particles: 粒子のリスト [{'id': ..., 'q': ..., 'm': ..., 'x': ..., ...}, ...]
+            t0: 開始時刻
+            t_final: 終了時刻
+            dt: 時間刻み
+            integrator: 積分法 ('RK4' or 'Euler')
+            c: 光速（指定すると相対論的に計算）
+        """
+        self.t = t0
+        self.t_final = t_final
+        self.c = c
+        self.particles = []
+        for particle in particles:
+            state = np.array([particle['x'], particle['y'], 0.0, particle['vx'], particle['vy'], 0.0])
+            # 相対論モードでは固有速度 u = γv で積分する
+            if c is not None:
+                state[3:] *= lorentz_factor(state[3:], c)
+            self.particles.append({'id': particle['id'], 'q': particle['q'], 'm': particle['m'], 'state': state})
+        self.update(fields=fields, dt=dt, integrator=integrator)
+
+    def update(self, fields: Optional[Dict] = None, dt: Optional[float] = None, integrator: Optional[str] = None):
+        """時間刻み・積分法・場のうち指定したものを変える"""
+        if fields is not None:
+            E, B = field_vectors(fields)
+            self.simulator = LorentzForceSimulator(E, B, self.c)
+        if dt is not None:
+            self.dt = dt
+        if integrator is not None:
+            self.integrator = integrator
+
+    @property
+    def finished(self) -> bool:
+        return self.t >= self.t_final
+
+    def advance(self, n_steps: int) -> Dict:
+        """
+        最大 n_steps ステップ進める（最後のステップは t_final で止める）
+
+        Returns:
+            {'times': [...], 'particles': {id: {'x': [...], 'y': [...], 'vx': [...], 'vy': [...]}}}
+            進める前の時刻は含まない
+        """
+        step_function = self.simulator.rk4_step if self.integrator == 'RK4' else self.simulator.euler_step
+        times = []
+        tracks = {p['id']: {'x': [], 'y': [], 'vx': [], 'vy': []} for p in self.particles}
+
+        for _ in range(n_steps):
+            if self.finished:
+                break
+            h = min(self.dt, self.t_final - self.t)
+            for particle in self.particles:
+                state = step_function(particle['state'], h, particle['q'], particle['m'])
+                particle['state'] = state
+                v = state[3:]
+                if self.c is not None:
+                    v = v / np.sqrt(1.0 + np.dot(v, v) / self.c**2)
+                track = tracks[particle['id']]
+                track['x'].append(float(state[0]))
+                track['y'].append(float(state[1]))
+                track['vx'].append(float(v[0]))
+                track['vy'].append(float(v[1]))
+            self.t += h
+            # 足し算の丸めで t_final のわずかに手前に残らないようにそろえる
+            if self.t_final - self.t < self.dt * 1e-9:
+                self.t = self.t_final
+            times.append(self.t)
+
+        return {'times': times, 'particles': tracks}
+
+
 def simulate_multiple_particles(
     fields: Dict,
     particles: List[Dict],
     t0: float,
     t_final: float,
     dt: float,
-    integrator: str = 'RK4'
+    integrator: str = 'RK4',
+    c: Optional[float] = None
 ) -> Dict:
     """
     複数の粒子をシミュレート
@@ -149,29 +275,21 @@ def simulate_multiple_particles(
         t_final: 終了時刻
         dt: 時間刻み
         integrator: 積分法
+        c: 光速（指定すると相対論的に計算）
 
     Returns:
         シミュレーション結果
     """
-    # 電場・磁場をベクトルに変換（2D -> 3D）
-    E_mag = fields['E']['magnitude']
-    E_angle = np.deg2rad(fields['E']['angle_deg'])
-    E = np.array([E_mag * np.cos(E_angle), E_mag * np.sin(E_angle), 0.0])
-
-    B_mag = fields['B']['magnitude']
-    B_angle = np.deg2rad(fields['B']['angle_deg'])
-    # 2Dシミュレーションでは磁場は紙面に垂直（z方向）
-    Bz = B_mag * np.cos(B_angle)
-    B = np.array([0.0, 0.0, Bz])
-
-    simulator = LorentzForceSimulator(E, B)
+    E, B = field_vectors(fields)
+    simulator = LorentzForceSimulator(E, B, c)
 
     results = {
         'meta': {
             't0': t0,
             't_final': t_final,
             'dt': dt,
-            'integrator': integrator
+            'integrator': integrator,
+            'c': c
         },
         'data': {
             'times': None,
@@ -205,7 +323,7 @@ def simulate_multiple_particles(
         # 加速度も計算
         accelerations = []
         for state in states:
-            acc = simulator.lorentz_force(state[3:], particle['q']) / particle['m']
+            acc = simulator.acceleration(state[3:], particle['q'], particle['m'])
             accelerations.append(acc)
         accelerations = np.array(accelerations)
 
@@ -224,6 +342,44 @@ def simulate_multiple_particles(
     return results
 
 
+def field_vectors(fields: Dict) -> Tuple[np.ndarray, np.ndarray]:
+    """
+    2D の場の指定を 3D のベクトルに変換
+
+    Args:
+        fields: フィールド情報 {'E': {'magnitude': ..., 'angle_deg': ...}, 'B': {...}}
+
+    Returns:
+        E, B（2Dシミュレーションでは磁場は紙面に垂直（z方向）の成分だけを使う）
+    """
+    E_mag = fields['E']['magnitude']
+    E_angle = np.deg2rad(fields['E']['angle_deg'])
+    E = np.array([E_mag * np.cos(E_angle), E_mag * np.sin(E_angle), 0.0])
+
+    B_mag = fields['B']['magnitude']
+    B_angle = np.deg2rad(fields['B']['angle_deg'])
+    B = np.array([0.0, 0.0, B_mag * np.cos(B_angle)])
+
+    return E, B
+
+
+def lorentz_factor(v: np.ndarray, c: float) -> float:
+    """
+    ローレンツ因子 γ = 1 / sqrt(1 - v²/c²)
+
+    Args:
+        v: 速度ベクトル (m/s)
+        c: 光速 (m/s)
+
+    Returns:
+        γ（v ≥ c のときは inf）
+    """
+    beta_squared = np.dot(v, v) / c**2
+    if beta_squared >= 1:
+        return float('inf')
+    return 1.0 / np.sqrt(1.0 - beta_squared)
+
+
 def validate_circular_motion(q: float, m: float, v: float, B: float, radius: float, tolerance: float = 0.01) -> bool:
     """
     円運動の半径を検証
@@ -12,7 +12,9 @@ from physics import (
     LorentzForceSimulator,
     simulate_multiple_particles,
     validate_circular_motion,
-    calculate_kinetic_energy
+    calculate_kinetic_energy,
+    lorentz_factor,
+    StreamingSimulation
 )
 
 
@@ -161,6 +163,47 @@ def test_simulate_multiple_particles():
     assert p2_y[-1] > 0  # 正の方向に曲がる
 
 
+def test_relativistic_speed_limit():
+    """相対論モードでは強い電場で加速しても速さが光速を超えない"""
+    E = np.array([10.0, 0.0, 0.0])
+    B = np.array([0.0, 0.0, 0.0])
+    sim = LorentzForceSimulator(E, B, c=1.0)
+
+    initial_state = np.array([0.0, 0.0, 0.0, 0.0, 0.0, 0.0])
+    times, states = sim.simulate_particle(initial_state, 1.0, 1.0, 0, 5.0, 0.01, 'RK4')
+
+    speeds = np.linalg.norm(states[:, 3:], axis=1)
+    assert np.all(speeds < 1.0)
+
+    # 一定の力では運動量 γmv = qEt が線形に増える
+    gamma = 1.0 / np.sqrt(1.0 - speeds[-1]**2)
+    assert np.isclose(gamma * speeds[-1], 10.0 * times[-1], rtol=1e-6)
+
+
+def test_relativistic_gyroradius():
+    """
+    相対論的なサイクロトロン運動
+    半径 r = γmv/(qB)、速さは保存される
+    """
+    E = np.array([0.0, 0.0, 0.0])
+    B = np.array([0.0, 0.0, 1.0])
+    c = 1.0
+    v = 0.8
+    sim = LorentzForceSimulator(E, B, c=c)
+
+    initial_state = np.array([0.0, 0.0, 0.0, v, 0.0, 0.0])
+    gamma = lorentz_factor(np.array([v, 0.0, 0.0]), c)
+    period = 2 * np.pi * gamma  # T = 2πγm/(qB)
+    times, states = sim.simulate_particle(initial_state, 1.0, 1.0, 0, period, 0.001, 'RK4')
+
+    speeds = np.linalg.norm(states[:, 3:], axis=1)
+    assert np.all(np.abs(speeds - v) / v < 1e-3)
+
+    # 正電荷は y の負方向に曲がるので直径は y の最小値の大きさ
+    expected_radius = gamma * v
+    assert np.isclose(-states[:, 1].min() / 2, expected_radius, rtol=1e-2)
+
+
 def test_kinetic_energy():
     """運動エネルギー計算のテスト"""
     m = 2.0
@@ -173,5 +216,63 @@ def test_kinetic_energy():
     assert np.isclose(ke, 25.0)
 
 
+def test_streaming_matches_simulate_multiple_particles():
+    """チャンクに分けて進めても一度に計算した結果と同じ軌道になる"""
+    fields = {
+        'E': {'magnitude': 0.5, 'angle_deg': 30},
+        'B': {'magnitude': 1.0, 'angle_deg': 0}
+    }
+    particles = [{'id': 'p1', 'q': 1.0, 'm': 1.0, 'x': 0.0, 'y': 0.0, 'vx': 1.0, 'vy': 0.5}]
+
+    results = simulate_multiple_particles(fields, particles, 0, 1.0, 0.01, 'RK4')
+    stream = StreamingSimulation(fields, particles, 0, 1.0, 0.01, 'RK4')
+
+    times = []
+    xs = []
+    while not stream.finished:
+        chunk = stream.advance(30)
+        times += chunk['times']
+        xs += chunk['particles']['p1']['x']
+
+    # ストリームには開始時刻が含まれず、最後は t_final ちょうどで止まる
+    assert times[-1] == 1.0
+    assert np.allclose(times, results['data']['times'][1:len(times) + 1])
+    assert np.allclose(xs, results['data']['particles']['p1']['x'][1:len(xs) + 1])
+
+
+def test_streaming_update_applies_from_next_step():
+    """途中で変えた時間刻みと場は次のステップから使われる"""
+    fields = {
+        'E': {'magnitude': 0.0, 'angle_deg': 0},
+        'B': {'magnitude': 1.0, 'angle_deg': 0}
+    }
+    particles = [{'id': 'p1', 'q': 1.0, 'm': 1.0, 'x': 0.0, 'y': 0.0, 'vx': 1.0, 'vy': 0.0}]
+    stream = StreamingSimulation(fields, particles, 0, 10.0, 0.01, 'RK4')
+
+    stream.advance(10)
+    stream.update(dt=0.05, fields={'E': {'magnitude': 0.0, 'angle_deg': 0}, 'B': {'magnitude': 0.0, 'angle_deg': 0}})
+    chunk = stream.advance(2)
+
+    assert np.allclose(chunk['times'], [0.15, 0.2])
+    # 場がなくなったので等速直線運動になる
+    vx = chunk['particles']['p1']['vx']
+    vy = chunk['particles']['p1']['vy']
+    assert np.isclose(vx[0], vx[1]) and np.isclose(vy[0], vy[1])
+
+
+def test_streaming_relativistic_speed_limit():
+    """ストリーミングでも相対論モードでは速さが光速を超えない"""
+    fields = {
+        'E': {'magnitude': 10.0, 'angle_deg': 0},
+        'B': {'magnitude': 0.0, 'angle_deg': 0}
+    }
+    particles = [{'id': 'p1', 'q': 1.0, 'm': 1.0, 'x': 0.0, 'y': 0.0, 'vx': 0.5, 'vy': 0.0}]
+    stream = StreamingSimulation(fields, particles, 0, 5.0, 0.01, 'RK4', c=1.0)
+
+    chunk = stream.advance(1000)
+    assert stream.finished
+    assert np.all(np.array(chunk['particles']['p1']['vx']) < 1.0)
+
+
 if __name__ == '__main__':
     pytest.main([__file__, '-v'])
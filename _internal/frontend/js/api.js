@@ -1,227 +1,582 @@
 // API通信モジュール
 const API_BASE_URL = 'http://localhost:5000';
+const SERVER_INTEGRATORS = ['RK4', 'Euler']; // バックエンドが対応する積分法
 
 // シミュレーションをバックエンドで実行
-async function runSimulation(fields, particles, t0, t_final, dt, integrator = 'RK4') {
+// c を指定すると相対論的に計算する。signal（AbortController）で中止でき、onProgress には受信済みの割合（不明なら null）を渡す
+// 失敗したときはサーバーのエラーメッセージ（400 の検証エラーを含む）を持つ Error を投げる
+async function runSimulation(fields, particles, t0, t_final, dt, integrator = 'RK4', c = null, { signal, onProgress } = {}) {
     const requestBody = {
         fields: fields,
         particles: particles,
         t0: t0,
         t_final: t_final,
         dt: dt,
-        integrator: integrator
+        integrator: integrator,
+        c: c
     };
 
+    let response;
     try {
-        const response = await fetch(`${API_BASE_URL}/simulate`, {
+        response = await fetch(`${API_BASE_URL}/simulate`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify(requestBody)
+            body: JSON.stringify(requestBody),
+            signal: signal
         });
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        throw new Error(`The server at ${API_BASE_URL} is not reachable`);
+    }
 
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        const data = await response.json();
-        return data;
+    const text = await readResponseText(response, onProgress);
+    let data;
+    try {
+        data = JSON.parse(text);
     } catch (error) {
-        console.error('API Error:', error);
-        return null;
+        throw new Error(`The server returned an invalid response (HTTP ${response.status})`);
     }
+
+    if (!response.ok) {
+        throw new Error(describeServerError(data, response.status));
+    }
+    return data;
 }
 
-// バックエンドのヘルスチェック
-async function checkBackendHealth() {
+// 本文を読みながら進捗を知らせる（Content-Length がなければ割合は null）
+async function readResponseText(response, onProgress) {
+    if (!onProgress || !response.body) {
+        return response.text();
+    }
+    const total = parseInt(response.headers.get('Content-Length'), 10);
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    let received = 0;
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        received += value.length;
+        text += decoder.decode(value, { stream: true });
+        onProgress(total > 0 ? Math.min(received / total, 1) : null);
+    }
+    return text + decoder.decode();
+}
+
+// エラー応答 { error, details | message } を読める文にする（details は pydantic の検証エラー）
+function describeServerError(data, status = null) {
+    if (!data || typeof data.error !== 'string') {
+        return status ? `The server failed with HTTP ${status}` : 'The server failed';
+    }
+    const lines = [data.error];
+    if (Array.isArray(data.details)) {
+        for (const detail of data.details) {
+            const path = Array.isArray(detail.loc) ? detail.loc.join('.') : '';
+            lines.push(`• ${path ? `${path}: ` : ''}${detail.msg}`);
+        }
+    } else if (data.message) {
+        lines.push(data.message);
+    }
+    return lines.join('\n');
+}
+
+// バックエンドのヘルスチェック（状態は UI に表示するのでコンソールには出さない）
+async function checkBackendHealth(signal) {
     try {
-        const response = await fetch(`${API_BASE_URL}/health`);
+        const response = await fetch(`${API_BASE_URL}/health`, { signal });
         return response.ok;
     } catch (error) {
-        console.error('Backend is not available:', error);
         return false;
     }
 }
 
-// シミュレーション結果をパーティクルに適用
+// 現在の状態をバックエンドの要求にする
+// バックエンドは 2D の一様な E・B だけを扱うので、それ以外の設定があれば理由を並べて断る
+function buildServerRequest(t_final, dt, integrator) {
+    const unsupported = [];
+    if (mode3D) unsupported.push('3D motion');
+    if (fieldSources.length) unsupported.push('field sources');
+    if (electricWaveform.type !== 'constant' || magneticWaveform.type !== 'constant') unsupported.push('time-varying fields');
+    if (forceTerms.length) unsupported.push('additional forces');
+    if (emitters.length) unsupported.push('emitters');
+    if (walls.length) unsupported.push('walls');
+    if (interactionSettings.enabled) unsupported.push('particle interaction');
+    if (guidingCenterSettings.motion !== 'full') unsupported.push('guiding-center integration');
+    if (unsupported.length) {
+        throw new Error(`The server only computes uniform fields in 2D. Turn off: ${unsupported.join(', ')}`);
+    }
+    if (!particles.length) {
+        throw new Error('Add at least one particle to compute');
+    }
+    if (!SERVER_INTEGRATORS.includes(integrator)) {
+        throw new Error(`The server does not support the ${integrator} integrator`);
+    }
+    if (!(t_final > simulationTime)) {
+        throw new Error(`t_final must be later than the current time (${formatQuantity(simulationTime, 'time', 3)})`);
+    }
+    if (!(dt > 0)) {
+        throw new Error('Time step must be a positive value');
+    }
+
+    // バックエンドは Bz = B cos(angle) なので、紙面の表裏（90° / 270°）を 0° / 180° に直す
+    const Bz = uniformField(simulationTime).Bz;
+    return {
+        fields: {
+            E: { magnitude: electricField.magnitude, angle_deg: electricField.angle_deg },
+            B: { magnitude: Math.abs(Bz), angle_deg: Bz < 0 ? 180 : 0 }
+        },
+        particles: particles.map(p => ({
+            id: p.id,
+            q: p.q,
+            m: p.m,
+            x: p.x,
+            y: p.y,
+            vx: p.vx,
+            vy: p.vy
+        })),
+        t0: simulationTime,
+        t_final: t_final,
+        dt: dt,
+        integrator: integrator,
+        c: relativity.enabled ? relativity.c : null
+    };
+}
+
+// 現在の状態から t_final までをバックエンドで計算し、結果を再生する
+// onStatus には段階（'checking' / 'computing' / 'downloading'）と受信済みの割合を渡す
+async function runLongSimulation(t_final, dt, integrator, { signal, onStatus = () => {} } = {}) {
+    const request = buildServerRequest(t_final, dt, integrator);
+    const edits = sceneEdits;
+
+    onStatus('checking', null);
+    if (!await checkBackendHealth(signal)) {
+        if (signal && signal.aborted) throw new DOMException('Aborted', 'AbortError');
+        throw new Error(`The server at ${API_BASE_URL} is not reachable`);
+    }
+
+    onStatus('computing', null);
+    const results = await runSimulation(
+        request.fields, request.particles, request.t0, request.t_final, request.dt, request.integrator, request.c,
+        { signal, onProgress: (fraction) => onStatus('downloading', fraction) }
+    );
+    // 計算中に設定を変えていたら、結果は今のシーンに合わない
+    if (sceneEdits !== edits) {
+        throw new Error('The scene changed while the server was computing. Compute again.');
+    }
+    applySimulationResults(results);
+    console.log('Simulation completed using backend');
+}
+
+// サーバーで計算した軌道の再生（null なら通常どおりブラウザで計算する）
+// 設定を変えると（sceneEdits が変わると）再生をやめ、その時点の状態からブラウザで続ける
+// ストリーミング中は stream が受信中の接続で、届いたチャンクを順に後ろへ足していく（complete になるまで最後で待つ）
+let serverPlayback = null;
+
+function beginServerPlayback(stream = null) {
+    serverPlayback = { times: [], tracks: new Map(), edits: sceneEdits, complete: stream === null, stream };
+}
+
+// 結果 { data: { times, particles: { id: { x, y, vx, vy, ... } } } } を再生用に読み込む
 function applySimulationResults(results) {
-    if (!results || !results.data) {
-        console.error('Invalid simulation results');
-        return;
-    }
-
-    const { times, particles: particleData } = results.data;
-
-    // 各粒子のデータを更新
-    for (let particleId in particleData) {
-        const particle = particles.find(p => p.id === particleId);
-        if (particle) {
-            const data = particleData[particleId];
-            // 最新の状態を適用
-            const lastIndex = data.x.length - 1;
-            particle.x = data.x[lastIndex];
-            particle.y = data.y[lastIndex];
-            particle.vx = data.vx[lastIndex];
-            particle.vy = data.vy[lastIndex];
-
-            // 軌跡を更新
-            particle.trail = [];
-            for (let i = 0; i < data.x.length; i++) {
-                particle.trail.push({ x: data.x[i], y: data.y[i] });
-            }
+    const data = results && results.data;
+    if (!data || !Array.isArray(data.times) || !data.times.length || !data.particles) {
+        throw new Error('The server returned no trajectories');
+    }
+
+    beginServerPlayback();
+    appendSimulationFrames(data.times, data.particles);
+    seekServerPlayback(data.times[0]);
+}
+
+// 時刻と各粒子の値を再生用の記録の後ろに足す
+function appendSimulationFrames(times, particleData) {
+    const { tracks } = serverPlayback;
+    for (const [id, data] of Object.entries(particleData)) {
+        let track = tracks.get(id);
+        if (!track) {
+            track = { x: [], y: [], vx: [], vy: [] };
+            tracks.set(id, track);
+        }
+        for (let i = 0; i < times.length; i++) {
+            track.x.push(data.x[i]);
+            track.y.push(data.y[i]);
+            track.vx.push(data.vx[i]);
+            track.vy.push(data.vy[i]);
         }
     }
+    for (const t of times) {
+        serverPlayback.times.push(t);
+    }
 }
 
-// シミュレーションをバックエンドで長時間実行（オプション機能）
-async function runLongSimulation() {
-    const isHealthy = await checkBackendHealth();
-    if (!isHealthy) {
-        console.warn('Backend is not available. Using frontend calculation.');
-        return;
+function stopServerPlayback() {
+    if (serverPlayback && serverPlayback.stream) {
+        serverPlayback.stream.stop();
     }
+    serverPlayback = null;
+}
 
-    const fields = {
-        E: { magnitude: electricField.magnitude, angle_deg: electricField.angle_deg },
-        B: { magnitude: magneticField.magnitude, angle_deg: magneticField.angle_deg }
-    };
+// 受信中のストリームを止める（受け取った分は最後まで再生できる）
+function stopServerStream() {
+    if (serverPlayback && serverPlayback.stream) {
+        serverPlayback.stream.stop();
+        serverPlayback.complete = true;
+    }
+}
 
-    const particlesData = particles.map(p => ({
-        id: p.id,
-        q: p.q,
-        m: p.m,
-        x: p.x,
-        y: p.y,
-        vx: p.vx,
-        vy: p.vy
-    }));
+function isServerPlaybackFinished() {
+    return serverPlayback !== null && serverPlayback.complete
+        && simulationTime >= serverPlayback.times[serverPlayback.times.length - 1];
+}
 
-    const results = await runSimulation(fields, particlesData, 0, 10, 0.01);
-    if (results) {
-        applySimulationResults(results);
-        console.log('Simulation completed using backend');
+// 再生中か（読み込んだ後に設定が変わっていれば、ここで再生をやめる）
+function isServerPlaybackActive() {
+    if (serverPlayback && sceneEdits !== serverPlayback.edits) {
+        stopServerPlayback();
     }
+    return serverPlayback !== null;
 }
 
-// WebSocket接続（将来の拡張用）
+// 再生位置を dt だけ動かす（最後まで来たら止める）
+function advanceServerPlayback(dt) {
+    seekServerPlayback(simulationTime + dt);
+    if (isServerPlaybackFinished() && dt > 0) {
+        isPlaying = false;
+    }
+    // 再生が進んだ分だけストリームに ack を返し、続きを送ってもらう
+    if (serverPlayback.stream) {
+        serverPlayback.stream.flushAcks();
+    }
+}
+
+// 時刻 t の状態を隣り合う記録の線形補間で求める
+function seekServerPlayback(t) {
+    const { times, tracks } = serverPlayback;
+    const last = times.length - 1;
+    t = Math.min(Math.max(t, times[0]), times[last]);
+
+    let lo = 0;
+    let hi = last;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (times[mid] <= t) lo = mid; else hi = mid;
+    }
+    const f = hi > lo ? (t - times[lo]) / (times[hi] - times[lo]) : 0;
+    const lerp = (values) => values[lo] + (values[hi] - values[lo]) * f;
+
+    for (const particle of particles) {
+        const track = tracks.get(particle.id);
+        if (!track) continue;
+        particle.x = lerp(track.x);
+        particle.y = lerp(track.y);
+        particle.vx = lerp(track.vx);
+        particle.vy = lerp(track.vy);
+        particle.z = 0;
+        particle.vz = 0;
+        // 軌跡はリングバッファに受け取った位置を書き直す（点ごとのオブジェクトは作らない）
+        particle.trail.clear();
+        for (let i = Math.max(0, lo + 1 - trailLength); i <= lo; i++) {
+            particle.trail.push(track.x[i], track.y[i], 0, times[i]);
+        }
+    }
+    simulationTime = t;
+}
+
+// WebSocket によるストリーミング
+// 長い計算を 1 つの大きな /simulate の応答ではなく、チャンクに分けて届いた順に再生する
+//
+// プロトコル（JSON。どのメッセージも送り手ごとに 1 から数える通し番号 seq を持つ）
+// クライアント → サーバー
+//   start  { request, chunkSize, window }  request は /simulate と同じ形
+//   pause / resume                          計算を止める・続ける
+//   update { dt?, integrator?, fields? }    次のステップから刻み・積分法・場を変える
+//   ack    { ack }                          サーバーの seq が ack までの frames を受け取った（累積）
+//   stop                                    計算をやめる
+// サーバー → クライアント
+//   frames { times, particles: { id: { x, y, vx, vy } } }  t0 より後の時刻だけを含むチャンク
+//   paused / resumed
+//   done                                    t_final まで送り終えた
+//   error  { error, details?, replyTo? }    replyTo は原因になったクライアントのメッセージの seq
+// バックプレッシャー: サーバーは ack されていない frames を window 個までしか送らない
+// 接続が切れた・seq が飛んだときは待ち時間を倍々に延ばしながら接続し直し、最後に受け取った状態から start し直す
+// 接続先はバックエンドの /stream（app.py）。バックエンドなしで試すときはページ内のモック（streamserver.js）につなぐ
+const STREAM_URL = `${API_BASE_URL.replace(/^http/, 'ws')}/stream`;
+const STREAM_MOCK_URL = 'mock://stream';
+const STREAM_CHUNK_SIZE = 200; // 1 チャンクのステップ数
+const STREAM_WINDOW = 4;       // ack を待たずに送ってよいチャンク数
+const STREAM_RECONNECT = { delay: 500, maxDelay: 8000, attempts: 6 }; // 再接続の待ち時間 (ms) と回数
+
 class SimulationWebSocket {
-    constructor(url) {
+    constructor(url, handlers = {}) {
         this.url = url;
+        this.handlers = Object.assign({
+            createSocket: (socketUrl) => new WebSocket(socketUrl),
+            onFrames: () => {},
+            onStatus: () => {},
+            onError: () => {},
+            onDone: () => {},
+            shouldAck: () => true // 受け手が続きを受け取れるか（false のあいだ ack を返さない）
+        }, handlers);
         this.ws = null;
         this.isConnected = false;
+        this.hasConnected = false;
+        this.seq = 0;           // 送ったメッセージの通し番号
+        this.serverSeq = 0;     // 受け取ったサーバーのメッセージの通し番号（接続ごとに数え直す）
+        this.unacked = [];      // 受け取ったがまだ ack していない frames
+        this.run = null;        // { request, options, last }（last は最後に受け取った時刻と各粒子の状態）
+        this.paused = false;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
     }
 
     connect() {
-        this.ws = new WebSocket(this.url);
+        this.handlers.onStatus('connecting');
+        this.ws = this.handlers.createSocket(this.url);
 
         this.ws.onopen = () => {
             console.log('WebSocket connected');
             this.isConnected = true;
+            this.hasConnected = true;
+            this.reconnectAttempts = 0;
+            this.serverSeq = 0;
+            this.unacked = [];
+            if (this.run) {
+                this.sendStart();
+            }
         };
 
         this.ws.onmessage = (event) => {
-            const data = JSON.parse(event.data);
+            let data;
+            try {
+                data = JSON.parse(event.data);
+            } catch (error) {
+                this.fail(new Error('The stream server sent a message that is not JSON'));
+                return;
+            }
             this.handleMessage(data);
         };
 
+        // エラーの後には必ず close が来るので、再接続は onclose で扱う
         this.ws.onerror = (error) => {
-            console.error('WebSocket error:', error);
+            console.warn('WebSocket error:', error);
         };
 
         this.ws.onclose = () => {
             console.log('WebSocket disconnected');
             this.isConnected = false;
+            this.ws = null;
+            if (this.run) {
+                this.scheduleReconnect();
+            }
         };
     }
 
-    send(data) {
+    // request は /simulate と同じ形
+    start(request, options = {}) {
+        this.run = {
+            request: Object.assign({}, request),
+            options: Object.assign({ chunkSize: STREAM_CHUNK_SIZE, window: STREAM_WINDOW }, options),
+            last: null
+        };
+        this.paused = false;
         if (this.isConnected) {
-            this.ws.send(JSON.stringify(data));
-        } else {
-            console.error('WebSocket is not connected');
+            this.sendStart();
+        } else if (!this.ws) {
+            this.connect();
         }
     }
 
+    // 接続し直したときは最後に受け取った状態を初期値にして続きから計算してもらう
+    sendStart() {
+        const { request, options, last } = this.run;
+        const resumed = !last ? request : Object.assign({}, request, {
+            t0: last.t,
+            particles: request.particles.map(p => Object.assign({}, p, last.particles[p.id]))
+        });
+        this.send({ type: 'start', request: resumed, chunkSize: options.chunkSize, window: options.window });
+        if (this.paused) {
+            this.send({ type: 'pause' });
+        }
+    }
+
+    pause() {
+        this.paused = true;
+        this.send({ type: 'pause' });
+    }
+
+    resume() {
+        this.paused = false;
+        this.send({ type: 'resume' });
+    }
+
+    // 刻み・積分法・場の変更（接続し直したときも変更後の値で続ける）
+    update(params) {
+        if (!this.run) return;
+        Object.assign(this.run.request, params);
+        this.send(Object.assign({ type: 'update' }, params));
+    }
+
+    stop() {
+        if (!this.run) return;
+        this.send({ type: 'stop' });
+        this.run = null;
+        this.disconnect();
+    }
+
+    get isStreaming() {
+        return this.run !== null;
+    }
+
+    // 接続していなければ送らない（接続し直したときに start で状態ごと送り直す）
+    send(data) {
+        if (!this.isConnected) return false;
+        this.ws.send(JSON.stringify(Object.assign({}, data, { seq: ++this.seq })));
+        return true;
+    }
+
     handleMessage(data) {
-        // メッセージ処理のロジック
-        console.log('Received:', data);
+        if (data.seq !== this.serverSeq + 1) {
+            // 抜けや重なりがあると状態が合わなくなるので、接続し直して最後に受け取った状態から再開する
+            console.warn(`Stream message ${data.seq} arrived after ${this.serverSeq}; reconnecting`);
+            this.ws.close();
+            return;
+        }
+        this.serverSeq = data.seq;
+        if (!this.run) return;
+
+        switch (data.type) {
+            case 'frames':
+                this.receiveFrames(data);
+                break;
+            case 'paused':
+            case 'resumed':
+                this.handlers.onStatus(data.type);
+                break;
+            case 'done':
+                this.run = null;
+                this.disconnect();
+                this.handlers.onDone();
+                break;
+            case 'error':
+                this.fail(new Error(describeServerError(data)));
+                break;
+            default:
+                console.warn('Unknown stream message:', data.type);
+        }
+    }
+
+    receiveFrames(data) {
+        const last = data.times.length - 1;
+        if (last < 0) return;
+        this.handlers.onFrames(data);
+
+        const state = {};
+        for (const [id, track] of Object.entries(data.particles)) {
+            state[id] = { x: track.x[last], y: track.y[last], vx: track.vx[last], vy: track.vy[last] };
+        }
+        this.run.last = { t: data.times[last], particles: state };
+        this.unacked.push(data);
+        this.flushAcks();
+    }
+
+    // 受け手が受け取れる分だけまとめて ack を返す（返さないあいだサーバーは window 個で止まる）
+    flushAcks() {
+        let ack = null;
+        while (this.unacked.length && this.handlers.shouldAck(this.unacked[0])) {
+            ack = this.unacked.shift().seq;
+        }
+        if (ack !== null) {
+            this.send({ type: 'ack', ack });
+        }
+    }
+
+    scheduleReconnect() {
+        if (!this.hasConnected) {
+            this.fail(new Error(`The stream server at ${this.url} is not reachable`));
+            return;
+        }
+        if (this.reconnectAttempts >= STREAM_RECONNECT.attempts) {
+            this.fail(new Error('Lost the connection to the stream server'));
+            return;
+        }
+        const delay = Math.min(STREAM_RECONNECT.delay * 2 ** this.reconnectAttempts, STREAM_RECONNECT.maxDelay);
+        this.reconnectAttempts++;
+        this.handlers.onStatus('reconnecting', delay);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (this.run) {
+                this.connect();
+            }
+        }, delay);
+    }
+
+    fail(error) {
+        this.run = null;
+        this.disconnect();
+        this.handlers.onError(error);
     }
 
     disconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
         if (this.ws) {
-            this.ws.close();
+            const ws = this.ws;
+            this.ws = null;
+            this.isConnected = false;
+            ws.onclose = null;
+            ws.close();
         }
     }
 }
 
-// エクスポート（シーンの保存）
-function exportScene() {
-    const scene = {
-        fields: {
-            E: electricField,
-            B: magneticField
-        },
-        particles: particles.map(p => ({
-            id: p.id,
-            q: p.q,
-            m: p.m,
-            x: p.x,
-            y: p.y,
-            vx: p.vx,
-            vy: p.vy
-        })),
-        simulationTime: simulationTime,
-        timeScale: timeScale,
-        trailLength: trailLength
-    };
+// 現在の状態から t_final までをストリーミングで計算し、届いたチャンクから順に再生する
+// mock なら WebSocket の代わりにページ内のモック（streamserver.js）につなぐ
+function startStreamingSimulation(t_final, dt, integrator, { mock = false, onStatus, onError, onDone } = {}) {
+    const request = buildServerRequest(t_final, dt, integrator);
+    const isCurrent = () => serverPlayback !== null && serverPlayback.stream === stream;
 
-    const json = JSON.stringify(scene, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'lorentz_simulation.json';
-    a.click();
-    URL.revokeObjectURL(url);
-}
-
-// インポート（シーンの読み込み）
-function importScene(file) {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-        try {
-            const scene = JSON.parse(e.target.result);
-
-            // フィールドを設定
-            setElectricField(scene.fields.E.magnitude, scene.fields.E.angle_deg);
-            setMagneticField(scene.fields.B.magnitude, scene.fields.B.angle_deg);
-
-            // パーティクルをクリアして再作成
-            clearParticles();
-            scene.particles.forEach(pData => {
-                const particle = new Particle(
-                    pData.id,
-                    pData.q,
-                    pData.m,
-                    pData.x,
-                    pData.y,
-                    pData.vx,
-                    pData.vy
-                );
-                particles.push(particle);
-            });
-
-            // その他のパラメータ
-            simulationTime = scene.simulationTime || 0;
-            setTimeScale(scene.timeScale || 1.0);
-            setTrailLength(scene.trailLength || 200);
-
-            console.log('Scene loaded successfully');
-        } catch (error) {
-            console.error('Failed to load scene:', error);
-            alert('シーンの読み込みに失敗しました');
+    const handlers = {
+        onStatus,
+        // 途中で失敗しても受け取った分は最後まで再生できるようにする
+        onError: (error) => {
+            if (isCurrent()) {
+                serverPlayback.complete = true;
+            }
+            onError(error);
+        },
+        onFrames: (chunk) => {
+            if (!isCurrent()) return;
+            appendSimulationFrames(chunk.times, chunk.particles);
+            onStatus('receiving', chunk.times[chunk.times.length - 1]);
+        },
+        onDone: () => {
+            if (isCurrent()) {
+                serverPlayback.complete = true;
+            }
+            onDone();
+        },
+        // 再生位置より 1 チャンク分以上先のチャンクは、再生が追いつくまで ack しない
+        shouldAck: (chunk) => {
+            const span = chunk.times[chunk.times.length - 1] - chunk.times[0];
+            return !isCurrent() || chunk.times[0] - simulationTime <= span;
         }
     };
-    reader.readAsText(file);
+    if (mock) {
+        handlers.createSocket = (url) => new MockSimulationSocket(url);
+    }
+    const stream = new SimulationWebSocket(mock ? STREAM_MOCK_URL : STREAM_URL, handlers);
+
+    // 最初の記録は現在の状態（チャンクには t0 より後だけが入る）
+    const initial = {};
+    for (const p of request.particles) {
+        initial[p.id] = { x: [p.x], y: [p.y], vx: [p.vx], vy: [p.vy] };
+    }
+    beginServerPlayback(stream);
+    appendSimulationFrames([request.t0], initial);
+    seekServerPlayback(request.t0);
+
+    stream.start(request);
+    return stream;
 }
@@ -0,0 +1,216 @@
+// 診断量の計算（選択中の粒子のエネルギー・運動量と、場から求めた理論値）
+// 理論値は粒子位置の局所的な場を一様とみなして計算し、軌跡からの実測値と比較する
+// c を渡すと相対論的な値（γ を含む）を返す
+
+// 3 次元ベクトルの演算
+function dot3(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross3(a, b) {
+    return {
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    };
+}
+
+function norm3(a) {
+    return Math.sqrt(dot3(a, a));
+}
+
+function velocityOf(p) {
+    return { x: p.vx, y: p.vy, z: p.vz };
+}
+
+function particleGamma(p, c) {
+    return c ? lorentzFactor(p.vx, p.vy, p.vz, c) : 1;
+}
+
+// 運動エネルギー（相対論では (γ-1)mc²）
+function kineticEnergy(p, c) {
+    if (c) {
+        return (particleGamma(p, c) - 1) * p.m * c * c;
+    }
+    return 0.5 * p.m * dot3(velocityOf(p), velocityOf(p));
+}
+
+// 電場がする仕事率 qE·v
+function electricPower(p, f) {
+    return p.q * (f.Ex * p.vx + f.Ey * p.vy + f.Ez * p.vz);
+}
+
+// 積分法 method で dt だけ進め、電場がする仕事を台形則で p.workE に積算する
+// 前ステップ終了時の仕事率 p.lastPower = { t, value } を再利用する（粒子と physicsworker.js で共通）
+function stepWithWork(p, method, dt, t, options) {
+    if (p.initialEnergy === null) {
+        p.initialEnergy = kineticEnergy(p, options.c);
+    }
+    const p0 = p.lastPower && p.lastPower.t === t
+        ? p.lastPower.value
+        : electricPower(p, p.fieldsAt(p, t));
+    method.step(p, dt, t, options);
+    const p1 = electricPower(p, p.fieldsAt(p, t + dt));
+    p.workE += (p0 + p1) / 2 * dt;
+    p.lastPower = { t: t + dt, value: p1 };
+}
+
+// 正準運動量 P = γmv + qA（一様磁場の対称ゲージ A = B × r / 2）
+function canonicalMomentum(p, f, c) {
+    const gm = particleGamma(p, c) * p.m;
+    const A = cross3({ x: f.Bx, y: f.By, z: f.Bz }, { x: p.x, y: p.y, z: p.z });
+    return {
+        x: gm * p.vx + p.q * A.x / 2,
+        y: gm * p.vy + p.q * A.y / 2,
+        z: gm * p.vz + p.q * A.z / 2
+    };
+}
+
+// 局所場から求めた理論値
+// ラーマー半径は E×B ドリフト系での垂直速度で計算する（E = 0 なら mv⊥/|q|B と同じ）
+function theoreticalMotion(p, f, c) {
+    const B = { x: f.Bx, y: f.By, z: f.Bz };
+    const E = { x: f.Ex, y: f.Ey, z: f.Ez };
+    const Bmag = norm3(B);
+    if (Bmag < 1e-9 || p.q === 0) {
+        return null;
+    }
+
+    const b = { x: B.x / Bmag, y: B.y / Bmag, z: B.z / Bmag };
+    const ExB = cross3(E, B);
+    const drift = { x: ExB.x / (Bmag * Bmag), y: ExB.y / (Bmag * Bmag), z: ExB.z / (Bmag * Bmag) };
+
+    const v = velocityOf(p);
+    const vPar = dot3(v, b);
+    const u = { x: v.x - drift.x - vPar * b.x, y: v.y - drift.y - vPar * b.y, z: v.z - drift.z - vPar * b.z };
+    const vPerp = norm3(u);
+
+    const gamma = particleGamma(p, c);
+    const omega = Math.abs(p.q) * Bmag / (gamma * p.m);
+    return {
+        B: Bmag,
+        b,
+        vPar,
+        vPerp,
+        larmorRadius: vPerp / omega,
+        omega,
+        period: 2 * Math.PI / omega,
+        drift
+    };
+}
+
+// 軌跡（{x, y, z, t} の列）から 1 周期分を使って実測する
+// ドリフト: 1 周期前との変位 / 周期、半径: ドリフトを差し引いた点への円フィット、周期: 回転角の傾き
+function measureFromTrail(trail, theory) {
+    if (!theory || trail.length < 8) return null;
+    const last = trail[trail.length - 1];
+    const tStart = last.t - theory.period;
+    if (trail[0].t > tStart) return null; // 軌跡が 1 周期に満たない
+
+    // 1 周期前の位置（線形補間）
+    let i = trail.length - 1;
+    while (i > 0 && trail[i - 1].t > tStart) i--;
+    const a = trail[i - 1];
+    const bPoint = trail[i];
+    const s = (tStart - a.t) / (bPoint.t - a.t);
+    const start = {
+        x: a.x + (bPoint.x - a.x) * s,
+        y: a.y + (bPoint.y - a.y) * s,
+        z: a.z + (bPoint.z - a.z) * s
+    };
+
+    // B に垂直な成分だけをドリフトとする
+    const b = theory.b;
+    const disp = { x: last.x - start.x, y: last.y - start.y, z: last.z - start.z };
+    const dPar = dot3(disp, b);
+    const drift = {
+        x: (disp.x - dPar * b.x) / theory.period,
+        y: (disp.y - dPar * b.y) / theory.period,
+        z: (disp.z - dPar * b.z) / theory.period
+    };
+
+    // B に垂直な平面の基底
+    const ref = Math.abs(b.z) < 0.9 ? { x: 0, y: 0, z: 1 } : { x: 1, y: 0, z: 0 };
+    const e1 = cross3(ref, b);
+    const n1 = norm3(e1);
+    e1.x /= n1; e1.y /= n1; e1.z /= n1;
+    const e2 = cross3(b, e1);
+
+    // ドリフトと平行運動を差し引いて平面に射影
+    const points = [];
+    for (let k = i - 1; k < trail.length; k++) {
+        const q = trail[k];
+        const dt = q.t - last.t;
+        const r = {
+            x: q.x - drift.x * dt,
+            y: q.y - drift.y * dt,
+            z: q.z - drift.z * dt
+        };
+        points.push({ u: dot3(r, e1), v: dot3(r, e2), t: q.t });
+    }
+
+    const circle = fitCircle(points);
+    if (!circle) return null;
+
+    return {
+        larmorRadius: circle.r,
+        period: 2 * Math.PI / fitRotationRate(points, circle),
+        drift
+    };
+}
+
+// 円の中心まわりの回転角を展開して、時間に対する傾き（角速度の大きさ）を求める
+function fitRotationRate(points, circle) {
+    let prev = null;
+    let offset = 0;
+    let st = 0, sa = 0, stt = 0, sta = 0;
+    for (const q of points) {
+        let angle = Math.atan2(q.v - circle.v, q.u - circle.u);
+        if (prev !== null) {
+            if (angle + offset - prev > Math.PI) offset -= 2 * Math.PI;
+            if (angle + offset - prev < -Math.PI) offset += 2 * Math.PI;
+        }
+        angle += offset;
+        prev = angle;
+        st += q.t; sa += angle; stt += q.t * q.t; sta += q.t * angle;
+    }
+    const n = points.length;
+    return Math.abs((n * sta - st * sa) / (n * stt - st * st));
+}
+
+// 最小二乗法による円フィット（Kåsa 法）
+function fitCircle(points) {
+    const n = points.length;
+    let mu = 0, mv = 0;
+    for (const p of points) { mu += p.u; mv += p.v; }
+    mu /= n;
+    mv /= n;
+
+    let suu = 0, svv = 0, suv = 0, suuu = 0, svvv = 0, suvv = 0, svuu = 0;
+    for (const p of points) {
+        const u = p.u - mu;
+        const v = p.v - mv;
+        suu += u * u; svv += v * v; suv += u * v;
+        suuu += u * u * u; svvv += v * v * v;
+        suvv += u * v * v; svuu += v * u * u;
+    }
+
+    const det = suu * svv - suv * suv;
+    if (Math.abs(det) < 1e-12) return null;
+    const ru = (suuu + suvv) / 2;
+    const rv = (svvv + svuu) / 2;
+    const uc = (ru * svv - rv * suv) / det;
+    const vc = (rv * suu - ru * suv) / det;
+
+    return {
+        u: uc + mu,
+        v: vc + mv,
+        r: Math.sqrt(uc * uc + vc * vc + (suu + svv) / n)
+    };
+}
+
+// 相対誤差（理論値が 0 なら絶対誤差）
+function relativeError(measured, expected) {
+    const diff = Math.abs(measured - expected);
+    return Math.abs(expected) > 1e-9 ? diff / Math.abs(expected) : diff;
+}
@@ -0,0 +1,187 @@
+// 粒子の放出源（エミッタ）
+// 一定のレートで粒子を生成する。向きには角度の広がり、速さ・電荷・質量には分布を持たせられる
+// 分布の書式: "2"（固定値）, "1..3"（一様分布）, "2±0.2" または "2+-0.2"（ガウス分布、± の後は標準偏差）
+// 種の混合: "q:m:weight, ..." を指定すると電荷と質量はその中から重みに応じて選ぶ
+
+const EMITTER_PARAMS = [
+    { key: 'x', label: 'x', dim: 'length', value: -8 },
+    { key: 'y', label: 'y', dim: 'length', value: 0 },
+    { key: 'angle_deg', label: 'direction (deg)', value: 0 },
+    { key: 'spread_deg', label: 'spread ± (deg)', value: 0 },
+    { key: 'rate', label: 'rate', dim: 'frequency', value: 5 },
+    { key: 'limit', label: 'max alive', value: 200 },
+    { key: 'lifetime', label: 'lifetime (0 = ∞)', dim: 'time', value: 0 },
+    { key: 'speed', label: 'speed', dim: 'velocity', value: '2', text: true },
+    { key: 'charge', label: 'charge q', dim: 'charge', value: '1', text: true },
+    { key: 'mass', label: 'mass m', dim: 'mass', value: '1', text: true },
+    { key: 'species', label: 'species mix (q:m:weight, ...)', dim: 'charge:mass:', value: '', text: true }
+];
+
+let emitterIdCounter = 0;
+
+// 分布の解析結果とレートの端数（エミッタごと）
+const emitterStates = new WeakMap();
+
+// 分布の文字列を解析
+function parseDistribution(text, label) {
+    const source = String(text).trim();
+    let match = source.match(/^(.+?)\.\.(.+)$/);
+    if (match) {
+        const min = Number(match[1]);
+        const max = Number(match[2]);
+        if (isFinite(min) && isFinite(max)) {
+            return { type: 'uniform', min: Math.min(min, max), max: Math.max(min, max) };
+        }
+    }
+    match = source.match(/^(.+?)(?:±|\+-)(.+)$/);
+    if (match) {
+        const mean = Number(match[1]);
+        const sigma = Number(match[2]);
+        if (isFinite(mean) && isFinite(sigma) && sigma >= 0) {
+            return { type: 'gaussian', mean, sigma };
+        }
+    }
+    const value = Number(source);
+    if (source !== '' && isFinite(value)) {
+        return { type: 'fixed', value };
+    }
+    throw new Error(`${label}: invalid distribution "${source}" (use 2, 1..3 or 2±0.2)`);
+}
+
+// "q:m:weight, ..." を種のリストに変換（空なら null）
+function parseSpeciesMix(text) {
+    const entries = String(text).split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry.length > 0);
+    if (entries.length === 0) return null;
+
+    const species = entries.map(entry => {
+        const [q, m, weight = 1] = entry.split(':').map(Number);
+        if (!isFinite(q) || !(m > 0) || !(weight > 0)) {
+            throw new Error(`Invalid species "${entry}" (expected q:m:weight with m > 0 and weight > 0)`);
+        }
+        return { q, m, weight };
+    });
+    const total = species.reduce((sum, s) => sum + s.weight, 0);
+    return species.map(s => ({ q: s.q, m: s.m, p: s.weight / total }));
+}
+
+function sampleDistribution(dist) {
+    switch (dist.type) {
+        case 'uniform':
+            return dist.min + Math.random() * (dist.max - dist.min);
+        case 'gaussian': {
+            // ボックス＝ミュラー法
+            const u = 1 - Math.random();
+            const v = Math.random();
+            return dist.mean + dist.sigma * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        }
+        default:
+            return dist.value;
+    }
+}
+
+// 正の値が出るまで引き直す（質量用、出なければ分布の代表値）
+function samplePositive(dist) {
+    for (let i = 0; i < 20; i++) {
+        const value = sampleDistribution(dist);
+        if (value > 0) return value;
+    }
+    return dist.type === 'uniform' ? dist.max : dist.mean;
+}
+
+function emitterState(emitter) {
+    let state = emitterStates.get(emitter);
+    if (!state) {
+        state = {
+            speed: parseDistribution(emitter.speed, 'speed'),
+            charge: parseDistribution(emitter.charge, 'charge'),
+            mass: parseDistribution(emitter.mass, 'mass'),
+            species: parseSpeciesMix(emitter.species),
+            pending: 0
+        };
+        emitterStates.set(emitter, state);
+    }
+    return state;
+}
+
+// パラメータを既定値で補ってエミッタを作成（分布は検証される）
+function createEmitter(params = {}) {
+    const emitter = { id: params.id || `e${emitterIdCounter++}` };
+    // 読み込んだ id と重ならないように番号を進める
+    const number = parseInt(String(emitter.id).slice(1), 10);
+    if (number >= emitterIdCounter) {
+        emitterIdCounter = number + 1;
+    }
+    for (const param of EMITTER_PARAMS) {
+        const raw = params[param.key] !== undefined ? params[param.key] : param.value;
+        if (param.text) {
+            emitter[param.key] = String(raw);
+        } else {
+            const value = parseFloat(raw);
+            if (isNaN(value)) {
+                throw new Error(`Emitter: ${param.label} must be a number`);
+            }
+            emitter[param.key] = value;
+        }
+    }
+    if (emitter.rate < 0 || emitter.limit < 0 || emitter.lifetime < 0) {
+        throw new Error('Emitter: rate, max alive and lifetime must not be negative');
+    }
+
+    const mass = emitterState(emitter).mass;
+    if ((mass.type === 'fixed' && mass.value <= 0) || (mass.type === 'uniform' && mass.max <= 0) ||
+        (mass.type === 'gaussian' && mass.mean <= 0)) {
+        throw new Error('Emitter: mass must be positive');
+    }
+    return emitter;
+}
+
+// dt の間に放出する粒子の数（端数は次のステップに持ち越す）
+function emissionCount(emitter, dt) {
+    const state = emitterState(emitter);
+    state.pending += emitter.rate * dt;
+    const count = Math.floor(state.pending);
+    state.pending -= count;
+    return count;
+}
+
+function resetEmitters(list) {
+    for (const emitter of list) {
+        emitterState(emitter).pending = 0;
+    }
+}
+
+// 1 個分の初期条件 { q, m, x, y, vx, vy }
+function sampleEmission(emitter) {
+    const state = emitterState(emitter);
+    let q, m;
+    if (state.species) {
+        let r = Math.random();
+        const chosen = state.species.find(s => (r -= s.p) < 0) || state.species[state.species.length - 1];
+        q = chosen.q;
+        m = chosen.m;
+    } else {
+        q = sampleDistribution(state.charge);
+        m = samplePositive(state.mass);
+    }
+
+    const spread = emitter.spread_deg * (2 * Math.random() - 1);
+    const angle = (emitter.angle_deg + spread) * Math.PI / 180;
+    const speed = sampleDistribution(state.speed);
+    return {
+        q, m,
+        x: emitter.x,
+        y: emitter.y,
+        vx: speed * Math.cos(angle),
+        vy: speed * Math.sin(angle)
+    };
+}
+
+// 一覧表示用の短い説明
+function describeEmitter(emitter) {
+    const shown = key => formatParamValue(emitter[key], EMITTER_PARAMS.find(param => param.key === key).dim);
+    const particle = emitter.species ? `mix ${shown('species')}` : `q=${shown('charge')}, m=${shown('mass')}`;
+    return `Emitter ${emitter.id} at (${shown('x')}, ${shown('y')}): ${shown('rate')}, ` +
+        `${emitter.angle_deg}°±${emitter.spread_deg}°, v=${shown('speed')}, ${particle}`;
+}
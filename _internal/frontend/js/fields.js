@@ -0,0 +1,312 @@
+// 空間分布を持つ場のモデル
+// 場の源（ソース）を重ね合わせて E(x, y, t) と Bz(x, y, t) を求める
+// 磁気ミラーだけは軸まわりの 3 次元の磁場を持つ（z を使うので 3D モード向け）
+
+// 点電荷・線電流の係数（教育用の正規化単位）
+const COULOMB_K = 1.0;   // E = k q / r²
+const MU0_OVER_2PI = 1.0; // B = (μ0 / 2π) I / d
+// 源の近傍で場が発散しないための最小距離 (m)
+const FIELD_SOFTENING = 0.05;
+
+// ソースの種類とパラメータ定義（UIのフォーム生成にも使う）
+const FIELD_SOURCE_TYPES = {
+    rectRegion: {
+        label: 'Uniform region (rectangle)',
+        params: [
+            { key: 'x1', label: 'x1', dim: 'length', value: -3 },
+            { key: 'y1', label: 'y1', dim: 'length', value: -3 },
+            { key: 'x2', label: 'x2', dim: 'length', value: 3 },
+            { key: 'y2', label: 'y2', dim: 'length', value: 3 },
+            { key: 'Ex', label: 'Ex', dim: 'eField', value: 0 },
+            { key: 'Ey', label: 'Ey', dim: 'eField', value: 0 },
+            { key: 'Bz', label: 'Bz', dim: 'bField', value: 1 }
+        ]
+    },
+    circleRegion: {
+        label: 'Uniform region (circle)',
+        params: [
+            { key: 'cx', label: 'center x', dim: 'length', value: 0 },
+            { key: 'cy', label: 'center y', dim: 'length', value: 0 },
+            { key: 'r', label: 'radius', dim: 'length', value: 3 },
+            { key: 'Ex', label: 'Ex', dim: 'eField', value: 0 },
+            { key: 'Ey', label: 'Ey', dim: 'eField', value: 0 },
+            { key: 'Bz', label: 'Bz', dim: 'bField', value: 1 }
+        ]
+    },
+    pointCharge: {
+        label: 'Point charge',
+        params: [
+            { key: 'x', label: 'x', dim: 'length', value: 0 },
+            { key: 'y', label: 'y', dim: 'length', value: 0 },
+            { key: 'q', label: 'charge', dim: 'charge', value: 1 }
+        ]
+    },
+    lineCurrent: {
+        label: 'Line current (in plane)',
+        params: [
+            { key: 'x', label: 'x', dim: 'length', value: 0 },
+            { key: 'y', label: 'y', dim: 'length', value: 0 },
+            { key: 'angle_deg', label: 'angle (deg)', value: 90 },
+            { key: 'I', label: 'current', dim: 'current', value: 1 }
+        ]
+    },
+    mirror: {
+        label: 'Magnetic mirror (axis along x, 3D)',
+        params: [
+            { key: 'cx', label: 'center x', dim: 'length', value: 0 },
+            { key: 'cy', label: 'axis y', dim: 'length', value: 0 },
+            { key: 'B0', label: 'B at center', dim: 'bField', value: 1 },
+            { key: 'ratio', label: 'mirror ratio', value: 4 },
+            { key: 'L', label: 'half length', dim: 'length', value: 5 }
+        ]
+    },
+    gradient: {
+        label: 'Linear gradient (normalized units)',
+        params: [
+            { key: 'component', label: 'component', value: 'Bz', options: ['Ex', 'Ey', 'Bz'] },
+            { key: 'value', label: 'value at origin', value: 1 },
+            { key: 'gx', label: 'd/dx', value: 0.1 },
+            { key: 'gy', label: 'd/dy', value: 0 }
+        ]
+    },
+    expression: {
+        label: 'Expression f(x, y, t) (normalized units)',
+        params: [
+            { key: 'Ex', label: 'Ex', value: '0', text: true },
+            { key: 'Ey', label: 'Ey', value: '0', text: true },
+            { key: 'Bz', label: 'Bz', value: '0.5 + 0.1 * x', text: true }
+        ]
+    }
+};
+
+// 式で使える識別子
+const EXPRESSION_NAMES = [
+    'sin', 'cos', 'tan', 'asin', 'acos', 'atan', 'atan2', 'sinh', 'cosh', 'tanh',
+    'exp', 'log', 'sqrt', 'abs', 'pow', 'min', 'max', 'floor', 'ceil', 'round',
+    'sign', 'hypot', 'PI', 'E'
+];
+const EXPRESSION_VARIABLES = ['x', 'y', 't'];
+
+// コンパイル済みの式（ソースオブジェクトごと）
+const compiledExpressions = new WeakMap();
+
+// 数式文字列を関数 f(x, y, t) に変換する
+// 使用できるのは数値・演算子・x, y, t・Math の関数と定数のみ
+function compileFieldExpression(expr) {
+    const source = String(expr).trim() || '0';
+
+    // 代入（単独の =）や文字列・ブロックなどは受け付けない
+    if (/[^\w\s.+\-*/%^(),<>=?:!&|]/.test(source) || /(^|[^<>=!])=(?!=)/.test(source)) {
+        throw new Error(`Invalid character in expression: ${source}`);
+    }
+
+    // 数値（1e5 や 2.5E-3 の指数部を含む）を除いてから識別子を調べる
+    const names = source.replace(/(^|[^\w.])(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/gi, '$1 ');
+    const identifiers = names.match(/[A-Za-z_]\w*/g) || [];
+    for (const name of identifiers) {
+        if (!EXPRESSION_NAMES.includes(name) && !EXPRESSION_VARIABLES.includes(name)) {
+            throw new Error(`Unknown name "${name}" in expression: ${source}`);
+        }
+    }
+
+    // ^ は ** にする。JS では -x**2 が構文エラーになるので、符号の付いた底は括弧が必要
+    const body = source.replace(/\^/g, '**');
+    let fn;
+    try {
+        fn = new Function(...EXPRESSION_VARIABLES, ...EXPRESSION_NAMES, `return (${body});`);
+    } catch (error) {
+        if (!(error instanceof SyntaxError)) throw error;
+        const hint = source.includes('^') ? ' (a sign in front of a power needs parentheses: write -(x^2) or (-x)^2)' : '';
+        throw new Error(`Cannot parse expression: ${source}${hint}`);
+    }
+    const constants = EXPRESSION_NAMES.map(name => Math[name]);
+
+    // 一度評価して構文・型を確認
+    const test = fn(0, 0, 0, ...constants);
+    if (typeof test !== 'number' && typeof test !== 'boolean') {
+        throw new Error(`Expression must evaluate to a number: ${source}`);
+    }
+
+    return (x, y, t) => {
+        const value = Number(fn(x, y, t, ...constants));
+        return isFinite(value) ? value : 0;
+    };
+}
+
+// パラメータを既定値で補ってソースを作成（式は検証される）
+function createFieldSource(type, params = {}) {
+    const definition = FIELD_SOURCE_TYPES[type];
+    if (!definition) {
+        throw new Error(`Unknown field source type: ${type}`);
+    }
+
+    const source = { type };
+    for (const param of definition.params) {
+        const raw = params[param.key] !== undefined ? params[param.key] : param.value;
+        if (param.text || param.options) {
+            source[param.key] = String(raw);
+        } else {
+            const value = parseFloat(raw);
+            if (isNaN(value)) {
+                throw new Error(`${definition.label}: ${param.label} must be a number`);
+            }
+            source[param.key] = value;
+        }
+    }
+
+    if (type === 'expression') {
+        expressionFunctions(source);
+    }
+    if (type === 'mirror' && (!(source.ratio >= 1) || !(source.L > 0))) {
+        throw new Error('Magnetic mirror: the ratio must be at least 1 and the half length positive');
+    }
+
+    return source;
+}
+
+function expressionFunctions(source) {
+    let fns = compiledExpressions.get(source);
+    if (!fns) {
+        fns = {
+            Ex: compileFieldExpression(source.Ex),
+            Ey: compileFieldExpression(source.Ey),
+            Bz: compileFieldExpression(source.Bz)
+        };
+        compiledExpressions.set(source, fns);
+    }
+    return fns;
+}
+
+// 1つのソースが点 (x, y, z) に作る場を out に加算する
+function addSourceField(source, x, y, t, out, z) {
+    switch (source.type) {
+        case 'rectRegion': {
+            const inside = x >= Math.min(source.x1, source.x2) && x <= Math.max(source.x1, source.x2) &&
+                y >= Math.min(source.y1, source.y2) && y <= Math.max(source.y1, source.y2);
+            if (inside) {
+                out.Ex += source.Ex;
+                out.Ey += source.Ey;
+                out.Bz += source.Bz;
+            }
+            break;
+        }
+
+        case 'circleRegion': {
+            if ((x - source.cx) ** 2 + (y - source.cy) ** 2 <= source.r ** 2) {
+                out.Ex += source.Ex;
+                out.Ey += source.Ey;
+                out.Bz += source.Bz;
+            }
+            break;
+        }
+
+        case 'pointCharge': {
+            // E = k q r̂ / r²（ソフトニング付き）
+            const dx = x - source.x;
+            const dy = y - source.y;
+            const r2 = dx * dx + dy * dy + FIELD_SOFTENING ** 2;
+            const factor = COULOMB_K * source.q / (r2 * Math.sqrt(r2));
+            out.Ex += factor * dx;
+            out.Ey += factor * dy;
+            break;
+        }
+
+        case 'lineCurrent': {
+            // 面内の無限直線電流が作る面に垂直な磁場 Bz = (μ0/2π) I / d
+            // 符号は電流の向きに対して左側が +Z（右ねじの法則）
+            const rad = source.angle_deg * Math.PI / 180;
+            const ux = Math.cos(rad);
+            const uy = Math.sin(rad);
+            const d = ux * (y - source.y) - uy * (x - source.x); // 左側が正の符号付き距離
+            const dist = Math.max(Math.abs(d), FIELD_SOFTENING);
+            out.Bz += Math.sign(d) * MU0_OVER_2PI * source.I / dist;
+            break;
+        }
+
+        case 'mirror': {
+            // 軸上 Bx = B0 (1 + (R − 1) s² / L²)、発散が 0 になるよう軸からの距離に比例する動径成分を付ける
+            // 喉（|s| = L、磁場が R B0）より外側は場なし
+            const s = x - source.cx;
+            if (Math.abs(s) <= source.L) {
+                const k = source.B0 * (source.ratio - 1) / (source.L * source.L);
+                out.Bx += source.B0 + k * s * s;
+                out.By -= k * s * (y - source.cy);
+                out.Bz -= k * s * z;
+            }
+            break;
+        }
+
+        case 'gradient': {
+            out[source.component] += source.value + source.gx * x + source.gy * y;
+            break;
+        }
+
+        case 'expression': {
+            const fns = expressionFunctions(source);
+            out.Ex += fns.Ex(x, y, t);
+            out.Ey += fns.Ey(x, y, t);
+            out.Bz += fns.Bz(x, y, t);
+            break;
+        }
+    }
+}
+
+// スライダーで設定する一様場の成分（波形による時間変化を含む）
+// settings は { electric, magnetic, electricWaveform, magneticWaveform, direction }
+// direction は 3D モードでの磁場の向き { azimuth_deg, elevation_deg }（2D モードでは null）
+function uniformFieldAt(settings, t) {
+    const { electric, magnetic, direction } = settings;
+    // 電場から角度に基づいてベクトル成分を計算
+    const E_rad = electric.angle_deg * Math.PI / 180;
+    const E = electric.magnitude * evaluateWaveform(settings.electricWaveform, t);
+    const Ex = E * Math.cos(E_rad);
+    const Ey = E * Math.sin(E_rad);
+
+    const B = magnetic.magnitude * evaluateWaveform(settings.magneticWaveform, t);
+
+    // 3Dモード: 方位角（XY面内）と仰角（XY面から）で任意の向き
+    if (direction) {
+        const az = direction.azimuth_deg * Math.PI / 180;
+        const el = direction.elevation_deg * Math.PI / 180;
+        return {
+            Ex, Ey, Ez: 0,
+            Bx: B * Math.cos(el) * Math.cos(az),
+            By: B * Math.cos(el) * Math.sin(az),
+            Bz: B * Math.sin(el)
+        };
+    }
+
+    // 磁場の方向を決定
+    // angle_deg = 90° → 紙面から出る方向（Out of plane ⊙）→ Bz = +B
+    // angle_deg = 270° → 紙面に入る方向（Into plane ⊗）→ Bz = -B
+    let Bz;
+    if (magnetic.angle_deg === 90) {
+        Bz = B;  // 紙面から出る（+Z方向）
+    } else {
+        Bz = -B; // 紙面に入る（-Z方向）
+    }
+
+    return { Ex, Ey, Ez: 0, Bx: 0, By: 0, Bz };
+}
+
+// ソースの重ね合わせで場を評価する
+// 磁気ミラー以外のソースは面内の分布のみを持つ（3Dモードでは z 方向に一様）
+function evaluateFieldSources(sources, x, y, t, base = {}, z = 0) {
+    const out = {
+        Ex: base.Ex || 0, Ey: base.Ey || 0, Ez: base.Ez || 0,
+        Bx: base.Bx || 0, By: base.By || 0, Bz: base.Bz || 0
+    };
+    for (const source of sources) {
+        addSourceField(source, x, y, t, out, z);
+    }
+    return out;
+}
+
+// 一覧表示用の短い説明
+function describeFieldSource(source) {
+    const definition = FIELD_SOURCE_TYPES[source.type];
+    const params = definition.params
+        .map(param => `${param.key}=${formatParamValue(source[param.key], param.dim)}`)
+        .join(', ');
+    return `${definition.label}: ${params}`;
+}
@@ -0,0 +1,423 @@
+// 場の表示レイヤー（2D）
+// 矢印・色付きの矢印（quiver）・電気力線・等電位線・|E| または Bz のヒートマップを重ねて表示できる
+// 描画はオフスクリーンのバッファに行い、場・表示範囲・設定が変わったときだけ描き直す
+
+const FIELD_LAYERS = {
+    arrows: { label: 'Arrows (E) and ⊙/⊗ (B)' },
+    quiver: { label: 'E quiver colored by |E|' },
+    streamlines: { label: 'E field lines' },
+    equipotentials: { label: 'Equipotentials of φ' },
+    heatmap: { label: 'Heatmap' }
+};
+
+const HEATMAP_QUANTITIES = {
+    E: { label: '|E|', dim: 'eField' },
+    Bz: { label: 'Bz', dim: 'bField' }
+};
+
+const FIELD_GRID_CELL = 6;        // ヒートマップ・等電位線のサンプル間隔 (px)
+const QUIVER_SPACING = 40;        // 色付き矢印の間隔 (px)
+const STREAMLINE_SEED_SPACING = 90; // 電気力線の種の間隔 (px)
+const STREAMLINE_STEP = 3;        // 電気力線を追う刻み (px)
+const STREAMLINE_MAX_STEPS = 600;
+const EQUIPOTENTIAL_LEVELS = 16;
+
+let fieldLayerSettings = {
+    arrows: true,
+    quiver: false,
+    streamlines: false,
+    equipotentials: false,
+    heatmap: false,
+    heatmapQuantity: 'E'
+};
+
+let fieldLayerBuffer = null;
+let fieldLayerKey = null;
+
+function setFieldLayerSettings(settings) {
+    if (settings.heatmapQuantity && !HEATMAP_QUANTITIES[settings.heatmapQuantity]) {
+        throw new Error(`Unknown heatmap quantity: ${settings.heatmapQuantity}`);
+    }
+    fieldLayerSettings = Object.assign({}, fieldLayerSettings, settings);
+}
+
+// 表示が変わる要素をまとめた文字列（変わらなければバッファを使い回す）
+// 波形は現在の倍率だけを、t を含む式があるときは時刻も含める
+function fieldLayerCacheKey(t) {
+    const timeDependent = fieldSources.some(source => source.type === 'expression' &&
+        [source.Ex, source.Ey, source.Bz].some(expr => /\bt\b/.test(expr)));
+    return JSON.stringify({
+        layers: fieldLayerSettings,
+        view: [view2D.centerX, view2D.centerY, view2D.scale, canvasWidth, canvasHeight],
+        units: unitSettings,
+        fields: [electricField, magneticField, fieldSources],
+        waveforms: [evaluateWaveform(electricWaveform, t), evaluateWaveform(magneticWaveform, t)],
+        t: timeDependent ? t : null
+    });
+}
+
+// 有効なレイヤーをバッファに描いてキャンバスに重ねる
+function drawFieldLayers(t) {
+    if (!Object.keys(FIELD_LAYERS).some(layer => fieldLayerSettings[layer])) return;
+
+    const key = fieldLayerCacheKey(t);
+    if (!fieldLayerBuffer || fieldLayerBuffer.width !== canvasWidth || fieldLayerBuffer.height !== canvasHeight) {
+        if (fieldLayerBuffer) fieldLayerBuffer.remove();
+        fieldLayerBuffer = createGraphics(canvasWidth, canvasHeight);
+        fieldLayerBuffer.pixelDensity(1);
+        fieldLayerKey = null;
+    }
+    if (key !== fieldLayerKey) {
+        renderFieldLayers(fieldLayerBuffer, t);
+        fieldLayerKey = key;
+    }
+    image(fieldLayerBuffer, 0, 0);
+}
+
+function renderFieldLayers(g, t) {
+    g.clear();
+    const grid = (fieldLayerSettings.heatmap || fieldLayerSettings.equipotentials) ? sampleFieldGrid(t) : null;
+    const heat = fieldLayerSettings.heatmap ? heatmapValues(grid) : null;
+
+    if (heat) {
+        renderHeatmap(g, grid, heat);
+    }
+    if (fieldLayerSettings.equipotentials) {
+        renderEquipotentials(g, grid);
+    }
+    if (fieldLayerSettings.streamlines) {
+        renderStreamlines(g, t);
+    }
+    if (fieldLayerSettings.quiver) {
+        renderQuiver(g, t);
+    }
+    if (fieldLayerSettings.arrows) {
+        renderArrows(g, t);
+    }
+    if (heat) {
+        renderColorbar(g, heat);
+    }
+}
+
+// 画面を覆う格子点（間隔 FIELD_GRID_CELL px）で場を求める
+function sampleFieldGrid(t) {
+    const cell = FIELD_GRID_CELL;
+    const nx = Math.ceil(canvasWidth / cell) + 1;
+    const ny = Math.ceil(canvasHeight / cell) + 1;
+    const Ex = new Float64Array(nx * ny);
+    const Ey = new Float64Array(nx * ny);
+    const Bz = new Float64Array(nx * ny);
+    for (let j = 0; j < ny; j++) {
+        for (let i = 0; i < nx; i++) {
+            const w = screenToWorld(i * cell, j * cell);
+            const f = sampleField(w.x, w.y, t);
+            const k = j * nx + i;
+            Ex[k] = f.Ex;
+            Ey[k] = f.Ey;
+            Bz[k] = f.Bz;
+        }
+    }
+    return { nx, ny, cell, Ex, Ey, Bz };
+}
+
+// 外れ値（点電荷の近くなど）に引きずられないよう、大きさの分位点を色の範囲にする
+function quantile(values, q) {
+    const sorted = Float64Array.from(values).sort();
+    return sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))] : 0;
+}
+
+// ヒートマップの値と色の範囲 { values, min, max, color }
+function heatmapValues(grid) {
+    const quantity = fieldLayerSettings.heatmapQuantity;
+    if (quantity === 'Bz') {
+        const limit = quantile(grid.Bz.map(Math.abs), 0.98) || 1;
+        // 正を赤、負を青（d3 の RdBu は負の側が赤なので反転）
+        return { values: grid.Bz, min: -limit, max: limit, color: s => d3.interpolateRdBu(1 - s) };
+    }
+    const values = grid.Ex.map((ex, k) => Math.hypot(ex, grid.Ey[k]));
+    return { values, min: 0, max: quantile(values, 0.98) || 1, color: d3.interpolateViridis };
+}
+
+function renderHeatmap(g, grid, heat) {
+    const { values, min, max, color: colorOf } = heat;
+    const { nx, ny, cell } = grid;
+    g.noStroke();
+    for (let j = 0; j < ny; j++) {
+        for (let i = 0; i < nx; i++) {
+            const s = Math.max(0, Math.min(1, (values[j * nx + i] - min) / (max - min)));
+            const c = g.color(colorOf(s));
+            c.setAlpha(150);
+            g.fill(c);
+            g.rect(i * cell - cell / 2, j * cell - cell / 2, cell, cell);
+        }
+    }
+}
+
+// 右端のカラーバー（値は表示単位）
+function renderColorbar(g, heat) {
+    const { min, max, color: colorOf } = heat;
+    const quantity = HEATMAP_QUANTITIES[fieldLayerSettings.heatmapQuantity];
+    const height = Math.min(200, canvasHeight - 80);
+    const x = canvasWidth - 34;
+    const y = 40;
+
+    g.noStroke();
+    for (let k = 0; k < height; k++) {
+        g.fill(colorOf(1 - k / (height - 1)));
+        g.rect(x, y + k, 14, 1);
+    }
+    g.noFill();
+    g.stroke(60);
+    g.strokeWeight(1);
+    g.rect(x, y, 14, height);
+
+    g.noStroke();
+    g.fill(0);
+    g.textSize(11);
+    g.textAlign(RIGHT, CENTER);
+    g.text(formatQuantity(max, quantity.dim, 3), x - 4, y);
+    g.text(formatQuantity((min + max) / 2, quantity.dim, 3), x - 4, y + height / 2);
+    g.text(formatQuantity(min, quantity.dim, 3), x - 4, y + height);
+    g.textAlign(RIGHT, BOTTOM);
+    g.text(quantity.label, x + 14, y - 6);
+}
+
+// 電位 φ（E = −∇φ）を格子上で線積分して求める
+// x 方向→y 方向と y 方向→x 方向の 2 つの経路の平均（静電場なら経路によらない）
+function potentialGrid(grid) {
+    const { nx, ny, Ex, Ey } = grid;
+    const w0 = screenToWorld(0, 0);
+    const w1 = screenToWorld(grid.cell, grid.cell);
+    const dx = w1.x - w0.x;
+    const dy = w1.y - w0.y; // 画面の下向きはワールドの −y
+    const alongX = new Float64Array(nx * ny);
+    const alongY = new Float64Array(nx * ny);
+
+    for (let i = 1; i < nx; i++) {
+        alongX[i] = alongX[i - 1] - (Ex[i - 1] + Ex[i]) / 2 * dx;
+    }
+    for (let j = 1; j < ny; j++) {
+        for (let i = 0; i < nx; i++) {
+            const k = j * nx + i;
+            alongX[k] = alongX[k - nx] - (Ey[k - nx] + Ey[k]) / 2 * dy;
+        }
+    }
+
+    for (let j = 1; j < ny; j++) {
+        const k = j * nx;
+        alongY[k] = alongY[k - nx] - (Ey[k - nx] + Ey[k]) / 2 * dy;
+    }
+    for (let j = 0; j < ny; j++) {
+        for (let i = 1; i < nx; i++) {
+            const k = j * nx + i;
+            alongY[k] = alongY[k - 1] - (Ex[k - 1] + Ex[k]) / 2 * dx;
+        }
+    }
+
+    return alongX.map((value, k) => (value + alongY[k]) / 2);
+}
+
+// マーチングスクエア法で等電位線を描く
+function renderEquipotentials(g, grid) {
+    const phi = potentialGrid(grid);
+    const { nx, ny, cell } = grid;
+    const low = quantile(phi, 0.02);
+    const high = quantile(phi, 0.98);
+    if (!(high - low > 1e-12)) return;
+
+    g.stroke(120, 60, 0, 170);
+    g.strokeWeight(1);
+    for (let level = 1; level <= EQUIPOTENTIAL_LEVELS; level++) {
+        const value = low + (high - low) * level / (EQUIPOTENTIAL_LEVELS + 1);
+        for (let j = 0; j < ny - 1; j++) {
+            for (let i = 0; i < nx - 1; i++) {
+                const k = j * nx + i;
+                const corners = [phi[k], phi[k + 1], phi[k + nx + 1], phi[k + nx]];
+                const crossings = contourCrossings(corners, value);
+                for (let c = 0; c + 1 < crossings.length; c += 2) {
+                    const [a, b] = [crossings[c], crossings[c + 1]];
+                    g.line((i + a.x) * cell, (j + a.y) * cell, (i + b.x) * cell, (j + b.y) * cell);
+                }
+            }
+        }
+    }
+}
+
+// 1 マスの辺上で値 level を横切る点（マス内の座標 0–1、2 つずつ線分になる）
+// 角の順は左上・右上・右下・左下
+function contourCrossings(corners, level) {
+    const positions = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }];
+    const points = [];
+    for (let e = 0; e < 4; e++) {
+        const a = corners[e];
+        const b = corners[(e + 1) % 4];
+        if ((a < level) === (b < level)) continue;
+        const s = (level - a) / (b - a);
+        const pa = positions[e];
+        const pb = positions[(e + 1) % 4];
+        points.push({ x: pa.x + (pb.x - pa.x) * s, y: pa.y + (pb.y - pa.y) * s });
+    }
+    return points;
+}
+
+// 大きさで色を付けた一定の長さの矢印
+function renderQuiver(g, t) {
+    const samples = [];
+    for (let sx = QUIVER_SPACING / 2; sx < canvasWidth; sx += QUIVER_SPACING) {
+        for (let sy = QUIVER_SPACING / 2; sy < canvasHeight; sy += QUIVER_SPACING) {
+            const w = screenToWorld(sx, sy);
+            const f = sampleField(w.x, w.y, t);
+            samples.push({ sx, sy, Ex: f.Ex, Ey: f.Ey, E: Math.hypot(f.Ex, f.Ey) });
+        }
+    }
+    const max = quantile(samples.map(s => s.E), 0.98);
+    if (!(max > 1e-9)) return;
+
+    const length = QUIVER_SPACING * 0.7;
+    for (const s of samples) {
+        if (s.E < max * 1e-3) continue;
+        const c = g.color(d3.interpolateViridis(Math.min(1, s.E / max)));
+        const dx = s.Ex / s.E * length;
+        const dy = -s.Ey / s.E * length;
+        g.stroke(c);
+        g.fill(c);
+        g.strokeWeight(2);
+        g.push();
+        g.translate(s.sx - dx / 2, s.sy - dy / 2);
+        g.line(0, 0, dx, dy);
+        g.translate(dx, dy);
+        g.rotate(Math.atan2(dy, dx));
+        g.triangle(0, 0, -7, -3.5, -7, 3.5);
+        g.pop();
+    }
+}
+
+// 電気力線: 種から E の向きと逆向きに追う（他の線に近づいたら止めて込み合わないようにする）
+function renderStreamlines(g, t) {
+    const occupancyCell = 12;
+    const cols = Math.ceil(canvasWidth / occupancyCell);
+    const rows = Math.ceil(canvasHeight / occupancyCell);
+    const occupied = new Int32Array(cols * rows).fill(-1);
+    const cellOf = (sx, sy) => Math.floor(sy / occupancyCell) * cols + Math.floor(sx / occupancyCell);
+
+    // 点電荷のまわりの種を先に（そこから出入りする線が目立つように）
+    const seeds = [];
+    for (const source of fieldSources) {
+        if (source.type !== 'pointCharge') continue;
+        const c = worldToScreen(source.x, source.y);
+        for (let k = 0; k < 16; k++) {
+            const angle = 2 * Math.PI * k / 16;
+            seeds.push({ x: c.x + 10 * Math.cos(angle), y: c.y + 10 * Math.sin(angle) });
+        }
+    }
+    for (let sx = STREAMLINE_SEED_SPACING / 2; sx < canvasWidth; sx += STREAMLINE_SEED_SPACING) {
+        for (let sy = STREAMLINE_SEED_SPACING / 2; sy < canvasHeight; sy += STREAMLINE_SEED_SPACING) {
+            seeds.push({ x: sx, y: sy });
+        }
+    }
+
+    // 画面上の向き（単位ベクトル、場がなければ null）
+    const direction = (sx, sy) => {
+        const w = screenToWorld(sx, sy);
+        const f = sampleField(w.x, w.y, t);
+        const E = Math.hypot(f.Ex, f.Ey);
+        return E > 1e-9 ? { x: f.Ex / E, y: -f.Ey / E } : null;
+    };
+    const inside = p => p.x >= 0 && p.y >= 0 && p.x < canvasWidth && p.y < canvasHeight;
+
+    g.noFill();
+    g.stroke(200, 90, 0, 190);
+    g.strokeWeight(1.3);
+    seeds.forEach((seed, id) => {
+        if (!inside(seed) || occupied[cellOf(seed.x, seed.y)] !== -1) return;
+
+        for (const sign of [1, -1]) {
+            let p = { x: seed.x, y: seed.y };
+            const points = [p];
+            for (let n = 0; n < STREAMLINE_MAX_STEPS; n++) {
+                // 中点法
+                const d1 = direction(p.x, p.y);
+                if (!d1) break;
+                const mid = { x: p.x + sign * d1.x * STREAMLINE_STEP / 2, y: p.y + sign * d1.y * STREAMLINE_STEP / 2 };
+                const d2 = direction(mid.x, mid.y);
+                if (!d2) break;
+                const next = { x: p.x + sign * d2.x * STREAMLINE_STEP, y: p.y + sign * d2.y * STREAMLINE_STEP };
+                if (!inside(next)) break;
+                const owner = occupied[cellOf(next.x, next.y)];
+                if (owner !== -1 && owner !== id) break;
+                occupied[cellOf(next.x, next.y)] = id;
+                points.push(next);
+                p = next;
+            }
+
+            g.beginShape();
+            points.forEach(q => g.vertex(q.x, q.y));
+            g.endShape();
+
+            // 線の中ほどに向きの矢印
+            if (points.length > 20) {
+                const a = points[Math.floor(points.length / 2) - 1];
+                const b = points[Math.floor(points.length / 2)];
+                g.push();
+                g.translate(b.x, b.y);
+                g.rotate(Math.atan2(sign * (b.y - a.y), sign * (b.x - a.x)));
+                g.fill(200, 90, 0, 190);
+                g.noStroke();
+                g.triangle(0, 0, -7, -3.5, -7, 3.5);
+                g.pop();
+                g.noFill();
+                g.stroke(200, 90, 0, 190);
+            }
+        }
+    });
+}
+
+// 従来の表示: 格子点ごとの E の矢印と、格子の間の磁場の ⊙/⊗（濃さは |B|）
+function renderArrows(g, t) {
+    const spacing = 60;
+    const maxArrow = spacing * 0.8;
+    const scale_factor = 12; // 1 N/C あたりの矢印の長さ (px)
+    const maxB = 10.0; // 最大磁場強度（UI上限と同じ）
+
+    g.textSize(16);
+    g.textAlign(CENTER, CENTER);
+
+    for (let sx = spacing / 2; sx < canvasWidth; sx += spacing) {
+        for (let sy = spacing / 2; sy < canvasHeight; sy += spacing) {
+            // 電場ベクトル（格子点）
+            const wE = screenToWorld(sx, sy);
+            const fE = sampleField(wE.x, wE.y, t);
+            const E = Math.hypot(fE.Ex, fE.Ey);
+            if (E > 1e-6) {
+                const len = Math.min(E * scale_factor, maxArrow);
+                const dx = fE.Ex / E * len;
+                const dy = -fE.Ey / E * len;
+
+                g.stroke(255, 165, 0, 150);
+                g.strokeWeight(2);
+                g.fill(255, 165, 0, 150);
+                g.push();
+                g.translate(sx - dx / 2, sy - dy / 2);
+                g.line(0, 0, dx, dy);
+                g.translate(dx, dy);
+                g.rotate(Math.atan2(dy, dx));
+                g.triangle(0, 0, -6, -3, -6, 3);
+                g.pop();
+            }
+
+            // 磁場（紙面に垂直、○または×で表示）は格子の間に表示
+            const bx = sx + spacing / 2;
+            const by = sy + spacing / 2;
+            const wB = screenToWorld(bx, by);
+            const Bz = sampleField(wB.x, wB.y, t).Bz;
+            if (Math.abs(Bz) > 1e-6) {
+                // 磁場の強度に応じてアルファ値を調整（0で完全に消え、10で最大）
+                const alpha = map(Math.min(Math.abs(Bz), maxB), 0, maxB, 40, 255);
+                g.fill(0, 0, 255, alpha);
+                g.noStroke();
+                // 紙面から出る方向（⊙）/ 紙面に入る方向（⊗）
+                g.text(Bz > 0 ? '⊙' : '⊗', bx, by);
+            }
+        }
+    }
+}
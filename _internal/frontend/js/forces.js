@@ -0,0 +1,193 @@
+// ローレンツ力以外の力（追加の項はいくつでも重ねられる）
+// 抵抗（線形・2次）、放射反作用（ランダウ＝リフシッツ形）、重力は力として積分に含める
+// 背景気体との衝突は力ではなく、各ステップの後に確率的に速度を変える（モンテカルロ）
+
+const FORCE_TYPES = {
+    linearDrag: {
+        label: 'Linear drag F = −mνv',
+        params: [
+            { key: 'nu', label: 'damping rate ν', dim: 'frequency', value: 0.1 }
+        ]
+    },
+    quadraticDrag: {
+        label: 'Quadratic drag F = −mκ|v|v',
+        params: [
+            { key: 'kappa', label: 'κ', dim: 'inverseLength', value: 0.05 }
+        ]
+    },
+    radiation: {
+        // τ は q = m = 1（コード単位）の粒子の値で、各粒子では q²/m 倍する（τ = q²/6πε₀mc³）
+        label: 'Radiation reaction (Landau–Lifshitz)',
+        params: [
+            { key: 'tau', label: 'τ at q = m = 1', dim: 'time', value: 0.01 }
+        ]
+    },
+    gravity: {
+        label: 'Uniform gravity F = mg',
+        params: [
+            { key: 'gx', label: 'gx', dim: 'acceleration', value: 0 },
+            { key: 'gy', label: 'gy', dim: 'acceleration', value: -1 },
+            { key: 'gz', label: 'gz', dim: 'acceleration', value: 0 }
+        ]
+    },
+    collisions: {
+        label: 'Collisions with background gas (Monte Carlo)',
+        params: [
+            { key: 'nu', label: 'collision frequency ν', dim: 'frequency', value: 0.2 },
+            { key: 'model', label: 'model', value: 'isotropic', options: ['isotropic', 'thermalize'] },
+            { key: 'vth', label: 'gas thermal speed', dim: 'velocity', value: 0.5 }
+        ]
+    }
+};
+
+// パラメータを既定値で補って追加の力を作成
+function createForceTerm(type, params = {}) {
+    const definition = FORCE_TYPES[type];
+    if (!definition) {
+        throw new Error(`Unknown force type: ${type}`);
+    }
+
+    const term = { type };
+    for (const param of definition.params) {
+        const raw = params[param.key] !== undefined ? params[param.key] : param.value;
+        if (param.options) {
+            if (!param.options.includes(raw)) {
+                throw new Error(`${definition.label}: ${param.label} must be one of ${param.options.join(', ')}`);
+            }
+            term[param.key] = raw;
+            continue;
+        }
+        const value = parseFloat(raw);
+        if (isNaN(value)) {
+            throw new Error(`${definition.label}: ${param.label} must be a number`);
+        }
+        term[param.key] = value;
+    }
+
+    for (const key of ['nu', 'kappa', 'tau', 'vth']) {
+        if (term[key] < 0) {
+            throw new Error(`${definition.label}: ${key} must not be negative`);
+        }
+    }
+    return term;
+}
+
+// 決定論的な追加の力を F に加える
+// s は実速度の状態、fields は s での場、c は相対論モードの光速（ニュートン力学なら null）
+function addExtraForces(terms, p, s, fields, c, F) {
+    for (const term of terms) {
+        switch (term.type) {
+            case 'linearDrag':
+                F.Fx -= p.m * term.nu * s.vx;
+                F.Fy -= p.m * term.nu * s.vy;
+                F.Fz -= p.m * term.nu * s.vz;
+                break;
+
+            case 'quadraticDrag': {
+                const k = p.m * term.kappa * Math.sqrt(s.vx * s.vx + s.vy * s.vy + s.vz * s.vz);
+                F.Fx -= k * s.vx;
+                F.Fy -= k * s.vy;
+                F.Fz -= k * s.vz;
+                break;
+            }
+
+            case 'gravity':
+                F.Fx += p.m * term.gx;
+                F.Fy += p.m * term.gy;
+                F.Fz += p.m * term.gz;
+                break;
+
+            case 'radiation':
+                addRadiationReaction(term.tau * p.q * p.q / p.m, p, s, fields, c, F);
+                break;
+        }
+    }
+}
+
+// ランダウ＝リフシッツの放射反作用（場の時間・空間微分の項は省く）
+// F = τq²/m [E×B + B×(B×v) + (v·E)E/c²] − τq²γ²/(mc²) v [(E + v×B)² − (v·E)²/c²]
+// 一様な磁場だけなら v⊥ が率 τωc² で減衰し、サイクロトロン運動は内側に巻き込む
+function addRadiationReaction(tau, p, s, fields, c, F) {
+    const { Ex, Ey, Ez, Bx, By, Bz } = fields;
+    const { vx, vy, vz } = s;
+    const k = tau * p.q * p.q / p.m;
+
+    // B×(B×v) = B(B·v) − v B²
+    const bDotV = Bx * vx + By * vy + Bz * vz;
+    const b2 = Bx * Bx + By * By + Bz * Bz;
+    let fx = (Ey * Bz - Ez * By) + Bx * bDotV - vx * b2;
+    let fy = (Ez * Bx - Ex * Bz) + By * bDotV - vy * b2;
+    let fz = (Ex * By - Ey * Bx) + Bz * bDotV - vz * b2;
+
+    if (c) {
+        const vDotE = vx * Ex + vy * Ey + vz * Ez;
+        const gamma = lorentzFactor(vx, vy, vz, c);
+        const lx = Ex + vy * Bz - vz * By;
+        const ly = Ey + vz * Bx - vx * Bz;
+        const lz = Ez + vx * By - vy * Bx;
+        const loss = gamma * gamma * (lx * lx + ly * ly + lz * lz - vDotE * vDotE / (c * c)) / (c * c);
+        fx += vDotE * Ex / (c * c) - loss * vx;
+        fy += vDotE * Ey / (c * c) - loss * vy;
+        fz += vDotE * Ez / (c * c) - loss * vz;
+    }
+
+    F.Fx += k * fx;
+    F.Fy += k * fy;
+    F.Fz += k * fz;
+}
+
+// 背景気体との衝突（h の間に確率 1 − exp(−νh) で起こる、dims は 2 か 3）
+// isotropic: 速さを保って向きだけを等方的に変える（重い中性粒子との弾性衝突）
+// thermalize: 気体の熱速度のマクスウェル分布から速度を引き直す
+function applyCollisions(terms, p, h, dims, c) {
+    for (const term of terms) {
+        if (term.type !== 'collisions' || Math.random() >= 1 - Math.exp(-term.nu * h)) continue;
+
+        let v;
+        if (term.model === 'thermalize') {
+            v = sampleThermalVelocity(term.vth, dims, c);
+            if (!v) continue;
+        } else {
+            const speed = Math.sqrt(p.vx * p.vx + p.vy * p.vy + p.vz * p.vz);
+            const dir = randomDirection(dims);
+            v = { vx: speed * dir.x, vy: speed * dir.y, vz: speed * dir.z };
+        }
+        p.vx = v.vx;
+        p.vy = v.vy;
+        p.vz = v.vz;
+        p.lastPower = null;
+    }
+}
+
+function randomDirection(dims) {
+    const phi = 2 * Math.PI * Math.random();
+    if (dims === 2) {
+        return { x: Math.cos(phi), y: Math.sin(phi), z: 0 };
+    }
+    const cosTheta = 2 * Math.random() - 1;
+    const sinTheta = Math.sqrt(1 - cosTheta * cosTheta);
+    return { x: sinTheta * Math.cos(phi), y: sinTheta * Math.sin(phi), z: cosTheta };
+}
+
+// 各成分が標準偏差 vth の正規分布（光速以上なら引き直し、出なければ null）
+function sampleThermalVelocity(vth, dims, c) {
+    const dist = { type: 'gaussian', mean: 0, sigma: vth };
+    for (let i = 0; i < 20; i++) {
+        const v = {
+            vx: sampleDistribution(dist),
+            vy: sampleDistribution(dist),
+            vz: dims === 3 ? sampleDistribution(dist) : 0
+        };
+        if (!c || Math.sqrt(v.vx * v.vx + v.vy * v.vy + v.vz * v.vz) < c) return v;
+    }
+    return null;
+}
+
+// 一覧表示用の短い説明
+function describeForceTerm(term) {
+    const definition = FORCE_TYPES[term.type];
+    const params = definition.params
+        .map(param => `${param.key}=${param.options ? term[param.key] : formatParamValue(term[param.key], param.dim)}`)
+        .join(', ');
+    return `${definition.label}: ${params}`;
+}
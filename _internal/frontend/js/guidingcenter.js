@@ -0,0 +1,199 @@
+// 案内中心（ジャイロ運動を平均した中心）とドリフト速度
+// 局所場から解析的に求めたドリフト（E×B・∇B・曲率・分極・追加の力）を足して案内中心の方程式を積分する
+// 非相対論の 1 次のドリフト近似で、磁場が弱い所やラーマー半径が場の変化の尺度より大きい所では合わない
+// 案内中心の状態は { x, y, z, vPar, mu }（vPar: 磁場方向の速度, mu = m w⊥² / 2B: 磁気モーメント）
+
+const GRADIENT_STEP = 1e-4; // 場の微分を中心差分で求める幅（コード単位の長さ・時間）
+
+// 積分の仕方（完全な軌道・両方・案内中心だけ）
+const GUIDING_CENTER_MOTIONS = ['full', 'both', 'guidingCenter'];
+
+const DRIFT_TYPES = {
+    exb: { label: 'E×B', color: [220, 120, 0] },
+    gradB: { label: '∇B', color: [150, 0, 200] },
+    curvature: { label: 'Curvature', color: [0, 140, 60] },
+    polarization: { label: 'Polarization', color: [200, 0, 90] },
+    force: { label: 'F×B', color: [90, 90, 90] }
+};
+
+// sample(x, y, z, t) が返す場 { Ex, ..., Bz } をベクトルに
+function fieldVectors(f) {
+    return { E: { x: f.Ex, y: f.Ey, z: f.Ez }, B: { x: f.Bx, y: f.By, z: f.Bz } };
+}
+
+function scale3(a, k) {
+    return { x: a.x * k, y: a.y * k, z: a.z * k };
+}
+
+// 位置での場と、その微分（∇|B|、磁力線の曲率 κ = (b·∇)b、∂E/∂t）
+// 磁場がなければ null
+function localFieldGeometry(sample, x, y, z, t) {
+    const h = GRADIENT_STEP;
+    const { E, B } = fieldVectors(sample(x, y, z, t));
+    const Bmag = norm3(B);
+    if (Bmag < 1e-9) return null;
+    const b = scale3(B, 1 / Bmag);
+
+    const magnitudeAt = (dx, dy, dz) => norm3(fieldVectors(sample(x + dx, y + dy, z + dz, t)).B);
+    const gradB = {
+        x: (magnitudeAt(h, 0, 0) - magnitudeAt(-h, 0, 0)) / (2 * h),
+        y: (magnitudeAt(0, h, 0) - magnitudeAt(0, -h, 0)) / (2 * h),
+        z: (magnitudeAt(0, 0, h) - magnitudeAt(0, 0, -h)) / (2 * h)
+    };
+
+    const unitAt = k => {
+        const Bk = fieldVectors(sample(x + k * b.x, y + k * b.y, z + k * b.z, t)).B;
+        return scale3(Bk, 1 / (norm3(Bk) || 1));
+    };
+    const bPlus = unitAt(h);
+    const bMinus = unitAt(-h);
+    const curvature = {
+        x: (bPlus.x - bMinus.x) / (2 * h),
+        y: (bPlus.y - bMinus.y) / (2 * h),
+        z: (bPlus.z - bMinus.z) / (2 * h)
+    };
+
+    const ePlus = fieldVectors(sample(x, y, z, t + h)).E;
+    const eMinus = fieldVectors(sample(x, y, z, t - h)).E;
+    const dEdt = {
+        x: (ePlus.x - eMinus.x) / (2 * h),
+        y: (ePlus.y - eMinus.y) / (2 * h),
+        z: (ePlus.z - eMinus.z) / (2 * h)
+    };
+
+    return { E, B, Bmag, b, gradB, curvature, dEdt };
+}
+
+// ドリフト速度の一覧 [{ type, v }]（F は追加の力、なければ null）
+function driftVelocities(geometry, q, m, vPar, mu, F) {
+    const { E, B, Bmag, b, gradB, curvature, dEdt } = geometry;
+    const qB2 = q * Bmag * Bmag;
+    const drifts = [
+        { type: 'exb', v: scale3(cross3(E, B), 1 / (Bmag * Bmag)) },
+        { type: 'gradB', v: scale3(cross3(B, gradB), mu / qB2) },
+        { type: 'curvature', v: scale3(cross3(B, curvature), m * vPar * vPar / qB2) }
+    ];
+
+    // 分極ドリフトは磁場に垂直な ∂E/∂t から
+    const dEPar = dot3(dEdt, b);
+    drifts.push({
+        type: 'polarization',
+        v: scale3({ x: dEdt.x - dEPar * b.x, y: dEdt.y - dEPar * b.y, z: dEdt.z - dEPar * b.z }, m / qB2)
+    });
+
+    if (F && (F.Fx || F.Fy || F.Fz)) {
+        drifts.push({ type: 'force', v: scale3(cross3({ x: F.Fx, y: F.Fy, z: F.Fz }, B), 1 / qB2) });
+    }
+    return drifts;
+}
+
+// 粒子の状態から案内中心を求める（R = r + m (u × B) / qB²、u は E×B ドリフト系での速度）
+// 磁場がないか q = 0 なら null
+function guidingCenterFromParticle(p, f) {
+    const { E, B } = fieldVectors(f);
+    const B2 = dot3(B, B);
+    if (B2 < 1e-18 || p.q === 0) return null;
+
+    const Bmag = Math.sqrt(B2);
+    const b = scale3(B, 1 / Bmag);
+    const vE = scale3(cross3(E, B), 1 / B2);
+    const u = { x: p.vx - vE.x, y: p.vy - vE.y, z: p.vz - vE.z };
+    const offset = scale3(cross3(u, B), p.m / (p.q * B2));
+    const vPar = dot3(u, b);
+    const w2 = Math.max(0, dot3(u, u) - vPar * vPar);
+
+    return {
+        x: p.x + offset.x,
+        y: p.y + offset.y,
+        z: p.z + offset.z,
+        vPar,
+        mu: p.m * w2 / (2 * Bmag)
+    };
+}
+
+// 案内中心の方程式の右辺（位置の変化は vPar b + ドリフト、vPar は電場・ミラー力・追加の力で変わる）
+// forceAt(s, fields) は追加の力（s の速度は vPar b + E×B ドリフトで近似）
+function guidingCenterRates(gc, q, m, t, sample, forceAt) {
+    const geometry = localFieldGeometry(sample, gc.x, gc.y, gc.z, t);
+    if (!geometry) return null;
+    const { E, b, gradB } = geometry;
+
+    let F = null;
+    if (forceAt) {
+        const vE = scale3(cross3(E, geometry.B), 1 / (geometry.Bmag * geometry.Bmag));
+        const s = {
+            x: gc.x, y: gc.y, z: gc.z,
+            vx: gc.vPar * b.x + vE.x, vy: gc.vPar * b.y + vE.y, vz: gc.vPar * b.z + vE.z
+        };
+        F = forceAt(s, sample(gc.x, gc.y, gc.z, t));
+    }
+
+    const drifts = driftVelocities(geometry, q, m, gc.vPar, gc.mu, F);
+    const v = scale3(b, gc.vPar);
+    for (const drift of drifts) {
+        v.x += drift.v.x;
+        v.y += drift.v.y;
+        v.z += drift.v.z;
+    }
+    const fPar = F ? F.Fx * b.x + F.Fy * b.y + F.Fz * b.z : 0;
+    return {
+        v,
+        aPar: (q * dot3(E, b) + fPar - gc.mu * dot3(b, gradB)) / m,
+        drifts
+    };
+}
+
+// 案内中心を RK4 で h だけ進める（途中で磁場がなくなれば進めずに false）
+function stepGuidingCenter(gc, q, m, h, t, sample, forceAt, dims) {
+    const at = (k, scale) => ({
+        x: gc.x + k.v.x * scale,
+        y: gc.y + k.v.y * scale,
+        z: dims === 3 ? gc.z + k.v.z * scale : gc.z,
+        vPar: gc.vPar + k.aPar * scale,
+        mu: gc.mu
+    });
+
+    const k1 = guidingCenterRates(gc, q, m, t, sample, forceAt);
+    const k2 = k1 && guidingCenterRates(at(k1, h / 2), q, m, t + h / 2, sample, forceAt);
+    const k3 = k2 && guidingCenterRates(at(k2, h / 2), q, m, t + h / 2, sample, forceAt);
+    const k4 = k3 && guidingCenterRates(at(k3, h), q, m, t + h, sample, forceAt);
+    if (!k4) return false;
+
+    const mix = key => (k1.v[key] + 2 * k2.v[key] + 2 * k3.v[key] + k4.v[key]) / 6;
+    gc.x += mix('x') * h;
+    gc.y += mix('y') * h;
+    if (dims === 3) {
+        gc.z += mix('z') * h;
+    }
+    gc.vPar += (k1.aPar + 2 * k2.aPar + 2 * k3.aPar + k4.aPar) / 6 * h;
+    return true;
+}
+
+// 軌跡を 1 周期の時間幅で移動平均して案内中心の軌跡にする（幅が取れる所だけ）
+function averageOverGyration(trail, period) {
+    const result = [];
+    if (!(period > 0) || trail.length < 2 || trail[trail.length - 1].t - trail[0].t < period) {
+        return result;
+    }
+
+    let lo = 0;
+    let hi = 0;
+    let sx = 0, sy = 0, sz = 0;
+    for (let i = 0; i < trail.length; i++) {
+        const center = trail[i].t;
+        if (center - period / 2 < trail[0].t - 1e-9) continue;
+        if (center + period / 2 > trail[trail.length - 1].t + 1e-9) break;
+
+        while (hi < trail.length && trail[hi].t < center + period / 2 - 1e-9) {
+            sx += trail[hi].x; sy += trail[hi].y; sz += trail[hi].z;
+            hi++;
+        }
+        while (trail[lo].t < center - period / 2 - 1e-9) {
+            sx -= trail[lo].x; sy -= trail[lo].y; sz -= trail[lo].z;
+            lo++;
+        }
+        const n = hi - lo;
+        result.push({ x: sx / n, y: sy / n, z: sz / n, t: center });
+    }
+    return result;
+}
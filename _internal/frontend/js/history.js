@@ -0,0 +1,348 @@
+// 状態の履歴（タイムライン）
+// 各ステップ終了時に全粒子の状態をリングバッファに記録し、任意の時刻に巻き戻せるようにする
+// 巻き戻した位置から進める・場を変更すると、そこから新しいブランチに分岐する（元の未来は残す）
+
+// 1 粒子あたりの記録値（比較用のニュートン軌道と案内中心は存在しなければ NaN）
+const HISTORY_FIELDS = ['x', 'y', 'z', 'vx', 'vy', 'vz', 'workE', 'initialEnergy'];
+const HISTORY_TWIN_FIELDS = ['x', 'y', 'z', 'vx', 'vy', 'vz'];
+const HISTORY_GC_FIELDS = ['x', 'y', 'z', 'vPar', 'mu'];
+const HISTORY_GC_OFFSET = HISTORY_FIELDS.length + HISTORY_TWIN_FIELDS.length;
+const HISTORY_STRIDE = HISTORY_GC_OFFSET + HISTORY_GC_FIELDS.length;
+const HISTORY_MAX_BRANCHES = 5;
+
+let historyBudgetMB = 32;
+let historyBranches = [];
+let activeBranch = null;
+let historyCursor = null; // 表示中のスナップショットの番号（null なら最新）
+let historyBranchCounter = 0;
+let sceneEdits = 0; // 利用者がシーンを編集した回数（共有リンクをブラウザの履歴に積む判断などに使う）
+
+// バイト数の上限付きリングバッファ（満杯になると容量を倍にし、上限を超えた分は古い順に捨てる）
+class HistoryBuffer {
+    constructor(entries = []) {
+        this.slots = entries.slice();
+        this.start = 0;
+        this.length = entries.length;
+        this.bytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+    }
+
+    get(i) {
+        return this.slots[(this.start + i) % this.slots.length];
+    }
+
+    push(entry) {
+        if (this.length === this.slots.length) {
+            // 並びを先頭からに揃えてから拡張
+            this.slots = this.toArray();
+            this.start = 0;
+            this.slots.length = Math.max(16, this.slots.length * 2);
+        }
+        this.slots[(this.start + this.length) % this.slots.length] = entry;
+        this.length++;
+        this.bytes += entry.bytes;
+    }
+
+    shift() {
+        const entry = this.get(0);
+        this.slots[this.start] = undefined;
+        this.start = (this.start + 1) % this.slots.length;
+        this.length--;
+        this.bytes -= entry.bytes;
+        return entry;
+    }
+
+    // i 番目より後を捨てる
+    truncate(i) {
+        while (this.length > i + 1) {
+            const index = (this.start + this.length - 1) % this.slots.length;
+            this.bytes -= this.slots[index].bytes;
+            this.slots[index] = undefined;
+            this.length--;
+        }
+    }
+
+    toArray(end = this.length) {
+        const out = [];
+        for (let i = 0; i < end; i++) out.push(this.get(i));
+        return out;
+    }
+}
+
+function historyBudgetBytes() {
+    return historyBudgetMB * 1024 * 1024;
+}
+
+// 検出器の記録（walls.js）はブランチごとに持つ（巻き戻して再生したときに未来の記録を失わないように）
+function createBranch(label, forkTime, entries = [], hits = new Map()) {
+    const branch = { id: historyBranchCounter++, label, forkTime, buffer: new HistoryBuffer(entries), hits };
+    historyBranches.push(branch);
+    return branch;
+}
+
+function activateBranch(branch) {
+    activeBranch = branch;
+    detectorHits = branch.hits;
+}
+
+function clearHistory() {
+    sceneEdits++;
+    historyBranches = [];
+    historyBranchCounter = 0;
+    activateBranch(createBranch('Main', 0));
+    historyCursor = null;
+}
+
+function setHistoryBudget(megabytes) {
+    historyBudgetMB = megabytes;
+    enforceHistoryBudget();
+}
+
+// 共有部分も含めて各ブランチの合計で上限を判定する（控えめな見積もり）
+// 超えたら古い非アクティブのブランチから捨て、残りはアクティブの古いスナップショットを捨てる
+function enforceHistoryBudget() {
+    const total = () => historyBranches.reduce((sum, branch) => sum + branch.buffer.bytes, 0);
+    while (total() > historyBudgetBytes() && historyBranches.length > 1) {
+        historyBranches.splice(historyBranches.findIndex(branch => branch !== activeBranch), 1);
+    }
+    const buffer = activeBranch.buffer;
+    while (buffer.bytes > historyBudgetBytes() && buffer.length > 1) {
+        buffer.shift();
+        if (historyCursor !== null) {
+            historyCursor = Math.max(0, historyCursor - 1);
+        }
+    }
+}
+
+// 粒子の構成（id, q, m と寿命・放出元）は変化がなければ前のスナップショットと共有する
+function particleMeta(previous) {
+    const same = previous && previous.length === particles.length &&
+        particles.every((p, i) => previous[i].id === p.id && previous[i].q === p.q && previous[i].m === p.m);
+    return same ? previous : particles.map(p => ({
+        id: p.id, q: p.q, m: p.m, birthTime: p.birthTime, lifetime: p.lifetime, emitterId: p.emitterId
+    }));
+}
+
+function captureSnapshot(previous) {
+    const values = new Float64Array(particles.length * HISTORY_STRIDE);
+    particles.forEach((p, i) => {
+        const o = i * HISTORY_STRIDE;
+        HISTORY_FIELDS.forEach((key, k) => {
+            values[o + k] = p[key] === null ? NaN : p[key];
+        });
+        const twin = p.newtonianTwin;
+        HISTORY_TWIN_FIELDS.forEach((key, k) => {
+            values[o + HISTORY_FIELDS.length + k] = twin ? twin[key] : NaN;
+        });
+        const gc = p.guidingCenter;
+        HISTORY_GC_FIELDS.forEach((key, k) => {
+            values[o + HISTORY_GC_OFFSET + k] = gc ? gc[key] : NaN;
+        });
+    });
+
+    const meta = particleMeta(previous && previous.meta);
+    return {
+        t: simulationTime,
+        meta,
+        values,
+        bytes: values.byteLength + (previous && meta === previous.meta ? 0 : meta.length * 64)
+    };
+}
+
+function latestSnapshot() {
+    const buffer = activeBranch.buffer;
+    return buffer.length ? buffer.get(buffer.length - 1) : null;
+}
+
+// 現在の状態を記録（ステップ終了時に呼ばれる）
+function recordHistory() {
+    const buffer = activeBranch.buffer;
+    buffer.push(captureSnapshot(latestSnapshot()));
+    historyCursor = null;
+    enforceHistoryBudget();
+}
+
+// 前進する前に呼ぶ: 履歴が空なら初期状態を記録する
+function prepareHistoryForStep() {
+    if (!activeBranch.buffer.length) {
+        recordHistory();
+    }
+}
+
+// 巻き戻し中の再生: 次のスナップショットを復元して軌跡とプロットに追加する
+function replayHistoryStep() {
+    const i = historyCursor + 1;
+    restoreSnapshot(activeBranch.buffer.get(i));
+    for (const p of particles) {
+        p.recordTrail(simulationTime);
+        if (p.newtonianTwin) p.newtonianTwin.recordTrail(simulationTime);
+        if (p.guidingCenter) updateGuidingCenterTrail(p.guidingCenter, true, simulationTime);
+    }
+    recordTimeSeries(particles, simulationTime, relativity.enabled ? relativity.c : null);
+    historyCursor = i === activeBranch.buffer.length - 1 ? null : i;
+}
+
+// 履歴にない状態へ（時間反転の積分で）戻ったとき: 空のブランチで記録をやり直す
+function detachHistory() {
+    if (!activeBranch.buffer.length) return;
+    activateBranch(createBranch(`Reversed from t = ${formatQuantity(simulationTime, 'time', 3)}`, simulationTime, [],
+        detectorHitsUntil(simulationTime)));
+    historyCursor = null;
+    while (historyBranches.length > HISTORY_MAX_BRANCHES) {
+        historyBranches.splice(historyBranches.findIndex(branch => branch !== activeBranch), 1);
+    }
+}
+
+// エミッタの放出やドラッグの途中のように続けて起きる変更は数えない（ドラッグは離したときに 1 回数える）
+function countSceneEdit() {
+    sceneEdits++;
+}
+
+// 巻き戻し中に場などの設定を変えたとき・進めたとき:
+// 表示中の時刻から新しいブランチを作る（元のブランチは未来を含めて残す）
+// 設定を変える関数は必ずここを通るので、変更の回数もここで数える（edit = false なら数えない）
+function forkHistoryIfRewound(edit = true) {
+    if (edit) {
+        countSceneEdit();
+    }
+    if (historyCursor === null) return;
+    const entries = activeBranch.buffer.toArray(historyCursor + 1);
+    const forkTime = entries[entries.length - 1].t;
+    activateBranch(createBranch(`Fork at t = ${formatQuantity(forkTime, 'time', 3)}`, forkTime, entries,
+        detectorHitsUntil(forkTime)));
+    historyCursor = null;
+
+    while (historyBranches.length > HISTORY_MAX_BRANCHES) {
+        historyBranches.splice(historyBranches.findIndex(branch => branch !== activeBranch), 1);
+    }
+    enforceHistoryBudget();
+}
+
+function historyLength() {
+    return activeBranch.buffer.length;
+}
+
+function historyPosition() {
+    return historyCursor === null ? activeBranch.buffer.length - 1 : historyCursor;
+}
+
+// 最新の位置から離れる前に、ステップ後に加えた変更（粒子の追加など）を記録しておく
+function syncLatestSnapshot() {
+    const buffer = activeBranch.buffer;
+    if (historyCursor !== null || !buffer.length) return;
+    if (latestSnapshot().t === simulationTime) {
+        buffer.truncate(buffer.length - 2);
+    }
+    recordHistory();
+}
+
+// i 番目のスナップショットを復元する
+function seekHistory(i, sync = true) {
+    if (sync) {
+        syncLatestSnapshot();
+    }
+    const buffer = activeBranch.buffer;
+    if (!buffer.length) return;
+    i = Math.max(0, Math.min(buffer.length - 1, i));
+    restoreSnapshot(buffer.get(i));
+    rebuildTrails(i);
+    truncateTimeSeries(simulationTime);
+    historyCursor = i === buffer.length - 1 ? null : i;
+}
+
+// 1 つ前のスナップショットに戻る（なければ false）
+function stepHistoryBack() {
+    const position = historyPosition();
+    if (position < 1) return false;
+    seekHistory(position - 1);
+    return true;
+}
+
+function switchBranch(id) {
+    const branch = historyBranches.find(b => b.id === id);
+    if (!branch || branch === activeBranch) return;
+    syncLatestSnapshot();
+    activateBranch(branch);
+
+    // 現在の時刻以前で最も近いスナップショットへ
+    const buffer = branch.buffer;
+    let i = buffer.length - 1;
+    while (i > 0 && buffer.get(i).t > simulationTime + 1e-9) i--;
+    seekHistory(i, false);
+}
+
+function restoreSnapshot(snapshot) {
+    const byId = new Map(particles.map(p => [p.id, p]));
+    simulationTime = snapshot.t;
+
+    particles = snapshot.meta.map((meta, i) => {
+        const p = byId.get(meta.id) || new Particle(meta.id, meta.q, meta.m, 0, 0, 0, 0);
+        p.q = meta.q;
+        p.m = meta.m;
+        p.birthTime = meta.birthTime;
+        p.lifetime = meta.lifetime;
+        p.emitterId = meta.emitterId;
+
+        const o = i * HISTORY_STRIDE;
+        HISTORY_FIELDS.forEach((key, k) => {
+            p[key] = snapshot.values[o + k];
+        });
+        if (isNaN(p.initialEnergy)) p.initialEnergy = null;
+        p.lastPower = null;
+
+        if (isNaN(snapshot.values[o + HISTORY_FIELDS.length])) {
+            p.newtonianTwin = null;
+        } else {
+            p.newtonianTwin = p.newtonianTwin || createNewtonianTwin(p);
+            HISTORY_TWIN_FIELDS.forEach((key, k) => {
+                p.newtonianTwin[key] = snapshot.values[o + HISTORY_FIELDS.length + k];
+            });
+        }
+
+        if (isNaN(snapshot.values[o + HISTORY_GC_OFFSET])) {
+            p.guidingCenter = null;
+        } else {
+            p.guidingCenter = p.guidingCenter || { trail: new TrailBuffer(trailLength) };
+            HISTORY_GC_FIELDS.forEach((key, k) => {
+                p.guidingCenter[key] = snapshot.values[o + HISTORY_GC_OFFSET + k];
+            });
+        }
+        return p;
+    });
+}
+
+// 履歴から i 番目までの軌跡を作り直す
+function rebuildTrails(i) {
+    const buffer = activeBranch.buffer;
+    const from = Math.max(0, i - Math.min(trailLength, buffer.length) + 1);
+    const index = new Map(particles.map((p, k) => [p.id, k]));
+    particles.forEach(p => {
+        p.trail.clear();
+        if (p.newtonianTwin) p.newtonianTwin.trail.clear();
+        if (p.guidingCenter) p.guidingCenter.trail.clear();
+    });
+
+    for (let k = from; k <= i; k++) {
+        const snapshot = buffer.get(k);
+        snapshot.meta.forEach((meta, j) => {
+            if (!index.has(meta.id)) return;
+            const p = particles[index.get(meta.id)];
+            const o = j * HISTORY_STRIDE;
+            const v = snapshot.values;
+            // 周期境界で反対側に移った所は軌跡を切る
+            const last = p.trail.length - 1;
+            const jump = last >= 0 && domain.boundary === 'periodic' &&
+                Math.max(Math.abs(v[o] - p.trail.xAt(last)), Math.abs(v[o + 1] - p.trail.yAt(last))) > domain.halfSize;
+            p.trail.push(v[o], v[o + 1], v[o + 2], snapshot.t, jump);
+            const twinOffset = o + HISTORY_FIELDS.length;
+            if (p.newtonianTwin && !isNaN(v[twinOffset])) {
+                p.newtonianTwin.trail.push(v[twinOffset], v[twinOffset + 1], v[twinOffset + 2], snapshot.t);
+            }
+            const gcOffset = o + HISTORY_GC_OFFSET;
+            if (p.guidingCenter && !isNaN(v[gcOffset])) {
+                p.guidingCenter.trail.push(v[gcOffset], v[gcOffset + 1], v[gcOffset + 2], snapshot.t);
+            }
+        });
+    }
+}
+
+clearHistory();
@@ -0,0 +1,264 @@
+// 数値積分モジュール
+// 各積分法は粒子 p を dt だけ時間発展させる（p の状態をその場で更新する）
+// 粒子は calculateForce(s, t) と fieldsAt(s, t) を持つ必要がある
+// ボリス法ではローレンツ力以外の力を extraForce(s, t, fields) があれば電場と同じく半分ずつ加える
+// 状態は 3 次元 (x, y, z, vx, vy, vz)
+// options.c を指定すると相対論的に扱う（速度の状態変数は固有速度 u = γv になる）
+
+// 積分対象となる状態変数（2Dモードでは z, vz は 0 のまま）
+const STATE_KEYS = ['x', 'y', 'z', 'vx', 'vy', 'vz'];
+const AXES = [['x', 'vx'], ['y', 'vy'], ['z', 'vz']];
+
+// ローレンツ因子 γ = 1 / sqrt(1 - v²/c²)
+function lorentzFactor(vx, vy, vz, c) {
+    const beta2 = (vx * vx + vy * vy + vz * vz) / (c * c);
+    return beta2 < 1 ? 1 / Math.sqrt(1 - beta2) : Infinity;
+}
+
+// 固有速度 u から γ = sqrt(1 + u²/c²)
+function lorentzFactorFromU(ux, uy, uz, c) {
+    return Math.sqrt(1 + (ux * ux + uy * uy + uz * uz) / (c * c));
+}
+
+// ローレンツ力 F = q(E + v × B)（状態 s = {x, y, z, vx, vy, vz}、fields は s での場）
+// 右手系: v × B = (vy*Bz - vz*By, vz*Bx - vx*Bz, vx*By - vy*Bx)
+// 2Dでは B = (0, 0, Bz) なので (vy*Bz, -vx*Bz, 0)
+// フレミング左手: 電流(v)×磁場(B)=力(F)
+function lorentzForce(q, s, fields) {
+    const { Ex, Ey, Ez, Bx, By, Bz } = fields;
+    return {
+        Fx: q * (Ex + s.vy * Bz - s.vz * By),
+        Fy: q * (Ey + s.vz * Bx - s.vx * Bz),
+        Fz: q * (Ez + s.vx * By - s.vy * Bx)
+    };
+}
+
+function stateOf(p, c) {
+    const s = {};
+    for (const k of STATE_KEYS) s[k] = p[k];
+    if (c) {
+        const gamma = lorentzFactor(p.vx, p.vy, p.vz, c);
+        s.vx *= gamma;
+        s.vy *= gamma;
+        s.vz *= gamma;
+    }
+    return s;
+}
+
+function applyState(p, s, c) {
+    for (const k of STATE_KEYS) p[k] = s[k];
+    if (c) {
+        const gamma = lorentzFactorFromU(s.vx, s.vy, s.vz, c);
+        p.vx /= gamma;
+        p.vy /= gamma;
+        p.vz /= gamma;
+    }
+}
+
+// 状態の時間微分
+// ニュートン: d(r, v)/dt = (v, F/m)
+// 相対論:     d(r, u)/dt = (u/γ, F/m)（F は実速度 v = u/γ で評価）
+function derivative(p, s, t, c) {
+    let v = s;
+    if (c) {
+        const gamma = lorentzFactorFromU(s.vx, s.vy, s.vz, c);
+        v = { x: s.x, y: s.y, z: s.z, vx: s.vx / gamma, vy: s.vy / gamma, vz: s.vz / gamma };
+    }
+    const f = p.calculateForce(v, t);
+    return { x: v.vx, y: v.vy, z: v.vz, vx: f.Fx / p.m, vy: f.Fy / p.m, vz: f.Fz / p.m };
+}
+
+// s + h * Σ w_i k_i
+function combine(s, h, ks, ws) {
+    const out = {};
+    for (const key of STATE_KEYS) {
+        let sum = 0;
+        for (let i = 0; i < ks.length; i++) {
+            if (ws[i] !== 0) sum += ws[i] * ks[i][key];
+        }
+        out[key] = s[key] + h * sum;
+    }
+    return out;
+}
+
+// オイラー法（1次、エネルギーが単調に増加する）
+function eulerStep(p, dt, t, options = {}) {
+    const c = options.c;
+    const s = stateOf(p, c);
+    const k = derivative(p, s, t, c);
+    applyState(p, combine(s, dt, [k], [1]), c);
+}
+
+// 4次ルンゲ＝クッタ法（位置と速度を同時に積分）
+function rk4Step(p, dt, t, options = {}) {
+    const c = options.c;
+    const s = stateOf(p, c);
+    const k1 = derivative(p, s, t, c);
+    const k2 = derivative(p, combine(s, dt / 2, [k1], [1]), t + dt / 2, c);
+    const k3 = derivative(p, combine(s, dt / 2, [k2], [1]), t + dt / 2, c);
+    const k4 = derivative(p, combine(s, dt, [k3], [1]), t + dt, c);
+    applyState(p, combine(s, dt / 6, [k1, k2, k3, k4], [1, 2, 2, 1]), c);
+}
+
+// 速度ベルレ法
+// 力が速度に依存するため、新しい速度は不動点反復で求める
+// 相対論では位置の 2 次の項に実速度の加速度 dv/dt = (du/dt - v (v·du/dt)/c²) / γ を使う
+function verletStep(p, dt, t, options = {}) {
+    const c = options.c;
+    const s = stateOf(p, c);
+    const a0 = derivative(p, s, t, c);
+
+    let accel = a0;
+    if (c) {
+        const gamma = lorentzFactorFromU(s.vx, s.vy, s.vz, c);
+        const vDotA = (a0.x * a0.vx + a0.y * a0.vy + a0.z * a0.vz) / (c * c);
+        accel = {
+            vx: (a0.vx - a0.x * vDotA) / gamma,
+            vy: (a0.vy - a0.y * vDotA) / gamma,
+            vz: (a0.vz - a0.z * vDotA) / gamma
+        };
+    }
+
+    const next = {};
+    for (const [r, v] of AXES) {
+        next[r] = s[r] + a0[r] * dt + 0.5 * accel[v] * dt * dt;
+        next[v] = s[v] + a0[v] * dt;
+    }
+
+    for (let i = 0; i < 3; i++) {
+        const a1 = derivative(p, next, t + dt, c);
+        for (const [, v] of AXES) {
+            next[v] = s[v] + 0.5 * (a0[v] + a1[v]) * dt;
+        }
+    }
+
+    applyState(p, next, c);
+}
+
+// ボリス法（drift-kick-drift 形式）
+// 磁場による回転は速さを厳密に保存するため、純磁場中ではエネルギーが保存される
+// 相対論では固有速度 u に対して同じ操作を行い、回転角に 1/γ を掛ける
+function borisStep(p, dt, t, options = {}) {
+    const c = options.c;
+    const qm = p.q / p.m;
+
+    // 半ステップ位置を進める
+    const half = stateOf(p);
+    half.x += p.vx * dt / 2;
+    half.y += p.vy * dt / 2;
+    half.z += p.vz * dt / 2;
+    const fields = p.fieldsAt(half, t + dt / 2);
+    const { Ex, Ey, Ez, Bx, By, Bz } = fields;
+
+    // ローレンツ力以外の力（速度はステップ開始時の値で評価）
+    const extra = p.extraForce ? p.extraForce(half, t + dt / 2, fields) : { Fx: 0, Fy: 0, Fz: 0 };
+    const ax = extra.Fx / p.m;
+    const ay = extra.Fy / p.m;
+    const az = extra.Fz / p.m;
+
+    // 電場による半加速
+    const gamma0 = c ? lorentzFactor(p.vx, p.vy, p.vz, c) : 1;
+    let ux = p.vx * gamma0 + (qm * Ex + ax) * dt / 2;
+    let uy = p.vy * gamma0 + (qm * Ey + ay) * dt / 2;
+    let uz = p.vz * gamma0 + (qm * Ez + az) * dt / 2;
+
+    // 磁場による回転: u' = u⁻ + u⁻ × τ, u⁺ = u⁻ + u' × σ
+    const gammaMinus = c ? lorentzFactorFromU(ux, uy, uz, c) : 1;
+    const tx = qm * Bx * dt / (2 * gammaMinus);
+    const ty = qm * By * dt / (2 * gammaMinus);
+    const tz = qm * Bz * dt / (2 * gammaMinus);
+    const factor = 2 / (1 + tx * tx + ty * ty + tz * tz);
+    const sx = tx * factor;
+    const sy = ty * factor;
+    const sz = tz * factor;
+
+    const upx = ux + (uy * tz - uz * ty);
+    const upy = uy + (uz * tx - ux * tz);
+    const upz = uz + (ux * ty - uy * tx);
+    ux += upy * sz - upz * sy;
+    uy += upz * sx - upx * sz;
+    uz += upx * sy - upy * sx;
+
+    // 電場による残りの半加速
+    ux += (qm * Ex + ax) * dt / 2;
+    uy += (qm * Ey + ay) * dt / 2;
+    uz += (qm * Ez + az) * dt / 2;
+
+    const gamma1 = c ? lorentzFactorFromU(ux, uy, uz, c) : 1;
+    p.vx = ux / gamma1;
+    p.vy = uy / gamma1;
+    p.vz = uz / gamma1;
+    p.x = half.x + p.vx * dt / 2;
+    p.y = half.y + p.vy * dt / 2;
+    p.z = half.z + p.vz * dt / 2;
+}
+
+// ドルマン＝プリンス法 RK5(4) の係数
+const DP_C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const DP_A = [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [44 / 45, -56 / 15, 32 / 9],
+    [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+    [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+// 5次解と4次解の差（誤差推定用）
+const DP_E = [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40];
+
+// 適応刻み RK45（ドルマン＝プリンス法）
+// dt を内部で小ステップに分割し、各小ステップの局所誤差を tolerance 以下に保つ
+// dt < 0 なら時間を逆向きに積分する
+function rk45Step(p, dt, t, options = {}) {
+    const tol = options.tolerance || 1e-6;
+    const c = options.c;
+    const dir = Math.sign(dt);
+    const end = t + dt;
+    let s = stateOf(p, c);
+    let time = t;
+    // 前回の刻み幅（大きさ）を引き継ぐ
+    let h = Math.min(p.adaptiveStep || Math.abs(dt), Math.abs(dt));
+
+    let guard = 0;
+    while (dir * (end - time) > 0 && guard++ < 10000) {
+        h = dir * Math.min(Math.abs(h), dir * (end - time));
+
+        const k = [];
+        for (let i = 0; i < 7; i++) {
+            const si = i === 0 ? s : combine(s, h, k, DP_A[i]);
+            k.push(derivative(p, si, time + DP_C[i] * h, c));
+        }
+
+        const next = combine(s, h, k.slice(0, 6), DP_A[6]);
+
+        // 誤差ノルム（相対＋絶対）
+        let err = 0;
+        for (const key of STATE_KEYS) {
+            let e = 0;
+            for (let i = 0; i < 7; i++) e += DP_E[i] * k[i][key];
+            const scale = tol * (1 + Math.max(Math.abs(s[key]), Math.abs(next[key])));
+            err = Math.max(err, Math.abs(h * e) / scale);
+        }
+
+        if (err <= 1 || Math.abs(h) < 1e-12) {
+            s = next;
+            time += h;
+        }
+
+        // 刻み幅の更新（安全係数 0.9、変化率は 0.2〜5 倍に制限）
+        const factor = err === 0 ? 5 : 0.9 * Math.pow(err, -1 / 5);
+        h *= Math.min(5, Math.max(0.2, factor));
+    }
+
+    p.adaptiveStep = Math.abs(h);
+    applyState(p, s, c);
+}
+
+const INTEGRATORS = {
+    Euler: { label: 'Euler', step: eulerStep },
+    RK4: { label: 'Runge–Kutta 4', step: rk4Step },
+    Verlet: { label: 'Velocity Verlet', step: verletStep },
+    Boris: { label: 'Boris', step: borisStep },
+    RK45: { label: 'Adaptive RK45', step: rk45Step }
+};
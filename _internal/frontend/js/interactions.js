@@ -0,0 +1,199 @@
+// 粒子間相互作用
+// クーロン力（プラマー・ソフトニング付き）と、オプションで運動する電荷が作る磁場
+// 各ステップの開始時に粒子の位置・速度のスナップショットを取り、そのステップ中は固定する
+// 多粒子では Barnes–Hut 木（2Dは四分木、3Dは八分木）で O(N log N) に近似する
+
+// 木の葉に入れる粒子数の上限と、分割を止める最小サイズ
+const TREE_LEAF_SIZE = 4;
+const TREE_MIN_HALF = 1e-6;
+
+// 場の求め方（直接和・Barnes–Hut 木）
+const INTERACTION_METHODS = ['direct', 'barnesHut'];
+
+// ステップ開始時の状態を記録（木の構築を含む）
+function buildInteractionSnapshot(particles, settings, dims) {
+    const items = particles.map(p => ({
+        ref: p,
+        q: p.q,
+        x: p.x, y: p.y, z: p.z,
+        vx: p.vx, vy: p.vy, vz: p.vz
+    }));
+
+    const snapshot = { settings, items, tree: null };
+    if (settings.method === 'barnesHut' && items.length > 1) {
+        snapshot.tree = buildChargeTree(items, dims);
+    }
+    return snapshot;
+}
+
+// 点 (x, y, z) に他の粒子が作る場を out に加算する（self は除く）
+function addInteractionField(snapshot, self, x, y, z, out) {
+    if (snapshot.tree) {
+        accumulateTreeField(snapshot.tree, snapshot.settings, self, x, y, z, out);
+    } else {
+        for (const item of snapshot.items) {
+            if (item.ref !== self) {
+                addPointField(snapshot.settings, item.q, item.x, item.y, item.z, item.vx, item.vy, item.vz, x, y, z, out);
+            }
+        }
+    }
+}
+
+// 点電荷 q（位置 r_s、速度 v_s）が点 r に作る場
+// E = k q (r - r_s) / (|r - r_s|² + ε²)^(3/2)
+// B = μ q v_s × (r - r_s) / (|r - r_s|² + ε²)^(3/2)（低速のビオ＝サバール則）
+function addPointField(settings, q, sx, sy, sz, svx, svy, svz, x, y, z, out) {
+    const rx = x - sx;
+    const ry = y - sy;
+    const rz = z - sz;
+    const r2 = rx * rx + ry * ry + rz * rz + settings.softening * settings.softening;
+    if (r2 === 0) return;
+    const inv3 = 1 / (r2 * Math.sqrt(r2));
+
+    const e = settings.k * q * inv3;
+    out.Ex += e * rx;
+    out.Ey += e * ry;
+    out.Ez += e * rz;
+
+    if (settings.magnetic) {
+        const b = settings.mu * q * inv3;
+        out.Bx += b * (svy * rz - svz * ry);
+        out.By += b * (svz * rx - svx * rz);
+        out.Bz += b * (svx * ry - svy * rx);
+    }
+}
+
+// 電荷の木を構築
+function buildChargeTree(items, dims) {
+    let minX = Infinity, minY = Infinity, minZ = Infinity;
+    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+    for (const item of items) {
+        minX = Math.min(minX, item.x); maxX = Math.max(maxX, item.x);
+        minY = Math.min(minY, item.y); maxY = Math.max(maxY, item.y);
+        minZ = Math.min(minZ, item.z); maxZ = Math.max(maxZ, item.z);
+    }
+    const half = Math.max(maxX - minX, maxY - minY, dims === 3 ? maxZ - minZ : 0) / 2 + 1e-9;
+    const root = createTreeNode((minX + maxX) / 2, (minY + maxY) / 2, dims === 3 ? (minZ + maxZ) / 2 : 0, half);
+
+    for (const item of items) {
+        insertTreeItem(root, item, dims);
+    }
+    computeTreeMoments(root);
+    return root;
+}
+
+function createTreeNode(cx, cy, cz, half) {
+    return { cx, cy, cz, half, items: [], children: null };
+}
+
+function childIndex(node, item, dims) {
+    let index = 0;
+    if (item.x >= node.cx) index |= 1;
+    if (item.y >= node.cy) index |= 2;
+    if (dims === 3 && item.z >= node.cz) index |= 4;
+    return index;
+}
+
+function insertTreeItem(node, item, dims) {
+    while (node.children) {
+        node = node.children[childIndex(node, item, dims)];
+    }
+    node.items.push(item);
+
+    // 葉が溢れたら分割（同じ位置に重なった粒子は分割しない）
+    if (node.items.length > TREE_LEAF_SIZE && node.half > TREE_MIN_HALF) {
+        const h = node.half / 2;
+        node.children = [];
+        for (let i = 0; i < (dims === 3 ? 8 : 4); i++) {
+            node.children.push(createTreeNode(
+                node.cx + (i & 1 ? h : -h),
+                node.cy + (i & 2 ? h : -h),
+                dims === 3 ? node.cz + (i & 4 ? h : -h) : node.cz,
+                h
+            ));
+        }
+        const moved = node.items;
+        node.items = [];
+        for (const m of moved) {
+            insertTreeItem(node, m, dims);
+        }
+    }
+}
+
+// 各ノードの多重極（正・負の電荷中心と電流 Σqv）を下から集計
+function computeTreeMoments(node) {
+    const m = {
+        qPos: 0, px: 0, py: 0, pz: 0,
+        qNeg: 0, nx: 0, ny: 0, nz: 0,
+        jx: 0, jy: 0, jz: 0,
+        qAbs: 0, ax: 0, ay: 0, az: 0
+    };
+
+    const add = (q, x, y, z, jx, jy, jz) => {
+        if (q >= 0) {
+            m.qPos += q; m.px += q * x; m.py += q * y; m.pz += q * z;
+        } else {
+            m.qNeg += q; m.nx -= q * x; m.ny -= q * y; m.nz -= q * z;
+        }
+        m.jx += jx; m.jy += jy; m.jz += jz;
+    };
+
+    if (node.children) {
+        for (const child of node.children) {
+            computeTreeMoments(child);
+            const c = child.moments;
+            if (c.qPos !== 0) add(c.qPos, c.px, c.py, c.pz, 0, 0, 0);
+            if (c.qNeg !== 0) add(c.qNeg, c.nx, c.ny, c.nz, 0, 0, 0);
+            m.jx += c.jx; m.jy += c.jy; m.jz += c.jz;
+        }
+    } else {
+        for (const item of node.items) {
+            add(item.q, item.x, item.y, item.z, item.q * item.vx, item.q * item.vy, item.q * item.vz);
+        }
+    }
+
+    // 重み付き和から中心位置へ
+    if (m.qPos !== 0) { m.px /= m.qPos; m.py /= m.qPos; m.pz /= m.qPos; }
+    if (m.qNeg !== 0) { m.nx /= -m.qNeg; m.ny /= -m.qNeg; m.nz /= -m.qNeg; }
+    m.qAbs = m.qPos - m.qNeg;
+    if (m.qAbs !== 0) {
+        m.ax = (m.qPos * m.px - m.qNeg * m.nx) / m.qAbs;
+        m.ay = (m.qPos * m.py - m.qNeg * m.ny) / m.qAbs;
+        m.az = (m.qPos * m.pz - m.qNeg * m.nz) / m.qAbs;
+    }
+    node.moments = m;
+}
+
+function accumulateTreeField(node, settings, self, x, y, z, out) {
+    const m = node.moments;
+    if (m.qAbs === 0 && m.jx === 0 && m.jy === 0 && m.jz === 0) return;
+
+    if (!node.children) {
+        for (const item of node.items) {
+            if (item.ref !== self) {
+                addPointField(settings, item.q, item.x, item.y, item.z, item.vx, item.vy, item.vz, x, y, z, out);
+            }
+        }
+        return;
+    }
+
+    // 開口条件: セルの大きさ / 距離 < θ なら多重極で近似
+    const dx = x - m.ax;
+    const dy = y - m.ay;
+    const dz = z - m.az;
+    const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (d > 0 && 2 * node.half / d < settings.theta) {
+        if (m.qPos !== 0) addPointField(settings, m.qPos, m.px, m.py, m.pz, 0, 0, 0, x, y, z, out);
+        if (m.qNeg !== 0) addPointField(settings, m.qNeg, m.nx, m.ny, m.nz, 0, 0, 0, x, y, z, out);
+        if (settings.magnetic && m.qAbs !== 0) {
+            // 電流 Σqv を |q| の中心に置いた 1 つの電流要素で近似（q = 1, v = J として扱う）
+            const magnetic = { k: 0, mu: settings.mu, softening: settings.softening, magnetic: true };
+            addPointField(magnetic, 1, m.ax, m.ay, m.az, m.jx, m.jy, m.jz, x, y, z, out);
+        }
+        return;
+    }
+
+    for (const child of node.children) {
+        accumulateTreeField(child, settings, self, x, y, z, out);
+    }
+}
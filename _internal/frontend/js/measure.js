@@ -0,0 +1,188 @@
+// 測定ツール（距離・分度器・角度・軌跡への円フィット・ドリフト速度）と固定した注記
+// 測定値はコード単位で保持し、表示のたびに現在の単位系で文字列にする
+// 点の測定: distance / protractor はドラッグ、angle は頂点からドラッグした後に 2 本目の腕の先をクリック
+// 軌跡の測定: 粒子をクリックすると、その軌跡（XY 面）から最小二乗法で求める
+
+const MEASURE_TOOLS = {
+    distance: { label: 'Distance', points: 2, hint: 'Drag between two points.' },
+    protractor: { label: 'Protractor', points: 2, hint: 'Drag along a line to read its length and angle from +x.' },
+    angle: { label: 'Angle', points: 3, hint: 'Drag from the vertex along the first arm, then click the end of the second arm.' },
+    circleFit: { label: 'Fit circle to trail', hint: 'Click a particle to fit the last gyration period of its trail with a circle and compare with theory.' },
+    drift: { label: 'Drift velocity', hint: 'Click a particle to measure the guiding-center displacement per cycle.' }
+};
+
+let annotationIdCounter = 0;
+
+// 点から測定値を計算する（角度は度）
+function measurePoints(tool, points) {
+    const [a, b, c] = points;
+    switch (tool) {
+        case 'distance':
+            return { distance: Math.hypot(b.x - a.x, b.y - a.y) };
+        case 'protractor': {
+            const angle = Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI;
+            return { distance: Math.hypot(b.x - a.x, b.y - a.y), angle: angle < 0 ? angle + 360 : angle };
+        }
+        case 'angle': {
+            const a1 = Math.atan2(b.y - a.y, b.x - a.x);
+            const a2 = Math.atan2(c.y - a.y, c.x - a.x);
+            return { angle: Math.abs(wrapAngle(a2 - a1)) * 180 / Math.PI };
+        }
+        default:
+            throw new Error(`Unknown point measurement: ${tool}`);
+    }
+}
+
+// (−π, π] に丸める
+function wrapAngle(angle) {
+    return angle - 2 * Math.PI * Math.ceil((angle - Math.PI) / (2 * Math.PI));
+}
+
+// 周期境界で反対側に移った後の部分だけを使う
+function continuousTrail(trail) {
+    let start = 0;
+    trail.forEach((point, i) => {
+        if (point.jump) start = i;
+    });
+    return trail.slice(start);
+}
+
+// 軌跡の測定（theory は diagnostics.js の theoreticalMotion の結果か null）
+function measureTrail(tool, trail, theory) {
+    const points = continuousTrail(trail).map(point => ({ u: point.x, v: point.y, t: point.t }));
+    if (points.length < 8) {
+        throw new Error('The trail is too short to measure — let the particle run longer');
+    }
+    return tool === 'drift' ? measureDrift(points, theory) : measureCircle(points, theory);
+}
+
+// 円フィット（理論上の周期が分かれば最新の 1 周期分、なければ軌跡全体）
+// ドリフトがあると 1 周期の中でも円がずれるので、半径は理論値から少し外れる
+function measureCircle(trailPoints, theory) {
+    const tStart = trailPoints[trailPoints.length - 1].t - (theory ? theory.period : Infinity);
+    const recent = trailPoints.filter(q => q.t >= tStart - 1e-9);
+    const points = recent.length >= 8 ? recent : trailPoints;
+    const circle = fitCircle(points);
+    if (!circle) {
+        throw new Error('Cannot fit a circle: the trail is a straight line');
+    }
+    const residual = Math.sqrt(points.reduce((sum, q) => {
+        const d = Math.hypot(q.u - circle.u, q.v - circle.v) - circle.r;
+        return sum + d * d;
+    }, 0) / points.length);
+
+    return {
+        center: { x: circle.u, y: circle.v },
+        radius: circle.r,
+        period: 2 * Math.PI / fitRotationRate(points, circle),
+        residual,
+        theory: theory ? { radius: theory.larmorRadius, period: theory.period } : null
+    };
+}
+
+// 1 周期ごとに円フィットした中心（案内中心）の変位からドリフト速度を求める
+// 周期は理論値（なければ軌跡全体の回転の速さ）を使う
+function measureDrift(points, theory) {
+    let period = theory ? theory.period : null;
+    if (!period) {
+        const circle = fitCircle(points);
+        if (!circle) {
+            throw new Error('Cannot find the gyration period: the trail is a straight line');
+        }
+        period = 2 * Math.PI / fitRotationRate(points, circle);
+    }
+
+    // 最新の点から 1 周期ずつさかのぼって区切る
+    const centers = [];
+    const tEnd = points[points.length - 1].t;
+    for (let k = 0; tEnd - (k + 1) * period >= points[0].t - 1e-9; k++) {
+        const t1 = tEnd - k * period;
+        const t0 = t1 - period;
+        const cycle = points.filter(q => q.t >= t0 - 1e-9 && q.t <= t1 + 1e-9);
+        const circle = cycle.length >= 8 ? fitCircle(cycle) : null;
+        if (!circle) break;
+        centers.unshift({ x: circle.u, y: circle.v, t: (t0 + t1) / 2 });
+    }
+    if (centers.length < 2) {
+        throw new Error('The trail must cover at least two gyration periods — increase Trail Length');
+    }
+
+    const first = centers[0];
+    const last = centers[centers.length - 1];
+    const cycles = centers.length - 1;
+    return {
+        centers,
+        period,
+        perCycle: { x: (last.x - first.x) / cycles, y: (last.y - first.y) / cycles },
+        drift: { x: (last.x - first.x) / (last.t - first.t), y: (last.y - first.y) / (last.t - first.t) },
+        theory: theory ? { x: theory.drift.x, y: theory.drift.y } : null
+    };
+}
+
+// 測定値の説明（1 要素が 1 行）
+function describeMeasurement(m) {
+    const r = m.result;
+    const vector = (v, dim) => `(${formatValue(v.x, dim)}, ${formatValue(v.y, dim)}) ${unitLabel(dim)}`;
+    switch (m.tool) {
+        case 'distance':
+            return [formatQuantity(r.distance, 'length')];
+        case 'protractor':
+            return [`${formatQuantity(r.distance, 'length')} at ${r.angle.toFixed(1)}°`];
+        case 'angle':
+            return [`${r.angle.toFixed(1)}°`];
+        case 'circleFit': {
+            const lines = [
+                `Particle ${m.particleId}: r = ${formatQuantity(r.radius, 'length')}, T = ${formatQuantity(r.period, 'time')}`,
+                `center ${vector(r.center, 'length')}, rms residual ${formatQuantity(r.residual, 'length', 2)}`
+            ];
+            if (r.theory) {
+                lines.push(`theory r = ${formatQuantity(r.theory.radius, 'length')}, T = ${formatQuantity(r.theory.period, 'time')}`);
+            }
+            return lines;
+        }
+        case 'drift': {
+            const lines = [
+                `Particle ${m.particleId}: v_d = ${vector(r.drift, 'velocity')}`,
+                `${vector(r.perCycle, 'length')} per cycle over ${r.centers.length - 1} cycles`
+            ];
+            if (r.theory) {
+                lines.push(`E×B theory ${vector(r.theory, 'velocity')}`);
+            }
+            return lines;
+        }
+        default:
+            return [];
+    }
+}
+
+// 測定を注記として固定する（読み込んだ注記の検証も兼ねる）
+function createAnnotation(data) {
+    if (!data || !MEASURE_TOOLS[data.tool]) {
+        throw new Error(`Unknown measurement tool: ${data && data.tool}`);
+    }
+    const points = (data.points || []).map(point => ({ x: +point.x, y: +point.y }));
+    if (points.some(point => !isFinite(point.x) || !isFinite(point.y))) {
+        throw new Error('Annotation: points must be numbers');
+    }
+    const tool = MEASURE_TOOLS[data.tool];
+    if (tool.points && points.length !== tool.points) {
+        throw new Error(`Annotation: ${tool.label} needs ${tool.points} points`);
+    }
+    if (!tool.points && !data.result) {
+        throw new Error(`Annotation: ${tool.label} needs a result`);
+    }
+
+    const annotation = {
+        id: data.id || `a${annotationIdCounter++}`,
+        tool: data.tool,
+        points,
+        particleId: data.particleId || null,
+        // 点の測定は点から計算し直し、軌跡の測定は固定した時点の値を保つ
+        result: tool.points ? measurePoints(data.tool, points) : data.result
+    };
+    const number = parseInt(String(annotation.id).slice(1), 10);
+    if (number >= annotationIdCounter) {
+        annotationIdCounter = number + 1;
+    }
+    return annotation;
+}
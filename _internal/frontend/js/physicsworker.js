@@ -0,0 +1,292 @@
+// 物理計算の Web Worker（workerengine.js から使う）
+// 積分法・場・相互作用・エミッタ・領域の境界・仕事の積算はメインスレッドと同じモジュールを importScripts で読み込んで使う
+// 粒子の状態は成分ごとに並べた Float64Array（structure of arrays）に持ち、積分法には粒子ごとの ParticleView を渡して読み書きさせる
+// 粒子は番号（スロット）で区別する。取り除いた粒子のスロットは後で放出する粒子に使い回す
+// 各ステップの状態・取り除いた粒子・放出した粒子を記録し、フレームでまとめて渡す（メインスレッドはステップごとに再現する）
+// 実時間 × 再生速度で進むので、描画が遅れても計算の速さは変わらない
+//
+// メインスレッド → Worker
+//   load    { id, count, state, meta, config, t }  状態と設定を読み込む（止まった状態から）
+//           meta は粒子ごとの { birthTime, lifetime, emitterId }
+//   run     { timeScale }                          実時間での計算を始める・再生速度を変える
+//   pause                                          止める
+//   release { id }                                 フレームを受け取った（次のフレームを送ってよい）
+// Worker → メインスレッド
+//   frame   { id, steps, values, emitterPending, lagging }
+//           steps はステップごとの { t, count, removed, born }
+//             removed は取り除いた粒子のスロット、born は放出した粒子 { slot, q, m, x, y, vx, vy, lifetime, emitterId }
+//           values（transfer で渡す）はステップ順に、生きている粒子ごとにスロットと WORKER_STEP_FIELDS の値を count 個並べる
+//           返されるまで次のフレームは送らない（そのあいだも計算は進み、ステップは溜まる）
+
+importScripts('waveforms.js', 'fields.js', 'integrators.js', 'interactions.js', 'emitters.js', 'walls.js', 'diagnostics.js');
+
+const WORKER_FIELDS = ['x', 'y', 'z', 'vx', 'vy', 'vz', 'q', 'm', 'workE', 'initialEnergy', 'power', 'adaptiveStep'];
+const WORKER_STEP_FIELDS = ['x', 'y', 'z', 'vx', 'vy', 'vz', 'workE', 'initialEnergy', 'power', 'adaptiveStep', 'wrapped'];
+const POWER = WORKER_FIELDS.indexOf('power');
+const STEP_SOURCES = WORKER_STEP_FIELDS.map(key => WORKER_FIELDS.indexOf(key)); // wrapped は state にない（-1）
+// NaN で「まだない」を表す成分（粒子では null / undefined）
+const WORKER_EMPTY = { initialEnergy: null, adaptiveStep: undefined };
+const WORKER_TICK_MS = 4;          // 計算の間隔
+const WORKER_FRAME_MS = 16;        // フレームを送る最短の間隔
+const WORKER_MAX_PENDING_STEPS = 4096; // フレームが返されないときに溜めるステップ数の上限（超えたら計算を待つ）
+
+let runId = 0;
+let capacity = 0;                  // state に入る粒子の数
+let state = null;                  // Float64Array(WORKER_FIELDS.length * capacity)、成分 f のスロット i は state[f * capacity + i]
+let views = [];                    // スロット i の ParticleView（取り除いた粒子は null）
+let freeSlots = [];
+let config = null;
+let t = 0;
+let interactionSnapshot = null;
+
+let running = false;
+let timeScale = 1;
+let accumulator = 0;
+let lastTick = 0;
+let lagging = false;
+let timer = null;
+let frameInFlight = false;
+let lastFrame = 0;
+let pendingSteps = [];             // まだ送っていないステップ
+let pendingValues = [];
+
+// state のスロット i を粒子として見せる（integrators.js・walls.js・diagnostics.js・interactions.js はこれを読み書きする）
+class ParticleView {
+    constructor(i, meta) {
+        this.i = i;
+        const power = state[POWER * capacity + i];
+        this.lastPower = isNaN(power) ? null : { t, value: power };
+        this.wrapped = false; // 周期境界で反対側に移った（次の点で軌跡を切る）
+        this.birthTime = meta.birthTime;
+        this.lifetime = meta.lifetime;
+        this.emitterId = meta.emitterId;
+    }
+
+    // 外部場（一様場 + 場のソース）と他の粒子が作る場。追加の力は Worker では扱わない
+    fieldsAt(s, time) {
+        const f = evaluateFieldSources(config.sources, s.x, s.y, time, uniformFieldAt(config.uniform, time), s.z);
+        if (interactionSnapshot) {
+            addInteractionField(interactionSnapshot, this, s.x, s.y, s.z, f);
+        }
+        return f;
+    }
+
+    calculateForce(s, time) {
+        return lorentzForce(this.q, s, this.fieldsAt(s, time));
+    }
+}
+
+// x, vx, q, workE などは state を直接読み書きする（仕事率は lastPower に持ち、ステップを記録するときに書き出す）
+WORKER_FIELDS.forEach((key, f) => {
+    if (f === POWER) return;
+    const empty = key in WORKER_EMPTY;
+    Object.defineProperty(ParticleView.prototype, key, {
+        get() {
+            const value = state[f * capacity + this.i];
+            return empty && isNaN(value) ? WORKER_EMPTY[key] : value;
+        },
+        set(value) {
+            state[f * capacity + this.i] = empty && value === WORKER_EMPTY[key] ? NaN : value;
+        }
+    });
+});
+
+self.onmessage = (event) => {
+    const message = event.data;
+    switch (message.type) {
+        case 'load':
+            load(message);
+            break;
+        case 'run':
+            timeScale = message.timeScale;
+            if (!running) {
+                running = true;
+                accumulator = 0;
+                lastTick = performance.now();
+                schedule();
+            }
+            break;
+        case 'pause':
+            running = false;
+            clearTimeout(timer);
+            timer = null;
+            break;
+        case 'release':
+            // 読み込み直す前のフレームは捨てる
+            if (message.id !== runId) break;
+            frameInFlight = false;
+            break;
+    }
+};
+
+function load(message) {
+    running = false;
+    clearTimeout(timer);
+    timer = null;
+
+    runId = message.id;
+    capacity = message.count;
+    state = message.state;
+    config = message.config;
+    t = message.t;
+    views = message.meta.map((meta, i) => new ParticleView(i, meta));
+    freeSlots = [];
+    // エミッタの端数はメインスレッドから引き継ぐ（emitterState は読み込んだエミッタごとに作られる）
+    config.emitters.forEach((emitter, k) => {
+        emitterState(emitter).pending = config.emitterPending[k];
+    });
+    frameInFlight = false;
+    pendingSteps = [];
+    pendingValues = [];
+}
+
+function schedule() {
+    timer = setTimeout(tick, WORKER_TICK_MS);
+}
+
+// 経過した実時間 × 再生速度だけ固定刻みで進める（sketch.js の advanceRealTime と同じ）
+function tick() {
+    if (!running) return;
+    const now = performance.now();
+    accumulator += Math.min((now - lastTick) / 1000, config.maxFrameTime) * timeScale;
+    lastTick = now;
+
+    let steps = 0;
+    while (accumulator >= config.dt && steps < config.maxSteps && pendingSteps.length < WORKER_MAX_PENDING_STEPS) {
+        step(config.dt);
+        accumulator -= config.dt;
+        steps++;
+    }
+    lagging = accumulator >= config.dt;
+    if (lagging) {
+        accumulator = 0;
+    }
+
+    if (!frameInFlight && pendingSteps.length && now - lastFrame >= WORKER_FRAME_MS) {
+        postFrame(now);
+    }
+    schedule();
+}
+
+// sketch.js の advanceSimulation と同じ順に、小ステップごとに積分して領域の境界を適用し、
+// 寿命の尽きた粒子を取り除いてからエミッタが放出する
+function step(dt) {
+    const method = INTEGRATORS[config.integrator] || INTEGRATORS.RK4;
+    const options = { tolerance: config.tolerance, c: config.c };
+    const h = dt / config.substeps;
+    const removed = [];
+    for (let k = 0; k < config.substeps; k++) {
+        // 他の粒子の状態は小ステップ開始時の値で固定する
+        const live = views.filter(view => view);
+        interactionSnapshot = config.interaction.enabled && live.length > 1
+            ? buildInteractionSnapshot(live, config.interaction, config.dims)
+            : null;
+
+        for (const view of live) {
+            stepWithWork(view, method, h, t, options);
+            const result = applyDomainBoundary(view, config.domain);
+            if (result === 'absorb') {
+                removeView(view, removed);
+            } else if (result === 'wrap') {
+                view.wrapped = true;
+            }
+        }
+        t += h;
+    }
+    interactionSnapshot = null;
+
+    for (const view of views) {
+        if (view && view.lifetime !== null && t - view.birthTime >= view.lifetime) {
+            removeView(view, removed);
+        }
+    }
+    const born = emitParticles(dt);
+    recordStep(removed, born);
+}
+
+function removeView(view, removed) {
+    views[view.i] = null;
+    freeSlots.push(view.i);
+    removed.push(view.i);
+}
+
+// sketch.js の emitParticles と同じ（相対論モードの速さの制限は limitSpeed と同じ 0.99c）
+function emitParticles(dt) {
+    const born = [];
+    for (const emitter of config.emitters) {
+        const count = emissionCount(emitter, dt);
+        let alive = views.filter(view => view && view.emitterId === emitter.id).length;
+        for (let i = 0; i < count && alive < emitter.limit; i++) {
+            const e = sampleEmission(emitter);
+            const v = Math.hypot(e.vx, e.vy);
+            const k = config.c !== null && v >= config.c ? 0.99 * config.c / v : 1;
+            const birth = { q: e.q, m: e.m, x: e.x, y: e.y, vx: e.vx * k, vy: e.vy * k,
+                lifetime: emitter.lifetime > 0 ? emitter.lifetime : null, emitterId: emitter.id };
+            const view = addView(birth);
+            born.push(Object.assign({ slot: view.i }, birth));
+            alive++;
+        }
+    }
+    return born;
+}
+
+// 空いたスロット（なければ state を広げた新しいスロット）に粒子を置く
+function addView(birth) {
+    if (!freeSlots.length) {
+        growState();
+    }
+    const i = freeSlots.pop();
+    const values = Object.assign({ z: 0, vz: 0, workE: 0, initialEnergy: NaN, power: NaN, adaptiveStep: NaN }, birth);
+    WORKER_FIELDS.forEach((key, f) => {
+        state[f * capacity + i] = values[key];
+    });
+    views[i] = new ParticleView(i, { birthTime: t, lifetime: birth.lifetime, emitterId: birth.emitterId });
+    return views[i];
+}
+
+function growState() {
+    const size = Math.max(16, capacity * 2);
+    const grown = new Float64Array(WORKER_FIELDS.length * size);
+    WORKER_FIELDS.forEach((key, f) => {
+        grown.set(state.subarray(f * capacity, (f + 1) * capacity), f * size);
+    });
+    for (let i = size - 1; i >= capacity; i--) {
+        freeSlots.push(i);
+    }
+    state = grown;
+    capacity = size;
+    views.length = size;
+}
+
+// このステップの終わりの状態（生きている粒子をスロット順に）を記録する
+function recordStep(removed, born) {
+    let count = 0;
+    for (const view of views) {
+        if (!view) continue;
+        state[POWER * capacity + view.i] = view.lastPower && view.lastPower.t === t ? view.lastPower.value : NaN;
+        pendingValues.push(view.i);
+        for (const f of STEP_SOURCES) {
+            pendingValues.push(f < 0 ? (view.wrapped ? 1 : 0) : state[f * capacity + view.i]);
+        }
+        view.wrapped = false;
+        count++;
+    }
+    pendingSteps.push({ t, count, removed, born });
+}
+
+// 溜まったステップを送る
+function postFrame(now) {
+    const values = new Float64Array(pendingValues);
+    self.postMessage({
+        type: 'frame',
+        id: runId,
+        steps: pendingSteps,
+        values,
+        emitterPending: config.emitters.map(emitter => emitterState(emitter).pending),
+        lagging
+    }, [values.buffer]);
+    pendingSteps = [];
+    pendingValues = [];
+    frameInFlight = true;
+    lastFrame = now;
+}
@@ -0,0 +1,368 @@
+// 粒子ごとの物理量の時系列プロット（d3）
+// 各ステップの終了時に記録し、時系列または位相空間（x–vx, y–vy）で表示する
+// 全エネルギーは KE − W_E（電場がした仕事を位置エネルギーの減少とみなす）
+// 記録はコード単位で、表示するときに現在の単位系に換算する
+
+const PLOT_MAX_SAMPLES = 4000; // 1粒子あたりの最大サンプル数（超えたら間引く）
+const PLOT_INTERVAL = 250;     // 再描画の間隔 (ms)
+const PLOT_MARGIN = { top: 10, right: 120, bottom: 30, left: 60 };
+
+const PLOT_QUANTITIES = {
+    x: { label: 'x', dim: 'length' },
+    y: { label: 'y', dim: 'length' },
+    vx: { label: 'vx', dim: 'velocity' },
+    vy: { label: 'vy', dim: 'velocity' },
+    speed: { label: '|v|', dim: 'velocity' },
+    ke: { label: 'KE', dim: 'energy' },
+    total: { label: 'Total energy', dim: 'energy' },
+    drift: { label: 'Energy drift', dim: null }
+};
+
+const PHASE_VIEWS = {
+    phaseX: ['x', 'vx'],
+    phaseY: ['y', 'vy']
+};
+
+let plotSeries = new Map(); // 粒子 id → { samples, stride, skipped }
+let plotSettings = {
+    quantities: ['x', 'y'],
+    particleIds: [], // 空なら選択中（なければ最初）の粒子
+    view: 'time'     // 'time' | 'phaseX' | 'phaseY'
+};
+let plotTransform = d3.zoomIdentity;
+let plotZoom = null;
+let lastPlotUpdate = 0;
+
+// 全粒子の現在の状態を記録
+function recordTimeSeries(list, t, c) {
+    for (const p of list) {
+        let series = plotSeries.get(p.id);
+        if (!series) {
+            series = { samples: [], stride: 1, skipped: 0 };
+            plotSeries.set(p.id, series);
+        }
+
+        // 間引き後は stride ステップごとに 1 点だけ記録する
+        if (series.skipped++ % series.stride !== 0) continue;
+
+        const ke = kineticEnergy(p, c);
+        const total = ke - p.workE;
+        const first = series.samples.length ? series.samples[0].total : total;
+        series.samples.push({
+            t,
+            x: p.x,
+            y: p.y,
+            vx: p.vx,
+            vy: p.vy,
+            speed: Math.sqrt(p.vx * p.vx + p.vy * p.vy + p.vz * p.vz),
+            ke,
+            total,
+            drift: Math.abs(first) > 1e-12 ? (total - first) / Math.abs(first) : total - first
+        });
+
+        // 上限を超えたら 1 つおきに捨てて解像度を半分にする
+        if (series.samples.length > PLOT_MAX_SAMPLES) {
+            series.samples = series.samples.filter((_, i) => i % 2 === 0);
+            series.stride *= 2;
+        }
+    }
+}
+
+// 時刻 t より後のサンプルを捨てる（逆方向のステップ用）
+function truncateTimeSeries(t) {
+    for (const series of plotSeries.values()) {
+        while (series.samples.length && series.samples[series.samples.length - 1].t > t + 1e-9) {
+            series.samples.pop();
+        }
+    }
+}
+
+// 取り除いた粒子の系列を捨てる
+function removeTimeSeries(id) {
+    plotSeries.delete(id);
+}
+
+function clearTimeSeries() {
+    plotSeries = new Map();
+}
+
+function setPlotSettings(settings) {
+    plotSettings = Object.assign({}, plotSettings, settings);
+    resetPlotZoom();
+}
+
+function resetPlotZoom() {
+    const svg = d3.select('#plot');
+    if (plotZoom && !svg.empty()) {
+        svg.call(plotZoom.transform, d3.zoomIdentity);
+    }
+    plotTransform = d3.zoomIdentity;
+}
+
+// 表示する粒子の id
+function plottedParticleIds() {
+    if (plotSettings.particleIds.length) {
+        return plotSettings.particleIds.filter(id => plotSeries.has(id));
+    }
+    const particle = particles.find(p => p.selected) || particles[0];
+    return particle && plotSeries.has(particle.id) ? [particle.id] : [];
+}
+
+// 描画する系列の一覧 [{ key, label, points: [[x, y], ...] }]
+function collectPlotLines() {
+    const ids = plottedParticleIds();
+    const lines = [];
+    const phase = PHASE_VIEWS[plotSettings.view];
+    const factor = key => key === 't' ? unitFactor('time') : unitFactor(PLOT_QUANTITIES[key].dim);
+
+    for (const id of ids) {
+        const samples = plotSeries.get(id).samples;
+        if (phase) {
+            const [fx, fy] = phase.map(factor);
+            lines.push({
+                key: `${id}:${plotSettings.view}`,
+                label: `${id} ${phase[1]}(${phase[0]})`,
+                points: samples.map(s => [s[phase[0]] * fx, s[phase[1]] * fy])
+            });
+            continue;
+        }
+        const ft = factor('t');
+        for (const q of plotSettings.quantities) {
+            const fq = factor(q);
+            lines.push({
+                key: `${id}:${q}`,
+                label: `${id} ${PLOT_QUANTITIES[q].label}`,
+                points: samples.map(s => [s.t * ft, s[q] * fq])
+            });
+        }
+    }
+    return lines;
+}
+
+// 軸の範囲（データ全体 + 余白）
+function plotExtent(lines, index) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const line of lines) {
+        for (const point of line.points) {
+            if (point[index] < min) min = point[index];
+            if (point[index] > max) max = point[index];
+        }
+    }
+    if (!isFinite(min)) return [0, 1];
+    if (max - min <= 1e-12 * Math.max(Math.abs(min), Math.abs(max))) {
+        const pad = Math.abs(min) * 0.1 || 1;
+        return [min - pad, max + pad];
+    }
+    const pad = (max - min) * 0.05;
+    return [min - pad, max + pad];
+}
+
+function axisLabels() {
+    const unitOf = key => PLOT_QUANTITIES[key].dim ? unitLabel(PLOT_QUANTITIES[key].dim) : 'relative';
+    const phase = PHASE_VIEWS[plotSettings.view];
+    if (phase) {
+        const [a, b] = phase.map(key => `${PLOT_QUANTITIES[key].label} (${unitOf(key)})`);
+        return [a, b];
+    }
+    const units = [...new Set(plotSettings.quantities.map(unitOf))];
+    return [`t (${unitLabel('time')})`, units.join(', ')];
+}
+
+// draw() から毎フレーム呼ばれる（実際の再描画は間引く）
+function updatePlots() {
+    const now = performance.now();
+    if (now - lastPlotUpdate < PLOT_INTERVAL) return;
+    lastPlotUpdate = now;
+    renderPlots();
+}
+
+// 粒子の選択肢を現在の粒子に合わせる（選択状態は保つ）
+function syncPlotParticleOptions() {
+    const select = document.getElementById('plot-particles');
+    if (!select) return;
+    const ids = particles.map(p => p.id);
+    const current = Array.from(select.options).map(option => option.value);
+    if (ids.length === current.length && ids.every((id, i) => id === current[i])) return;
+
+    select.replaceChildren(...ids.map(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = id;
+        option.selected = plotSettings.particleIds.includes(id);
+        return option;
+    }));
+}
+
+function renderPlots() {
+    const svg = d3.select('#plot');
+    if (svg.empty()) return;
+    syncPlotParticleOptions();
+
+    const width = +svg.attr('width');
+    const height = +svg.attr('height');
+    const innerW = width - PLOT_MARGIN.left - PLOT_MARGIN.right;
+    const innerH = height - PLOT_MARGIN.top - PLOT_MARGIN.bottom;
+
+    // 初回のみ構造とズームを設定
+    if (!plotZoom) {
+        svg.append('defs').append('clipPath').attr('id', 'plot-clip')
+            .append('rect').attr('width', innerW).attr('height', innerH);
+        const root = svg.append('g').attr('class', 'plot-root')
+            .attr('transform', `translate(${PLOT_MARGIN.left},${PLOT_MARGIN.top})`);
+        root.append('g').attr('class', 'x-axis').attr('transform', `translate(0,${innerH})`);
+        root.append('g').attr('class', 'y-axis');
+        root.append('g').attr('class', 'lines').attr('clip-path', 'url(#plot-clip)');
+        root.append('g').attr('class', 'legend').attr('transform', `translate(${innerW + 10},0)`);
+        root.append('text').attr('class', 'x-label').attr('x', innerW).attr('y', innerH - 4).attr('text-anchor', 'end');
+        root.append('text').attr('class', 'y-label').attr('x', 4).attr('y', 10);
+
+        plotZoom = d3.zoom()
+            .extent([[0, 0], [width, height]])
+            .scaleExtent([0.1, 1000])
+            .on('zoom', (event) => {
+                plotTransform = event.transform;
+                renderPlots();
+            });
+        svg.call(plotZoom);
+    }
+
+    const lines = collectPlotLines();
+    const x = plotTransform.rescaleX(d3.scaleLinear().domain(plotExtent(lines, 0)).range([0, innerW]));
+    const y = plotTransform.rescaleY(d3.scaleLinear().domain(plotExtent(lines, 1)).range([innerH, 0]));
+    const color = d3.scaleOrdinal(d3.schemeCategory10).domain(lines.map(line => line.key));
+
+    const root = svg.select('.plot-root');
+    root.select('.x-axis').call(d3.axisBottom(x).ticks(8, '~g'));
+    root.select('.y-axis').call(d3.axisLeft(y).ticks(6, '~g'));
+
+    const [xLabel, yLabel] = axisLabels();
+    root.select('.x-label').text(xLabel);
+    root.select('.y-label').text(yLabel);
+
+    const path = d3.line().x(d => x(d[0])).y(d => y(d[1]));
+    root.select('.lines').selectAll('path')
+        .data(lines, line => line.key)
+        .join('path')
+        .attr('fill', 'none')
+        .attr('stroke-width', 1.5)
+        .attr('stroke', line => color(line.key))
+        .attr('d', line => path(line.points));
+
+    const legend = root.select('.legend').selectAll('g')
+        .data(lines, line => line.key)
+        .join(enter => {
+            const g = enter.append('g');
+            g.append('rect').attr('width', 12).attr('height', 3).attr('y', -2);
+            g.append('text').attr('x', 16).attr('dy', '0.35em');
+            return g;
+        })
+        .attr('transform', (_, i) => `translate(0,${i * 16 + 6})`);
+    legend.select('rect').attr('fill', line => color(line.key));
+    legend.select('text').text(line => line.label);
+}
+
+// 検出器に当たった粒子のヒストグラム（walls.js の記録から作る）
+const HISTOGRAM_MARGIN = { top: 10, right: 20, bottom: 30, left: 50 };
+const HISTOGRAM_DIMS = { s: 'length', x: 'length', y: 'length', t: 'time', energy: 'energy' };
+
+let histogramSettings = {
+    detectorId: null, // null なら最初の検出器
+    quantity: 's',
+    bins: 30,
+    reference: null   // 比較用の値（理論値など、コード単位）に縦線を引く
+};
+let lastHistogramUpdate = 0;
+
+function setHistogramSettings(settings) {
+    histogramSettings = Object.assign({}, histogramSettings, settings);
+    renderHistogram();
+}
+
+// draw() から毎フレーム呼ばれる（実際の再描画は間引く）
+function updateHistogram() {
+    const now = performance.now();
+    if (now - lastHistogramUpdate < PLOT_INTERVAL) return;
+    lastHistogramUpdate = now;
+    renderHistogram();
+}
+
+// 検出器の選択肢を現在の壁に合わせる
+function syncHistogramDetectorOptions(detectors) {
+    const select = document.getElementById('histogram-detector');
+    const key = detectors.map(wall => wall.id).join(',');
+    if (select.dataset.key === key) return;
+    select.dataset.key = key;
+    select.replaceChildren(...detectors.map(wall => {
+        const option = document.createElement('option');
+        option.value = wall.id;
+        option.textContent = `Detector ${wall.id}`;
+        return option;
+    }));
+    if (histogramSettings.detectorId) {
+        select.value = histogramSettings.detectorId;
+    }
+}
+
+function renderHistogram() {
+    const svg = d3.select('#histogram');
+    if (svg.empty()) return;
+
+    const detectors = walls.filter(wall => wall.behavior === 'detector');
+    syncHistogramDetectorOptions(detectors);
+    const detector = detectors.find(wall => wall.id === histogramSettings.detectorId) || detectors[0];
+    const factor = unitFactor(HISTOGRAM_DIMS[histogramSettings.quantity]);
+    const values = detector ? hitsForDetector(detector.id).map(hit => hit[histogramSettings.quantity] * factor) : [];
+
+    const width = +svg.attr('width');
+    const height = +svg.attr('height');
+    const innerW = width - HISTOGRAM_MARGIN.left - HISTOGRAM_MARGIN.right;
+    const innerH = height - HISTOGRAM_MARGIN.top - HISTOGRAM_MARGIN.bottom;
+
+    let root = svg.select('.histogram-root');
+    if (root.empty()) {
+        root = svg.append('g').attr('class', 'histogram-root')
+            .attr('transform', `translate(${HISTOGRAM_MARGIN.left},${HISTOGRAM_MARGIN.top})`);
+        root.append('g').attr('class', 'x-axis').attr('transform', `translate(0,${innerH})`);
+        root.append('g').attr('class', 'y-axis');
+        root.append('g').attr('class', 'bars');
+        root.append('line').attr('class', 'reference')
+            .attr('stroke', '#c00').attr('stroke-width', 1.5).attr('stroke-dasharray', '4 3');
+    }
+
+    // 範囲は記録と比較用の値を含める
+    const reference = histogramSettings.reference === null ? null : histogramSettings.reference * factor;
+    const extent = d3.extent(reference === null ? values : values.concat([reference]));
+    const pad = extent[0] === undefined ? 0 : Math.abs(extent[0]) * 0.1 || 1;
+    const domain = extent[0] === undefined ? [0, 1]
+        : extent[1] - extent[0] <= 1e-12 * Math.abs(extent[0]) ? [extent[0] - pad, extent[1] + pad] : extent;
+    const x = d3.scaleLinear().domain(domain).range([0, innerW]).nice();
+    const [d0, d1] = x.domain();
+    const n = histogramSettings.bins;
+    const thresholds = d3.range(1, n).map(i => d0 + (d1 - d0) * i / n);
+    const bins = d3.bin().domain([d0, d1]).thresholds(thresholds)(values);
+    const y = d3.scaleLinear().domain([0, d3.max(bins, bin => bin.length) || 1]).range([innerH, 0]).nice();
+
+    root.select('.x-axis').call(d3.axisBottom(x).ticks(8, '~g'));
+    root.select('.y-axis').call(d3.axisLeft(y).ticks(5));
+    root.select('.bars').selectAll('rect')
+        .data(bins)
+        .join('rect')
+        .attr('fill', '#e69500')
+        .attr('x', bin => x(bin.x0) + 0.5)
+        .attr('y', bin => y(bin.length))
+        .attr('width', bin => Math.max(0, x(bin.x1) - x(bin.x0) - 1))
+        .attr('height', bin => innerH - y(bin.length));
+    root.select('.reference')
+        .attr('display', reference === null ? 'none' : null)
+        .attr('x1', reference === null ? 0 : x(reference))
+        .attr('x2', reference === null ? 0 : x(reference))
+        .attr('y1', 0)
+        .attr('y2', innerH);
+
+    const stats = document.getElementById('histogram-stats');
+    stats.textContent = values.length
+        ? `N = ${values.length}, mean = ${d3.mean(values).toPrecision(4)}, σ = ${(d3.deviation(values) || 0).toPrecision(3)}` +
+            ` ${unitLabel(HISTOGRAM_DIMS[histogramSettings.quantity])}`
+        : 'No hits';
+}
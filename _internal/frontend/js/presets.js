@@ -0,0 +1,232 @@
+// プリセット（教材用のシナリオ）と段階的な説明
+// 各プリセットの scene は保存ファイルと同じ形式（scene.js）のデータで、loadScene で検証して読み込む
+// captions: [{ t, text }] はシミュレーション時刻 t に達すると画面に表示する説明（コード単位の時刻）
+// thumbnail は一覧に表示する SVG パス（viewBox 0 0 60 40）
+
+const NORMALIZED_UNITS = { system: 'normalized', reference: { q: 1, m: 1, B: 1, v: 1 } };
+
+const PRESETS = {
+    cyclotron: {
+        label: 'Cyclotron motion',
+        description: 'A uniform B field turns a charge into a circle whose period does not depend on speed.',
+        thumbnail: 'M30 8 A12 12 0 1 1 29.9 8 M30 14 A6 6 0 1 1 29.9 14',
+        scene: {
+            version: 2,
+            units: NORMALIZED_UNITS,
+            fields: { E: { magnitude: 0, angle_deg: 0 }, B: { magnitude: 1, angle_deg: 90 } },
+            particles: [
+                { q: 1, m: 1, x: 0, y: 2, vx: 2, vy: 0 },
+                { q: 1, m: 1, x: 0, y: 4, vx: 4, vy: 0 }
+            ],
+            simulation: { trailLength: 400 },
+            captions: [
+                { t: 0, text: 'B points out of the screen. The magnetic force F = qv × B pushes sideways on each moving charge.' },
+                { t: 1.5, text: 'F is always perpendicular to v, so the speed never changes: the path bends into a circle of radius r = mv / qB.' },
+                { t: 3.2, text: 'The faster particle runs on a circle twice as large (r = 4 against r = 2)…' },
+                { t: 6.2, text: '…yet both close their orbits together. The period T = 2πm / qB does not depend on the speed.' }
+            ]
+        }
+    },
+
+    exbDrift: {
+        label: 'E×B drift',
+        description: 'Crossed E and B fields make every charge drift sideways at E/B, whatever its sign.',
+        thumbnail: 'M4 30 C6 8 14 8 18 30 C20 8 28 8 32 30 C34 8 42 8 46 30 C48 8 56 8 58 22',
+        scene: {
+            version: 2,
+            units: NORMALIZED_UNITS,
+            fields: { E: { magnitude: 0.5, angle_deg: 90 }, B: { magnitude: 1, angle_deg: 90 } },
+            particles: [
+                { q: 1, m: 1, x: -10, y: 2, vx: 0, vy: 0 },
+                { q: -1, m: 1, x: -10, y: -2, vx: 0, vy: 0 }
+            ],
+            guidingCenter: { overlay: true, motion: 'full' },
+            simulation: { trailLength: 900 },
+            captions: [
+                { t: 0, text: 'E points up and B out of the screen. Both charges start at rest.' },
+                { t: 2, text: 'E speeds the charge up, then B turns it back: the path is a cycloid that stops for an instant at every cusp.' },
+                { t: 8, text: 'The guiding center moves at the drift velocity v = E × B / B² = 0.5 to the right.' },
+                { t: 16, text: 'The negative charge turns the other way, yet it drifts in the same direction: the E×B drift does not depend on q or m.' }
+            ]
+        }
+    },
+
+    velocitySelector: {
+        label: 'Velocity selector',
+        description: 'Crossed fields pass only the speed v = E/B straight through the slit.',
+        thumbnail: 'M4 20 H56 M4 20 H18 Q36 20 56 6 M4 20 H18 Q36 20 56 34 M44 4 V17 M44 23 V36',
+        scene: {
+            version: 2,
+            units: NORMALIZED_UNITS,
+            fields: {
+                E: { magnitude: 0, angle_deg: 0 },
+                B: { magnitude: 0, angle_deg: 90 },
+                sources: [{ type: 'rectRegion', x1: -4, y1: -3, x2: 4, y2: 3, Ex: 0, Ey: 1, Bz: 1 }]
+            },
+            particles: [
+                { q: 1, m: 1, x: -8, y: 0, vx: 0.5, vy: 0 },
+                { q: 1, m: 1, x: -8, y: 0, vx: 1, vy: 0 },
+                { q: 1, m: 1, x: -8, y: 0, vx: 2, vy: 0 }
+            ],
+            walls: [
+                { shape: 'segment', behavior: 'absorb', x1: 6, y1: 0.4, x2: 6, y2: 6 },
+                { shape: 'segment', behavior: 'absorb', x1: 6, y1: -6, x2: 6, y2: -0.4 }
+            ],
+            simulation: { trailLength: 900 },
+            captions: [
+                { t: 0, text: 'Inside the dashed box E points up (E = 1) and B out of the screen (B = 1). Three charges enter at speeds 0.5, 1 and 2.' },
+                { t: 4, text: 'The electric force qE is the same for all of them, but the magnetic force qvB grows with speed.' },
+                { t: 8, text: 'Only at v = E / B = 1 do the two forces cancel. Faster charges bend down, slower ones bend up.' },
+                { t: 14, text: 'Only the selected speed passes through the slit. Change E or B to select a different speed.' }
+            ]
+        }
+    },
+
+    massSpectrometer: {
+        label: 'Mass spectrometer',
+        description: 'Ions of equal speed land at distances proportional to their mass.',
+        thumbnail: 'M10 34 A5 5 0 0 1 20 34 M10 34 A10 10 0 0 1 30 34 M10 34 A15 15 0 0 1 40 34 M4 36 H56',
+        scene: {
+            version: 2,
+            units: NORMALIZED_UNITS,
+            fields: {
+                E: { magnitude: 0, angle_deg: 0 },
+                B: { magnitude: 0, angle_deg: 90 },
+                sources: [{ type: 'rectRegion', x1: -10, y1: 0, x2: 10, y2: 10, Ex: 0, Ey: 0, Bz: 1 }]
+            },
+            emitters: [{
+                x: 0, y: -3, angle_deg: 90, spread_deg: 0, rate: 2, limit: 30, lifetime: 0,
+                speed: '1', charge: '1', mass: '1', species: '1:1:1, 1:2:1, 1:3:1'
+            }],
+            walls: [{ shape: 'segment', behavior: 'detector', x1: 0.5, y1: -0.5, x2: 9, y2: -0.5 }],
+            domain: { boundary: 'absorbing', halfSize: 50 },
+            simulation: { trailLength: 400 },
+            captions: [
+                { t: 0, text: 'The source fires ions of charge 1 and mass 1, 2 or 3 upward at the same speed into a region where B points out of the screen.' },
+                { t: 3, text: 'Each ion follows a half circle of radius r = mv / qB, so heavier ions swing wider.' },
+                { t: 8, text: 'They land on the detector at x = 2r = 2, 4 and 6. The hit histogram shows one peak per mass.' }
+            ]
+        }
+    },
+
+    magneticBottle: {
+        label: 'Magnetic bottle',
+        description: 'A field that strengthens at both ends reflects charges with a large pitch angle (3D).',
+        thumbnail: 'M4 12 Q30 2 56 12 M4 28 Q30 38 56 28 M8 20 C11 8 14 32 17 20 C20 8 23 32 26 20 C29 8 32 32 35 20 C38 8 41 32 44 20 C47 8 50 32 52 20',
+        scene: {
+            version: 2,
+            units: NORMALIZED_UNITS,
+            fields: {
+                E: { magnitude: 0, angle_deg: 0 },
+                B: { magnitude: 0, angle_deg: 90 },
+                sources: [{ type: 'mirror', cx: 0, cy: 0, B0: 1, ratio: 4, L: 6 }]
+            },
+            mode3D: true,
+            particles: [
+                { q: 1, m: 1, x: 0, y: -1.2, z: 0, vx: 0.6, vy: 0, vz: 1.2 },
+                { q: 1, m: 1, x: 0, y: -0.5, z: 0, vx: 1.5, vy: 0, vz: 0.5 }
+            ],
+            simulation: { trailLength: 900 },
+            captions: [
+                { t: 0, text: 'The field runs along x. It is weakest in the middle (B = 1) and four times stronger at the coils (mirror ratio R = 4).' },
+                { t: 4, text: 'Moving into the stronger field, the charge gyrates faster: the magnetic moment μ = mv⊥² / 2B stays constant.' },
+                { t: 8, text: 'Energy is conserved, so v∥ must shrink. It reaches zero and the charge is reflected back: it is trapped.' },
+                { t: 14, text: 'The second charge has too small a pitch angle (sin²θ < 1/R). It is in the loss cone and escapes through the coil.' }
+            ]
+        }
+    },
+
+    hallEffect: {
+        label: 'Hall effect',
+        description: 'Positive and negative carriers carrying the same current pile up on the same edge.',
+        thumbnail: 'M4 6 H56 M4 18 H56 M4 22 H56 M4 34 H56 M6 10 Q22 10 30 18 M54 26 Q38 26 30 34',
+        scene: {
+            version: 2,
+            units: NORMALIZED_UNITS,
+            fields: { E: { magnitude: 0, angle_deg: 0 }, B: { magnitude: 0.25, angle_deg: 90 } },
+            emitters: [
+                { x: -10, y: 3, angle_deg: 0, spread_deg: 0, rate: 3, limit: 40, lifetime: 0, speed: '1', charge: '1', mass: '1' },
+                { x: 10, y: -3, angle_deg: 180, spread_deg: 0, rate: 3, limit: 40, lifetime: 0, speed: '1', charge: '-1', mass: '1' }
+            ],
+            walls: [
+                { shape: 'segment', behavior: 'absorb', x1: -12, y1: 5, x2: 12, y2: 5 },
+                { shape: 'segment', behavior: 'detector', x1: -12, y1: 1, x2: 12, y2: 1 },
+                { shape: 'segment', behavior: 'absorb', x1: -12, y1: -1, x2: 12, y2: -1 },
+                { shape: 'segment', behavior: 'detector', x1: -12, y1: -5, x2: 12, y2: -5 }
+            ],
+            domain: { boundary: 'absorbing', halfSize: 50 },
+            simulation: { trailLength: 300 },
+            captions: [
+                { t: 0, text: 'Two conducting strips carry the same current to the right. In the top strip the carriers are positive and move right; in the bottom strip they are negative and move left.' },
+                { t: 3, text: 'With B out of the screen, qv × B points down for both kinds of carrier.' },
+                { t: 8, text: 'So both pile up on the lower edge: it charges positively in the top strip and negatively in the bottom one. The sign of the Hall voltage reveals the sign of the carriers.' }
+            ]
+        }
+    },
+
+    cyclotronAccelerator: {
+        label: 'Cyclotron accelerator',
+        description: 'An alternating field across the gap gives the charge a kick every half turn.',
+        thumbnail: 'M30 20 A2 2 0 0 1 34 20 A4 4 0 0 1 26 20 A6 6 0 0 1 38 20 A8 8 0 0 1 22 20 A10 10 0 0 1 42 20 A12 12 0 0 1 18 20 A14 14 0 0 1 46 20',
+        scene: {
+            version: 2,
+            units: NORMALIZED_UNITS,
+            fields: {
+                E: { magnitude: 0, angle_deg: 0 },
+                B: { magnitude: 1, angle_deg: 90 },
+                sources: [{ type: 'expression', Ex: 'abs(x) < 0.5 ? 0.3 * cos(t) : 0', Ey: '0', Bz: '0' }]
+            },
+            particles: [{ q: 1, m: 1, x: 0, y: 0, vx: 0, vy: 0 }],
+            simulation: { trailLength: null },
+            captions: [
+                { t: 0, text: 'In the narrow gap at x = 0 an electric field oscillates as cos(t), at the cyclotron frequency qB / m = 1.' },
+                { t: 3.2, text: 'Half a turn later the charge is back at the gap moving the other way — and the field has reversed, so it is pushed again.' },
+                { t: 20, text: 'Every crossing adds energy and the orbit grows, but the period 2πm / qB stays the same, so the field stays in step.' },
+                { t: 60, text: 'Turn on Relativity: as the mass grows with speed the charge falls behind the field and stops gaining energy.' }
+            ]
+        }
+    },
+
+    electronPositron: {
+        label: 'Electron vs positron',
+        description: 'Opposite charges of equal mass curl the opposite ways on identical circles.',
+        thumbnail: 'M30 20 A8 8 0 1 1 14 20 A8 8 0 1 1 30 20 M30 20 A8 8 0 1 0 46 20 A8 8 0 1 0 30 20',
+        scene: {
+            version: 2,
+            units: NORMALIZED_UNITS,
+            fields: { E: { magnitude: 0, angle_deg: 0 }, B: { magnitude: 1, angle_deg: 90 } },
+            particles: [
+                { q: -1, m: 1, x: 0, y: 0, vx: 0, vy: 2 },
+                { q: 1, m: 1, x: 0, y: 0, vx: 0, vy: 2 }
+            ],
+            simulation: { trailLength: 400 },
+            captions: [
+                { t: 0, text: 'An electron (q = −1) and a positron (q = +1) of equal mass leave the origin together, moving up.' },
+                { t: 1.5, text: 'The force qv × B has opposite signs, so they curl opposite ways: the positron clockwise, the electron counter-clockwise.' },
+                { t: 6.3, text: 'Mirror-image circles with the same radius and period. The sense of rotation tells the sign of the charge, as in a bubble chamber.' }
+            ]
+        }
+    }
+};
+
+let lessonCaptions = []; // 時刻順の [{ t, text }]
+
+// 説明を設定する（時刻順に並べ替える）
+function setLessonCaptions(captions) {
+    lessonCaptions = captions.map(caption => {
+        const t = parseFloat(caption.t);
+        if (!isFinite(t) || t < 0) {
+            throw new Error('Caption: the time must be a non-negative number');
+        }
+        return { t, text: String(caption.text || '') };
+    }).sort((a, b) => a.t - b.t);
+}
+
+// 時刻 t に表示する説明の番号（まだなければ -1）
+function lessonCaptionIndex(t) {
+    let index = -1;
+    lessonCaptions.forEach((caption, i) => {
+        if (caption.t <= t + 1e-9) index = i;
+    });
+    return index;
+}
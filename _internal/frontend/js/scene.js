@@ -0,0 +1,525 @@
+// シーンファイル（保存・読み込み）の形式と検証・移行
+// 値はすべてコード単位で、units に単位系・基準と各量のコード単位 1 あたりの SI の値を付ける
+// 版 1: 版番号のない旧形式（時間刻みなどが最上位にあり、軌跡・カメラは含まない）
+// 版 2: version を持ち、軌跡・選択中の粒子・積分法・カメラ・UI の入力値を含む
+// 読み込みは 移行 → 検証 → 適用 の順で、検証に通らなければ状態を変えずにエラーの一覧を返す
+
+const SCENE_VERSION = 2;
+const SCENE_ERROR_LIMIT = 12; // エラーメッセージに並べる件数の上限
+
+// 版 n のシーンを版 n + 1 にする
+const SCENE_MIGRATIONS = {
+    1: scene => {
+        const { simulationTime, timeScale, physicsDt, substeps, trailLength, ...rest } = scene;
+        const migrated = Object.assign({}, rest, {
+            version: 2,
+            units: scene.units || { system: 'SI', reference: DEFAULT_UNIT_REFERENCE },
+            simulation: { time: simulationTime, timeScale, dt: physicsDt, substeps, trailLength }
+        });
+        // 境界の種類がない形式は removeOutside から決める
+        if (scene.domain && scene.domain.boundary === undefined) {
+            migrated.domain = {
+                boundary: scene.domain.removeOutside === false ? 'open' : 'absorbing',
+                halfSize: scene.domain.halfSize
+            };
+        }
+        return migrated;
+    }
+};
+
+// 現在の状態をシーンにする（共有リンクでは長さを抑えるため軌跡を省く）
+function buildScene({ trails = true } = {}) {
+    const selected = particles.find(p => p.selected);
+    return {
+        version: SCENE_VERSION,
+        units: exportUnits(),
+        fields: {
+            E: electricField,
+            B: magneticField,
+            B_direction: magneticDirection,
+            sources: fieldSources,
+            waveforms: {
+                E: electricWaveform,
+                B: magneticWaveform
+            }
+        },
+        particles: particles.map(p => ({
+            id: p.id,
+            q: p.q,
+            m: p.m,
+            x: p.x,
+            y: p.y,
+            z: p.z,
+            vx: p.vx,
+            vy: p.vy,
+            vz: p.vz,
+            birthTime: p.birthTime,
+            lifetime: p.lifetime,
+            emitterId: p.emitterId,
+            trail: !trails ? [] : p.trail.toArray()
+        })),
+        selectedParticle: selected ? selected.id : null,
+        forces: forceTerms,
+        emitters: emitters,
+        walls: walls,
+        domain: domain,
+        annotations: annotations,
+        mode3D: mode3D,
+        relativity: relativity,
+        guidingCenter: guidingCenterSettings,
+        fieldLayers: fieldLayerSettings,
+        interaction: interactionSettings,
+        captions: lessonCaptions,
+        simulation: {
+            time: simulationTime,
+            timeScale: timeScale,
+            dt: physicsDt,
+            substeps: substeps,
+            integrator: integrator,
+            tolerance: integratorTolerance,
+            trailLength: isFinite(trailLength) ? trailLength : null // null は無限
+        },
+        camera: {
+            view2D: Object.assign({}, view2D),
+            view3D: Object.assign({}, camera3D),
+            projections: Object.assign({}, projectionPlanes)
+        },
+        ui: readSceneUiState()
+    };
+}
+
+// エクスポート（シーンの保存）
+function exportScene() {
+    const json = JSON.stringify(buildScene(), null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'lorentz_simulation.json';
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+// インポート（シーンの読み込み）
+function importScene(file) {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            let scene;
+            try {
+                scene = JSON.parse(e.target.result);
+            } catch (error) {
+                throw new Error(`${file.name} is not a JSON file: ${error.message}`);
+            }
+            loadScene(scene);
+            console.log('Scene loaded successfully');
+        } catch (error) {
+            console.error('Failed to load scene:', error);
+            alert(error.message);
+        }
+    };
+    reader.readAsText(file);
+}
+
+// 旧い版のシーンを移行し、検証してから適用する
+function loadScene(scene) {
+    const migrated = migrateScene(scene);
+    validateScene(migrated);
+    applyScene(migrated);
+}
+
+function migrateScene(scene) {
+    if (!isSceneObject(scene)) {
+        throw new Error('The scene must be a JSON object');
+    }
+    let version = scene.version === undefined ? 1 : scene.version;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`version: unknown scene version ${describeSceneValue(scene.version)}`);
+    }
+    if (version > SCENE_VERSION) {
+        throw new Error(`version: the scene was saved in format ${version}, but this visualizer reads up to ${SCENE_VERSION}`);
+    }
+
+    let migrated = scene;
+    for (; version < SCENE_VERSION; version++) {
+        migrated = SCENE_MIGRATIONS[version](migrated);
+    }
+    return migrated;
+}
+
+// 項目ごとに検証し、問題があれば「パス: 理由」を並べた Error を投げる
+// ソース・力・エミッタ・壁・注記・波形はそれぞれの create 関数でも検証する
+function validateScene(scene) {
+    const errors = [];
+    const number = (value, path, options) => checkSceneNumber(errors, value, path, options);
+    const boolean = (value, path) => checkSceneType(errors, value, path, 'boolean');
+    const oneOf = (value, path, options) => checkSceneOption(errors, value, path, options);
+    const object = (value, path, required) => checkSceneObject(errors, value, path, required);
+    const list = (value, path, check) => checkSceneList(errors, value, path, check);
+    const create = (path, fn) => {
+        try {
+            fn();
+        } catch (error) {
+            errors.push(`${path}: ${error.message}`);
+        }
+    };
+
+    if (object(scene.units, 'units', true)) {
+        oneOf(scene.units.system, 'units.system', Object.keys(UNIT_SYSTEMS));
+        if (object(scene.units.reference, 'units.reference')) {
+            for (const key of ['q', 'm', 'B', 'v']) {
+                number(scene.units.reference[key], `units.reference.${key}`, { nonZero: true });
+            }
+        }
+    }
+
+    if (object(scene.fields, 'fields', true)) {
+        const fields = scene.fields;
+        for (const key of ['E', 'B']) {
+            if (object(fields[key], `fields.${key}`, true)) {
+                number(fields[key].magnitude, `fields.${key}.magnitude`, { required: true, min: 0 });
+                number(fields[key].angle_deg, `fields.${key}.angle_deg`, { required: true });
+            }
+        }
+        if (object(fields.B_direction, 'fields.B_direction')) {
+            number(fields.B_direction.azimuth_deg, 'fields.B_direction.azimuth_deg', { required: true });
+            number(fields.B_direction.elevation_deg, 'fields.B_direction.elevation_deg', { required: true, min: -90, max: 90 });
+        }
+        list(fields.sources, 'fields.sources', (source, path) => {
+            create(path, () => createFieldSource(source.type, source));
+        });
+        if (object(fields.waveforms, 'fields.waveforms')) {
+            for (const key of ['E', 'B']) {
+                if (object(fields.waveforms[key], `fields.waveforms.${key}`)) {
+                    create(`fields.waveforms.${key}`, () => createWaveform(fields.waveforms[key].type, fields.waveforms[key]));
+                }
+            }
+        }
+    }
+
+    const ids = new Set();
+    list(scene.particles, 'particles', (p, path) => {
+        for (const key of ['q', 'x', 'y', 'vx', 'vy']) {
+            number(p[key], `${path}.${key}`, { required: true });
+        }
+        number(p.m, `${path}.m`, { required: true, positive: true });
+        number(p.z, `${path}.z`);
+        number(p.vz, `${path}.vz`);
+        number(p.birthTime, `${path}.birthTime`);
+        if (p.lifetime !== null) {
+            number(p.lifetime, `${path}.lifetime`, { min: 0 });
+        }
+        if (p.id !== undefined) {
+            if (typeof p.id !== 'string' || !p.id) {
+                errors.push(`${path}.id: expected a non-empty string, got ${describeSceneValue(p.id)}`);
+            } else if (ids.has(p.id)) {
+                errors.push(`${path}.id: "${p.id}" is used by another particle`);
+            }
+            ids.add(p.id);
+        }
+        // 軌跡は最初に見つかった不正な点だけを報告する
+        if (p.trail !== undefined && !Array.isArray(p.trail)) {
+            errors.push(`${path}.trail: expected an array, got ${describeSceneValue(p.trail)}`);
+        } else if (p.trail) {
+            const bad = p.trail.findIndex(point => !isSceneObject(point) ||
+                ![point.x, point.y, point.t].every(v => typeof v === 'number' && isFinite(v)) ||
+                (point.z !== undefined && !(typeof point.z === 'number' && isFinite(point.z))));
+            if (bad >= 0) {
+                errors.push(`${path}.trail[${bad}]: expected { x, y, t } numbers (and an optional z)`);
+            }
+        }
+    });
+    if (scene.selectedParticle !== undefined && scene.selectedParticle !== null && !ids.has(scene.selectedParticle)) {
+        errors.push(`selectedParticle: no particle has the id ${describeSceneValue(scene.selectedParticle)}`);
+    }
+
+    list(scene.forces, 'forces', (term, path) => {
+        create(path, () => createForceTerm(term.type, term));
+    });
+    list(scene.emitters, 'emitters', (emitter, path) => {
+        create(path, () => createEmitter(emitter));
+    });
+    list(scene.walls, 'walls', (wall, path) => {
+        create(path, () => createWall(wall.shape, wall.behavior, wall));
+    });
+    if (object(scene.domain, 'domain')) {
+        oneOf(scene.domain.boundary, 'domain.boundary', Object.keys(BOUNDARY_TYPES));
+        number(scene.domain.halfSize, 'domain.halfSize', { positive: true });
+    }
+    list(scene.annotations, 'annotations', (annotation, path) => {
+        create(path, () => createAnnotation(annotation));
+    });
+
+    boolean(scene.mode3D, 'mode3D');
+    if (object(scene.relativity, 'relativity')) {
+        boolean(scene.relativity.enabled, 'relativity.enabled');
+        number(scene.relativity.c, 'relativity.c', { positive: true });
+        boolean(scene.relativity.compare, 'relativity.compare');
+    }
+    if (object(scene.guidingCenter, 'guidingCenter')) {
+        boolean(scene.guidingCenter.overlay, 'guidingCenter.overlay');
+        oneOf(scene.guidingCenter.motion, 'guidingCenter.motion', GUIDING_CENTER_MOTIONS);
+    }
+    if (object(scene.fieldLayers, 'fieldLayers')) {
+        for (const layer of Object.keys(FIELD_LAYERS)) {
+            boolean(scene.fieldLayers[layer], `fieldLayers.${layer}`);
+        }
+        oneOf(scene.fieldLayers.heatmapQuantity, 'fieldLayers.heatmapQuantity', Object.keys(HEATMAP_QUANTITIES));
+    }
+    if (object(scene.interaction, 'interaction')) {
+        const interaction = scene.interaction;
+        boolean(interaction.enabled, 'interaction.enabled');
+        number(interaction.k, 'interaction.k');
+        number(interaction.softening, 'interaction.softening', { min: 0 });
+        oneOf(interaction.method, 'interaction.method', INTERACTION_METHODS);
+        number(interaction.theta, 'interaction.theta', { min: 0 });
+        boolean(interaction.magnetic, 'interaction.magnetic');
+        number(interaction.mu, 'interaction.mu');
+    }
+    list(scene.captions, 'captions', (caption, path) => {
+        number(caption.t, `${path}.t`, { required: true, min: 0 });
+        checkSceneType(errors, caption.text, `${path}.text`, 'string');
+    });
+
+    if (object(scene.simulation, 'simulation')) {
+        const simulation = scene.simulation;
+        number(simulation.time, 'simulation.time', { min: 0 });
+        number(simulation.timeScale, 'simulation.timeScale', { positive: true });
+        number(simulation.dt, 'simulation.dt', { positive: true });
+        number(simulation.substeps, 'simulation.substeps', { integer: true, min: 1 });
+        oneOf(simulation.integrator, 'simulation.integrator', Object.keys(INTEGRATORS));
+        number(simulation.tolerance, 'simulation.tolerance', { positive: true });
+        if (simulation.trailLength !== null) {
+            number(simulation.trailLength, 'simulation.trailLength', { integer: true, min: 1 });
+        }
+    }
+
+    if (object(scene.camera, 'camera')) {
+        const camera = scene.camera;
+        if (object(camera.view2D, 'camera.view2D')) {
+            number(camera.view2D.centerX, 'camera.view2D.centerX');
+            number(camera.view2D.centerY, 'camera.view2D.centerY');
+            number(camera.view2D.scale, 'camera.view2D.scale', { positive: true });
+            boolean(camera.view2D.follow, 'camera.view2D.follow');
+        }
+        if (object(camera.view3D, 'camera.view3D')) {
+            number(camera.view3D.yaw, 'camera.view3D.yaw');
+            number(camera.view3D.pitch, 'camera.view3D.pitch', { min: -1.5, max: 1.5 });
+            number(camera.view3D.distance, 'camera.view3D.distance', { positive: true });
+        }
+        if (object(camera.projections, 'camera.projections')) {
+            for (const plane of ['xy', 'xz', 'yz']) {
+                boolean(camera.projections[plane], `camera.projections.${plane}`);
+            }
+        }
+    }
+
+    if (object(scene.ui, 'ui')) {
+        if (object(scene.ui.particle, 'ui.particle')) {
+            const particle = scene.ui.particle;
+            oneOf(particle.species, 'ui.particle.species', Object.keys(SPECIES));
+            for (const key of ['charge', 'mass', 'vx', 'vy', 'vz', 'z', 'a']) {
+                number(particle[key], `ui.particle.${key}`);
+            }
+        }
+        oneOf(scene.ui.measureTool, 'ui.measureTool', Object.keys(MEASURE_TOOLS));
+    }
+
+    if (errors.length) {
+        const shown = errors.slice(0, SCENE_ERROR_LIMIT).map(error => `• ${error}`);
+        if (errors.length > SCENE_ERROR_LIMIT) {
+            shown.push(`…and ${errors.length - SCENE_ERROR_LIMIT} more`);
+        }
+        throw new Error(`The scene is invalid:\n${shown.join('\n')}`);
+    }
+}
+
+function isSceneObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// エラーメッセージ用の短い値の表記
+function describeSceneValue(value) {
+    const text = value === undefined ? 'nothing' : JSON.stringify(value);
+    return text.length > 30 ? `${text.slice(0, 27)}...` : text;
+}
+
+// 省略可能な項目は undefined なら検査しない
+function checkSceneObject(errors, value, path, required = false) {
+    if (value === undefined && !required) return false;
+    if (!isSceneObject(value)) {
+        errors.push(`${path}: expected an object, got ${describeSceneValue(value)}`);
+        return false;
+    }
+    return true;
+}
+
+function checkSceneList(errors, value, path, check) {
+    if (value === undefined) return;
+    if (!Array.isArray(value)) {
+        errors.push(`${path}: expected an array, got ${describeSceneValue(value)}`);
+        return;
+    }
+    value.forEach((item, i) => {
+        if (checkSceneObject(errors, item, `${path}[${i}]`, true)) {
+            check(item, `${path}[${i}]`);
+        }
+    });
+}
+
+function checkSceneNumber(errors, value, path, options = {}) {
+    if (value === undefined) {
+        if (options.required) {
+            errors.push(`${path}: missing (expected a number)`);
+        }
+        return;
+    }
+    if (typeof value !== 'number' || !isFinite(value)) {
+        errors.push(`${path}: expected a number, got ${describeSceneValue(value)}`);
+    } else if (options.integer && !Number.isInteger(value)) {
+        errors.push(`${path}: expected a whole number, got ${value}`);
+    } else if (options.positive && value <= 0) {
+        errors.push(`${path}: must be positive, got ${value}`);
+    } else if (options.nonZero && value === 0) {
+        errors.push(`${path}: must not be zero`);
+    } else if (options.min !== undefined && value < options.min) {
+        errors.push(`${path}: must be at least ${options.min}, got ${value}`);
+    } else if (options.max !== undefined && value > options.max) {
+        errors.push(`${path}: must be at most ${options.max}, got ${value}`);
+    }
+}
+
+function checkSceneType(errors, value, path, type) {
+    if (value !== undefined && typeof value !== type) {
+        errors.push(`${path}: expected a ${type}, got ${describeSceneValue(value)}`);
+    }
+}
+
+function checkSceneOption(errors, value, path, options) {
+    if (value !== undefined && !options.includes(value)) {
+        errors.push(`${path}: ${describeSceneValue(value)} is not one of ${options.join(', ')}`);
+    }
+}
+
+// 検証済みのシーンを適用する（省略した項目は既定値になる）
+// UI のスライダー・ボタン・一覧も読み込んだ値に合わせる
+function applyScene(scene) {
+    // 単位系と基準
+    applyUnitChange(() => {
+        setUnitSystem(scene.units.system || 'SI');
+        setUnitReference(scene.units.reference || DEFAULT_UNIT_REFERENCE);
+    });
+
+    // フィールドを設定
+    setElectricField(scene.fields.E.magnitude, scene.fields.E.angle_deg);
+    setMagneticField(scene.fields.B.magnitude, scene.fields.B.angle_deg);
+    setFieldSources((scene.fields.sources || []).map(source => createFieldSource(source.type, source)));
+    renderFieldSourceList();
+
+    const waveforms = scene.fields.waveforms || {};
+    const eWaveform = waveforms.E ? createWaveform(waveforms.E.type, waveforms.E) : CONSTANT_WAVEFORM;
+    const bWaveform = waveforms.B ? createWaveform(waveforms.B.type, waveforms.B) : CONSTANT_WAVEFORM;
+    setElectricWaveform(eWaveform);
+    setMagneticWaveform(bWaveform);
+    syncWaveformControls('e', eWaveform);
+    syncWaveformControls('b', bWaveform);
+
+    // 追加の力
+    setForceTerms((scene.forces || []).map(term => createForceTerm(term.type, term)));
+    renderForceList();
+
+    // エミッタ・壁と領域
+    setEmitters((scene.emitters || []).map(emitter => createEmitter(emitter)));
+    renderEmitterList();
+    setWalls((scene.walls || []).map(wall => createWall(wall.shape, wall.behavior, wall)));
+    renderWallList();
+    const sceneDomain = scene.domain || {};
+    setDomain({
+        boundary: sceneDomain.boundary || DEFAULT_DOMAIN.boundary,
+        halfSize: sceneDomain.halfSize || DEFAULT_DOMAIN.halfSize
+    });
+    syncDomainControls();
+
+    // 固定した測定
+    setAnnotations((scene.annotations || []).map(annotation => createAnnotation(annotation)));
+    renderAnnotationList();
+
+    // 3Dモードと磁場の向き
+    const direction = scene.fields.B_direction || { azimuth_deg: 0, elevation_deg: 90 };
+    setMagneticDirection(direction.azimuth_deg, direction.elevation_deg);
+    setMode3D(!!scene.mode3D);
+    document.body.classList.toggle('mode-3d', !!scene.mode3D);
+    syncUniformFieldControls();
+
+    // 時間刻みと積分法（無限の軌跡は null）
+    const simulation = scene.simulation || {};
+    setTimeScale(simulation.timeScale || 1.0);
+    setPhysicsDt(simulation.dt || 1 / 60);
+    setSubsteps(simulation.substeps || 1);
+    setIntegrator(simulation.integrator || 'RK4');
+    setIntegratorTolerance(simulation.tolerance || 1e-6);
+    setTrailLength(simulation.trailLength === null ? Infinity : simulation.trailLength || 200);
+    syncTimeControls();
+    syncIntegratorControls();
+    syncTrailLengthControls();
+
+    // パーティクルをクリアして軌跡ごと再作成（id のない粒子には番号を振る）
+    clearParticles();
+    (scene.particles || []).forEach(pData => {
+        const particle = new Particle(
+            pData.id || `p${particleIdCounter}`,
+            pData.q,
+            pData.m,
+            pData.x,
+            pData.y,
+            pData.vx,
+            pData.vy,
+            mode3D ? pData.z || 0 : 0,
+            mode3D ? pData.vz || 0 : 0
+        );
+        particle.birthTime = pData.birthTime || 0;
+        particle.lifetime = pData.lifetime === undefined ? null : pData.lifetime;
+        particle.emitterId = pData.emitterId || null;
+        // 容量（trailLength）を超える分は古い点から捨てられる
+        for (const point of pData.trail || []) {
+            particle.trail.push(point.x, point.y, mode3D ? point.z || 0 : 0, point.t, point.jump);
+        }
+        particles.push(particle);
+        particleIdCounter = Math.max(particleIdCounter, parseInt(particle.id.slice(1), 10) + 1 || 0);
+    });
+    simulationTime = simulation.time || 0;
+    selectParticle(particles.find(p => p.id === scene.selectedParticle) || null);
+
+    // 相対論モード・案内中心（比較用の軌道と案内中心は粒子の作成後に作る）
+    setRelativitySettings(scene.relativity || { enabled: false, c: 5.0, compare: false });
+    syncRelativityControls();
+    setGuidingCenterSettings(Object.assign({ overlay: false, motion: 'full' }, scene.guidingCenter));
+    syncGuidingCenterControls();
+    setFieldLayerSettings(Object.assign({
+        arrows: true, quiver: false, streamlines: false, equipotentials: false, heatmap: false,
+        heatmapQuantity: 'E'
+    }, scene.fieldLayers));
+    syncFieldLayerControls();
+    setInteractionSettings(Object.assign({
+        enabled: false, k: 1.0, softening: 0.1, method: 'direct', theta: 0.5, magnetic: false, mu: 1.0
+    }, scene.interaction));
+    syncInteractionControls();
+
+    // カメラ（2D の視点・3D の視点・投影面）
+    const camera = scene.camera || {};
+    resetView2D();
+    Object.assign(view2D, camera.view2D);
+    resetView3D();
+    Object.assign(camera3D, camera.view3D);
+    const projections = camera.projections || {};
+    for (const plane of ['xy', 'xz', 'yz']) {
+        setProjectionPlane(plane, !!projections[plane]);
+    }
+    syncViewControls();
+
+    // 粒子パラメータの入力欄と測定ツール
+    applySceneUiState(scene.ui || {});
+
+    // 学習用の説明（プリセット）
+    setLessonCaptions(scene.captions || []);
+}
@@ -0,0 +1,92 @@
+// オシロスコープ表示（キャンバス下の帯）
+// 一様場 E(t) と Bz(t) を現在時刻の前後にわたって表示する
+
+const SCOPE_PAST = 8;   // 表示する過去の時間幅（コード単位）
+const SCOPE_FUTURE = 2; // 表示する未来の時間幅（コード単位）
+const SCOPE_SAMPLES = 300;
+
+function drawOscilloscope(t) {
+    const canvas = document.getElementById('scope');
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width;
+    const h = canvas.height;
+    const left = 40;
+    const plotW = w - left - 10;
+    const mid = h / 2;
+
+    // サンプリング（E は角度方向の符号付き強さ、B は符号付き Bz）
+    const t0 = t - SCOPE_PAST;
+    const span = SCOPE_PAST + SCOPE_FUTURE;
+    const eValues = [];
+    const bValues = [];
+    let maxAbs = 1;
+    for (let i = 0; i <= SCOPE_SAMPLES; i++) {
+        const time = t0 + span * i / SCOPE_SAMPLES;
+        const E = electricField.magnitude * evaluateWaveform(electricWaveform, time);
+        const Bz = uniformField(time).Bz;
+        eValues.push(E);
+        bValues.push(Bz);
+        maxAbs = Math.max(maxAbs, Math.abs(E), Math.abs(Bz));
+    }
+    const yScale = (h / 2 - 12) / maxAbs;
+
+    ctx.fillStyle = '#fafafa';
+    ctx.fillRect(0, 0, w, h);
+
+    // 軸
+    ctx.strokeStyle = '#ccc';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(left, mid);
+    ctx.lineTo(w - 10, mid);
+    ctx.stroke();
+
+    ctx.fillStyle = '#666';
+    ctx.font = '11px Arial';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`+${maxAbs.toFixed(1)}`, left - 4, 12);
+    ctx.fillText('0', left - 4, mid);
+    ctx.fillText(`-${maxAbs.toFixed(1)}`, left - 4, h - 12);
+
+    // 曲線
+    const plot = (values, color) => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        values.forEach((value, i) => {
+            const x = left + plotW * i / SCOPE_SAMPLES;
+            const y = mid - value * yScale;
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+    };
+    plot(eValues, 'rgba(255, 165, 0, 0.9)');
+    plot(bValues, 'rgba(0, 0, 255, 0.8)');
+
+    // 現在時刻
+    const nowX = left + plotW * SCOPE_PAST / span;
+    ctx.strokeStyle = '#999';
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    ctx.moveTo(nowX, 0);
+    ctx.lineTo(nowX, h);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // 凡例
+    const eNow = electricField.magnitude * evaluateWaveform(electricWaveform, t);
+    const bNow = uniformField(t).Bz;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = 'rgb(230, 140, 0)';
+    const eLabel = `E(t) = ${formatQuantity(eNow, 'eField', 3)}`;
+    ctx.fillText(eLabel, left + 6, 4);
+    ctx.fillStyle = 'rgb(0, 0, 220)';
+    ctx.fillText(`Bz(t) = ${formatQuantity(bNow, 'bField', 3)}`, left + 24 + ctx.measureText(eLabel).width, 4);
+    ctx.fillStyle = '#666';
+    ctx.textAlign = 'right';
+    ctx.fillText(`t = ${formatQuantity(t, 'time', 3)}`, w - 12, 4);
+}
@@ -0,0 +1,110 @@
+// 共有リンク：シーンを圧縮して URL のフラグメント（#scene=...）に収める
+// サーバーは使わず、ブラウザの CompressionStream（deflate）で圧縮して base64url で表す
+// データの先頭 1 文字が形式：z = 圧縮あり、j = 圧縮なし（CompressionStream のないブラウザ向け）
+
+const SCENE_LINK_PREFIX = '#scene=';
+const SCENE_LINK_SETTLE_MS = 1000; // 変更が止まってからブラウザの履歴に積むまでの時間
+
+function isSceneLink(hash) {
+    return hash.startsWith(SCENE_LINK_PREFIX);
+}
+
+// 現在のシーンの共有リンク（軌跡は含めない）
+async function buildSceneLink() {
+    const hash = await encodeSceneLink(buildScene({ trails: false }));
+    return location.href.split('#')[0] + hash;
+}
+
+async function encodeSceneLink(scene) {
+    const bytes = new TextEncoder().encode(JSON.stringify(scene));
+    if (typeof CompressionStream === 'undefined') {
+        return `${SCENE_LINK_PREFIX}j${encodeBase64Url(bytes)}`;
+    }
+    const compressed = await transformBytes(bytes, new CompressionStream('deflate'));
+    return `${SCENE_LINK_PREFIX}z${encodeBase64Url(compressed)}`;
+}
+
+async function decodeSceneLink(hash) {
+    const data = hash.slice(SCENE_LINK_PREFIX.length);
+    const format = data[0];
+    let bytes = decodeBase64Url(data.slice(1));
+
+    if (format === 'z') {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress scene links');
+        }
+        try {
+            bytes = await transformBytes(bytes, new DecompressionStream('deflate'));
+        } catch (error) {
+            throw new Error('The link is truncated or corrupted');
+        }
+    } else if (format !== 'j') {
+        throw new Error(`Unknown link format "${format || ''}"`);
+    }
+
+    try {
+        return JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+        throw new Error(`The link does not contain a scene: ${error.message}`);
+    }
+}
+
+// リンクのシーンを読み込む（失敗したら状態は変えずに知らせる）
+async function loadSceneLink(hash) {
+    try {
+        loadScene(await decodeSceneLink(hash));
+    } catch (error) {
+        console.error('Failed to load scene link:', error);
+        alert(`The link could not be read: ${error.message}`);
+    }
+}
+
+// バイト列をストリーム（圧縮・展開）に通す
+async function transformBytes(bytes, stream) {
+    const writer = stream.writable.getWriter();
+    // 書き込み側の失敗は読み出し側でも同じエラーになるので、ここでは捨てる
+    writer.write(bytes).catch(() => {});
+    writer.close().catch(() => {});
+
+    const reader = stream.readable.getReader();
+    const chunks = [];
+    let length = 0;
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        length += value.length;
+    }
+
+    const result = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return result;
+}
+
+// base64url（URL にそのまま書ける base64、末尾の = は省く）
+function encodeBase64Url(bytes) {
+    let binary = '';
+    // 長い配列を一度に String.fromCharCode に渡すと引数の上限を超えるので分けて変換する
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeBase64Url(text) {
+    let binary;
+    try {
+        binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    } catch (error) {
+        throw new Error('The link is not valid base64');
+    }
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
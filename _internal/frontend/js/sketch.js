@@ -3,138 +3,245 @@ let particles = [];
 let particleIdCounter = 0;
 let simulationTime = 0;
 let isPlaying = false;
-let timeScale = 1.0;
+let timeScale = 1.0;      // 再生速度（実時間 1 秒あたりのシミュレーション時間）
+let physicsDt = 1 / 60;   // 物理の時間刻み (s)
+let substeps = 1;         // 1 ステップを何回に分けて積分するか
+let timeAccumulator = 0;  // 未消化のシミュレーション時間
+let simulationLagging = false; // 計算が実時間に追いつかない
 let trailLength = 200;
+let integrator = 'RK4';
+let integratorTolerance = 1e-6;
 
 // 物理パラメータ
 let electricField = { magnitude: 0, angle_deg: 0 };
 let magneticField = { magnitude: 0, angle_deg: 90 };
-
-// キャンバスとスケール設定
-const CANVAS_WIDTH = 900;
-const CANVAS_HEIGHT = 700;
-const SCALE = 28; // 1m = 28px (元の1600×1200と同じ範囲を表示)
-
-// メジャーツール
+let fieldSources = []; // 空間分布を持つ場のソース（fields.js）
+let emitters = [];     // 粒子の放出源（emitters.js）
+let walls = [];        // 壁・検出器（walls.js）
+let forceTerms = [];   // ローレンツ力以外の力と衝突（forces.js）
+let domain = Object.assign({}, DEFAULT_DOMAIN);
+let electricWaveform = CONSTANT_WAVEFORM; // 時間変化の波形（waveforms.js）
+let magneticWaveform = CONSTANT_WAVEFORM;
+let magneticDirection = { azimuth_deg: 0, elevation_deg: 90 }; // 3Dモードでの磁場の向き
+
+// 粒子間相互作用（interactions.js）
+let interactionSettings = {
+    enabled: false,
+    k: 1.0,          // クーロン定数
+    softening: 0.1,  // プラマー・ソフトニング長 (m)
+    magnetic: false, // 運動する電荷が作る磁場を含める
+    mu: 1.0,         // 磁気定数 μ0/4π
+    method: 'direct',
+    theta: 0.5       // Barnes–Hut の開口角
+};
+let interactionSnapshot = null;
+
+// 3Dモード（z, vz を持つ運動と WEBGL 表示）
+let mode3D = false;
+
+// 相対論モード（c は教室スケールで見えるように変更できる）
+let relativity = {
+    enabled: false,
+    c: 5.0,         // 光速（コード単位）
+    compare: false  // ニュートン力学の軌道を重ねて表示
+};
+
+// 案内中心（guidingcenter.js）
+// overlay: 軌跡を 1 周期で平均した案内中心とドリフト速度の矢印を表示
+// motion: 'full'（完全な軌道）/ 'both'（案内中心の方程式も並べて積分）/ 'guidingCenter'（案内中心の方程式だけ）
+let guidingCenterSettings = {
+    overlay: false,
+    motion: 'full'
+};
+
+// キャンバスの大きさ（ウィンドウの幅に合わせて変わる）
+let canvasWidth = 900;
+let canvasHeight = 700;
+const MIN_CANVAS_HEIGHT = 400;
+
+// 2D表示のカメラ（画面中央のワールド座標と拡大率）
+const DEFAULT_SCALE = 28; // 1m = 28px (元の1600×1200と同じ範囲を表示)
+const MIN_SCALE = 0.05;
+const MAX_SCALE = 5000;
+const MIN_GRID_PIXELS = 15; // グリッド 1 マスの最小の大きさ (px)
+const PICK_RADIUS = 10;     // 粒子をクリックで選べる距離 (px)
+let view2D = {
+    centerX: 0,
+    centerY: 0,
+    scale: DEFAULT_SCALE,
+    follow: false // 選択中の粒子を画面中央に保つ
+};
+
+// 速度ベクトルの表示倍率（1 m/s あたりの長さ (m)）
+const VELOCITY_ARROW_SCALE = 0.18; // 0.3 * 0.6 = 0.18
+const ORBIT_PREVIEW_STEPS = 600;   // 軌道予測のステップ数
+
+// 1 フレームで処理する上限（描画が止まった後に大量のステップを溜め込まないため）
+const MAX_FRAME_TIME = 0.25;      // 実時間 (s)
+const MAX_STEPS_PER_FRAME = 2000;
+
+// 配置モード（クリックで位置、ドラッグで初速度）とドラッグ操作
+let placeMode = false;
+let wallMode = false; // ドラッグで壁を描く
+let dragState = null; // { type: 'place' | 'wall' | 'pan' | 'move' | 'velocity', ... }
+
+// 測定ツール（measure.js）
 let measureMode = false;
-let measureStart = null;
-let measureEnd = null;
-let measuring = false;
+let measureTool = 'distance';
+let measurement = null;  // 完了した測定 { tool, points, particleId, result }
+let measureDraft = null; // 途中の点（ワールド座標）
+let measuring = false;   // ドラッグ中
+let annotations = [];    // 固定した測定（注記）
 
 // 座標変換
 function worldToScreen(x, y) {
     return {
-        x: CANVAS_WIDTH / 2 + x * SCALE,
-        y: CANVAS_HEIGHT / 2 - y * SCALE
+        x: canvasWidth / 2 + (x - view2D.centerX) * view2D.scale,
+        y: canvasHeight / 2 - (y - view2D.centerY) * view2D.scale
     };
 }
 
 function screenToWorld(sx, sy) {
     return {
-        x: (sx - CANVAS_WIDTH / 2) / SCALE,
-        y: (CANVAS_HEIGHT / 2 - sy) / SCALE
+        x: view2D.centerX + (sx - canvasWidth / 2) / view2D.scale,
+        y: view2D.centerY + (canvasHeight / 2 - sy) / view2D.scale
     };
 }
 
+// スライダーで設定する一様場の成分（波形による時間変化を含む）
+function uniformField(t) {
+    return uniformFieldAt(uniformFieldSettings(), t);
+}
+
+// fields.js の uniformFieldAt に渡す現在の設定（Worker にもこのまま渡す）
+function uniformFieldSettings() {
+    return {
+        electric: electricField,
+        magnetic: magneticField,
+        electricWaveform,
+        magneticWaveform,
+        direction: mode3D ? magneticDirection : null
+    };
+}
+
+// 位置 (x, y, z)、時刻 t での場（一様場 + 場のソース）
+function sampleField(x, y, t, z = 0) {
+    return evaluateFieldSources(fieldSources, x, y, t, uniformField(t), z);
+}
+
 class Particle {
-    constructor(id, q, m, x, y, vx, vy) {
+    constructor(id, q, m, x, y, vx, vy, z = 0, vz = 0) {
         this.id = id;
         this.q = q;
         this.m = m;
         this.x = x;
         this.y = y;
+        this.z = z;
         this.vx = vx;
         this.vy = vy;
-        this.trail = [];
+        this.vz = vz;
+        this.trail = new TrailBuffer(trailLength);
         this.selected = false;
+        this.isGhost = false;      // 比較用のニュートン軌道（相互作用を受けない）
+        this.newtonianTwin = null;
+        this.guidingCenter = null; // 案内中心の方程式で積分する状態 { x, y, z, vPar, mu, trail }
+        this.workE = 0;            // 電場がした仕事（diagnostics.js）
+        this.initialEnergy = null; // 最初のステップ開始時の運動エネルギー
+        this.lastPower = null;     // 前ステップ終了時の仕事率 { t, value }
+        this.birthTime = 0;        // 生成された時刻
+        this.lifetime = null;      // 寿命 (s)（null なら無限）
+        this.emitterId = null;     // 放出したエミッタの id
+        this.wrapped = false;      // 周期境界で反対側に移った（軌跡を切る）
+    }
+
+    // 位置 s における電場・磁場の成分（外部場 + 他の粒子が作る場）
+    fieldsAt(s, t) {
+        const f = sampleField(s.x, s.y, t, s.z);
+        if (interactionSnapshot && !this.isGhost) {
+            addInteractionField(interactionSnapshot, this, s.x, s.y, s.z, f);
+        }
+        return f;
     }
 
-    // ローレンツ力の計算
-    calculateForce(E, B) {
-        // 電場から角度に基づいてベクトル成分を計算
-        const E_rad = E.angle_deg * Math.PI / 180;
-        const Ex = E.magnitude * Math.cos(E_rad);
-        const Ey = E.magnitude * Math.sin(E_rad);
+    // ローレンツ力の計算（状態 s = {x, y, z, vx, vy, vz}）
+    calculateForce(s, t) {
+        const fields = this.fieldsAt(s, t);
+        const F = lorentzForce(this.q, s, fields);
+
+        // 抵抗・放射反作用・重力などの追加の力
+        if (forceTerms.length) {
+            const extra = this.extraForce(s, t, fields);
+            F.Fx += extra.Fx;
+            F.Fy += extra.Fy;
+            F.Fz += extra.Fz;
+        }
+        return F;
+    }
+
+    // ローレンツ力以外の力（forces.js、fields は s での場）
+    extraForce(s, t, fields) {
+        const F = { Fx: 0, Fy: 0, Fz: 0 };
+        const c = relativity.enabled && !this.isGhost ? relativity.c : null;
+        addExtraForces(forceTerms, this, s, fields, c, F);
+        return F;
+    }
 
-        // 磁場の方向を決定
-        // angle_deg = 90° → 紙面から出る方向（Out of plane ⊙）→ Bz = +B
-        // angle_deg = 270° → 紙面に入る方向（Into plane ⊗）→ Bz = -B
-        let Bz;
-        if (B.angle_deg === 90) {
-            Bz = B.magnitude;  // 紙面から出る（+Z方向）
+    // 選択中の積分法で時間発展（相対論モードでは c を渡す）
+    update(dt, t) {
+        const method = INTEGRATORS[integrator] || INTEGRATORS.RK4;
+        const c = relativity.enabled && !this.isGhost ? relativity.c : null;
+
+        if (this.isGhost) {
+            method.step(this, dt, t, { tolerance: integratorTolerance, c });
         } else {
-            Bz = -B.magnitude; // 紙面に入る（-Z方向）
-        }
-
-        // ローレンツ力: F = q(E + v × B)
-        // 右手系: v × B = (vx, vy, 0) × (0, 0, Bz) = (vy*Bz, -vx*Bz, 0)
-        // フレミング左手: 電流(v)×磁場(B)=力(F)
-        const Fx = this.q * (Ex + this.vy * Bz);
-        const Fy = this.q * (Ey - this.vx * Bz);
-
-        return { Fx, Fy };
-    }
-
-    // RK4法による時間発展（簡易版）
-    update(dt, E, B) {
-        // k1
-        const f1 = this.calculateForce(E, B);
-        const ax1 = f1.Fx / this.m;
-        const ay1 = f1.Fy / this.m;
-
-        // k2
-        const vx_temp = this.vx + ax1 * dt / 2;
-        const vy_temp = this.vy + ay1 * dt / 2;
-        const tempParticle = Object.assign({}, this);
-        tempParticle.vx = vx_temp;
-        tempParticle.vy = vy_temp;
-        const f2 = this.calculateForce.call(tempParticle, E, B);
-        const ax2 = f2.Fx / this.m;
-        const ay2 = f2.Fy / this.m;
-
-        // k3
-        const vx_temp2 = this.vx + ax2 * dt / 2;
-        const vy_temp2 = this.vy + ay2 * dt / 2;
-        tempParticle.vx = vx_temp2;
-        tempParticle.vy = vy_temp2;
-        const f3 = this.calculateForce.call(tempParticle, E, B);
-        const ax3 = f3.Fx / this.m;
-        const ay3 = f3.Fy / this.m;
-
-        // k4
-        const vx_temp3 = this.vx + ax3 * dt;
-        const vy_temp3 = this.vy + ay3 * dt;
-        tempParticle.vx = vx_temp3;
-        tempParticle.vy = vy_temp3;
-        const f4 = this.calculateForce.call(tempParticle, E, B);
-        const ax4 = f4.Fx / this.m;
-        const ay4 = f4.Fy / this.m;
-
-        // 更新
-        const ax = (ax1 + 2 * ax2 + 2 * ax3 + ax4) / 6;
-        const ay = (ay1 + 2 * ay2 + 2 * ay3 + ay4) / 6;
-
-        this.vx += ax * dt;
-        this.vy += ay * dt;
-        this.x += this.vx * dt;
-        this.y += this.vy * dt;
-
-        // 軌跡に追加
-        this.trail.push({ x: this.x, y: this.y });
-        if (this.trail.length > trailLength) {
-            this.trail.shift();
+            stepWithWork(this, method, dt, t, { tolerance: integratorTolerance, c });
         }
+
+    }
+
+    // 軌跡に追加（時刻は実測値の計算に使う）
+    recordTrail(t) {
+        this.trail.push(this.x, this.y, this.z, t, this.wrapped);
+        this.wrapped = false;
+    }
+
+    // 時刻 t より後の軌跡を捨てる（逆方向のステップ用）
+    truncateTrail(t) {
+        this.trail.truncateAfter(t);
+    }
+
+    // ニュートン力学の比較用軌道（灰色の破線）
+    drawGhost() {
+        if (this.trail.length < 2) return;
+        noFill();
+        stroke(120, 120, 120, 160);
+        strokeWeight(1.5);
+        drawingContext.setLineDash([5, 4]);
+        beginShape();
+        for (let i = 0; i < this.trail.length; i++) {
+            const p = worldToScreen(this.trail.xAt(i), this.trail.yAt(i));
+            vertex(p.x, p.y);
+        }
+        endShape();
+        drawingContext.setLineDash([]);
+
+        const pos = worldToScreen(this.x, this.y);
+        noStroke();
+        fill(120, 120, 120, 160);
+        circle(pos.x, pos.y, 9);
     }
 
     draw() {
         const pos = worldToScreen(this.x, this.y);
 
         // 軌跡を描画
-        if (this.trail.length > 1) {
-            for (let i = 1; i < this.trail.length; i++) {
-                const alpha = map(i, 0, this.trail.length, 50, 255);
-                const p1 = worldToScreen(this.trail[i - 1].x, this.trail[i - 1].y);
-                const p2 = worldToScreen(this.trail[i].x, this.trail[i].y);
+        const trail = this.trail;
+        if (trail.length > 1) {
+            for (let i = 1; i < trail.length; i++) {
+                if (trail.isJump(i)) continue;
+                const alpha = map(i, 0, trail.length, 50, 255);
+                const p1 = worldToScreen(trail.xAt(i - 1), trail.yAt(i - 1));
+                const p2 = worldToScreen(trail.xAt(i), trail.yAt(i));
 
                 stroke(this.q > 0 ? color(255, 0, 0, alpha) : color(0, 0, 255, alpha));
                 strokeWeight(2);
@@ -153,7 +260,7 @@ class Particle {
         circle(pos.x, pos.y, 15);
 
         // 速度ベクトルを描画
-        const vEnd = worldToScreen(this.x + this.vx * 0.18, this.y + this.vy * 0.18); // 0.3 * 0.6 = 0.18
+        const vEnd = worldToScreen(this.x + this.vx * VELOCITY_ARROW_SCALE, this.y + this.vy * VELOCITY_ARROW_SCALE);
         stroke(0, 200, 0);
         strokeWeight(2);
         line(pos.x, pos.y, vEnd.x, vEnd.y);
@@ -167,36 +274,176 @@ class Particle {
         noStroke();
         triangle(0, 0, -8, -4, -8, 4);
         pop();
+
+        // ニュートン力学で光速を超えた場合の警告
+        if (!relativity.enabled && exceedsLightSpeed(this)) {
+            fill(200, 0, 0);
+            noStroke();
+            textSize(12);
+            textAlign(LEFT, BOTTOM);
+            text('v > c', pos.x + 10, pos.y - 8);
+        }
+    }
+}
+
+// 現在の場での軌道を予測する（相互作用は含めない）
+function predictOrbit(q, m, x, y, vx, vy, vz = 0) {
+    const probe = new Particle('preview', q, m, x, y, vx, vy, 0, vz);
+    probe.isGhost = true;
+    const method = INTEGRATORS[integrator] || INTEGRATORS.RK4;
+    const c = relativity.enabled ? relativity.c : null;
+    const points = [{ x, y }];
+    let t = simulationTime;
+    for (let i = 0; i < ORBIT_PREVIEW_STEPS; i++) {
+        method.step(probe, physicsDt, t, { tolerance: integratorTolerance, c });
+        t += physicsDt;
+        points.push({ x: probe.x, y: probe.y });
+    }
+    return points;
+}
+
+function drawOrbitPreview(points) {
+    noFill();
+    stroke(0, 150, 0, 150);
+    strokeWeight(1.5);
+    drawingContext.setLineDash([4, 4]);
+    beginShape();
+    for (const point of points) {
+        const p = worldToScreen(point.x, point.y);
+        vertex(p.x, p.y);
+    }
+    endShape();
+    drawingContext.setLineDash([]);
+}
+
+function speedOf(p) {
+    return Math.sqrt(p.vx * p.vx + p.vy * p.vy + p.vz * p.vz);
+}
+
+function exceedsLightSpeed(p) {
+    return speedOf(p) >= relativity.c;
+}
+
+// 比較用のニュートン軌道（同じ初期条件の複製）
+function createNewtonianTwin(p) {
+    const twin = new Particle(`${p.id}-newton`, p.q, p.m, p.x, p.y, p.vx, p.vy, p.z, p.vz);
+    twin.isGhost = true;
+    return twin;
+}
+
+// 案内中心の方程式で使う外部場（粒子間相互作用は含めない）
+function externalFieldAt(x, y, z, t) {
+    return sampleField(x, y, t, z);
+}
+
+// 粒子の現在の状態から案内中心を作る（磁場がないか q = 0 なら null）
+function createGuidingCenterTwin(p) {
+    const gc = guidingCenterFromParticle(p, externalFieldAt(p.x, p.y, p.z, simulationTime));
+    if (gc) {
+        gc.trail = new TrailBuffer(trailLength);
+        gc.trail.push(gc.x, gc.y, gc.z, simulationTime);
+    }
+    return gc;
+}
+
+// 案内中心にはたらく追加の力（なければ null）
+function guidingCenterForce(p) {
+    if (!forceTerms.length) return null;
+    return (s, fields) => {
+        const F = { Fx: 0, Fy: 0, Fz: 0 };
+        addExtraForces(forceTerms, p, s, fields, null, F);
+        return F;
+    };
+}
+
+// 案内中心の軌跡に追加する（戻るときは時刻 t より後を捨てる）
+function updateGuidingCenterTrail(gc, forward, t) {
+    if (forward) {
+        gc.trail.push(gc.x, gc.y, gc.z, t);
+    } else {
+        gc.trail.truncateAfter(t);
     }
 }
 
 function setup() {
-    const canvas = createCanvas(CANVAS_WIDTH, CANVAS_HEIGHT);
+    const canvas = createCanvas(canvasWidth, canvasHeight);
     canvas.parent('p5-canvas');
     frameRate(60);
+    fitCanvasToWindow();
+}
+
+function windowResized() {
+    fitCanvasToWindow();
+}
+
+// キャンバスをコンテナの幅に合わせる（高さは元の縦横比で、ウィンドウに収まる範囲）
+function fitCanvasToWindow() {
+    const container = document.getElementById('p5-canvas');
+    const width = Math.floor(container.clientWidth);
+    if (!width) return;
+
+    canvasWidth = width;
+    canvasHeight = Math.max(MIN_CANVAS_HEIGHT, Math.min(Math.round(width * 7 / 9), window.innerHeight - 40));
+    resizeCanvas(canvasWidth, canvasHeight);
+    resizeView3D();
+
+    // オシロスコープの幅もキャンバスに揃える
+    const scope = document.getElementById('scope');
+    if (scope) {
+        scope.width = canvasWidth;
+    }
 }
 
 function draw() {
     background(240);
+    if (!isPlaying) {
+        stopWorkerRun();
+    }
+
+    if (mode3D) {
+        // 3D表示（view3d.js）
+        if (isPlaying) {
+            advanceRealTime();
+        }
+        drawView3D();
+        updateInfo();
+        drawOscilloscope(simulationTime);
+        updatePlots();
+        updateHistogram();
+        return;
+    }
 
     // グリッド描画
     drawGrid();
 
     // フィールド表示（オプション）
     drawFieldVectors();
+    drawEmitters();
+    drawWalls();
 
     // 粒子の更新と描画
     if (isPlaying) {
-        const dt = (1 / 60) * timeScale;
-        for (let particle of particles) {
-            particle.update(dt, electricField, magneticField);
-        }
-        simulationTime += dt;
+        advanceRealTime();
+    }
+    if (view2D.follow) {
+        followSelectedParticle();
     }
 
     for (let particle of particles) {
-        particle.draw();
+        if (particle.newtonianTwin) {
+            particle.newtonianTwin.drawGhost();
+        }
+    }
+    for (let particle of particles) {
+        // 案内中心だけを積分するときは止めている完全な軌道を描かない
+        if (guidingCenterSettings.motion !== 'guidingCenter' || !particle.guidingCenter) {
+            particle.draw();
+        }
     }
+    drawGuidingCenters();
+
+    // 配置・ドラッグ中の表示
+    drawDragPreview();
 
     // メジャーツールの描画
     drawMeasureTool();
@@ -206,283 +453,1349 @@ function draw() {
 
     // 情報更新
     updateInfo();
+
+    // 場の時間変化（オシロスコープ）
+    drawOscilloscope(simulationTime);
+
+    // 時系列プロットと検出器のヒストグラム（plots.js）
+    updatePlots();
+    updateHistogram();
+}
+
+// 表示倍率に合わせたグリッド間隔（コード単位）
+// 表示単位で 10 の累乗のうち、1 マスが MIN_GRID_PIXELS 以上になる最小の値（0.1 m, 1 m, 10 m, ...）
+function gridSpacing() {
+    const factor = unitFactor('length');
+    return Math.pow(10, Math.ceil(Math.log10(MIN_GRID_PIXELS / view2D.scale * factor))) / factor;
 }
 
 function drawGrid() {
-    stroke(200);
+    const step = gridSpacing();
+    const topLeft = screenToWorld(0, 0);
+    const bottomRight = screenToWorld(canvasWidth, canvasHeight);
     strokeWeight(1);
 
-    const gridSpacing = SCALE * 0.5; // 1グリッド = 0.5m
-
-    // 中心をグリッドに合わせる
-    const centerX = Math.round(CANVAS_WIDTH / 2 / gridSpacing) * gridSpacing;
-    const centerY = Math.round(CANVAS_HEIGHT / 2 / gridSpacing) * gridSpacing;
-
-    // 縦線
-    for (let x = 0; x <= CANVAS_WIDTH; x += gridSpacing) {
-        line(x, 0, x, CANVAS_HEIGHT);
+    // 縦線（10 マスごとに濃くする）
+    for (let i = Math.ceil(topLeft.x / step); i * step <= bottomRight.x; i++) {
+        stroke(i % 10 === 0 ? 170 : 210);
+        const sx = worldToScreen(i * step, 0).x;
+        line(sx, 0, sx, canvasHeight);
     }
 
     // 横線
-    for (let y = 0; y <= CANVAS_HEIGHT; y += gridSpacing) {
-        line(0, y, CANVAS_WIDTH, y);
+    for (let i = Math.ceil(bottomRight.y / step); i * step <= topLeft.y; i++) {
+        stroke(i % 10 === 0 ? 170 : 210);
+        const sy = worldToScreen(0, i * step).y;
+        line(0, sy, canvasWidth, sy);
     }
 
-    // 軸（グリッドに合わせた位置）
+    // 軸（原点を通る）
+    const origin = worldToScreen(0, 0);
     stroke(100);
     strokeWeight(2);
-    line(centerX, 0, centerX, CANVAS_HEIGHT); // y軸
-    line(0, centerY, CANVAS_WIDTH, centerY); // x軸
+    line(origin.x, 0, origin.x, canvasHeight); // y軸
+    line(0, origin.y, canvasWidth, origin.y); // x軸
 }
 
+// 場の表示（fieldviz.js のレイヤー）と場のソースの位置
 function drawFieldVectors() {
-    // 電場ベクトルを表示（簡略化）
-    if (electricField.magnitude > 0) {
-        const E_rad = electricField.angle_deg * Math.PI / 180;
-        const scale_factor = 12; // 20 * 0.6 = 12
+    drawFieldLayers(simulationTime);
+    drawFieldSources();
+}
 
-        stroke(255, 165, 0, 150);
-        strokeWeight(2);
-        fill(255, 165, 0, 150);
+// 場のソースの位置・境界を表示
+function drawFieldSources() {
+    for (const source of fieldSources) {
+        switch (source.type) {
+            case 'rectRegion': {
+                const p1 = worldToScreen(Math.min(source.x1, source.x2), Math.max(source.y1, source.y2));
+                const p2 = worldToScreen(Math.max(source.x1, source.x2), Math.min(source.y1, source.y2));
+                noFill();
+                stroke(120, 0, 200, 180);
+                strokeWeight(1.5);
+                drawingContext.setLineDash([6, 4]);
+                rect(p1.x, p1.y, p2.x - p1.x, p2.y - p1.y);
+                drawingContext.setLineDash([]);
+                break;
+            }
 
-        for (let x = 100; x < CANVAS_WIDTH; x += 150) {
-            for (let y = 100; y < CANVAS_HEIGHT; y += 150) {
-                const dx = Math.cos(E_rad) * electricField.magnitude * scale_factor;
-                const dy = -Math.sin(E_rad) * electricField.magnitude * scale_factor;
+            case 'circleRegion': {
+                const c = worldToScreen(source.cx, source.cy);
+                noFill();
+                stroke(120, 0, 200, 180);
+                strokeWeight(1.5);
+                drawingContext.setLineDash([6, 4]);
+                circle(c.x, c.y, 2 * source.r * view2D.scale);
+                drawingContext.setLineDash([]);
+                break;
+            }
+
+            case 'pointCharge': {
+                const c = worldToScreen(source.x, source.y);
+                stroke(0);
+                strokeWeight(1);
+                fill(source.q >= 0 ? color(255, 120, 0) : color(0, 150, 200));
+                circle(c.x, c.y, 18);
+                fill(255);
+                noStroke();
+                textSize(14);
+                textAlign(CENTER, CENTER);
+                text(source.q >= 0 ? '+' : '−', c.x, c.y);
+                break;
+            }
 
+            case 'lineCurrent': {
+                const rad = source.angle_deg * Math.PI / 180;
+                // 画面全体を横切る長さ
+                const reach = Math.hypot(source.x - view2D.centerX, source.y - view2D.centerY) +
+                    (canvasWidth + canvasHeight) / view2D.scale;
+                const a = worldToScreen(source.x - Math.cos(rad) * reach, source.y - Math.sin(rad) * reach);
+                const b = worldToScreen(source.x + Math.cos(rad) * reach, source.y + Math.sin(rad) * reach);
+                stroke(150, 75, 0, 200);
+                strokeWeight(3);
+                line(a.x, a.y, b.x, b.y);
+
+                // 電流の向き
+                const c = worldToScreen(source.x, source.y);
+                const dir = source.I >= 0 ? 1 : -1;
                 push();
-                translate(x, y);
-                line(0, 0, dx, dy);
-                translate(dx, dy);
-                rotate(atan2(dy, dx));
-                triangle(0, 0, -6, -3, -6, 3);
+                translate(c.x, c.y);
+                rotate(-rad + (dir > 0 ? 0 : PI));
+                fill(150, 75, 0);
+                noStroke();
+                triangle(8, 0, -6, -6, -6, 6);
                 pop();
+                break;
+            }
+
+            case 'mirror': {
+                // 軸（破線）と喉のコイル（横から見た断面）
+                const a = worldToScreen(source.cx - source.L, source.cy);
+                const b = worldToScreen(source.cx + source.L, source.cy);
+                const coil = 1.5 * view2D.scale;
+                stroke(120, 0, 200, 180);
+                strokeWeight(1.5);
+                drawingContext.setLineDash([6, 4]);
+                line(a.x, a.y, b.x, b.y);
+                drawingContext.setLineDash([]);
+                strokeWeight(4);
+                line(a.x, a.y - coil, a.x, a.y + coil);
+                line(b.x, b.y - coil, b.x, b.y + coil);
+                break;
             }
         }
     }
+}
 
-    // 磁場表示（紙面に垂直、○または×で表示）
-    if (magneticField.magnitude > 0) {
-        const B_rad = magneticField.angle_deg * Math.PI / 180;
-        const Bz = magneticField.magnitude * Math.cos(B_rad);
-
-        // 磁場の強度に応じてアルファ値を調整（0で完全に消え、10で最大）
-        const maxB = 10.0; // 最大磁場強度（UI上限と同じ）
-        const alpha = map(magneticField.magnitude, 0, maxB, 0, 255);
+// エミッタの位置と放出方向（広がりを扇形で）を表示
+function drawEmitters() {
+    for (const emitter of emitters) {
+        const c = worldToScreen(emitter.x, emitter.y);
+        const rad = emitter.angle_deg * Math.PI / 180;
+        const spread = emitter.spread_deg * Math.PI / 180;
 
-        fill(0, 0, 255, alpha);
         noStroke();
-        textSize(20);
-        textAlign(CENTER, CENTER);
-
-        for (let x = 100; x < CANVAS_WIDTH; x += 150) {
-            for (let y = 100; y < CANVAS_HEIGHT; y += 150) {
-                if (Bz > 0) {
-                    // 紙面から出る方向（⊙）
-                    text('⊙', x, y);
-                } else if (Bz < 0) {
-                    // 紙面に入る方向（⊗）
-                    text('⊗', x, y);
-                }
-            }
+        fill(0, 150, 0, 40);
+        if (spread > 0) {
+            arc(c.x, c.y, 80, 80, -rad - spread, -rad + spread, PIE);
         }
+
+        push();
+        translate(c.x, c.y);
+        rotate(-rad);
+        stroke(0, 120, 0);
+        strokeWeight(2);
+        fill(255);
+        rect(-10, -6, 16, 12, 2);
+        line(6, 0, 20, 0);
+        pop();
     }
 }
 
-function drawMeasureTool() {
-    if (measureMode) {
-        // メジャーモードのカーソル表示
-        cursor(CROSS);
+// 壁・検出器と領域の境界を表示
+function drawWalls() {
+    const styles = {
+        absorb: { color: [60, 60, 60], weight: 4 },
+        reflect: { color: [40, 90, 200], weight: 4 },
+        detector: { color: [230, 150, 0], weight: 5 }
+    };
+    for (const wall of walls) {
+        const style = styles[wall.behavior];
+        stroke(...style.color);
+        strokeWeight(style.weight);
+        for (const segment of wallSegments(wall)) {
+            const a = worldToScreen(segment.ax, segment.ay);
+            const b = worldToScreen(segment.bx, segment.by);
+            line(a.x, a.y, b.x, b.y);
+        }
 
-        // 測定線を描画
-        if (measureStart && measuring) {
-            const currentX = mouseX;
-            const currentY = mouseY;
+        // 検出器に当たった位置
+        if (wall.behavior === 'detector') {
+            fill(200, 0, 0, 120);
+            noStroke();
+            for (const hit of hitsForDetector(wall.id)) {
+                const p = worldToScreen(hit.x, hit.y);
+                circle(p.x, p.y, 4);
+            }
+        }
+    }
 
-            // 測定線
-            stroke(255, 0, 255);
-            strokeWeight(2);
-            line(measureStart.x, measureStart.y, currentX, currentY);
+    if (domain.boundary !== 'open') {
+        const a = worldToScreen(-domain.halfSize, domain.halfSize);
+        const b = worldToScreen(domain.halfSize, -domain.halfSize);
+        noFill();
+        stroke(domain.boundary === 'periodic' ? color(0, 150, 150, 160) : color(60, 60, 60, 160));
+        strokeWeight(1.5);
+        drawingContext.setLineDash([8, 6]);
+        rect(a.x, a.y, b.x - a.x, b.y - a.y);
+        drawingContext.setLineDash([]);
+    }
+}
 
-            // 開始点と終了点のマーク
-            fill(255, 0, 255);
-            noStroke();
-            circle(measureStart.x, measureStart.y, 8);
-            circle(currentX, currentY, 8);
-
-            // 距離を計算（ワールド座標で）
-            const startWorld = screenToWorld(measureStart.x, measureStart.y);
-            const endWorld = screenToWorld(currentX, currentY);
-            const distance = Math.sqrt(
-                (endWorld.x - startWorld.x) ** 2 + (endWorld.y - startWorld.y) ** 2
-            );
-
-            // 距離を表示
-            const midX = (measureStart.x + currentX) / 2;
-            const midY = (measureStart.y + currentY) / 2;
-
-            fill(255, 255, 255, 200);
-            stroke(255, 0, 255);
-            strokeWeight(1);
-            rect(midX - 50, midY - 20, 100, 30, 5);
-
-            fill(255, 0, 255);
+// 案内中心の表示
+// 方程式で積分した案内中心: 青緑（完全な軌道と並べるときは破線）
+// オーバーレイ: 軌跡を 1 周期で平均した案内中心（橙の点線）と、局所場から求めた現在の案内中心とドリフトの矢印
+function drawGuidingCenters() {
+    for (const particle of particles) {
+        const gc = particle.guidingCenter;
+        if (gc) {
+            const alone = guidingCenterSettings.motion === 'guidingCenter';
+            drawPolyline(gc.trail, color(0, 150, 150, alone ? 230 : 170), alone ? 2 : 1.5, alone ? [] : [6, 4]);
+            const pos = worldToScreen(gc.x, gc.y);
             noStroke();
-            textSize(14);
-            textAlign(CENTER, CENTER);
-            text(`${distance.toFixed(3)} m`, midX, midY);
+            if (alone && particle.selected) {
+                fill(255, 255, 0, 150);
+                circle(pos.x, pos.y, 22);
+            }
+            fill(0, 150, 150);
+            circle(pos.x, pos.y, alone ? 13 : 8);
         }
 
-        // 完成した測定を表示
-        if (measureStart && measureEnd && !measuring) {
-            stroke(255, 0, 255);
-            strokeWeight(2);
-            line(measureStart.x, measureStart.y, measureEnd.x, measureEnd.y);
+        if (guidingCenterSettings.overlay && particle.q !== 0) {
+            drawGuidingCenterOverlay(particle);
+        }
+    }
+}
 
-            fill(255, 0, 255);
-            noStroke();
-            circle(measureStart.x, measureStart.y, 8);
-            circle(measureEnd.x, measureEnd.y, 8);
+function drawGuidingCenterOverlay(particle) {
+    const f = externalFieldAt(particle.x, particle.y, particle.z, simulationTime);
+    const theory = theoreticalMotion(particle, f, null);
+    if (theory) {
+        const averaged = averageOverGyration(continuousTrail(particle.trail.toArray()), theory.period);
+        drawPolyline(TrailBuffer.from(averaged), color(230, 120, 0, 200), 2, [2, 4]);
+    }
 
-            const startWorld = screenToWorld(measureStart.x, measureStart.y);
-            const endWorld = screenToWorld(measureEnd.x, measureEnd.y);
-            const distance = Math.sqrt(
-                (endWorld.x - startWorld.x) ** 2 + (endWorld.y - startWorld.y) ** 2
-            );
+    const gc = guidingCenterFromParticle(particle, f);
+    const geometry = gc && localFieldGeometry(externalFieldAt, gc.x, gc.y, gc.z, simulationTime);
+    if (!geometry) return;
 
-            const midX = (measureStart.x + measureEnd.x) / 2;
-            const midY = (measureStart.y + measureEnd.y) / 2;
+    const at = worldToScreen(gc.x, gc.y);
+    stroke(230, 120, 0);
+    strokeWeight(2);
+    line(at.x - 5, at.y - 5, at.x + 5, at.y + 5);
+    line(at.x - 5, at.y + 5, at.x + 5, at.y - 5);
+
+    // 矢印の長さは最も速いドリフトを 60 px として比で表す（大きさはラベルで示す）
+    const force = guidingCenterForce(particle);
+    const F = force ? force(particle, f) : null;
+    const drifts = driftVelocities(geometry, particle.q, particle.m, gc.vPar, gc.mu, F)
+        .map(drift => Object.assign({ speed: Math.hypot(drift.v.x, drift.v.y) }, drift));
+    const fastest = Math.max(...drifts.map(drift => drift.speed));
+    if (!(fastest > 1e-9)) return;
+
+    for (const drift of drifts) {
+        if (drift.speed < fastest * 1e-3) continue;
+        const length = 60 * drift.speed / fastest;
+        const ux = drift.v.x / drift.speed;
+        const uy = -drift.v.y / drift.speed;
+        const tip = { x: at.x + ux * length, y: at.y + uy * length };
+        const col = color(...DRIFT_TYPES[drift.type].color);
+
+        stroke(col);
+        strokeWeight(2);
+        line(at.x, at.y, tip.x, tip.y);
+        push();
+        translate(tip.x, tip.y);
+        rotate(Math.atan2(uy, ux));
+        fill(col);
+        noStroke();
+        triangle(0, 0, -8, -4, -8, 4);
+        pop();
 
-            fill(255, 255, 255, 200);
-            stroke(255, 0, 255);
-            strokeWeight(1);
-            rect(midX - 50, midY - 20, 100, 30, 5);
+        fill(col);
+        noStroke();
+        textSize(11);
+        textAlign(ux >= 0 ? LEFT : RIGHT, CENTER);
+        text(`${DRIFT_TYPES[drift.type].label} ${formatQuantity(drift.speed, 'velocity', 3)}`, tip.x + (ux >= 0 ? 6 : -6), tip.y);
+    }
+}
 
-            fill(255, 0, 255);
-            noStroke();
-            textSize(14);
-            textAlign(CENTER, CENTER);
-            text(`${distance.toFixed(3)} m`, midX, midY);
+// 軌跡（TrailBuffer）を線で結ぶ（周期境界で切れた所は結ばない）
+function drawPolyline(trail, col, weight, dash) {
+    if (trail.length < 2) return;
+    noFill();
+    stroke(col);
+    strokeWeight(weight);
+    drawingContext.setLineDash(dash);
+    beginShape();
+    for (let i = 0; i < trail.length; i++) {
+        if (trail.isJump(i)) {
+            endShape();
+            beginShape();
         }
-    } else {
-        cursor(ARROW);
+        const p = worldToScreen(trail.xAt(i), trail.yAt(i));
+        vertex(p.x, p.y);
+    }
+    endShape();
+    drawingContext.setLineDash([]);
+}
+
+// 測定の端点はワールド座標で持つ（ズーム・パンしても同じ位置を指す）
+function drawMeasureTool() {
+    // 固定した注記は常に表示する
+    for (const annotation of annotations) {
+        drawMeasurement(annotation, color(0, 130, 130));
+    }
+
+    if (!measureMode) {
+        cursor(placeMode || wallMode ? CROSS : ARROW);
+        return;
+    }
+    cursor(CROSS);
+
+    // 途中の測定はマウス位置を次の点として表示する（角度の 1 本目の腕は距離として）
+    const magenta = color(255, 0, 255);
+    if (measureDraft) {
+        const points = measureDraft.concat([screenToWorld(mouseX, mouseY)]);
+        const tool = points.length < MEASURE_TOOLS[measureTool].points ? 'distance' : measureTool;
+        drawMeasurement({ tool, points, result: measurePoints(tool, points) }, magenta);
+    } else if (measurement) {
+        refreshTrailMeasurement();
+        drawMeasurement(measurement, magenta);
+    }
+}
+
+// 測定の図形と値を描く（点の測定は線と角度の弧、軌跡の測定は円や案内中心の列）
+function drawMeasurement(m, col) {
+    const r = m.result;
+    const screen = m.points.map(point => worldToScreen(point.x, point.y));
+    let labelAt;
+
+    stroke(col);
+    strokeWeight(2);
+    noFill();
+    switch (m.tool) {
+        case 'distance':
+        case 'protractor': {
+            const [a, b] = screen;
+            line(a.x, a.y, b.x, b.y);
+            if (m.tool === 'protractor') {
+                // +x 方向の基準線と角度の弧（画面の y は下向きなので角度の符号が逆）
+                const size = Math.min(40, Math.hypot(b.x - a.x, b.y - a.y));
+                drawingContext.setLineDash([4, 4]);
+                line(a.x, a.y, a.x + size * 1.5, a.y);
+                drawingContext.setLineDash([]);
+                if (r.angle > 0) {
+                    arc(a.x, a.y, size * 2, size * 2, -r.angle * Math.PI / 180, 0);
+                }
+            }
+            labelAt = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+            break;
+        }
+        case 'angle': {
+            const [vertex, a, b] = screen;
+            line(vertex.x, vertex.y, a.x, a.y);
+            line(vertex.x, vertex.y, b.x, b.y);
+            const a1 = Math.atan2(a.y - vertex.y, a.x - vertex.x);
+            const delta = wrapAngle(Math.atan2(b.y - vertex.y, b.x - vertex.x) - a1);
+            const start = delta >= 0 ? a1 : a1 + delta;
+            const size = Math.min(50, Math.hypot(a.x - vertex.x, a.y - vertex.y), Math.hypot(b.x - vertex.x, b.y - vertex.y));
+            if (Math.abs(delta) > 1e-6) {
+                arc(vertex.x, vertex.y, size * 2, size * 2, start, start + Math.abs(delta));
+            }
+            labelAt = { x: vertex.x, y: vertex.y - 24 };
+            break;
+        }
+        case 'circleFit': {
+            const center = worldToScreen(r.center.x, r.center.y);
+            circle(center.x, center.y, 2 * r.radius * view2D.scale);
+            line(center.x - 5, center.y, center.x + 5, center.y);
+            line(center.x, center.y - 5, center.x, center.y + 5);
+            labelAt = center;
+            break;
+        }
+        case 'drift': {
+            // 1 周期ごとの案内中心を結び、最後の区間に矢印を付ける
+            const centers = r.centers.map(point => worldToScreen(point.x, point.y));
+            beginShape();
+            centers.forEach(point => vertex(point.x, point.y));
+            endShape();
+            const a = centers[centers.length - 2];
+            const b = centers[centers.length - 1];
+            const heading = Math.atan2(b.y - a.y, b.x - a.x);
+            line(b.x, b.y, b.x - 10 * Math.cos(heading - 0.4), b.y - 10 * Math.sin(heading - 0.4));
+            line(b.x, b.y, b.x - 10 * Math.cos(heading + 0.4), b.y - 10 * Math.sin(heading + 0.4));
+            labelAt = { x: b.x, y: b.y - 30 };
+            break;
+        }
+    }
+
+    // 端点と案内中心のマーク
+    fill(col);
+    noStroke();
+    screen.forEach(point => circle(point.x, point.y, 8));
+    if (m.tool === 'drift') {
+        r.centers.forEach(point => {
+            const s = worldToScreen(point.x, point.y);
+            circle(s.x, s.y, 5);
+        });
+    }
+
+    drawMeasureLabel(describeMeasurement(m), labelAt, col);
+}
+
+// 測定値のラベル（複数行、背景付き）
+function drawMeasureLabel(lines, at, col) {
+    textSize(13);
+    const lineHeight = 17;
+    const width = Math.max(...lines.map(line => textWidth(line))) + 14;
+    const height = lines.length * lineHeight + 8;
+
+    fill(255, 255, 255, 210);
+    stroke(col);
+    strokeWeight(1);
+    rect(at.x - width / 2, at.y - height / 2, width, height, 5);
+
+    fill(col);
+    noStroke();
+    textAlign(CENTER, CENTER);
+    lines.forEach((line, i) => {
+        text(line, at.x, at.y - height / 2 + 4 + lineHeight * (i + 0.5));
+    });
+}
+
+// 軌跡の測定は毎フレーム計算し直す（粒子が消えたり軌跡が足りなければ最後の値のまま）
+function refreshTrailMeasurement() {
+    if (!measurement || !measurement.particleId) return;
+    const particle = particles.find(p => p.id === measurement.particleId);
+    if (!particle) return;
+    try {
+        measurement = measureParticle(measurement.tool, particle);
+    } catch (error) {
+        // 軌跡が一時的に足りないときは前の値を表示し続ける
+    }
+}
+
+// 粒子の軌跡を測定する（理論値は粒子位置の局所場から）
+function measureParticle(tool, particle) {
+    const c = relativity.enabled ? relativity.c : null;
+    const theory = theoreticalMotion(particle, particle.fieldsAt(particle, simulationTime), c);
+    const result = measureTrail(tool, particle.trail.toArray(), theory);
+    return { tool, points: [], particleId: particle.id, result };
+}
+
+// 点の測定を 1 点進める（必要な点がそろったら完了）
+function addMeasurePoint(point) {
+    measureDraft.push(point);
+    if (measureDraft.length === MEASURE_TOOLS[measureTool].points) {
+        measurement = { tool: measureTool, points: measureDraft, particleId: null, result: measurePoints(measureTool, measureDraft) };
+        measureDraft = null;
     }
 }
 
 function drawGridScale() {
     // グリッドのスケール情報を右下に表示
-    const gridMeters = 0.5; // 1グリッド = 0.5m
+    const step = toDisplay(gridSpacing(), 'length');
+    const digits = Math.max(0, -Math.round(Math.log10(step)));
+    const shown = step >= 1e-3 && step < 1e5 ? step.toFixed(digits) : step.toExponential(0);
 
     fill(0);
     noStroke();
     textSize(14);
     textAlign(RIGHT, BOTTOM);
-    text(`1 grid = ${gridMeters.toFixed(1)} m`, CANVAS_WIDTH - 20, CANVAS_HEIGHT - 10);
+    text(`1 grid = ${shown} ${unitLabel('length')}`, canvasWidth - 20, canvasHeight - 10);
 }
 
 function mousePressed() {
+    if (mode3D) {
+        // 3Dモードではドラッグで視点を回転する
+        return;
+    }
+    if (!isMouseOverCanvas()) {
+        return;
+    }
+
+    const worldPos = screenToWorld(mouseX, mouseY);
+
     if (measureMode) {
-        // メジャーモードでのクリック
-        if (!measuring) {
-            // 測定開始
-            measureStart = { x: mouseX, y: mouseY };
-            measureEnd = null;
+        if (!MEASURE_TOOLS[measureTool].points) {
+            // 軌跡の測定: クリックした粒子を測る
+            const clicked = particles.find(p => Math.hypot(p.x - worldPos.x, p.y - worldPos.y) * view2D.scale < PICK_RADIUS);
+            if (clicked) {
+                try {
+                    measurement = measureParticle(measureTool, clicked);
+                } catch (error) {
+                    alert(error.message);
+                }
+            }
+        } else if (measureDraft) {
+            // 角度の 2 本目の腕
+            addMeasurePoint(worldPos);
+        } else {
+            // 押した位置から離した位置までドラッグで測る
+            measurement = null;
+            measureDraft = [worldPos];
             measuring = true;
         }
+    } else if (wallMode) {
+        // 壁の描画: 押した位置から離した位置まで
+        dragState = { type: 'wall', x1: worldPos.x, y1: worldPos.y, x2: worldPos.x, y2: worldPos.y };
+    } else if (placeMode) {
+        // 配置モード: 押した位置に置き、ドラッグで初速度を決める
+        dragState = { type: 'place', x: worldPos.x, y: worldPos.y, vx: 0, vy: 0 };
     } else {
-        // 既存の粒子をクリックして選択
-        let clickedParticle = null;
-        const worldPos = screenToWorld(mouseX, mouseY);
+        // 停止中は選択中の粒子の速度ベクトルの先端をつかめる
+        const selected = particles.find(p => p.selected);
+        if (selected && !isPlaying) {
+            const tip = worldToScreen(selected.x + selected.vx * VELOCITY_ARROW_SCALE, selected.y + selected.vy * VELOCITY_ARROW_SCALE);
+            if (Math.hypot(mouseX - tip.x, mouseY - tip.y) < 10) {
+                dragState = { type: 'velocity', particle: selected };
+                return;
+            }
+        }
 
+        // 既存の粒子をクリックして選択（停止中はドラッグで移動）
+        let clickedParticle = null;
         for (let particle of particles) {
             const dist = Math.sqrt((particle.x - worldPos.x) ** 2 + (particle.y - worldPos.y) ** 2);
-            if (dist < 0.3) {
+            if (dist * view2D.scale < PICK_RADIUS) {
                 clickedParticle = particle;
                 break;
             }
         }
 
-        if (clickedParticle) {
-            particles.forEach(p => p.selected = false);
-            clickedParticle.selected = true;
+        // 何もない所をドラッグすると表示を移動する
+        selectParticle(clickedParticle);
+        if (clickedParticle && !isPlaying) {
+            dragState = {
+                type: 'move',
+                particle: clickedParticle,
+                dx: clickedParticle.x - worldPos.x,
+                dy: clickedParticle.y - worldPos.y
+            };
+        } else if (!clickedParticle) {
+            dragState = { type: 'pan', sx: mouseX, sy: mouseY };
         }
     }
 }
 
 function mouseReleased() {
     if (measureMode && measuring) {
-        // 測定終了
-        measureEnd = { x: mouseX, y: mouseY };
         measuring = false;
+        addMeasurePoint(screenToWorld(mouseX, mouseY));
+    }
+
+    if (dragState && dragState.type === 'wall') {
+        // 座標はグリッド間隔の 1/100 単位に丸める
+        const unit = gridSpacing() / 100;
+        const [x1, y1, x2, y2] = ['x1', 'y1', 'x2', 'y2'].map(key => +(Math.round(dragState[key] / unit) * unit).toPrecision(12));
+        if (Math.hypot(x2 - x1, y2 - y1) * view2D.scale > 5) {
+            try {
+                const shape = document.getElementById('wall-shape').value;
+                const behavior = document.getElementById('wall-behavior').value;
+                const restitution = document.querySelector('#wall-params [data-key="restitution"]').value;
+                addWall(createWall(shape, behavior, { x1, y1, x2, y2, restitution }));
+            } catch (error) {
+                alert(error.message);
+            }
+            if (typeof renderWallList === 'function') {
+                renderWallList();
+            }
+        }
+    }
+
+    if (dragState && dragState.type === 'place') {
+        const q = readQuantityInput(document.getElementById('particle-charge'));
+        const m = readQuantityInput(document.getElementById('particle-mass'));
+        if (isNaN(q) || isNaN(m) || m <= 0) {
+            alert('Please enter a valid charge and a positive mass');
+        } else if (addParticleAt(q, m, dragState.x, dragState.y, dragState.vx, dragState.vy)) {
+            countSceneEdit();
+            selectParticle(particles[particles.length - 1]);
+        } else {
+            alert(`Speed must be less than c = ${formatQuantity(relativity.c, 'velocity')} in relativistic mode`);
+        }
+    }
+
+    // 粒子の移動・速度の変更はドラッグを終えたときに 1 回の編集として数える
+    if (dragState && dragState.edited) {
+        countSceneEdit();
+    }
+    dragState = null;
+}
+
+function mouseDragged() {
+    if (mode3D && isMouseOverCanvas()) {
+        orbitView3D(movedX, movedY);
+        return;
+    }
+    if (!dragState) return;
+
+    const worldPos = screenToWorld(mouseX, mouseY);
+    switch (dragState.type) {
+        case 'place': {
+            const v = limitSpeed((worldPos.x - dragState.x) / VELOCITY_ARROW_SCALE, (worldPos.y - dragState.y) / VELOCITY_ARROW_SCALE);
+            dragState.vx = v.vx;
+            dragState.vy = v.vy;
+            break;
+        }
+
+        case 'wall':
+            dragState.x2 = worldPos.x;
+            dragState.y2 = worldPos.y;
+            break;
+
+        case 'pan':
+            panView2D(mouseX - dragState.sx, mouseY - dragState.sy);
+            dragState.sx = mouseX;
+            dragState.sy = mouseY;
+            break;
+
+        case 'move':
+            editParticle(dragState.particle, { x: worldPos.x + dragState.dx, y: worldPos.y + dragState.dy }, false);
+            dragState.edited = true;
+            break;
+
+        case 'velocity': {
+            const p = dragState.particle;
+            editParticle(p, limitSpeed((worldPos.x - p.x) / VELOCITY_ARROW_SCALE, (worldPos.y - p.y) / VELOCITY_ARROW_SCALE), false);
+            dragState.edited = true;
+            break;
+        }
+    }
+}
+
+// 配置中の粒子と初速度、速度を編集中の粒子の予測軌道を表示
+function drawDragPreview() {
+    if (dragState && dragState.type === 'wall') {
+        const { x1, y1, x2, y2 } = dragState;
+        const a = worldToScreen(x1, y1);
+        const b = worldToScreen(x2, y2);
+        noFill();
+        stroke(0, 0, 0, 150);
+        strokeWeight(2);
+        drawingContext.setLineDash([6, 4]);
+        if (document.getElementById('wall-shape').value === 'rect') {
+            rect(a.x, a.y, b.x - a.x, b.y - a.y);
+        } else {
+            line(a.x, a.y, b.x, b.y);
+        }
+        drawingContext.setLineDash([]);
+        return;
     }
+
+    if (dragState && dragState.type === 'place') {
+        const { x, y, vx, vy } = dragState;
+        const q = readQuantityInput(document.getElementById('particle-charge')) || 0;
+        const m = readQuantityInput(document.getElementById('particle-mass'));
+        if (m > 0) {
+            drawOrbitPreview(predictOrbit(q, m, x, y, vx, vy));
+        }
+
+        const pos = worldToScreen(x, y);
+        const tip = worldToScreen(x + vx * VELOCITY_ARROW_SCALE, y + vy * VELOCITY_ARROW_SCALE);
+        noStroke();
+        fill(q > 0 ? color(255, 100, 100, 160) : color(100, 100, 255, 160));
+        circle(pos.x, pos.y, 15);
+        stroke(0, 200, 0);
+        strokeWeight(2);
+        line(pos.x, pos.y, tip.x, tip.y);
+
+        fill(0);
+        noStroke();
+        textSize(12);
+        textAlign(LEFT, BOTTOM);
+        text(`v = (${formatValue(vx, 'velocity', 3)}, ${formatValue(vy, 'velocity', 3)}) ${unitLabel('velocity')}`, tip.x + 8, tip.y - 4);
+        return;
+    }
+
+    // 停止中は選択中の粒子の予測軌道と速度ベクトルのハンドルを表示
+    const selected = particles.find(p => p.selected);
+    if (selected && !isPlaying) {
+        drawOrbitPreview(predictOrbit(selected.q, selected.m, selected.x, selected.y, selected.vx, selected.vy, selected.vz));
+        const tip = worldToScreen(selected.x + selected.vx * VELOCITY_ARROW_SCALE, selected.y + selected.vy * VELOCITY_ARROW_SCALE);
+        noFill();
+        stroke(0, 150, 0);
+        strokeWeight(1.5);
+        circle(tip.x, tip.y, 12);
+    }
+}
+
+function mouseWheel(event) {
+    if (!isMouseOverCanvas()) return;
+    if (mode3D) {
+        zoomView3D(event.delta);
+    } else {
+        zoomView2D(Math.exp(-event.delta * 0.001), mouseX, mouseY);
+    }
+    return false; // ページのスクロールを防ぐ
+}
+
+function isMouseOverCanvas() {
+    return mouseX >= 0 && mouseX <= canvasWidth && mouseY >= 0 && mouseY <= canvasHeight;
+}
+
+// 画面上の点 (sx, sy) を固定して拡大・縮小する
+function zoomView2D(factor, sx = canvasWidth / 2, sy = canvasHeight / 2) {
+    const anchor = screenToWorld(sx, sy);
+    view2D.scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, view2D.scale * factor));
+    view2D.centerX = anchor.x - (sx - canvasWidth / 2) / view2D.scale;
+    view2D.centerY = anchor.y + (sy - canvasHeight / 2) / view2D.scale;
+}
+
+// 画面上で (dx, dy) px だけ表示を動かす（追従は解除する）
+function panView2D(dx, dy) {
+    view2D.centerX -= dx / view2D.scale;
+    view2D.centerY += dy / view2D.scale;
+    if (view2D.follow) {
+        setFollowSelected(false);
+        if (typeof syncViewControls === 'function') {
+            syncViewControls();
+        }
+    }
+}
+
+function followSelectedParticle() {
+    const selected = particles.find(p => p.selected);
+    if (selected) {
+        view2D.centerX = selected.x;
+        view2D.centerY = selected.y;
+    }
+}
+
+function setFollowSelected(enabled) {
+    view2D.follow = enabled;
+}
+
+// 全粒子の軌跡（比較用の軌道を含む）が収まるように表示を合わせる
+function fitViewToTrails() {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const particle of particles) {
+        const targets = particle.newtonianTwin ? [particle, particle.newtonianTwin] : [particle];
+        for (const p of targets) {
+            for (let i = 0; i <= p.trail.length; i++) {
+                const x = i < p.trail.length ? p.trail.xAt(i) : p.x;
+                const y = i < p.trail.length ? p.trail.yAt(i) : p.y;
+                minX = Math.min(minX, x);
+                maxX = Math.max(maxX, x);
+                minY = Math.min(minY, y);
+                maxY = Math.max(maxY, y);
+            }
+        }
+    }
+    if (!isFinite(minX)) {
+        resetView2D();
+        return;
+    }
+
+    // 余白 40px、範囲は最低 1 m
+    const margin = 40;
+    const w = Math.max(maxX - minX, 1);
+    const h = Math.max(maxY - minY, 1);
+    const scale = Math.min((canvasWidth - 2 * margin) / w, (canvasHeight - 2 * margin) / h);
+    view2D.scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+    view2D.centerX = (minX + maxX) / 2;
+    view2D.centerY = (minY + maxY) / 2;
+    view2D.follow = false;
+}
+
+function resetView2D() {
+    view2D = { centerX: 0, centerY: 0, scale: DEFAULT_SCALE, follow: false };
 }
 
 function updateInfo() {
     // UI.jsで実装される関数を呼び出し
     if (typeof updateSimulationInfo === 'function') {
-        updateSimulationInfo(simulationTime, particles.length);
+        updateSimulationInfo(simulationTime, particles.length, simulationLagging);
+    }
+    if (typeof updateTimeline === 'function') {
+        updateTimeline();
+    }
+    if (typeof updateSelectedParticleInfo === 'function') {
+        updateSelectedParticleInfo(particles.find(p => p.selected) || null);
+    }
+    if (typeof updateRelativityReadout === 'function') {
+        updateRelativityReadout();
+    }
+    if (typeof updateLessonCaption === 'function') {
+        updateLessonCaption(simulationTime);
     }
 }
 
 // UI から呼ばれる関数
-function addParticle(q, m, vx, vy) {
-    const worldPos = screenToWorld(CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2);
+// 追加した粒子を返す（相対論モードで光速以上の粒子は追加せず null を返す）
+function addParticle(q, m, vx, vy, vz = 0) {
+    const worldPos = screenToWorld(canvasWidth / 2, canvasHeight / 2);
+    const particle = addParticleAt(q, m, worldPos.x, worldPos.y, vx, vy, vz);
+    if (particle) {
+        countSceneEdit();
+    }
+    return particle;
+}
+
+// 編集として数えるのは呼び出し側（エミッタの放出は数えない）
+function addParticleAt(q, m, x, y, vx, vy, vz = 0) {
+    forkHistoryIfRewound(false);
     const particle = new Particle(
         `p${particleIdCounter++}`,
         q, m,
-        worldPos.x, worldPos.y,
-        vx, vy
+        x, y,
+        vx, vy,
+        0, mode3D ? vz : 0
     );
+    if (relativity.enabled && exceedsLightSpeed(particle)) {
+        return null;
+    }
+    if (relativity.enabled && relativity.compare) {
+        particle.newtonianTwin = createNewtonianTwin(particle);
+    }
+    particle.birthTime = simulationTime;
     particles.push(particle);
+    return particle;
+}
+
+// 円形領域にランダムに配置した静止粒子の塊を追加（クーロン爆発・プラズマ振動用）
+function addParticleCluster(count, radius, q, m) {
+    forkHistoryIfRewound();
+    const center = screenToWorld(canvasWidth / 2, canvasHeight / 2);
+    for (let i = 0; i < count; i++) {
+        const r = radius * Math.sqrt(Math.random());
+        const angle = Math.random() * 2 * Math.PI;
+        const z = mode3D ? (Math.random() * 2 - 1) * radius : 0;
+        particles.push(new Particle(
+            `p${particleIdCounter++}`,
+            q, m,
+            center.x + r * Math.cos(angle), center.y + r * Math.sin(angle),
+            0, 0,
+            z, 0
+        ));
+    }
+}
+
+function selectParticle(particle) {
+    particles.forEach(p => p.selected = p === particle);
+}
+
+// 粒子の状態を直接書き換える（インスペクタとドラッグ操作から）
+// 軌跡と仕事の積算は書き換えた時点からやり直す（ドラッグの途中は edit = false で、編集の回数に数えない）
+function editParticle(particle, changes, edit = true) {
+    forkHistoryIfRewound(edit);
+    Object.assign(particle, changes);
+    if (!mode3D) {
+        particle.z = 0;
+        particle.vz = 0;
+    }
+    particle.trail.clear();
+    particle.workE = 0;
+    particle.initialEnergy = null;
+    particle.lastPower = null;
+    particle.adaptiveStep = undefined;
+    if (particle.newtonianTwin) {
+        particle.newtonianTwin = createNewtonianTwin(particle);
+    }
+    particle.guidingCenter = null;
+}
+
+function deleteParticle(particle) {
+    forkHistoryIfRewound();
+    particles = particles.filter(p => p !== particle);
+}
+
+// 相対論モードでは速さを 0.99c までに制限する
+function limitSpeed(vx, vy) {
+    const v = Math.hypot(vx, vy);
+    if (relativity.enabled && v >= relativity.c) {
+        const k = 0.99 * relativity.c / v;
+        return { vx: vx * k, vy: vy * k };
+    }
+    return { vx, vy };
 }
 
 function clearParticles() {
     particles = [];
     particleIdCounter = 0;
+    clearTimeSeries();
+    clearDetectorHits();
+    clearHistory();
 }
 
 function resetSimulation() {
     particles.forEach(p => {
-        p.trail = [];
+        p.trail.clear();
+        p.workE = 0;
+        p.initialEnergy = null;
+        p.lastPower = null;
+        if (p.newtonianTwin) {
+            p.newtonianTwin.trail.clear();
+        }
+        if (p.guidingCenter) {
+            p.guidingCenter.trail.clear();
+        }
     });
     simulationTime = 0;
+    timeAccumulator = 0;
+    particles.forEach(p => p.birthTime = 0);
+    resetEmitters(emitters);
+    clearTimeSeries();
+    clearDetectorHits();
+    clearHistory();
 }
 
 function togglePlayPause() {
     isPlaying = !isPlaying;
+    // 最後まで再生したサーバーの結果は最初から再生し直す
+    if (isPlaying && isServerPlaybackActive() && isServerPlaybackFinished()) {
+        seekServerPlayback(serverPlayback.times[0]);
+    }
     return isPlaying;
 }
 
 function stepSimulation() {
-    const dt = (1 / 60) * timeScale;
+    if (isServerPlaybackActive()) {
+        advanceServerPlayback(physicsDt);
+        return;
+    }
+    advanceSimulation(physicsDt);
+}
+
+// 1 ステップ戻す
+// 履歴があればそこから復元し、なければ時間反転した積分で戻る（Boris 法は前進ステップの厳密な逆になる）
+function stepBackward() {
+    if (isServerPlaybackActive()) {
+        advanceServerPlayback(-physicsDt);
+        return;
+    }
+    if (!stepHistoryBack()) {
+        advanceSimulation(-physicsDt);
+    }
+}
+
+// 固定刻みのアキュムレータ: 経過した実時間 × 再生速度だけシミュレーションを進める
+// フレームレートが落ちても刻み幅は変わらず、1 フレームあたりのステップ数が増える
+function advanceRealTime() {
+    // サーバーで計算した軌道は実時間 × 再生速度でそのまま再生する（api.js）
+    if (isServerPlaybackActive()) {
+        stopWorkerRun();
+        advanceServerPlayback(Math.min(deltaTime / 1000, MAX_FRAME_TIME) * timeScale);
+        return;
+    }
+    // Worker で計算しているときは届いたフレームを描くだけ（workerengine.js）
+    if (runPhysicsInWorker()) return;
+    timeAccumulator += Math.min(deltaTime / 1000, MAX_FRAME_TIME) * timeScale;
+
+    let steps = 0;
+    while (timeAccumulator >= physicsDt && steps < MAX_STEPS_PER_FRAME) {
+        advanceSimulation(physicsDt);
+        timeAccumulator -= physicsDt;
+        steps++;
+    }
+
+    // 追いつけない分は捨てる（遅れを溜め込まない）
+    simulationLagging = timeAccumulator >= physicsDt;
+    if (simulationLagging) {
+        timeAccumulator = 0;
+    }
+}
+
+// 全粒子を dt だけ進める（dt < 0 なら戻す）
+// 巻き戻し中に進めるときは記録済みの履歴を再生する
+function advanceSimulation(dt) {
+    if (dt > 0 && historyCursor !== null) {
+        replayHistoryStep();
+        return;
+    }
+    if (dt > 0) {
+        prepareHistoryForStep();
+    } else {
+        detachHistory();
+    }
+
+    const h = dt / substeps;
+
+    for (let k = 0; k < substeps; k++) {
+        // 他の粒子の状態はステップ開始時の値で固定する
+        interactionSnapshot = interactionSettings.enabled && particles.length > 1
+            ? buildInteractionSnapshot(particles, interactionSettings, mode3D ? 3 : 2)
+            : null;
+
+        // 壁・境界と衝突は前進するときだけ適用する（比較用の軌道は影響を受けない）
+        const absorbed = new Set();
+        for (let particle of particles) {
+            if (guidingCenterSettings.motion !== 'full' && !particle.guidingCenter) {
+                particle.guidingCenter = createGuidingCenterTwin(particle);
+            }
+
+            // 案内中心だけを積分するときは完全な軌道を止めておく（案内中心が作れない粒子は除く）
+            if (guidingCenterSettings.motion !== 'guidingCenter' || !particle.guidingCenter) {
+                const start = { x: particle.x, y: particle.y };
+                particle.update(h, simulationTime);
+                if (dt > 0 && applyBoundaries(particle, start, simulationTime, h)) {
+                    absorbed.add(particle);
+                } else if (dt > 0) {
+                    applyCollisions(forceTerms, particle, h, mode3D ? 3 : 2, relativity.enabled ? relativity.c : null);
+                }
+            }
+            if (particle.guidingCenter) {
+                stepGuidingCenter(particle.guidingCenter, particle.q, particle.m, h, simulationTime,
+                    externalFieldAt, guidingCenterForce(particle), mode3D ? 3 : 2);
+            }
+            if (particle.newtonianTwin) {
+                particle.newtonianTwin.update(h, simulationTime);
+            }
+        }
+        simulationTime += h;
+        removeParticles(absorbed);
+    }
+
+    if (dt > 0) {
+        removeExpiredParticles();
+        emitParticles(dt);
+    }
+
     for (let particle of particles) {
-        particle.update(dt, electricField, magneticField);
+        const targets = particle.newtonianTwin ? [particle, particle.newtonianTwin] : [particle];
+        for (const p of targets) {
+            if (dt > 0) {
+                p.recordTrail(simulationTime);
+            } else {
+                p.truncateTrail(simulationTime);
+            }
+        }
+        if (particle.guidingCenter) {
+            updateGuidingCenterTrail(particle.guidingCenter, dt > 0, simulationTime);
+        }
+    }
+
+    if (dt > 0) {
+        recordTimeSeries(particles, simulationTime, relativity.enabled ? relativity.c : null);
+        recordHistory();
+    } else {
+        truncateTimeSeries(simulationTime);
+        truncateDetectorHits(simulationTime);
     }
-    simulationTime += dt;
+}
+
+// エミッタから粒子を放出する（生きている粒子が上限に達したエミッタは休止）
+function emitParticles(dt) {
+    for (const emitter of emitters) {
+        const count = emissionCount(emitter, dt);
+        let alive = particles.filter(p => p.emitterId === emitter.id).length;
+        for (let i = 0; i < count && alive < emitter.limit; i++) {
+            const e = sampleEmission(emitter);
+            const v = limitSpeed(e.vx, e.vy);
+            const particle = addParticleAt(e.q, e.m, e.x, e.y, v.vx, v.vy);
+            if (!particle) continue;
+            particle.lifetime = emitter.lifetime > 0 ? emitter.lifetime : null;
+            particle.emitterId = emitter.id;
+            alive++;
+        }
+    }
+}
+
+// 寿命が尽きた粒子を取り除く
+function removeExpiredParticles() {
+    removeParticles(new Set(particles.filter(p =>
+        p.lifetime !== null && simulationTime - p.birthTime >= p.lifetime
+    )));
+}
+
+function removeParticles(removed) {
+    if (removed.size === 0) return;
+    removed.forEach(p => removeTimeSeries(p.id));
+    particles = particles.filter(p => !removed.has(p));
+}
+
+// 壁と領域の境界を適用する（start は 1 ステップ前の位置、取り除く粒子なら true）
+function applyBoundaries(particle, start, t, h) {
+    const c = relativity.enabled ? relativity.c : null;
+    if (collideWithWalls(particle, start, t, h, walls, c)) {
+        return true;
+    }
+    const result = applyDomainBoundary(particle, domain);
+    if (result === 'wrap') {
+        particle.wrapped = true;
+    }
+    return result === 'absorb';
 }
 
 function setTimeScale(scale) {
     timeScale = scale;
 }
 
+function setPhysicsDt(dt) {
+    forkHistoryIfRewound();
+    physicsDt = dt;
+    timeAccumulator = 0;
+}
+
+function setSubsteps(count) {
+    forkHistoryIfRewound();
+    substeps = Math.max(1, Math.round(count));
+}
+
+// 表示中の軌跡の容量も合わせる（短くするときは新しい点を残す）
 function setTrailLength(length) {
     trailLength = length;
+    for (const particle of particles) {
+        particle.trail.setCapacity(length);
+        if (particle.newtonianTwin) {
+            particle.newtonianTwin.trail.setCapacity(length);
+        }
+        if (particle.guidingCenter) {
+            particle.guidingCenter.trail.setCapacity(length);
+        }
+    }
+}
+
+function setIntegrator(name) {
+    forkHistoryIfRewound();
+    if (INTEGRATORS[name]) {
+        integrator = name;
+    }
+}
+
+function setIntegratorTolerance(tolerance) {
+    forkHistoryIfRewound();
+    integratorTolerance = tolerance;
 }
 
 function setElectricField(magnitude, angle_deg) {
+    forkHistoryIfRewound();
     electricField = { magnitude, angle_deg };
 }
 
 function setMagneticField(magnitude, angle_deg) {
+    forkHistoryIfRewound();
     magneticField = { magnitude, angle_deg };
 }
 
+function setInteractionSettings(settings) {
+    forkHistoryIfRewound();
+    interactionSettings = Object.assign({}, interactionSettings, settings);
+}
+
+// 案内中心の設定（積分の仕方を変えたら案内中心を現在の粒子の状態から作り直す）
+function setGuidingCenterSettings(settings) {
+    const motion = guidingCenterSettings.motion;
+    if (settings.motion && !GUIDING_CENTER_MOTIONS.includes(settings.motion)) {
+        throw new Error(`Unknown guiding-center motion: ${settings.motion}`);
+    }
+    guidingCenterSettings = Object.assign({}, guidingCenterSettings, settings);
+    if (guidingCenterSettings.motion === motion) return;
+
+    forkHistoryIfRewound();
+    for (const particle of particles) {
+        particle.guidingCenter = guidingCenterSettings.motion === 'full' ? null : createGuidingCenterTwin(particle);
+    }
+}
+
+// 相対論モードの設定
+// 有効にするとき光速以上の粒子は 0.99c に減速し、その数を返す
+function setRelativitySettings(settings) {
+    forkHistoryIfRewound();
+    relativity = Object.assign({}, relativity, settings);
+
+    let clamped = 0;
+    if (relativity.enabled) {
+        for (const particle of particles) {
+            const v = speedOf(particle);
+            if (v >= relativity.c) {
+                const k = 0.99 * relativity.c / v;
+                particle.vx *= k;
+                particle.vy *= k;
+                particle.vz *= k;
+                clamped++;
+            }
+        }
+    }
+
+    // 比較用の軌道は現在の状態から作り直す
+    for (const particle of particles) {
+        if (relativity.enabled && relativity.compare) {
+            if (!particle.newtonianTwin) {
+                particle.newtonianTwin = createNewtonianTwin(particle);
+            }
+        } else {
+            particle.newtonianTwin = null;
+        }
+    }
+    return clamped;
+}
+
+function setMagneticDirection(azimuth_deg, elevation_deg) {
+    forkHistoryIfRewound();
+    magneticDirection = { azimuth_deg, elevation_deg };
+}
+
+// 2D/3Dモードの切り替え
+// 2Dに戻すときは z 成分を捨てて XY 平面に射影する
+function setMode3D(enabled) {
+    forkHistoryIfRewound();
+    mode3D = enabled;
+    if (!enabled) {
+        for (const particle of particles) {
+            particle.z = 0;
+            particle.vz = 0;
+            particle.trail.flattenZ();
+            if (particle.newtonianTwin) {
+                particle.newtonianTwin = createNewtonianTwin(particle);
+            }
+            if (particle.guidingCenter) {
+                particle.guidingCenter.z = 0;
+                particle.guidingCenter.trail.flattenZ();
+            }
+        }
+    }
+}
+
+function setElectricWaveform(waveform) {
+    forkHistoryIfRewound();
+    electricWaveform = waveform;
+}
+
+function setMagneticWaveform(waveform) {
+    forkHistoryIfRewound();
+    magneticWaveform = waveform;
+}
+
+function addFieldSource(source) {
+    forkHistoryIfRewound();
+    fieldSources.push(source);
+}
+
+function removeFieldSource(index) {
+    forkHistoryIfRewound();
+    fieldSources.splice(index, 1);
+}
+
+function setFieldSources(sources) {
+    forkHistoryIfRewound();
+    fieldSources = sources;
+}
+
+function addEmitter(emitter) {
+    forkHistoryIfRewound();
+    emitters.push(emitter);
+}
+
+function removeEmitter(index) {
+    forkHistoryIfRewound();
+    emitters.splice(index, 1);
+}
+
+function setEmitters(list) {
+    forkHistoryIfRewound();
+    emitters = list;
+}
+
+function addWall(wall) {
+    forkHistoryIfRewound();
+    walls.push(wall);
+}
+
+function removeWall(index) {
+    forkHistoryIfRewound();
+    walls.splice(index, 1);
+}
+
+function setWalls(list) {
+    forkHistoryIfRewound();
+    walls = list;
+}
+
+function addForceTerm(term) {
+    forkHistoryIfRewound();
+    forceTerms.push(term);
+}
+
+function removeForceTerm(index) {
+    forkHistoryIfRewound();
+    forceTerms.splice(index, 1);
+}
+
+function setForceTerms(terms) {
+    forkHistoryIfRewound();
+    forceTerms = terms;
+}
+
+function setDomain(settings) {
+    forkHistoryIfRewound();
+    domain = Object.assign({}, domain, settings);
+}
+
+function togglePlaceMode() {
+    placeMode = !placeMode;
+    if (placeMode && measureMode) {
+        toggleMeasureTool();
+    }
+    if (placeMode) {
+        wallMode = false;
+    }
+    return placeMode;
+}
+
+function toggleWallMode() {
+    wallMode = !wallMode;
+    if (wallMode && measureMode) {
+        toggleMeasureTool();
+    }
+    if (wallMode) {
+        placeMode = false;
+    }
+    return wallMode;
+}
+
 function toggleMeasureTool() {
     measureMode = !measureMode;
+    if (measureMode) {
+        placeMode = false;
+        wallMode = false;
+    }
     if (!measureMode) {
-        // メジャーモードを終了したら測定をリセット
-        measureStart = null;
-        measureEnd = null;
-        measuring = false;
+        // メジャーモードを終了したら固定していない測定をリセット
+        resetMeasurement();
+    }
+}
+
+function setMeasureTool(tool) {
+    if (!MEASURE_TOOLS[tool]) {
+        throw new Error(`Unknown measurement tool: ${tool}`);
     }
+    measureTool = tool;
+    resetMeasurement();
+}
+
+function resetMeasurement() {
+    measurement = null;
+    measureDraft = null;
+    measuring = false;
+}
+
+// 現在の測定を注記として固定する（固定できたら true）
+function pinMeasurement() {
+    if (!measurement) return false;
+    forkHistoryIfRewound();
+    annotations.push(createAnnotation(measurement));
+    measurement = null;
+    return true;
+}
+
+function removeAnnotation(index) {
+    forkHistoryIfRewound();
+    annotations.splice(index, 1);
+}
+
+function setAnnotations(list) {
+    forkHistoryIfRewound();
+    annotations = list;
 }
@@ -0,0 +1,221 @@
+// ストリーミングサーバーのページ内モック（api.js のプロトコルをそのまま実装する）
+// バックエンドの /simulate と同じく 2D の一様な E・B（Bz = B cos θ）を計算し、WebSocket と同じ形でクライアントに渡す
+
+const MOCK_STREAM_LIMITS = { t_final: 100, dt: 0.0001, particles: 100 }; // バックエンドと同じ制限
+const SOCKET_STATES = { CONNECTING: 0, OPEN: 1, CLOSING: 2, CLOSED: 3 };
+
+class MockSimulationSocket {
+    constructor(url) {
+        this.url = url;
+        this.readyState = SOCKET_STATES.CONNECTING;
+        this.onopen = null;
+        this.onmessage = null;
+        this.onerror = null;
+        this.onclose = null;
+        this.bufferedAmount = 0;
+        this.seq = 0;
+        this.run = null;
+        this.timer = null;
+
+        // 本物と同じく、イベントは呼び出しの後で非同期に届ける
+        setTimeout(() => {
+            if (this.readyState !== SOCKET_STATES.CONNECTING) return;
+            this.readyState = SOCKET_STATES.OPEN;
+            if (this.onopen) this.onopen({ type: 'open' });
+        }, 0);
+    }
+
+    // 本物の WebSocket と同じく、接続前は例外にし、閉じ始めた後は送らずに捨てる（bufferedAmount だけ増える）
+    send(data) {
+        if (this.readyState === SOCKET_STATES.CONNECTING) {
+            throw new DOMException('The mock stream socket is still connecting', 'InvalidStateError');
+        }
+        if (this.readyState !== SOCKET_STATES.OPEN) {
+            this.bufferedAmount += data.length;
+            return;
+        }
+        const message = JSON.parse(data);
+        setTimeout(() => this.receive(message), 0);
+    }
+
+    close(code = 1000) {
+        if (this.readyState === SOCKET_STATES.CLOSING || this.readyState === SOCKET_STATES.CLOSED) return;
+        this.readyState = SOCKET_STATES.CLOSING;
+        this.run = null;
+        clearTimeout(this.timer);
+        setTimeout(() => {
+            this.readyState = SOCKET_STATES.CLOSED;
+            if (this.onclose) this.onclose({ type: 'close', code, wasClean: code === 1000 });
+        }, 0);
+    }
+
+    // 回線が途切れたときと同じように閉じる（再接続の確認用）
+    drop() {
+        this.close(1006);
+    }
+
+    reply(message) {
+        if (this.readyState !== SOCKET_STATES.OPEN) return;
+        const data = JSON.stringify(Object.assign({}, message, { seq: ++this.seq }));
+        if (this.onmessage) this.onmessage({ type: 'message', data });
+    }
+
+    receive(message) {
+        if (this.readyState !== SOCKET_STATES.OPEN) return;
+        try {
+            switch (message.type) {
+                case 'start':
+                    this.run = createMockStreamRun(message);
+                    this.schedule();
+                    break;
+                case 'pause':
+                    this.requireRun(message).paused = true;
+                    this.reply({ type: 'paused' });
+                    break;
+                case 'resume':
+                    this.requireRun(message).paused = false;
+                    this.reply({ type: 'resumed' });
+                    this.schedule();
+                    break;
+                case 'update':
+                    updateMockStreamRun(this.requireRun(message), message);
+                    break;
+                case 'ack':
+                    // 送り終えた後に届いた ack は捨てる
+                    if (this.run) {
+                        this.run.inFlight = this.run.inFlight.filter(seq => seq > message.ack);
+                        this.schedule();
+                    }
+                    break;
+                case 'stop':
+                    this.run = null;
+                    break;
+                default:
+                    throw new Error(`Unknown message type "${message.type}"`);
+            }
+        } catch (error) {
+            this.reply({ type: 'error', error: error.message, replyTo: message.seq });
+        }
+    }
+
+    requireRun(message) {
+        if (!this.run) {
+            throw new Error(`"${message.type}" needs a running simulation; send "start" first`);
+        }
+        return this.run;
+    }
+
+    // ack されていないチャンクが window 個未満なら、次のチャンクを計算して送る
+    schedule() {
+        const run = this.run;
+        if (!run || run.paused || this.timer || run.inFlight.length >= run.window) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            if (this.run !== run || run.paused) return;
+            this.reply(computeMockStreamChunk(run));
+            run.inFlight.push(this.seq);
+            if (run.t >= run.t_final) {
+                this.reply({ type: 'done' });
+                this.run = null;
+                return;
+            }
+            this.schedule();
+        }, 0);
+    }
+}
+
+// start の検証（/simulate と同じ制限）と計算の準備
+function createMockStreamRun(message) {
+    const { request } = message;
+    if (!request || !Array.isArray(request.particles)) {
+        throw new Error('start needs a request with particles');
+    }
+    if (!(request.t_final > request.t0)) {
+        throw new Error('t_final must be later than t0');
+    }
+    if (request.t_final > MOCK_STREAM_LIMITS.t_final) {
+        throw new Error(`t_final must be at most ${MOCK_STREAM_LIMITS.t_final}`);
+    }
+    if (request.particles.length > MOCK_STREAM_LIMITS.particles) {
+        throw new Error(`At most ${MOCK_STREAM_LIMITS.particles} particles can be streamed`);
+    }
+
+    const run = {
+        t: request.t0,
+        t_final: request.t_final,
+        chunkSize: Math.max(1, Math.floor(message.chunkSize) || STREAM_CHUNK_SIZE),
+        window: Math.max(1, Math.floor(message.window) || STREAM_WINDOW),
+        c: request.c || null,
+        paused: false,
+        inFlight: [], // ack を待っている frames の seq
+        bodies: []
+    };
+    updateMockStreamRun(run, { dt: request.dt, integrator: request.integrator, fields: request.fields });
+
+    for (const p of request.particles) {
+        if (run.c && Math.hypot(p.vx, p.vy) >= run.c) {
+            throw new Error(`Particle ${p.id} is not slower than light`);
+        }
+        // 積分法（integrators.js）が使う形の粒子
+        run.bodies.push({
+            id: p.id, q: p.q, m: p.m,
+            x: p.x, y: p.y, z: 0, vx: p.vx, vy: p.vy, vz: 0,
+            calculateForce: (s) => ({
+                Fx: p.q * (run.E.x + s.vy * run.Bz),
+                Fy: p.q * (run.E.y - s.vx * run.Bz),
+                Fz: 0
+            })
+        });
+    }
+    return run;
+}
+
+// update（start の dt・積分法・場にも使う）
+function updateMockStreamRun(run, params) {
+    if (params.dt !== undefined) {
+        if (!(params.dt >= MOCK_STREAM_LIMITS.dt)) {
+            throw new Error(`dt must be at least ${MOCK_STREAM_LIMITS.dt}`);
+        }
+        run.dt = params.dt;
+    }
+    if (params.integrator !== undefined) {
+        if (!SERVER_INTEGRATORS.includes(params.integrator)) {
+            throw new Error(`Unknown integrator "${params.integrator}"`);
+        }
+        run.step = INTEGRATORS[params.integrator].step;
+    }
+    if (params.fields !== undefined) {
+        const { E, B } = params.fields;
+        const E_rad = E.angle_deg * Math.PI / 180;
+        run.E = { x: E.magnitude * Math.cos(E_rad), y: E.magnitude * Math.sin(E_rad) };
+        run.Bz = B.magnitude * Math.cos(B.angle_deg * Math.PI / 180);
+    }
+}
+
+// chunkSize ステップ分（最後は t_final で止める）を frames にする
+function computeMockStreamChunk(run) {
+    const times = [];
+    const particles = {};
+    for (const body of run.bodies) {
+        particles[body.id] = { x: [], y: [], vx: [], vy: [] };
+    }
+
+    for (let i = 0; i < run.chunkSize && run.t < run.t_final; i++) {
+        const h = Math.min(run.dt, run.t_final - run.t);
+        for (const body of run.bodies) {
+            run.step(body, h, run.t, { c: run.c });
+            const track = particles[body.id];
+            track.x.push(body.x);
+            track.y.push(body.y);
+            track.vx.push(body.vx);
+            track.vy.push(body.vy);
+        }
+        run.t += h;
+        // 足し算の丸めで t_final のわずかに手前に残らないようにそろえる
+        if (run.t_final - run.t < run.dt * 1e-9) {
+            run.t = run.t_final;
+        }
+        times.push(run.t);
+    }
+    return { type: 'frames', times, particles };
+}
@@ -0,0 +1,141 @@
+// 軌跡のリングバッファ（粒子・比較用の軌道・案内中心と physicsworker.js で共通）
+// 点は成分ごとの Float64Array に持ち、容量に達したら最も古い点を上書きする（点ごとにオブジェクトを作らない）
+// 容量が Infinity（Full）のときは配列を倍に広げながら全部残す
+// i 番目の点（0 が最も古い）は xAt(i) などで読む。jump は周期境界で反対側に移った点（手前の点と結ばない）
+
+const TRAIL_INITIAL_SLOTS = 256; // 最初に確保する枠の数（容量まで倍に広げる）
+
+class TrailBuffer {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.start = 0;  // 最も古い点の枠
+        this.length = 0;
+        this.allocate(Math.min(capacity, TRAIL_INITIAL_SLOTS));
+    }
+
+    // 点の配列 [{ x, y, z, t, jump }] から作る（測定した点列を描くときなど）
+    static from(points) {
+        const trail = new TrailBuffer(points.length);
+        trail.assign(points);
+        return trail;
+    }
+
+    // 枠を slots 個に取り直し、残っている点を古い順に先頭から詰める
+    allocate(slots) {
+        const old = this.xs ? this : null;
+        const keep = Math.min(this.length, slots);
+        const from = this.length - keep;
+        const xs = new Float64Array(slots);
+        const ys = new Float64Array(slots);
+        const zs = new Float64Array(slots);
+        const ts = new Float64Array(slots);
+        const jumps = new Uint8Array(slots);
+        for (let i = 0; i < keep; i++) {
+            const k = old.slot(from + i);
+            xs[i] = old.xs[k];
+            ys[i] = old.ys[k];
+            zs[i] = old.zs[k];
+            ts[i] = old.ts[k];
+            jumps[i] = old.jumps[k];
+        }
+        Object.assign(this, { xs, ys, zs, ts, jumps, start: 0, length: keep });
+    }
+
+    slot(i) {
+        return (this.start + i) % this.xs.length;
+    }
+
+    xAt(i) {
+        return this.xs[this.slot(i)];
+    }
+
+    yAt(i) {
+        return this.ys[this.slot(i)];
+    }
+
+    zAt(i) {
+        return this.zs[this.slot(i)];
+    }
+
+    tAt(i) {
+        return this.ts[this.slot(i)];
+    }
+
+    isJump(i) {
+        return this.jumps[this.slot(i)] === 1;
+    }
+
+    push(x, y, z, t, jump = false) {
+        if (this.capacity < 1) return;
+        if (this.length === this.xs.length && this.length < this.capacity) {
+            this.allocate(Math.min(this.capacity, this.xs.length * 2));
+        }
+        let k;
+        if (this.length < this.xs.length) {
+            k = this.slot(this.length);
+            this.length++;
+        } else {
+            k = this.start;
+            this.start = (this.start + 1) % this.xs.length;
+        }
+        this.xs[k] = x;
+        this.ys[k] = y;
+        this.zs[k] = z;
+        this.ts[k] = t;
+        this.jumps[k] = jump ? 1 : 0;
+    }
+
+    // 時刻 t より後の点を捨てる（逆方向のステップ用）
+    truncateAfter(t) {
+        while (this.length && this.tAt(this.length - 1) > t + 1e-9) {
+            this.length--;
+        }
+    }
+
+    clear() {
+        this.start = 0;
+        this.length = 0;
+    }
+
+    // 容量を変える（減らすときは新しい点を残す）
+    setCapacity(capacity) {
+        this.capacity = capacity;
+        if (this.xs.length > capacity) {
+            this.allocate(capacity);
+        }
+    }
+
+    // 2D に戻すとき XY 平面に射影する
+    flattenZ() {
+        this.zs.fill(0);
+    }
+
+    point(i) {
+        const point = { x: this.xAt(i), y: this.yAt(i), z: this.zAt(i), t: this.tAt(i) };
+        if (this.isJump(i)) {
+            point.jump = true;
+        }
+        return point;
+    }
+
+    last() {
+        return this.length ? this.point(this.length - 1) : null;
+    }
+
+    // 点の配列に書き出す（測定や保存に使う）
+    toArray() {
+        const points = [];
+        for (let i = 0; i < this.length; i++) {
+            points.push(this.point(i));
+        }
+        return points;
+    }
+
+    // 点の配列で置き換える（容量を超える分は古い点から捨てる）
+    assign(points) {
+        this.clear();
+        for (const point of points) {
+            this.push(point.x, point.y, point.z || 0, point.t, point.jump);
+        }
+    }
+}
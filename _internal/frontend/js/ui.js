@@ -1,17 +1,37 @@
 // UI初期化
 document.addEventListener('DOMContentLoaded', () => {
     initializeControls();
+    initializeUnitControls();
+    initializeFieldSourceControls();
+    initializeForceControls();
+    initializeEmitterControls();
+    initializeWallControls();
+    initializeHistogramControls();
+    initializeWaveformControls();
+    initializeInteractionControls();
+    initializeRelativityControls();
+    initializeGuidingCenterControls();
+    initializePlotControls();
+    initializeTimelineControls();
+    initializeInspectorControls();
+    initializeViewControls();
+    initializeFieldLayerControls();
+    initializeMeasureControls();
+    initializePresetControls();
+    initializeSceneControls();
+    initializeLinkControls();
+    initializeServerControls();
+    initializeWorkerControls();
+    document.getElementById('copy-diagnostics').addEventListener('click', copyDiagnostics);
 });
 
 function initializeControls() {
     // スライダーのイベントリスナー
     const eMagnitude = document.getElementById('e-magnitude');
-    const eMagnitudeValue = document.getElementById('e-magnitude-value');
     const eAngle = document.getElementById('e-angle');
     const eAngleValue = document.getElementById('e-angle-value');
 
     const bMagnitude = document.getElementById('b-magnitude');
-    const bMagnitudeValue = document.getElementById('b-magnitude-value');
     const bDirectionRadios = document.getElementsByName('b-direction');
 
     const trailLengthSlider = document.getElementById('trail-length');
@@ -20,7 +40,7 @@ function initializeControls() {
     // 電場スライダー
     eMagnitude.addEventListener('input', (e) => {
         const value = parseFloat(e.target.value);
-        eMagnitudeValue.textContent = value.toFixed(1);
+        syncFieldMagnitudeLabels();
         setElectricField(value, parseFloat(eAngle.value));
     });
 
@@ -39,7 +59,7 @@ function initializeControls() {
     // 磁場スライダー
     bMagnitude.addEventListener('input', (e) => {
         const value = parseFloat(e.target.value);
-        bMagnitudeValue.textContent = value.toFixed(1);
+        syncFieldMagnitudeLabels();
         setMagneticField(value, getBDirectionAngle());
     });
 
@@ -50,6 +70,33 @@ function initializeControls() {
         });
     });
 
+    // 3Dモードの磁場の向き（方位角・仰角）
+    const bAzimuth = document.getElementById('b-azimuth');
+    const bElevation = document.getElementById('b-elevation');
+    const updateMagneticDirection = () => {
+        document.getElementById('b-azimuth-value').textContent = bAzimuth.value;
+        document.getElementById('b-elevation-value').textContent = bElevation.value;
+        setMagneticDirection(parseFloat(bAzimuth.value), parseFloat(bElevation.value));
+    };
+    bAzimuth.addEventListener('input', updateMagneticDirection);
+    bElevation.addEventListener('input', updateMagneticDirection);
+
+    // 2D/3Dモード
+    document.getElementById('mode-3d').addEventListener('change', (e) => {
+        setMode3D(e.target.checked);
+        document.body.classList.toggle('mode-3d', e.target.checked);
+    });
+
+    document.getElementsByName('projection').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            setProjectionPlane(checkbox.value, checkbox.checked);
+        });
+    });
+
+    document.getElementById('reset-view').addEventListener('click', () => {
+        resetView3D();
+    });
+
     // 軌跡の長さスライダー
     trailLengthSlider.addEventListener('input', (e) => {
         const value = parseInt(e.target.value);
@@ -62,14 +109,58 @@ function initializeControls() {
         }
     });
 
+    // 再生速度（対数スライダー: 10^-2 〜 10^2 倍）
+    document.getElementById('time-scale').addEventListener('input', (e) => {
+        setTimeScale(Math.pow(10, parseFloat(e.target.value)));
+        syncTimeControls();
+    });
+
+    document.getElementById('physics-dt').addEventListener('change', (e) => {
+        const value = readQuantityInput(e.target);
+        if (isNaN(value) || value <= 0) {
+            alert('Time step must be a positive value');
+            writeQuantityInput(e.target, physicsDt);
+            return;
+        }
+        setPhysicsDt(value);
+    });
+
+    document.getElementById('substeps').addEventListener('change', (e) => {
+        const value = parseInt(e.target.value);
+        if (isNaN(value) || value < 1) {
+            alert('Substeps must be a positive integer');
+            e.target.value = substeps;
+            return;
+        }
+        setSubsteps(value);
+    });
+
+    // 積分法の選択
+    const integratorSelect = document.getElementById('integrator');
+    const toleranceGroup = document.getElementById('integrator-tolerance-group');
+    const toleranceInput = document.getElementById('integrator-tolerance');
+
+    integratorSelect.addEventListener('change', (e) => {
+        setIntegrator(e.target.value);
+        toleranceGroup.hidden = e.target.value !== 'RK45';
+    });
+
+    toleranceInput.addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        if (isNaN(value) || value <= 0) {
+            alert('Tolerance must be a positive value');
+            e.target.value = integratorTolerance;
+            return;
+        }
+        setIntegratorTolerance(value);
+    });
+
     // ボタンのイベントリスナー
     document.getElementById('add-particle').addEventListener('click', () => {
-        const q = parseFloat(document.getElementById('particle-charge').value);
-        const m = parseFloat(document.getElementById('particle-mass').value);
-        const vx = parseFloat(document.getElementById('particle-vx').value);
-        const vy = parseFloat(document.getElementById('particle-vy').value);
+        const [q, m, vx, vy, vz] = ['charge', 'mass', 'vx', 'vy', 'vz']
+            .map(key => readQuantityInput(document.getElementById(`particle-${key}`)));
 
-        if (isNaN(q) || isNaN(m) || isNaN(vx) || isNaN(vy)) {
+        if (isNaN(q) || isNaN(m) || isNaN(vx) || isNaN(vy) || isNaN(vz)) {
             alert('Please enter valid numbers for all parameters');
             return;
         }
@@ -79,7 +170,9 @@ function initializeControls() {
             return;
         }
 
-        addParticle(q, m, vx, vy);
+        if (!addParticle(q, m, vx, vy, vz)) {
+            alert(`Speed must be less than c = ${formatQuantity(relativity.c, 'velocity')} in relativistic mode`);
+        }
     });
 
     document.getElementById('play-pause').addEventListener('click', () => {
@@ -97,6 +190,10 @@ function initializeControls() {
         stepSimulation();
     });
 
+    document.getElementById('step-back').addEventListener('click', () => {
+        stepBackward();
+    });
+
     document.getElementById('reset').addEventListener('click', () => {
         resetAllValues();
     });
@@ -107,13 +204,19 @@ function initializeControls() {
 
     document.getElementById('measure-tool').addEventListener('click', () => {
         toggleMeasureTool();
-        const btn = document.getElementById('measure-tool');
-        btn.style.backgroundColor = measureMode ? '#667eea' : '';
-        btn.style.color = measureMode ? '#fff' : '';
+        syncToolButtons();
     });
 
-    // キーボードショートカット
+    document.getElementById('place-particle').addEventListener('click', () => {
+        togglePlaceMode();
+        syncToolButtons();
+    });
+
+    // キーボードショートカット（入力欄での入力は除く）
     document.addEventListener('keydown', (e) => {
+        if (e.target.matches('input, select, textarea')) {
+            return;
+        }
         switch(e.key) {
             case ' ':
                 e.preventDefault();
@@ -137,6 +240,20 @@ function initializeControls() {
                 }
                 clearParticles();
                 break;
+            case 'f':
+            case 'F':
+                fitViewToTrails();
+                syncViewControls();
+                break;
+            case 'Delete':
+            case 'Backspace': {
+                const selected = particles.find(p => p.selected);
+                if (selected) {
+                    e.preventDefault();
+                    deleteParticle(selected);
+                }
+                break;
+            }
         }
     });
 
@@ -145,89 +262,1574 @@ function initializeControls() {
     setMagneticField(parseFloat(bMagnitude.value), getBDirectionAngle());
 }
 
+// パラメータ定義（{key, label, value, dim?, text?, options?} の配列）から入力欄を生成
+// 値はコード単位で受け取り、dim のある欄は表示単位で表示する
+function renderParamInputs(container, params, values = {}) {
+    container.innerHTML = '';
+    for (const param of params) {
+        const wrapper = document.createElement('div');
+        if (param.text) wrapper.className = 'full-width';
+
+        const label = document.createElement('label');
+        label.textContent = param.label;
+        if (param.dim && !param.dim.includes(':')) {
+            const unit = document.createElement('span');
+            unit.dataset.unit = param.dim;
+            unit.textContent = unitLabel(param.dim);
+            label.append(' (', unit, ')');
+        }
+
+        let input;
+        if (param.options) {
+            input = document.createElement('select');
+            for (const value of param.options) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value;
+                input.appendChild(option);
+            }
+        } else {
+            input = document.createElement('input');
+            input.type = param.text ? 'text' : 'number';
+            if (!param.text) input.step = 'any';
+        }
+        const value = values[param.key] !== undefined ? values[param.key] : param.value;
+        input.value = displayParamValue(value, param.dim);
+        input.dataset.key = param.key;
+        if (param.dim) input.dataset.dim = param.dim;
+
+        label.appendChild(input);
+        wrapper.appendChild(label);
+        container.appendChild(wrapper);
+    }
+}
+
+// 入力欄の値を {key: value} として読み出す（dim のある欄はコード単位に換算）
+function readParamInputs(container) {
+    const values = {};
+    container.querySelectorAll('[data-key]').forEach(input => {
+        values[input.dataset.key] = paramValueToCode(input.value, input.dataset.dim, input.type === 'text');
+    });
+    return values;
+}
+
+// 量の入力欄（data-dim 付き）は表示単位の値を持つ
+function readQuantityInput(input) {
+    return fromDisplay(parseFloat(input.value), input.dataset.dim);
+}
+
+function writeQuantityInput(input, value) {
+    input.value = displayParamValue(value, input.dataset.dim);
+}
+
+// 単位系と基準（時間・長さの尺度）、粒子の種類の選択
+function initializeUnitControls() {
+    const systemSelect = document.getElementById('unit-system');
+    const referenceSelect = document.getElementById('unit-species');
+    fillTypeOptions(systemSelect, UNIT_SYSTEMS);
+    fillTypeOptions(referenceSelect, Object.fromEntries(
+        Object.entries(SPECIES).filter(([key]) => key !== 'custom')
+    ));
+    referenceSelect.value = 'proton';
+
+    systemSelect.addEventListener('change', () => {
+        applyUnitChange(() => setUnitSystem(systemSelect.value));
+    });
+
+    referenceSelect.addEventListener('change', () => {
+        document.getElementById('unit-ion-params').hidden = referenceSelect.value !== 'ion';
+    });
+
+    // 基準の種類が速さ v0 で磁場 B0 を回る運動を時間・長さの単位にする
+    document.getElementById('apply-units').addEventListener('click', () => {
+        const B = parseFloat(document.getElementById('unit-b').value);
+        const v = parseFloat(document.getElementById('unit-v').value);
+        const Z = parseFloat(document.getElementById('unit-z').value);
+        const A = parseFloat(document.getElementById('unit-a').value);
+        try {
+            const { q, m } = speciesChargeMass(referenceSelect.value, Z, A);
+            const reference = { q, m, B: physicalToSI(B, 'bField'), v: physicalToSI(v, 'velocity') };
+            applyUnitChange(() => setUnitReference(reference));
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        // 粒子パラメータも基準の種類にする（q, m はコード単位で ±Z, 1 前後になる）
+        document.getElementById('particle-species').value = referenceSelect.value;
+        document.getElementById('particle-z').value = Z;
+        document.getElementById('particle-a').value = A;
+        syncSpeciesInputs();
+    });
+
+    document.getElementById('reset-units').addEventListener('click', () => {
+        applyUnitChange(() => setUnitReference(DEFAULT_UNIT_REFERENCE));
+    });
+
+    const speciesSelect = document.getElementById('particle-species');
+    fillTypeOptions(speciesSelect, SPECIES);
+    speciesSelect.value = 'custom';
+    speciesSelect.addEventListener('change', syncSpeciesInputs);
+    ['particle-z', 'particle-a'].forEach(id => {
+        document.getElementById(id).addEventListener('change', syncSpeciesInputs);
+    });
+    // q, m を直接書き換えたら Custom にする
+    ['particle-charge', 'particle-mass'].forEach(id => {
+        document.getElementById(id).addEventListener('input', () => {
+            speciesSelect.value = 'custom';
+            syncSpeciesInputs();
+        });
+    });
+
+    syncUnitControls();
+}
+
+// 選んだ種類の q, m を粒子パラメータの入力欄に入れる（Custom なら入力欄はそのまま）
+function syncSpeciesInputs() {
+    const key = document.getElementById('particle-species').value;
+    document.getElementById('particle-ion-params').hidden = key !== 'ion';
+    if (key === 'custom') return;
+
+    try {
+        const { q, m } = speciesChargeMass(
+            key,
+            parseFloat(document.getElementById('particle-z').value),
+            parseFloat(document.getElementById('particle-a').value)
+        );
+        writeQuantityInput(document.getElementById('particle-charge'), fromSI(q, 'charge'));
+        writeQuantityInput(document.getElementById('particle-mass'), fromSI(m, 'mass'));
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+// 単位系・基準を変える
+// 量の入力欄はコード単位の値を保ったまま表示を換算し、基準の入力欄は物理量のまま単位だけ換算する
+function applyUnitChange(change) {
+    const inputs = Array.from(document.querySelectorAll('input[data-dim]'));
+    const values = inputs.map(input => paramValueToCode(input.value, input.dataset.dim, input.type === 'text'));
+    const physicalInputs = Array.from(document.querySelectorAll('input[data-physical-dim]'));
+    const physicalValues = physicalInputs.map(input => physicalToSI(parseFloat(input.value), input.dataset.physicalDim));
+
+    change();
+
+    inputs.forEach((input, i) => {
+        input.value = displayParamValue(values[i], input.dataset.dim);
+    });
+    physicalInputs.forEach((input, i) => {
+        if (!isNaN(physicalValues[i])) {
+            input.value = +siToPhysical(physicalValues[i], input.dataset.physicalDim).toPrecision(6);
+        }
+    });
+
+    syncUnitControls();
+    renderFieldSourceList();
+    renderForceList();
+    renderEmitterList();
+    renderWallList();
+    renderAnnotationList();
+    renderPlots();
+    renderHistogram();
+    lastDiagnosticsUpdate = 0;
+}
+
+// 単位の表示を現在の単位系に合わせる
+function syncUnitControls() {
+    document.getElementById('unit-system').value = unitSettings.system;
+    document.getElementById('unit-scales').textContent = describeUnitScales();
+
+    document.querySelectorAll('[data-unit]').forEach(element => {
+        const unit = unitLabel(element.dataset.unit);
+        element.textContent = element.dataset.label ? `${element.dataset.label} (${unit})` : unit;
+    });
+    document.querySelectorAll('[data-physical-unit]').forEach(element => {
+        element.textContent = physicalUnitLabel(element.dataset.physicalUnit);
+    });
+    syncFieldMagnitudeLabels();
+}
+
+// 一様場の強さ（スライダーの値はコード単位）
+function syncFieldMagnitudeLabels() {
+    const format = (id, dim) => {
+        const shown = toDisplay(parseFloat(document.getElementById(id).value), dim);
+        const abs = Math.abs(shown);
+        return abs === 0 || (abs >= 0.1 && abs < 1e4) ? shown.toFixed(1) : shown.toExponential(1);
+    };
+    document.getElementById('e-magnitude-value').textContent = format('e-magnitude', 'eField');
+    document.getElementById('b-magnitude-value').textContent = format('b-magnitude', 'bField');
+}
+
+// 一様場・磁場の向き・3Dモードのコントロールを現在の状態に合わせる
+function syncUniformFieldControls() {
+    document.getElementById('e-magnitude').value = electricField.magnitude;
+    document.getElementById('e-angle').value = electricField.angle_deg;
+    document.getElementById('e-angle-value').textContent = electricField.angle_deg;
+    document.getElementById('b-magnitude').value = magneticField.magnitude;
+    syncFieldMagnitudeLabels();
+    const direction = magneticField.angle_deg === 270 ? 'in' : 'out';
+    document.getElementsByName('b-direction').forEach(radio => {
+        radio.checked = radio.value === direction;
+    });
+    document.getElementById('b-azimuth').value = magneticDirection.azimuth_deg;
+    document.getElementById('b-azimuth-value').textContent = magneticDirection.azimuth_deg;
+    document.getElementById('b-elevation').value = magneticDirection.elevation_deg;
+    document.getElementById('b-elevation-value').textContent = magneticDirection.elevation_deg;
+    document.getElementById('mode-3d').checked = mode3D;
+}
+
+// 選択肢を定義オブジェクト（{type: {label}}）から作成
+function fillTypeOptions(select, types) {
+    for (const [type, definition] of Object.entries(types)) {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = definition.label;
+        select.appendChild(option);
+    }
+}
+
+// 電場・磁場の波形（時間変化）の入力フォーム
+function initializeWaveformControls() {
+    const targets = [
+        { prefix: 'e', apply: setElectricWaveform },
+        { prefix: 'b', apply: setMagneticWaveform }
+    ];
+
+    for (const { prefix, apply } of targets) {
+        const typeSelect = document.getElementById(`${prefix}-waveform`);
+        const paramsContainer = document.getElementById(`${prefix}-waveform-params`);
+        fillTypeOptions(typeSelect, WAVEFORM_TYPES);
+
+        const update = () => {
+            try {
+                apply(createWaveform(typeSelect.value, readParamInputs(paramsContainer)));
+            } catch (error) {
+                alert(error.message);
+            }
+        };
+
+        typeSelect.addEventListener('change', () => {
+            renderParamInputs(paramsContainer, WAVEFORM_TYPES[typeSelect.value].params);
+            update();
+        });
+        paramsContainer.addEventListener('change', update);
+    }
+}
+
+// 波形の入力欄を現在の設定に合わせる
+function syncWaveformControls(prefix, waveform) {
+    document.getElementById(`${prefix}-waveform`).value = waveform.type;
+    renderParamInputs(
+        document.getElementById(`${prefix}-waveform-params`),
+        WAVEFORM_TYPES[waveform.type].params,
+        waveform
+    );
+}
+
+// 粒子間相互作用の設定
+function initializeInteractionControls() {
+    const inputs = ['enabled', 'k', 'softening', 'method', 'theta', 'magnetic', 'mu']
+        .map(key => document.getElementById(`interaction-${key}`));
+
+    const update = () => {
+        const settings = {
+            enabled: document.getElementById('interaction-enabled').checked,
+            k: parseFloat(document.getElementById('interaction-k').value),
+            softening: readQuantityInput(document.getElementById('interaction-softening')),
+            method: document.getElementById('interaction-method').value,
+            theta: parseFloat(document.getElementById('interaction-theta').value),
+            magnetic: document.getElementById('interaction-magnetic').checked,
+            mu: parseFloat(document.getElementById('interaction-mu').value)
+        };
+
+        if (isNaN(settings.k) || isNaN(settings.mu) || isNaN(settings.softening) || isNaN(settings.theta)) {
+            alert('Please enter valid numbers for the interaction settings');
+            return;
+        }
+        if (settings.softening < 0 || settings.theta < 0) {
+            alert('Softening and opening angle must not be negative');
+            return;
+        }
+
+        setInteractionSettings(settings);
+    };
+
+    inputs.forEach(input => input.addEventListener('change', update));
+
+    document.getElementById('add-cluster').addEventListener('click', () => {
+        const count = parseInt(document.getElementById('cluster-count').value);
+        const radius = readQuantityInput(document.getElementById('cluster-radius'));
+        const q = readQuantityInput(document.getElementById('particle-charge'));
+        const m = readQuantityInput(document.getElementById('particle-mass'));
+
+        if (isNaN(count) || count < 1 || isNaN(radius) || radius < 0 || isNaN(q) || isNaN(m)) {
+            alert('Please enter valid numbers for the cluster');
+            return;
+        }
+        if (m <= 0) {
+            alert('Mass must be a positive value');
+            return;
+        }
+
+        addParticleCluster(count, radius, q, m);
+    });
+}
+
+// 粒子間相互作用の入力欄を現在の設定に合わせる
+function syncInteractionControls() {
+    const settings = interactionSettings;
+    document.getElementById('interaction-enabled').checked = settings.enabled;
+    document.getElementById('interaction-k').value = settings.k;
+    writeQuantityInput(document.getElementById('interaction-softening'), settings.softening);
+    document.getElementById('interaction-method').value = settings.method;
+    document.getElementById('interaction-theta').value = settings.theta;
+    document.getElementById('interaction-magnetic').checked = settings.magnetic;
+    document.getElementById('interaction-mu').value = settings.mu;
+}
+
+// 積分法の選択（許容誤差は RK45 のときだけ表示）
+function syncIntegratorControls() {
+    document.getElementById('integrator').value = integrator;
+    document.getElementById('integrator-tolerance').value = integratorTolerance;
+    document.getElementById('integrator-tolerance-group').hidden = integrator !== 'RK45';
+}
+
+// 軌跡の長さのスライダー（最大値は無限）
+function syncTrailLengthControls() {
+    const full = !isFinite(trailLength);
+    document.getElementById('trail-length').value = full ? 1000 : trailLength;
+    document.getElementById('trail-length-value').textContent = full ? 'Full' : trailLength;
+}
+
+// 再生速度・時間刻みの表示を現在の値に合わせる
+function syncTimeControls() {
+    document.getElementById('time-scale').value = Math.log10(timeScale);
+    document.getElementById('time-scale-value').textContent =
+        `${timeScale < 0.1 ? timeScale.toFixed(3) : timeScale.toFixed(2)}×`;
+    writeQuantityInput(document.getElementById('physics-dt'), physicsDt);
+    document.getElementById('substeps').value = substeps;
+}
+
+// 相対論モードの設定
+function initializeRelativityControls() {
+    const update = () => {
+        const settings = {
+            enabled: document.getElementById('relativity-enabled').checked,
+            c: readQuantityInput(document.getElementById('relativity-c')),
+            compare: document.getElementById('relativity-compare').checked
+        };
+
+        if (isNaN(settings.c) || settings.c <= 0) {
+            alert('Speed of light must be a positive value');
+            writeQuantityInput(document.getElementById('relativity-c'), relativity.c);
+            return;
+        }
+
+        const clamped = setRelativitySettings(settings);
+        if (clamped > 0) {
+            alert(`${clamped} particle(s) were at or above c and have been slowed to 0.99c`);
+        }
+    };
+
+    ['enabled', 'c', 'compare'].forEach(key => {
+        document.getElementById(`relativity-${key}`).addEventListener('change', update);
+    });
+}
+
+function syncRelativityControls() {
+    document.getElementById('relativity-enabled').checked = relativity.enabled;
+    writeQuantityInput(document.getElementById('relativity-c'), relativity.c);
+    document.getElementById('relativity-compare').checked = relativity.compare;
+}
+
+// 案内中心の表示と積分の仕方
+function initializeGuidingCenterControls() {
+    const update = () => {
+        setGuidingCenterSettings({
+            overlay: document.getElementById('gc-overlay').checked,
+            motion: document.getElementById('gc-motion').value
+        });
+    };
+
+    document.getElementById('gc-overlay').addEventListener('change', update);
+    document.getElementById('gc-motion').addEventListener('change', update);
+}
+
+function syncGuidingCenterControls() {
+    document.getElementById('gc-overlay').checked = guidingCenterSettings.overlay;
+    document.getElementById('gc-motion').value = guidingCenterSettings.motion;
+}
+
+// 選択中（なければ最初）の粒子の γ、運動エネルギー、ジャイロ半径
+function updateRelativityReadout() {
+    const readout = document.getElementById('relativity-readout');
+    if (!readout) return;
+
+    const particle = particles.find(p => p.selected) || particles[0];
+    if (!particle) {
+        readout.textContent = '';
+        return;
+    }
+
+    const c = relativity.c;
+    const v = speedOf(particle);
+    const gamma = lorentzFactor(particle.vx, particle.vy, particle.vz, c);
+
+    // 磁場に垂直な速度成分
+    const f = sampleField(particle.x, particle.y, simulationTime, particle.z);
+    const B = Math.sqrt(f.Bx * f.Bx + f.By * f.By + f.Bz * f.Bz);
+    let radius = Infinity;
+    if (B > 1e-9 && particle.q !== 0) {
+        const vDotB = (particle.vx * f.Bx + particle.vy * f.By + particle.vz * f.Bz) / B;
+        const vPerp = Math.sqrt(Math.max(0, v * v - vDotB * vDotB));
+        radius = particle.m * vPerp / (Math.abs(particle.q) * B);
+    }
+
+    const lines = [`${particle.id}: v/c = ${(v / c).toFixed(3)}`];
+    if (isFinite(gamma)) {
+        lines.push(`γ = ${gamma.toFixed(4)}`);
+        lines.push(`KE = (γ−1)mc² = ${formatQuantity((gamma - 1) * particle.m * c * c, 'energy')}`);
+    } else {
+        lines.push('γ = ∞ (v ≥ c)');
+    }
+    const format = r => isFinite(r) ? formatQuantity(r, 'length') : '—';
+    lines.push(`Gyroradius γmv⊥/|q|B = ${format(gamma * radius)}`);
+    lines.push(`Newtonian mv⊥/|q|B = ${format(radius)}`);
+    readout.textContent = lines.join('\n');
+}
+
+// ツールボタンの強調表示をモードに合わせる
+function syncToolButtons() {
+    const buttons = { 'measure-tool': measureMode, 'place-particle': placeMode, 'draw-wall': wallMode };
+    for (const [id, active] of Object.entries(buttons)) {
+        const btn = document.getElementById(id);
+        btn.style.backgroundColor = active ? '#667eea' : '';
+        btn.style.color = active ? '#fff' : '';
+    }
+}
+
+// 場の表示レイヤーの選択
+function initializeFieldLayerControls() {
+    const container = document.getElementById('field-layers');
+    for (const [layer, definition] of Object.entries(FIELD_LAYERS)) {
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.dataset.layer = layer;
+        checkbox.addEventListener('change', () => {
+            setFieldLayerSettings({ [layer]: checkbox.checked });
+        });
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${definition.label}`));
+        container.appendChild(label);
+    }
+
+    const quantity = document.getElementById('heatmap-quantity');
+    fillTypeOptions(quantity, HEATMAP_QUANTITIES);
+    quantity.addEventListener('change', () => {
+        setFieldLayerSettings({ heatmapQuantity: quantity.value });
+    });
+
+    syncFieldLayerControls();
+}
+
+function syncFieldLayerControls() {
+    document.querySelectorAll('#field-layers input').forEach(checkbox => {
+        checkbox.checked = fieldLayerSettings[checkbox.dataset.layer];
+    });
+    document.getElementById('heatmap-quantity').value = fieldLayerSettings.heatmapQuantity;
+}
+
+// 測定ツールの種類と固定した注記
+function initializeMeasureControls() {
+    const typeSelect = document.getElementById('measure-type');
+    const hint = document.getElementById('measure-hint');
+
+    fillTypeOptions(typeSelect, MEASURE_TOOLS);
+    typeSelect.value = measureTool;
+    hint.textContent = MEASURE_TOOLS[measureTool].hint;
+
+    typeSelect.addEventListener('change', () => {
+        setMeasureTool(typeSelect.value);
+        hint.textContent = MEASURE_TOOLS[typeSelect.value].hint;
+        // 種類を選んだらそのまま測れるようにする
+        if (!measureMode) {
+            toggleMeasureTool();
+            syncToolButtons();
+        }
+    });
+
+    document.getElementById('pin-measurement').addEventListener('click', () => {
+        if (!pinMeasurement()) {
+            alert('Make a measurement on the canvas first');
+            return;
+        }
+        renderAnnotationList();
+    });
+
+    document.getElementById('clear-annotations').addEventListener('click', () => {
+        setAnnotations([]);
+        renderAnnotationList();
+    });
+
+    renderAnnotationList();
+}
+
+// 固定した注記の一覧を表示
+function renderAnnotationList() {
+    const list = document.getElementById('annotation-list');
+    list.innerHTML = '';
+
+    annotations.forEach((annotation, index) => {
+        const item = document.createElement('li');
+        const text = document.createElement('span');
+        text.textContent = `${MEASURE_TOOLS[annotation.tool].label}: ${describeMeasurement(annotation).join('; ')}`;
+
+        const remove = document.createElement('button');
+        remove.textContent = '×';
+        remove.title = 'Remove annotation';
+        remove.addEventListener('click', () => {
+            removeAnnotation(index);
+            renderAnnotationList();
+        });
+
+        item.appendChild(text);
+        item.appendChild(remove);
+        list.appendChild(item);
+    });
+}
+
+// 2D表示のカメラ（追従・全体表示・リセット）
+function initializeViewControls() {
+    document.getElementById('follow-selected').addEventListener('change', (e) => {
+        setFollowSelected(e.target.checked);
+    });
+
+    document.getElementById('fit-view').addEventListener('click', () => {
+        fitViewToTrails();
+        syncViewControls();
+    });
+
+    document.getElementById('reset-view-2d').addEventListener('click', () => {
+        resetView2D();
+        syncViewControls();
+    });
+}
+
+function syncViewControls() {
+    document.getElementById('follow-selected').checked = view2D.follow;
+    document.getElementsByName('projection').forEach(checkbox => {
+        checkbox.checked = projectionPlanes[checkbox.value];
+    });
+}
+
+// 選択中の粒子のインスペクタ
+function initializeInspectorControls() {
+    document.querySelectorAll('#inspector input').forEach(input => {
+        input.addEventListener('change', (e) => {
+            const particle = particles.find(p => p.selected);
+            if (!particle) return;
+
+            const key = e.target.dataset.key;
+            const value = readQuantityInput(e.target);
+            if (isNaN(value) || (key === 'm' && value <= 0)) {
+                alert(key === 'm' ? 'Mass must be a positive value' : 'Please enter a valid number');
+                writeQuantityInput(e.target, particle[key]);
+                return;
+            }
+
+            const changes = { [key]: value };
+            if (relativity.enabled && ['vx', 'vy', 'vz'].includes(key)) {
+                const v = Object.assign({ vx: particle.vx, vy: particle.vy, vz: particle.vz }, changes);
+                if (Math.sqrt(v.vx * v.vx + v.vy * v.vy + v.vz * v.vz) >= relativity.c) {
+                    alert(`Speed must be less than c = ${formatQuantity(relativity.c, 'velocity')} in relativistic mode`);
+                    writeQuantityInput(e.target, particle[key]);
+                    return;
+                }
+            }
+            editParticle(particle, changes);
+        });
+    });
+
+    document.getElementById('inspector-delete').addEventListener('click', () => {
+        const particle = particles.find(p => p.selected);
+        if (particle) {
+            deleteParticle(particle);
+        }
+    });
+}
+
+// インスペクタの表示を選択中の粒子に合わせる（編集中の入力欄は書き換えない）
+function updateInspector(particle) {
+    const inspector = document.getElementById('inspector');
+    if (!inspector) return;
+    inspector.hidden = !particle;
+    document.getElementById('inspector-empty').hidden = !!particle;
+    if (!particle) return;
+
+    inspector.querySelectorAll('input').forEach(input => {
+        if (input !== document.activeElement) {
+            writeQuantityInput(input, particle[input.dataset.key]);
+        }
+    });
+}
+
+// タイムライン（履歴のスクラブ）
+function initializeTimelineControls() {
+    const slider = document.getElementById('timeline');
+
+    // スクラブ中は再生を止める
+    const pause = () => {
+        if (isPlaying) {
+            togglePlayPause();
+            const btn = document.getElementById('play-pause');
+            btn.textContent = 'Play';
+            btn.classList.remove('active');
+        }
+    };
+
+    slider.addEventListener('input', (e) => {
+        pause();
+        seekHistory(parseInt(e.target.value));
+    });
+
+    document.getElementById('timeline-start').addEventListener('click', () => {
+        pause();
+        seekHistory(0);
+    });
+
+    document.getElementById('timeline-branch').addEventListener('change', (e) => {
+        switchBranch(parseInt(e.target.value));
+    });
+
+    document.getElementById('history-budget').addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        if (isNaN(value) || value <= 0) {
+            alert('Memory budget must be a positive value');
+            e.target.value = historyBudgetMB;
+            return;
+        }
+        setHistoryBudget(value);
+    });
+}
+
+// タイムラインの表示を履歴に合わせる（毎フレーム呼ばれる）
+function updateTimeline() {
+    const slider = document.getElementById('timeline');
+    if (!slider) return;
+
+    const max = Math.max(0, historyLength() - 1);
+    if (+slider.max !== max) slider.max = max;
+    if (+slider.value !== historyPosition()) slider.value = historyPosition();
+    document.getElementById('timeline-time').textContent = `t = ${formatQuantity(simulationTime, 'time', 3)}`;
+
+    // ブランチの選択肢
+    const select = document.getElementById('timeline-branch');
+    const key = historyBranches.map(branch => branch.id).join(',');
+    if (select.dataset.key !== key) {
+        select.dataset.key = key;
+        select.replaceChildren(...historyBranches.map(branch => {
+            const option = document.createElement('option');
+            option.value = branch.id;
+            option.textContent = branch.label;
+            return option;
+        }));
+    }
+    select.value = activeBranch.id;
+    select.hidden = historyBranches.length < 2;
+}
+
+// 時系列プロットの設定
+function initializePlotControls() {
+    document.getElementsByName('plot-quantity').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            const quantities = Array.from(document.getElementsByName('plot-quantity'))
+                .filter(input => input.checked)
+                .map(input => input.value);
+            setPlotSettings({ quantities });
+        });
+    });
+
+    document.getElementById('plot-view').addEventListener('change', (e) => {
+        setPlotSettings({ view: e.target.value });
+        document.getElementById('plot-quantities').hidden = e.target.value !== 'time';
+    });
+
+    document.getElementById('plot-particles').addEventListener('change', (e) => {
+        const particleIds = Array.from(e.target.selectedOptions).map(option => option.value);
+        setPlotSettings({ particleIds });
+    });
+
+    document.getElementById('plot-reset-zoom').addEventListener('click', () => {
+        resetPlotZoom();
+        renderPlots();
+    });
+}
+
+// 場のソース（空間分布を持つ場）の入力フォーム
+function initializeFieldSourceControls() {
+    const typeSelect = document.getElementById('field-source-type');
+    const paramsContainer = document.getElementById('field-source-params');
+
+    fillTypeOptions(typeSelect, FIELD_SOURCE_TYPES);
+
+    // 種類に応じてパラメータ入力欄を作り直す
+    function renderParams() {
+        renderParamInputs(paramsContainer, FIELD_SOURCE_TYPES[typeSelect.value].params);
+    }
+
+    typeSelect.addEventListener('change', renderParams);
+    renderParams();
+
+    document.getElementById('add-field-source').addEventListener('click', () => {
+        try {
+            addFieldSource(createFieldSource(typeSelect.value, readParamInputs(paramsContainer)));
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        renderFieldSourceList();
+    });
+
+    renderFieldSourceList();
+}
+
+// 登録済みの場のソース一覧を表示
+function renderFieldSourceList() {
+    const list = document.getElementById('field-source-list');
+    list.innerHTML = '';
+
+    fieldSources.forEach((source, index) => {
+        const item = document.createElement('li');
+        const text = document.createElement('span');
+        text.textContent = describeFieldSource(source);
+
+        const remove = document.createElement('button');
+        remove.textContent = '×';
+        remove.title = 'Remove source';
+        remove.addEventListener('click', () => {
+            removeFieldSource(index);
+            renderFieldSourceList();
+        });
+
+        item.appendChild(text);
+        item.appendChild(remove);
+        list.appendChild(item);
+    });
+}
+
+// ローレンツ力以外の力の入力フォーム
+function initializeForceControls() {
+    const typeSelect = document.getElementById('force-type');
+    const paramsContainer = document.getElementById('force-params');
+
+    fillTypeOptions(typeSelect, FORCE_TYPES);
+
+    function renderParams() {
+        renderParamInputs(paramsContainer, FORCE_TYPES[typeSelect.value].params);
+    }
+
+    typeSelect.addEventListener('change', renderParams);
+    renderParams();
+
+    document.getElementById('add-force').addEventListener('click', () => {
+        try {
+            addForceTerm(createForceTerm(typeSelect.value, readParamInputs(paramsContainer)));
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        renderForceList();
+    });
+
+    renderForceList();
+}
+
+// 追加した力の一覧を表示
+function renderForceList() {
+    const list = document.getElementById('force-list');
+    list.innerHTML = '';
+
+    forceTerms.forEach((term, index) => {
+        const item = document.createElement('li');
+        const text = document.createElement('span');
+        text.textContent = describeForceTerm(term);
+
+        const remove = document.createElement('button');
+        remove.textContent = '×';
+        remove.title = 'Remove force';
+        remove.addEventListener('click', () => {
+            removeForceTerm(index);
+            renderForceList();
+        });
+
+        item.appendChild(text);
+        item.appendChild(remove);
+        list.appendChild(item);
+    });
+}
+
+// エミッタの入力フォーム
+function initializeEmitterControls() {
+    const paramsContainer = document.getElementById('emitter-params');
+    renderParamInputs(paramsContainer, EMITTER_PARAMS);
+
+    document.getElementById('add-emitter').addEventListener('click', () => {
+        try {
+            addEmitter(createEmitter(readParamInputs(paramsContainer)));
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        renderEmitterList();
+    });
+
+    renderEmitterList();
+}
+
+// 登録済みのエミッタ一覧を表示
+function renderEmitterList() {
+    const list = document.getElementById('emitter-list');
+    list.innerHTML = '';
+
+    emitters.forEach((emitter, index) => {
+        const item = document.createElement('li');
+        const text = document.createElement('span');
+        text.textContent = describeEmitter(emitter);
+
+        const remove = document.createElement('button');
+        remove.textContent = '×';
+        remove.title = 'Remove emitter';
+        remove.addEventListener('click', () => {
+            removeEmitter(index);
+            renderEmitterList();
+        });
+
+        item.appendChild(text);
+        item.appendChild(remove);
+        list.appendChild(item);
+    });
+}
+
+// 壁・検出器の入力フォームと領域の境界
+function initializeWallControls() {
+    const shapeSelect = document.getElementById('wall-shape');
+    const behaviorSelect = document.getElementById('wall-behavior');
+    const paramsContainer = document.getElementById('wall-params');
+
+    fillTypeOptions(shapeSelect, WALL_SHAPES);
+    fillTypeOptions(behaviorSelect, WALL_BEHAVIORS);
+    renderParamInputs(paramsContainer, WALL_PARAMS);
+
+    document.getElementById('add-wall').addEventListener('click', () => {
+        try {
+            addWall(createWall(shapeSelect.value, behaviorSelect.value, readParamInputs(paramsContainer)));
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        renderWallList();
+    });
+
+    document.getElementById('draw-wall').addEventListener('click', () => {
+        toggleWallMode();
+        syncToolButtons();
+    });
+
+    const boundarySelect = document.getElementById('domain-boundary');
+    const domainSize = document.getElementById('domain-size');
+    fillTypeOptions(boundarySelect, BOUNDARY_TYPES);
+    const updateDomain = () => {
+        const halfSize = readQuantityInput(domainSize);
+        if (isNaN(halfSize) || halfSize <= 0) {
+            alert('Domain half-size must be a positive number');
+            syncDomainControls();
+            return;
+        }
+        setDomain({ boundary: boundarySelect.value, halfSize });
+    };
+    boundarySelect.addEventListener('change', updateDomain);
+    domainSize.addEventListener('change', updateDomain);
+
+    syncDomainControls();
+    renderWallList();
+}
+
+function syncDomainControls() {
+    document.getElementById('domain-boundary').value = domain.boundary;
+    writeQuantityInput(document.getElementById('domain-size'), domain.halfSize);
+}
+
+// 登録済みの壁の一覧を表示
+function renderWallList() {
+    const list = document.getElementById('wall-list');
+    list.innerHTML = '';
+
+    walls.forEach((wall, index) => {
+        const item = document.createElement('li');
+        const text = document.createElement('span');
+        text.textContent = describeWall(wall);
+
+        const remove = document.createElement('button');
+        remove.textContent = '×';
+        remove.title = 'Remove wall';
+        remove.addEventListener('click', () => {
+            removeWall(index);
+            renderWallList();
+        });
+
+        item.appendChild(text);
+        item.appendChild(remove);
+        list.appendChild(item);
+    });
+}
+
+// 検出器のヒストグラムの設定
+function initializeHistogramControls() {
+    document.getElementById('histogram-detector').addEventListener('change', (e) => {
+        setHistogramSettings({ detectorId: e.target.value });
+    });
+
+    document.getElementById('histogram-quantity').addEventListener('change', (e) => {
+        document.getElementById('histogram-reference').dataset.dim = HISTOGRAM_DIMS[e.target.value];
+        setHistogramSettings({ quantity: e.target.value });
+    });
+
+    document.getElementById('histogram-bins').addEventListener('change', (e) => {
+        const bins = parseInt(e.target.value);
+        if (isNaN(bins) || bins < 1) {
+            alert('Bins must be a positive integer');
+            e.target.value = histogramSettings.bins;
+            return;
+        }
+        setHistogramSettings({ bins });
+    });
+
+    document.getElementById('histogram-reference').addEventListener('change', (e) => {
+        const value = readQuantityInput(e.target);
+        setHistogramSettings({ reference: isNaN(value) ? null : value });
+    });
+}
+
 // Reset all values to initial state
 function resetAllValues() {
     // Electric Field
     document.getElementById('e-magnitude').value = 0;
-    document.getElementById('e-magnitude-value').textContent = '0.0';
     document.getElementById('e-angle').value = 0;
     document.getElementById('e-angle-value').textContent = '0';
     setElectricField(0, 0);
 
     // Magnetic Field
     document.getElementById('b-magnitude').value = 0;
-    document.getElementById('b-magnitude-value').textContent = '0.0';
+    syncFieldMagnitudeLabels();
     const outRadio = document.querySelector('input[name="b-direction"][value="out"]');
     if (outRadio) outRadio.checked = true;
     setMagneticField(0, 90);
 
+    // 3D Mode
+    document.getElementById('b-azimuth').value = 0;
+    document.getElementById('b-azimuth-value').textContent = '0';
+    document.getElementById('b-elevation').value = 90;
+    document.getElementById('b-elevation-value').textContent = '90';
+    setMagneticDirection(0, 90);
+    document.getElementById('mode-3d').checked = false;
+    document.body.classList.remove('mode-3d');
+    setMode3D(false);
+    ['xy', 'xz', 'yz'].forEach(plane => setProjectionPlane(plane, false));
+    resetView3D();
+    resetView2D();
+    syncViewControls();
+    setFieldLayerSettings({
+        arrows: true, quiver: false, streamlines: false, equipotentials: false, heatmap: false,
+        heatmapQuantity: 'E'
+    });
+    syncFieldLayerControls();
+
+    // Waveforms
+    setElectricWaveform(CONSTANT_WAVEFORM);
+    setMagneticWaveform(CONSTANT_WAVEFORM);
+    syncWaveformControls('e', CONSTANT_WAVEFORM);
+    syncWaveformControls('b', CONSTANT_WAVEFORM);
+
+    // Field Sources
+    setFieldSources([]);
+    renderFieldSourceList();
+
+    // Additional Forces
+    setForceTerms([]);
+    renderForceList();
+
+    // Emitters, Walls and Domain
+    setEmitters([]);
+    renderEmitterList();
+    setWalls([]);
+    renderWallList();
+    setDomain(DEFAULT_DOMAIN);
+    syncDomainControls();
+
+    // Particle Interaction
+    setInteractionSettings({
+        enabled: false, k: 1.0, softening: 0.1, method: 'direct', theta: 0.5, magnetic: false, mu: 1.0
+    });
+    syncInteractionControls();
+
+    // Relativity
+    setRelativitySettings({ enabled: false, c: 5.0, compare: false });
+    syncRelativityControls();
+
+    // Guiding Center
+    setGuidingCenterSettings({ overlay: false, motion: 'full' });
+    syncGuidingCenterControls();
+
     // Particle Parameters
-    document.getElementById('particle-charge').value = 1.0;
-    document.getElementById('particle-mass').value = 1.0;
-    document.getElementById('particle-vx').value = 1.0;
-    document.getElementById('particle-vy').value = 0.0;
+    document.getElementById('particle-species').value = 'custom';
+    syncSpeciesInputs();
+    const particleDefaults = { charge: 1.0, mass: 1.0, vx: 1.0, vy: 0.0, vz: 0.0 };
+    for (const [key, value] of Object.entries(particleDefaults)) {
+        writeQuantityInput(document.getElementById(`particle-${key}`), value);
+    }
 
     // Trail Length
     document.getElementById('trail-length').value = 200;
     document.getElementById('trail-length-value').textContent = '200';
     setTrailLength(200);
 
+    // Time Step and Speed
+    setTimeScale(1.0);
+    setPhysicsDt(1 / 60);
+    setSubsteps(1);
+    syncTimeControls();
+
+    // Integrator
+    setIntegrator('RK4');
+    setIntegratorTolerance(1e-6);
+    syncIntegratorControls();
+
+    // Lesson captions
+    setLessonCaptions([]);
+
     // Clear particles and reset simulation
     clearParticles();
     resetSimulation();
 }
 
-// Update simulation info (情報表示は削除されたため、空の関数)
-function updateSimulationInfo(time, particleCount) {
-    // Information section removed - no action needed
+// 診断パネルの更新間隔 (ms)
+const DIAGNOSTICS_INTERVAL = 100;
+let lastDiagnosticsUpdate = 0;
+
+// Update simulation info
+function updateSimulationInfo(time, particleCount, lagging = false) {
+    const playback = isServerPlaybackActive();
+    const status = document.getElementById('simulation-status');
+    if (status) {
+        status.textContent = `t = ${formatQuantity(time, 'time', 3)} · ${particleCount} particle${particleCount === 1 ? '' : 's'}`
+            + (playback ? ' · playing the server result' : '')
+            + (lagging ? ' · running slower than real time' : '');
+    }
+
+    // サーバーの結果の再生が終わった・やめたとき
+    syncServerControls();
+    syncPlayButton();
+    syncWorkerStatus();
+}
+
+// 再生ボタンの表示をシミュレーションの状態に合わせる（再生が最後まで来て止まったときなど）
+function syncPlayButton() {
+    const btn = document.getElementById('play-pause');
+    const label = isPlaying ? 'Pause' : 'Play';
+    if (btn.textContent !== label) {
+        btn.textContent = label;
+        btn.classList.toggle('active', isPlaying);
+    }
+}
+
+// コード単位のベクトルを表示単位で
+function formatVector(v, dim) {
+    const parts = [v.x, v.y].concat(mode3D ? [v.z] : []);
+    return `(${parts.map(x => formatValue(x, dim)).join(', ')})`;
 }
 
-// Display selected particle info (情報表示は削除されたため、空の関数)
+function formatError(error) {
+    return `${(error * 100).toFixed(2)}%`;
+}
+
+// Display selected particle info
 function updateSelectedParticleInfo(particle) {
-    // Information section removed - no action needed
+    updateInspector(particle);
+
+    const table = document.getElementById('diagnostics-table');
+    if (!table) return;
+
+    const now = performance.now();
+    if (now - lastDiagnosticsUpdate < DIAGNOSTICS_INTERVAL) return;
+    lastDiagnosticsUpdate = now;
+
+    table.replaceChildren();
+    const addRow = (cells, header = false) => {
+        const tr = table.insertRow();
+        for (const cell of cells) {
+            const td = document.createElement(header ? 'th' : 'td');
+            td.textContent = cell;
+            tr.appendChild(td);
+        }
+    };
+
+    if (!particle) {
+        addRow(['Click a particle to show its diagnostics']);
+        return;
+    }
+
+    const c = relativity.enabled ? relativity.c : null;
+    const f = particle.fieldsAt(particle, simulationTime);
+    const v = velocityOf(particle);
+    const ke = kineticEnergy(particle, c);
+
+    addRow([`Particle ${particle.id}`, 'Value'], true);
+    const label = (text, dim) => `${text} (${unitLabel(dim)})`;
+    addRow([label('Position', 'length'), formatVector({ x: particle.x, y: particle.y, z: particle.z }, 'length')]);
+    addRow([label('Velocity', 'velocity'), formatVector(v, 'velocity')]);
+    addRow([label('Speed', 'velocity'), formatValue(norm3(v), 'velocity')]);
+    addRow([label('Kinetic energy', 'energy'), formatValue(ke, 'energy')]);
+    addRow([label('Work done by E', 'energy'), formatValue(particle.workE, 'energy')]);
+    addRow([label('ΔKE since start', 'energy'), formatValue(particle.initialEnergy === null ? 0 : ke - particle.initialEnergy, 'energy')]);
+    addRow([label('Canonical momentum γmv + qA', 'momentum'), formatVector(canonicalMomentum(particle, f, c), 'momentum')]);
+
+    const theory = theoreticalMotion(particle, f, c);
+    if (!theory) {
+        addRow(['Gyration', 'No magnetic field at the particle (or q = 0)']);
+        return;
+    }
+
+    const measured = measureFromTrail(particle.trail.toArray(), theory);
+    addRow(['Gyration', 'Theory', 'Measured (trail)', 'Error'], true);
+    const compare = (text, dim, expected, key) => {
+        if (!measured) {
+            addRow([label(text, dim), formatValue(expected, dim), '—', '—']);
+            return;
+        }
+        addRow([label(text, dim), formatValue(expected, dim), formatValue(measured[key], dim), formatError(relativeError(measured[key], expected))]);
+    };
+    compare('Larmor radius', 'length', theory.larmorRadius, 'larmorRadius');
+    addRow([label('Cyclotron frequency ωc', 'angularFrequency'), formatValue(theory.omega, 'angularFrequency'),
+        measured ? formatValue(2 * Math.PI / measured.period, 'angularFrequency') : '—', '']);
+    compare('Period', 'time', theory.period, 'period');
+
+    // ドリフトはベクトルの差の大きさで比較する（理論値が 0 なら差そのものを表示）
+    let driftError = '—';
+    if (measured) {
+        const expected = norm3(theory.drift);
+        const diff = norm3({
+            x: measured.drift.x - theory.drift.x,
+            y: measured.drift.y - theory.drift.y,
+            z: measured.drift.z - theory.drift.z
+        });
+        driftError = expected > 1e-9 ? formatError(diff / expected) : `|Δv| = ${formatQuantity(diff, 'velocity')}`;
+    }
+    addRow([label('E×B drift', 'velocity'), formatVector(theory.drift, 'velocity'),
+        measured ? formatVector(measured.drift, 'velocity') : '—', driftError]);
+
+    if (!measured) {
+        addRow(['', 'Trail shorter than one period — increase Trail Length to measure']);
+    }
+}
+
+// 診断パネルの内容をタブ区切りでコピー
+function copyDiagnostics() {
+    const table = document.getElementById('diagnostics-table');
+    const text = Array.from(table.rows)
+        .map(row => Array.from(row.cells).map(cell => cell.textContent).join('\t'))
+        .join('\n');
+
+    if (!navigator.clipboard) {
+        alert('Clipboard is not available. Select the table and copy it manually.');
+        return;
+    }
+    navigator.clipboard.writeText(text).catch(() => {
+        alert('Failed to copy to the clipboard');
+    });
+}
+
+// プリセット（presets.js）の一覧
+function initializePresetControls() {
+    const gallery = document.getElementById('preset-gallery');
+    for (const [name, preset] of Object.entries(PRESETS)) {
+        const card = document.createElement('button');
+        card.className = 'preset-card';
+        card.title = preset.description;
+        card.innerHTML = `<svg viewBox="0 0 60 40" aria-hidden="true"><path d="${preset.thumbnail}"></path></svg>`;
+        const label = document.createElement('strong');
+        label.textContent = preset.label;
+        const description = document.createElement('span');
+        description.textContent = preset.description;
+        card.appendChild(label);
+        card.appendChild(description);
+        card.addEventListener('click', () => {
+            try {
+                loadPreset(name);
+            } catch (error) {
+                alert(error.message);
+            }
+        });
+        gallery.appendChild(card);
+    }
 }
 
-// プリセット機能（オプション）
+// 既定の状態に戻してからプリセットのシーンを読み込む（省略した項目は既定値のまま）
 function loadPreset(presetName) {
-    clearParticles();
-    resetSimulation();
+    const preset = PRESETS[presetName];
+    if (!preset) {
+        throw new Error(`Unknown preset: ${presetName}`);
+    }
+    resetAllValues();
+    loadScene(preset.scene);
+}
+
+// シーンの保存・読み込み（ファイル選択とキャンバスへのドラッグ＆ドロップ）
+function initializeSceneControls() {
+    const fileInput = document.getElementById('scene-file');
+    document.getElementById('save-scene').addEventListener('click', exportScene);
+    document.getElementById('load-scene').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length) {
+            importScene(fileInput.files[0]);
+        }
+        fileInput.value = '';
+    });
+
+    const dropTarget = document.querySelector('.canvas-container');
+    dropTarget.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        dropTarget.classList.add('drag-over');
+    });
+    dropTarget.addEventListener('dragleave', (e) => {
+        if (!dropTarget.contains(e.relatedTarget)) {
+            dropTarget.classList.remove('drag-over');
+        }
+    });
+    dropTarget.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropTarget.classList.remove('drag-over');
+        if (e.dataTransfer.files.length) {
+            importScene(e.dataTransfer.files[0]);
+        }
+    });
+}
+
+// 共有リンク（share.js）：コピーと、URL からの読み込み・ブラウザの履歴との同期
+let linkedSceneEdits = 0; // ブラウザの履歴に積んだときの変更回数
+let pendingSceneEdits = 0; // 前回確認したときの変更回数
+let initialSceneLink = null; // リンクなしで開いたときのシーン（履歴を最初まで戻したとき用）
+
+function initializeLinkControls() {
+    document.getElementById('copy-link').addEventListener('click', copySceneLink);
+
+    if (isSceneLink(location.hash)) {
+        restoreSceneLink(location.hash);
+    } else {
+        linkedSceneEdits = pendingSceneEdits = sceneEdits;
+        encodeSceneLink(buildScene({ trails: false })).then(hash => { initialSceneLink = hash; });
+    }
+
+    window.addEventListener('popstate', () => {
+        const hash = isSceneLink(location.hash) ? location.hash : initialSceneLink;
+        if (hash) restoreSceneLink(hash);
+    });
+    setInterval(recordSceneLink, SCENE_LINK_SETTLE_MS);
+}
+
+async function restoreSceneLink(hash) {
+    await loadSceneLink(hash);
+    // 読み込みによる変更は履歴に積み直さない
+    linkedSceneEdits = pendingSceneEdits = sceneEdits;
+}
 
-    switch(presetName) {
-        case 'circular':
-            // 円運動のプリセット
-            document.getElementById('e-magnitude').value = 0;
-            document.getElementById('b-magnitude').value = 1.0;
-            document.getElementById('b-angle').value = 90;
-            setElectricField(0, 0);
-            setMagneticField(1.0, 90);
-            addParticle(1.0, 1.0, 2.0, 0.0);
-            break;
-
-        case 'drift':
-            // ドリフト運動のプリセット
-            document.getElementById('e-magnitude').value = 1.0;
-            document.getElementById('e-angle').value = 0;
-            document.getElementById('b-magnitude').value = 1.0;
-            document.getElementById('b-angle').value = 90;
-            setElectricField(1.0, 0);
-            setMagneticField(1.0, 90);
-            addParticle(1.0, 1.0, 0.0, 0.0);
-            break;
-
-        case 'helix':
-            // らせん運動のプリセット（電場と磁場が並行）
-            document.getElementById('e-magnitude').value = 0.5;
-            document.getElementById('e-angle').value = 90;
-            document.getElementById('b-magnitude').value = 1.0;
-            document.getElementById('b-angle').value = 90;
-            setElectricField(0.5, 90);
-            setMagneticField(1.0, 90);
-            addParticle(1.0, 1.0, 2.0, 0.0);
-            break;
-    }
-
-    // スライダー表示を更新
-    document.querySelectorAll('input[type="range"]').forEach(slider => {
-        slider.dispatchEvent(new Event('input'));
+// 変更が落ち着いたら現在のシーンのリンクをブラウザの履歴に積む（スライダーの操作中は待つ）
+async function recordSceneLink() {
+    if (sceneEdits === linkedSceneEdits) return;
+    if (sceneEdits !== pendingSceneEdits) {
+        pendingSceneEdits = sceneEdits;
+        return;
+    }
+    linkedSceneEdits = sceneEdits;
+    const hash = await encodeSceneLink(buildScene({ trails: false }));
+    if (hash !== location.hash) {
+        try {
+            history.pushState(null, '', hash);
+        } catch (error) {
+            // file: で開いたときなど、ブラウザによっては URL を書き換えられない（リンクのコピーはできる）
+            console.warn('Could not update the browser history:', error);
+        }
+    }
+}
+
+async function copySceneLink() {
+    const button = document.getElementById('copy-link');
+    const link = await buildSceneLink();
+    if (!navigator.clipboard) {
+        prompt('Clipboard is not available. Copy the link manually:', link);
+        return;
+    }
+    navigator.clipboard.writeText(link).then(() => {
+        button.textContent = 'Link Copied';
+        setTimeout(() => { button.textContent = 'Copy Link'; }, 1500);
+    }).catch(() => {
+        alert('Failed to copy to the clipboard');
+    });
+}
+
+// バックエンドでの計算（api.js）：サーバーの状態、計算と中止、結果の再生
+const BACKEND_HEALTH_INTERVAL = 15000; // サーバーの状態を確かめる間隔 (ms)
+let serverComputation = null; // 計算中の AbortController
+let serverStream = null;      // 最後に始めたストリーム（SimulationWebSocket）
+
+function initializeServerControls() {
+    document.getElementById('server-compute').addEventListener('click', computeOnServer);
+    document.getElementById('server-stream').addEventListener('click', streamFromServer);
+    document.getElementById('server-stream-pause').addEventListener('click', () => {
+        if (serverStream.paused) {
+            serverStream.resume();
+        } else {
+            serverStream.pause();
+        }
+        syncServerControls();
+    });
+    document.getElementById('server-cancel').addEventListener('click', () => {
+        if (serverComputation) {
+            serverComputation.abort();
+        }
+        if (isServerStreaming()) {
+            stopServerStream();
+            document.getElementById('server-message').textContent = 'Stopped streaming. The received part can still be played.';
+            document.getElementById('server-progress').hidden = true;
+        }
+        syncServerControls();
     });
+
+    // ストリーミング中の刻み・積分法の変更は次のステップから反映してもらう
+    document.getElementById('server-dt').addEventListener('change', (e) => {
+        const value = readQuantityInput(e.target);
+        if (isServerStreaming() && value > 0) {
+            serverStream.update({ dt: value });
+        }
+    });
+    document.getElementById('server-integrator').addEventListener('change', (e) => {
+        if (isServerStreaming()) {
+            serverStream.update({ integrator: e.target.value });
+        }
+    });
+    document.getElementById('server-live').addEventListener('click', () => {
+        stopServerPlayback();
+        document.getElementById('server-message').textContent = '';
+    });
+
+    refreshBackendStatus();
+    setInterval(refreshBackendStatus, BACKEND_HEALTH_INTERVAL);
+}
+
+async function refreshBackendStatus() {
+    if (serverComputation) return;
+    const online = await checkBackendHealth();
+    const status = document.getElementById('backend-status');
+    status.dataset.state = online ? 'online' : 'offline';
+    status.textContent = online
+        ? `Server: online at ${API_BASE_URL}`
+        : `Server: offline (start backend/app.py to serve ${API_BASE_URL})`;
+}
+
+async function computeOnServer() {
+    const message = document.getElementById('server-message');
+    const progress = document.getElementById('server-progress');
+    const tFinal = readQuantityInput(document.getElementById('server-t-final'));
+    const dt = readQuantityInput(document.getElementById('server-dt'));
+
+    // 計算は現在の状態から始めるので、結果が届くまで止めておく
+    isPlaying = false;
+    serverComputation = new AbortController();
+    syncServerControls();
+    message.classList.remove('error');
+
+    const stages = {
+        checking: 'Connecting to the server…',
+        computing: 'Computing on the server…',
+        downloading: 'Receiving trajectories…'
+    };
+    const showStage = (stage, fraction) => {
+        message.textContent = stages[stage] + (fraction === null ? '' : ` ${Math.round(fraction * 100)}%`);
+        progress.hidden = false;
+        if (fraction === null) {
+            progress.removeAttribute('value'); // 割合が分からないあいだは不定の表示
+        } else {
+            progress.value = fraction;
+        }
+    };
+
+    try {
+        await runLongSimulation(tFinal, dt, document.getElementById('server-integrator').value, {
+            signal: serverComputation.signal,
+            onStatus: showStage
+        });
+        message.textContent = `Loaded ${serverPlayback.times.length} time samples up to t = ${formatQuantity(tFinal, 'time', 3)}. Press Play to watch.`;
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            message.textContent = 'Cancelled';
+        } else {
+            console.error('Server computation failed:', error);
+            message.textContent = error.message;
+            message.classList.add('error');
+        }
+    } finally {
+        serverComputation = null;
+        progress.hidden = true;
+        syncServerControls();
+        refreshBackendStatus();
+    }
+}
+
+// ストリーミングで計算しながら再生する（チェックを入れるとバックエンドの代わりにページ内のモックにつなぐ）
+function streamFromServer() {
+    const message = document.getElementById('server-message');
+    const progress = document.getElementById('server-progress');
+    const mock = document.getElementById('stream-mock').checked;
+    const t0 = simulationTime;
+    const tFinal = readQuantityInput(document.getElementById('server-t-final'));
+    const dt = readQuantityInput(document.getElementById('server-dt'));
+
+    const showError = (error) => {
+        console.error('Streaming failed:', error);
+        message.textContent = error.message;
+        message.classList.add('error');
+        progress.hidden = true;
+        syncServerControls();
+    };
+    const showStage = (stage, value) => {
+        progress.hidden = false;
+        switch (stage) {
+            case 'connecting':
+                message.textContent = mock ? 'Starting the mock server…' : 'Connecting to the stream server…';
+                progress.removeAttribute('value');
+                break;
+            case 'receiving':
+                message.textContent = `Streaming… received up to t = ${formatQuantity(value, 'time', 3)}`;
+                progress.value = (value - t0) / (tFinal - t0);
+                break;
+            case 'reconnecting':
+                message.textContent = `Connection lost. Reconnecting in ${(value / 1000).toFixed(1)} s…`;
+                break;
+            case 'paused':
+                message.textContent = 'Stream paused';
+                break;
+            case 'resumed':
+                message.textContent = 'Streaming…';
+                break;
+        }
+    };
+
+    message.classList.remove('error');
+    try {
+        serverStream = startStreamingSimulation(tFinal, dt, document.getElementById('server-integrator').value, {
+            mock,
+            onStatus: showStage,
+            onError: showError,
+            onDone: () => {
+                message.textContent = `Streamed up to t = ${formatQuantity(tFinal, 'time', 3)}`;
+                progress.hidden = true;
+                syncServerControls();
+            }
+        });
+        // 届いたところから再生する（先まで届いていなければ待つ）
+        isPlaying = true;
+    } catch (error) {
+        showError(error);
+    }
+    syncServerControls();
+}
+
+function isServerStreaming() {
+    return serverStream !== null && serverStream.isStreaming;
+}
+
+// 物理計算を Web Worker で進める（workerengine.js、既定で有効）
+// Worker が作れなければ理由を表示して描画側で計算する
+function initializeWorkerControls() {
+    const checkbox = document.getElementById('physics-worker');
+    checkbox.checked = workerEngine.enabled;
+    setWorkerEnabled(workerEngine.enabled);
+    syncWorkerStatus();
+    checkbox.addEventListener('change', (e) => {
+        setWorkerEnabled(e.target.checked);
+        syncWorkerStatus();
+    });
+}
+
+function syncWorkerStatus() {
+    const status = document.getElementById('worker-status');
+    if (status.textContent !== workerEngine.status) {
+        status.textContent = workerEngine.status;
+    }
+}
+
+function syncServerControls() {
+    const busy = serverComputation !== null || isServerStreaming();
+    document.getElementById('server-compute').disabled = busy;
+    document.getElementById('server-stream').disabled = busy;
+    document.getElementById('stream-mock').disabled = busy;
+    document.getElementById('server-cancel').disabled = !busy;
+    document.getElementById('server-live').disabled = !isServerPlaybackActive();
+
+    const pause = document.getElementById('server-stream-pause');
+    pause.disabled = !isServerStreaming();
+    const label = isServerStreaming() && serverStream.paused ? 'Resume Stream' : 'Pause Stream';
+    if (pause.textContent !== label) {
+        pause.textContent = label;
+    }
+}
+
+// シーンに保存する UI だけの状態（粒子パラメータの入力欄はコード単位で、測定ツールの種類）
+function readSceneUiState() {
+    const particle = { species: document.getElementById('particle-species').value };
+    for (const key of ['charge', 'mass', 'vx', 'vy', 'vz']) {
+        particle[key] = readQuantityInput(document.getElementById(`particle-${key}`));
+    }
+    particle.z = parseFloat(document.getElementById('particle-z').value);
+    particle.a = parseFloat(document.getElementById('particle-a').value);
+    return { particle, measureTool };
+}
+
+function applySceneUiState(state) {
+    const particle = state.particle || {};
+    document.getElementById('particle-species').value = particle.species || 'custom';
+    for (const key of ['z', 'a']) {
+        if (particle[key] !== undefined) {
+            document.getElementById(`particle-${key}`).value = particle[key];
+        }
+    }
+    for (const key of ['charge', 'mass', 'vx', 'vy', 'vz']) {
+        if (particle[key] !== undefined) {
+            writeQuantityInput(document.getElementById(`particle-${key}`), particle[key]);
+        }
+    }
+    syncSpeciesInputs();
+
+    setMeasureTool(state.measureTool || 'distance');
+    document.getElementById('measure-type').value = measureTool;
+    document.getElementById('measure-hint').textContent = MEASURE_TOOLS[measureTool].hint;
+}
+
+// 現在の時刻の説明をキャンバスに重ねて表示（変わったときだけ書き換える）
+let shownCaption = null;
+
+function updateLessonCaption(time) {
+    const index = lessonCaptionIndex(time);
+    const caption = index >= 0 ? lessonCaptions[index] : null;
+    if (caption === shownCaption) return;
+    shownCaption = caption;
+
+    const box = document.getElementById('lesson-caption');
+    box.hidden = !caption;
+    if (caption) {
+        document.getElementById('lesson-caption-step').textContent = `${index + 1}/${lessonCaptions.length}`;
+        document.getElementById('lesson-caption-text').textContent = caption.text;
+    }
 }
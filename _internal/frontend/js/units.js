@@ -0,0 +1,245 @@
+// 単位系（SI・正規化・ガウス）と粒子の種類
+// シミュレーションの内部は常に基準量で割った無次元の値（コード単位）で計算する
+// 基準は電荷 q0・質量 m0・磁場 B0・速さ v0（SI で保持）で、時間と長さの尺度はここから決まる
+//   T0 = m0 / (|q0| B0) = 1/ωc（サイクロトロン周期の 1/2π）, L0 = v0 T0（速さ v0 のジャイロ半径）
+// 既定の基準（1 C, 1 kg, 1 T, 1 m/s）ではコード単位の値がそのまま SI の値になる
+// 点電荷・線電流・粒子間相互作用の係数 k, μ0 はコード単位のまま（教育用の正規化単位）
+
+const SPEED_OF_LIGHT = 299792458;          // m/s
+const ELEMENTARY_CHARGE = 1.602176634e-19; // C
+const ELECTRON_MASS = 9.1093837015e-31;    // kg
+const ATOMIC_MASS_UNIT = 1.66053906660e-27; // kg
+
+// 粒子の種類（電荷は素電荷単位、質量は kg）
+const SPECIES = {
+    electron: { label: 'Electron (e⁻)', charge: -1, mass: ELECTRON_MASS },
+    positron: { label: 'Positron (e⁺)', charge: 1, mass: ELECTRON_MASS },
+    proton: { label: 'Proton (p⁺)', charge: 1, mass: 1.67262192369e-27 },
+    alpha: { label: 'Alpha (⁴He²⁺)', charge: 2, mass: 6.6446573357e-27 },
+    ion: { label: 'Ion (charge Z, mass number A)' },
+    custom: { label: 'Custom q, m' }
+};
+
+// 量の種類ごとの単位（normalized は基準量に対する比）
+const UNIT_SYSTEMS = {
+    SI: {
+        label: 'SI',
+        units: {
+            length: 'm', time: 's', velocity: 'm/s', charge: 'C', mass: 'kg', current: 'A',
+            bField: 'T', eField: 'N/C', energy: 'J', power: 'W', momentum: 'kg·m/s',
+            frequency: 'Hz', angularFrequency: 'rad/s', acceleration: 'm/s²', inverseLength: '1/m'
+        }
+    },
+    normalized: {
+        label: 'Normalized (q = m = B = 1)',
+        units: {
+            length: 'L₀', time: 'T₀', velocity: 'v₀', charge: 'q₀', mass: 'm₀', current: 'q₀/T₀',
+            bField: 'B₀', eField: 'v₀B₀', energy: 'm₀v₀²', power: 'm₀v₀²/T₀', momentum: 'm₀v₀',
+            frequency: '1/T₀', angularFrequency: 'rad/T₀', acceleration: 'v₀/T₀', inverseLength: '1/L₀'
+        }
+    },
+    gaussian: {
+        label: 'Gaussian (CGS)',
+        units: {
+            length: 'cm', time: 's', velocity: 'cm/s', charge: 'statC', mass: 'g', current: 'statA',
+            bField: 'G', eField: 'statV/cm', energy: 'erg', power: 'erg/s', momentum: 'g·cm/s',
+            frequency: 'Hz', angularFrequency: 'rad/s', acceleration: 'cm/s²', inverseLength: '1/cm'
+        }
+    }
+};
+
+// SI の値をガウス単位系の値にする倍率
+const GAUSSIAN_FACTORS = {
+    length: 100, time: 1, velocity: 100, charge: 10 * SPEED_OF_LIGHT, mass: 1000,
+    current: 10 * SPEED_OF_LIGHT, bField: 1e4, eField: 1e4 / SPEED_OF_LIGHT, energy: 1e7,
+    power: 1e7, momentum: 1e5, frequency: 1, angularFrequency: 1, acceleration: 100, inverseLength: 0.01
+};
+
+const DEFAULT_UNIT_REFERENCE = { q: 1, m: 1, B: 1, v: 1 };
+
+let unitSettings = {
+    system: 'SI',
+    reference: Object.assign({}, DEFAULT_UNIT_REFERENCE) // SI（C, kg, T, m/s）
+};
+
+function setUnitSystem(system) {
+    if (!UNIT_SYSTEMS[system]) {
+        throw new Error(`Unknown unit system: ${system}`);
+    }
+    unitSettings = Object.assign({}, unitSettings, { system });
+}
+
+// 基準量を設定する（シミュレーションの状態はそのままで、値の物理的な意味が変わる）
+function setUnitReference(reference) {
+    const next = Object.assign({}, unitSettings.reference, reference);
+    for (const key of ['q', 'm', 'B', 'v']) {
+        if (!(isFinite(next[key]) && next[key] !== 0)) {
+            throw new Error(`Reference ${key} must be a non-zero number`);
+        }
+    }
+    next.q = Math.abs(next.q);
+    next.m = Math.abs(next.m);
+    next.B = Math.abs(next.B);
+    next.v = Math.abs(next.v);
+    unitSettings = Object.assign({}, unitSettings, { reference: next });
+}
+
+// 種類から電荷と質量 (SI) を求める（イオンは Z 価・質量数 A、電子 Z 個分の質量を引く）
+function speciesChargeMass(key, Z = 1, A = 1) {
+    if (key === 'ion') {
+        if (!(A > 0) || !isFinite(Z)) {
+            throw new Error('Ion: mass number A must be positive and Z must be a number');
+        }
+        return { q: Z * ELEMENTARY_CHARGE, m: A * ATOMIC_MASS_UNIT - Z * ELECTRON_MASS };
+    }
+    const species = SPECIES[key];
+    if (!species || species.mass === undefined) {
+        throw new Error(`Unknown species: ${key}`);
+    }
+    return { q: species.charge * ELEMENTARY_CHARGE, m: species.mass };
+}
+
+// コード単位の 1 が SI でいくつになるか
+function siScale(dim) {
+    const { q, m, B, v } = unitSettings.reference;
+    const T = m / (q * B);
+    switch (dim) {
+        case 'length': return v * T;
+        case 'time': return T;
+        case 'velocity': return v;
+        case 'charge': return q;
+        case 'mass': return m;
+        case 'current': return q / T;
+        case 'bField': return B;
+        case 'eField': return v * B;
+        case 'energy': return m * v * v;
+        case 'power': return m * v * v / T;
+        case 'momentum': return m * v;
+        case 'frequency':
+        case 'angularFrequency': return 1 / T;
+        case 'acceleration': return v / T;
+        case 'inverseLength': return 1 / (v * T);
+        default: return 1;
+    }
+}
+
+// SI の値を現在の単位系の物理単位に（正規化単位系では SI のまま）
+function siToPhysical(value, dim) {
+    return unitSettings.system === 'gaussian' && GAUSSIAN_FACTORS[dim] ? value * GAUSSIAN_FACTORS[dim] : value;
+}
+
+function physicalToSI(value, dim) {
+    return unitSettings.system === 'gaussian' && GAUSSIAN_FACTORS[dim] ? value / GAUSSIAN_FACTORS[dim] : value;
+}
+
+// 物理単位の名前（正規化単位系では SI）
+function physicalUnitLabel(dim) {
+    const system = unitSettings.system === 'gaussian' ? 'gaussian' : 'SI';
+    return UNIT_SYSTEMS[system].units[dim] || '';
+}
+
+// コード単位の 1 が表示単位でいくつになるか
+function unitFactor(dim) {
+    if (!dim || unitSettings.system === 'normalized') return 1;
+    return siToPhysical(siScale(dim), dim);
+}
+
+function toDisplay(value, dim) {
+    return value * unitFactor(dim);
+}
+
+function fromDisplay(value, dim) {
+    return value / unitFactor(dim);
+}
+
+// SI の値をコード単位に
+function fromSI(value, dim) {
+    return value / siScale(dim);
+}
+
+function unitLabel(dim) {
+    return dim ? UNIT_SYSTEMS[unitSettings.system].units[dim] || '' : '';
+}
+
+// 数値の表示（桁が大きい・小さいときは指数表記、zero 未満は丸め誤差とみなして 0）
+function formatNumber(value, digits = 4, zero = 1e-12) {
+    if (!isFinite(value)) return value > 0 ? '∞' : '—';
+    const abs = Math.abs(value);
+    if (abs === 0 || abs < zero) return (0).toFixed(digits - 1);
+    if (abs >= 1e5 || abs < 1e-3) return value.toExponential(digits - 1);
+    return value.toFixed(digits - 1);
+}
+
+// コード単位の値を表示単位の数値で（丸め誤差の判定はコード単位で行う）
+function formatValue(value, dim, digits = 4) {
+    return formatNumber(Math.abs(value) < 1e-12 ? 0 : toDisplay(value, dim), digits, 0);
+}
+
+// 単位付き
+function formatQuantity(value, dim, digits = 4) {
+    const unit = unitLabel(dim);
+    return unit ? `${formatValue(value, dim, digits)} ${unit}` : formatValue(value, dim, digits);
+}
+
+// 文字列中の数値をすべて変換する（分布 "1..3", "2±0.2" や "q:m:weight, ..." の書式用）
+// dims が配列なら ":" で区切った位置ごとの量、文字列なら全体の量
+function convertNumbersInText(text, dims, convert) {
+    const number = /(?<![\d.])(?:\d+(?:\.\d+)?|\.\d+)(?:e[-+]?\d+)?/gi;
+    const scale = (part, dim) => dim
+        ? part.replace(number, match => String(+convert(Number(match), dim).toPrecision(12)))
+        : part;
+    return String(text).split(',').map(entry => Array.isArray(dims)
+        ? entry.split(':').map((part, i) => scale(part, dims[i])).join(':')
+        : scale(entry, dims)
+    ).join(',');
+}
+
+// パラメータ定義の dim（"length" や位置ごとの "charge:mass:"）
+function parseDimSpec(dim) {
+    return dim && dim.includes(':') ? dim.split(':') : dim;
+}
+
+// コード単位のパラメータ値を表示単位に（文字列の書式はそのまま数値だけ変換）
+// 入力欄に戻して読み直しても値が変わらないよう有効数字 10 桁で
+function displayParamValue(value, dim) {
+    if (!dim) return value;
+    if (typeof value === 'string') return convertNumbersInText(value, parseDimSpec(dim), toDisplay);
+    return +toDisplay(value, dim).toPrecision(10);
+}
+
+// 表示単位の入力値をコード単位に（数値でなければそのまま返して検証に任せる）
+function paramValueToCode(raw, dim, text = false) {
+    if (!dim) return raw;
+    if (text) return convertNumbersInText(raw, parseDimSpec(dim), fromDisplay);
+    const value = parseFloat(raw);
+    return isNaN(value) ? raw : fromDisplay(value, dim);
+}
+
+// 一覧表示用（数値は有効数字 4 桁、単一の量なら単位を付ける）
+function formatParamValue(value, dim) {
+    const shown = typeof value === 'number' ? +toDisplay(value, dim).toPrecision(4) : displayParamValue(value, dim);
+    const dims = parseDimSpec(dim);
+    return dims && !Array.isArray(dims) ? `${shown} ${unitLabel(dims)}` : String(shown);
+}
+
+// 基準から決まる時間・長さの尺度の説明
+function describeUnitScales() {
+    const time = siToPhysical(siScale('time'), 'time');
+    const length = siToPhysical(siScale('length'), 'length');
+    return `T₀ = 1/ωc = ${formatNumber(time, 4, 0)} ${physicalUnitLabel('time')}, ` +
+        `L₀ = v₀/ωc = ${formatNumber(length, 4, 0)} ${physicalUnitLabel('length')}` +
+        ` (cyclotron period 2πT₀, gyroradius L₀ at v₀)`;
+}
+
+// 書き出し用（各量のコード単位 1 あたりの SI の値も付ける）
+function exportUnits() {
+    const scales = {};
+    for (const dim of Object.keys(GAUSSIAN_FACTORS)) {
+        scales[dim] = siScale(dim);
+    }
+    return {
+        system: unitSettings.system,
+        reference: Object.assign({}, unitSettings.reference),
+        siPerCodeUnit: scales
+    };
+}
@@ -0,0 +1,275 @@
+// 3D表示（WEBGL）
+// オフスクリーンの WEBGL バッファに描画し、メインキャンバスに貼り付ける
+// 座標: ワールド (x, y, z) → WEBGL (x, -y, z) * DEFAULT_SCALE（y を上向きにする）
+
+const VIEW3D_EXTENT = 12; // グリッドと射影面の範囲 (m)
+const VIEW3D_DEFAULT_CAMERA = { yaw: -0.6, pitch: 0.4, distance: 800 };
+
+let view3D = null;
+let camera3D = Object.assign({}, VIEW3D_DEFAULT_CAMERA);
+let projectionPlanes = { xy: false, xz: false, yz: false };
+
+function toGL(x, y, z) {
+    return [x * DEFAULT_SCALE, -y * DEFAULT_SCALE, z * DEFAULT_SCALE];
+}
+
+// マウスドラッグで視点を回転
+function orbitView3D(dx, dy) {
+    camera3D.yaw -= dx * 0.01;
+    camera3D.pitch = Math.max(-1.5, Math.min(1.5, camera3D.pitch + dy * 0.01));
+}
+
+// ホイールで拡大縮小
+function zoomView3D(delta) {
+    camera3D.distance = Math.max(150, Math.min(4000, camera3D.distance * (1 + delta * 0.001)));
+}
+
+function resetView3D() {
+    camera3D = Object.assign({}, VIEW3D_DEFAULT_CAMERA);
+}
+
+// キャンバスの大きさが変わったらバッファを作り直す（次の描画で作成）
+function resizeView3D() {
+    if (view3D) {
+        view3D.remove();
+        view3D = null;
+    }
+}
+
+function setProjectionPlane(plane, enabled) {
+    projectionPlanes[plane] = enabled;
+}
+
+// 始点から終点への矢印（WEBGL 座標）
+function arrow3D(g, from, to, col, headSize = 8) {
+    const dx = to[0] - from[0];
+    const dy = to[1] - from[1];
+    const dz = to[2] - from[2];
+    const len = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (len < 1e-6) return;
+
+    g.stroke(col);
+    g.strokeWeight(2);
+    g.line(from[0], from[1], from[2], to[0], to[1], to[2]);
+
+    // 円錐（既定では +Y 向き）を矢印の向きに回転
+    g.push();
+    g.noStroke();
+    g.fill(col);
+    g.translate(to[0] - dx / len * headSize / 2, to[1] - dy / len * headSize / 2, to[2] - dz / len * headSize / 2);
+    const axisLen = Math.hypot(dz, dx);
+    if (axisLen > 1e-9) {
+        g.rotate(Math.acos(Math.max(-1, Math.min(1, dy / len))), [dz / axisLen, 0, -dx / axisLen]);
+    } else if (dy < 0) {
+        g.rotateX(Math.PI);
+    }
+    g.cone(headSize / 2, headSize, 8, 1);
+    g.pop();
+}
+
+function drawGrid3D(g) {
+    const L = VIEW3D_EXTENT;
+
+    g.strokeWeight(1);
+    g.stroke(210);
+    for (let i = -L; i <= L; i++) {
+        const a = toGL(i, -L, 0);
+        const b = toGL(i, L, 0);
+        g.line(a[0], a[1], a[2], b[0], b[1], b[2]);
+        const c = toGL(-L, i, 0);
+        const d = toGL(L, i, 0);
+        g.line(c[0], c[1], c[2], d[0], d[1], d[2]);
+    }
+
+    // 軸（x: 赤, y: 緑, z: 青）
+    const origin = toGL(0, 0, 0);
+    arrow3D(g, origin, toGL(L, 0, 0), g.color(200, 0, 0), 12);
+    arrow3D(g, origin, toGL(0, L, 0), g.color(0, 150, 0), 12);
+    arrow3D(g, origin, toGL(0, 0, L), g.color(0, 0, 200), 12);
+}
+
+// 局所的な場を格子点で矢印表示
+function drawFields3D(g) {
+    const spacing = 4;
+    const maxLen = 3; // 矢印の最大長 (m)
+
+    for (let x = -8; x <= 8; x += spacing) {
+        for (let y = -8; y <= 8; y += spacing) {
+            const f = sampleField(x, y, simulationTime);
+            const from = toGL(x, y, 0);
+
+            const B = Math.sqrt(f.Bx * f.Bx + f.By * f.By + f.Bz * f.Bz);
+            if (B > 1e-6) {
+                const len = Math.min(B * 0.5, maxLen) / B;
+                arrow3D(g, from, toGL(x + f.Bx * len, y + f.By * len, f.Bz * len), g.color(0, 0, 255, 140));
+            }
+
+            const E = Math.sqrt(f.Ex * f.Ex + f.Ey * f.Ey + f.Ez * f.Ez);
+            if (E > 1e-6) {
+                const len = Math.min(E * 0.5, maxLen) / E;
+                arrow3D(g, from, toGL(x + f.Ex * len, y + f.Ey * len, f.Ez * len), g.color(255, 165, 0, 160));
+            }
+        }
+    }
+}
+
+// 周期境界で反対側に移った所（jump）で線を切る（project を省くとそのままの位置）
+function drawTrail3D(g, trail, project = null) {
+    g.noFill();
+    g.beginShape();
+    for (let i = 0; i < trail.length; i++) {
+        if (trail.isJump(i)) {
+            g.endShape();
+            g.beginShape();
+        }
+        const x = trail.xAt(i);
+        const y = trail.yAt(i);
+        const z = trail.zAt(i);
+        const v = project ? toGL(...project(x, y, z)) : toGL(x, y, z);
+        g.vertex(v[0], v[1], v[2]);
+    }
+    g.endShape();
+}
+
+function drawParticles3D(g) {
+    const L = VIEW3D_EXTENT;
+    const projections = [
+        { plane: 'xy', project: (x, y) => [x, y, -L] },
+        { plane: 'xz', project: (x, y, z) => [x, -L, z] },
+        { plane: 'yz', project: (x, y, z) => [-L, y, z] }
+    ];
+
+    for (const particle of particles) {
+        const col = particle.q > 0 ? [255, 0, 0] : [0, 0, 255];
+
+        // ニュートン力学の比較用軌道
+        const twin = particle.newtonianTwin;
+        if (twin && twin.trail.length > 1) {
+            g.strokeWeight(1);
+            g.stroke(120, 120, 120, 160);
+            drawTrail3D(g, twin.trail);
+        }
+
+        // 案内中心の方程式で積分した軌道
+        const gc = particle.guidingCenter;
+        if (gc && gc.trail.length > 1) {
+            g.strokeWeight(guidingCenterSettings.motion === 'guidingCenter' ? 2 : 1);
+            g.stroke(0, 150, 150, 200);
+            drawTrail3D(g, gc.trail);
+        }
+
+        // 案内中心だけを積分するときは止めている完全な軌道を描かない
+        if (gc && guidingCenterSettings.motion === 'guidingCenter') {
+            const at = toGL(gc.x, gc.y, gc.z);
+            g.push();
+            g.noStroke();
+            g.translate(at[0], at[1], at[2]);
+            g.fill(0, 150, 150);
+            g.sphere(6);
+            g.pop();
+            continue;
+        }
+
+        // 軌跡
+        if (particle.trail.length > 1) {
+            g.strokeWeight(2);
+            g.stroke(col[0], col[1], col[2], 200);
+            drawTrail3D(g, particle.trail);
+
+            // 各平面への射影
+            g.strokeWeight(1);
+            g.stroke(col[0], col[1], col[2], 90);
+            for (const { plane, project } of projections) {
+                if (projectionPlanes[plane]) {
+                    drawTrail3D(g, particle.trail, project);
+                }
+            }
+        }
+
+        // 粒子
+        const pos = toGL(particle.x, particle.y, particle.z);
+        g.push();
+        g.noStroke();
+        g.translate(pos[0], pos[1], pos[2]);
+        if (particle.selected) {
+            g.fill(255, 255, 0, 150);
+            g.sphere(12);
+        }
+        g.fill(particle.q > 0 ? g.color(255, 100, 100) : g.color(100, 100, 255));
+        g.sphere(7);
+        g.pop();
+
+        // 速度ベクトル
+        const vEnd = toGL(
+            particle.x + particle.vx * 0.18,
+            particle.y + particle.vy * 0.18,
+            particle.z + particle.vz * 0.18
+        );
+        arrow3D(g, pos, vEnd, g.color(0, 200, 0));
+    }
+}
+
+// 射影面の枠
+function drawProjectionPlanes(g) {
+    const L = VIEW3D_EXTENT;
+    const planes = {
+        xy: [[-L, -L, -L], [L, -L, -L], [L, L, -L], [-L, L, -L]],
+        xz: [[-L, -L, -L], [L, -L, -L], [L, -L, L], [-L, -L, L]],
+        yz: [[-L, -L, -L], [-L, L, -L], [-L, L, L], [-L, -L, L]]
+    };
+
+    g.stroke(170);
+    g.strokeWeight(1);
+    g.fill(220, 220, 235, 60);
+    for (const [plane, corners] of Object.entries(planes)) {
+        if (!projectionPlanes[plane]) continue;
+        g.beginShape();
+        for (const corner of corners) {
+            const v = toGL(...corner);
+            g.vertex(v[0], v[1], v[2]);
+        }
+        g.endShape(CLOSE);
+    }
+}
+
+function drawView3D() {
+    if (!view3D) {
+        view3D = createGraphics(canvasWidth, canvasHeight, WEBGL);
+    }
+    const g = view3D;
+
+    g.push();
+    g.background(240);
+
+    const { yaw, pitch, distance } = camera3D;
+    g.camera(
+        distance * Math.cos(pitch) * Math.sin(yaw),
+        -distance * Math.sin(pitch),
+        distance * Math.cos(pitch) * Math.cos(yaw),
+        0, 0, 0,
+        0, 1, 0
+    );
+    g.ambientLight(160);
+    g.directionalLight(255, 255, 255, 0.3, 0.6, -1);
+
+    drawGrid3D(g);
+    drawProjectionPlanes(g);
+    drawFields3D(g);
+    drawParticles3D(g);
+    g.pop();
+
+    image(g, 0, 0);
+
+    // 操作説明と軸の凡例（2D オーバーレイ）
+    noStroke();
+    textSize(13);
+    textAlign(LEFT, TOP);
+    fill(200, 0, 0);
+    text('x', 15, 12);
+    fill(0, 150, 0);
+    text('y', 30, 12);
+    fill(0, 0, 200);
+    text('z', 45, 12);
+    fill(80);
+    text('Drag to rotate, wheel to zoom', 65, 12);
+}
@@ -0,0 +1,207 @@
+// 壁・検出器と領域の境界条件
+// 壁は線分（長方形は 4 本の線分）で、粒子が 1 ステップの間に横切ったかどうかで判定する
+// absorb: 粒子を取り除く / reflect: 法線方向の速度を反発係数倍して反転（1 なら鏡面反射）
+// detector: 当たった位置・時刻・エネルギーを記録して粒子を取り除く
+
+const WALL_SHAPES = {
+    segment: { label: 'Line segment' },
+    rect: { label: 'Rectangle' }
+};
+
+const WALL_BEHAVIORS = {
+    absorb: { label: 'Absorbing wall' },
+    reflect: { label: 'Reflecting wall' },
+    detector: { label: 'Detector screen' }
+};
+
+const WALL_PARAMS = [
+    { key: 'x1', label: 'x1', dim: 'length', value: 4 },
+    { key: 'y1', label: 'y1', dim: 'length', value: -5 },
+    { key: 'x2', label: 'x2', dim: 'length', value: 4 },
+    { key: 'y2', label: 'y2', dim: 'length', value: 5 },
+    { key: 'restitution', label: 'restitution (0–1)', value: 1 }
+];
+
+// 領域の外側の境界（|x|, |y|, |z| ≤ halfSize）
+const BOUNDARY_TYPES = {
+    open: { label: 'Open (removes emitted particles only)' },
+    absorbing: { label: 'Absorbing' },
+    periodic: { label: 'Periodic' }
+};
+const DEFAULT_DOMAIN = { boundary: 'open', halfSize: 50 }; // 境界は選んだときだけ働く
+
+let wallIdCounter = 0;
+let detectorHits = new Map(); // 壁の id → [{ particleId, t, x, y, s, energy, q, m }]
+
+// パラメータを既定値で補って壁を作成
+function createWall(shape, behavior, params = {}) {
+    if (!WALL_SHAPES[shape]) {
+        throw new Error(`Unknown wall shape: ${shape}`);
+    }
+    if (!WALL_BEHAVIORS[behavior]) {
+        throw new Error(`Unknown wall behavior: ${behavior}`);
+    }
+
+    const wall = { id: params.id || `w${wallIdCounter++}`, shape, behavior };
+    // 読み込んだ id と重ならないように番号を進める
+    const number = parseInt(String(wall.id).slice(1), 10);
+    if (number >= wallIdCounter) {
+        wallIdCounter = number + 1;
+    }
+    for (const param of WALL_PARAMS) {
+        const raw = params[param.key] !== undefined ? params[param.key] : param.value;
+        const value = parseFloat(raw);
+        if (isNaN(value)) {
+            throw new Error(`Wall: ${param.label} must be a number`);
+        }
+        wall[param.key] = value;
+    }
+
+    if (wall.restitution < 0 || wall.restitution > 1) {
+        throw new Error('Wall: restitution must be between 0 and 1');
+    }
+    if (Math.hypot(wall.x2 - wall.x1, wall.y2 - wall.y1) < 1e-9) {
+        throw new Error('Wall: the two end points must differ');
+    }
+    if (shape === 'rect' && (Math.abs(wall.x2 - wall.x1) < 1e-9 || Math.abs(wall.y2 - wall.y1) < 1e-9)) {
+        throw new Error('Wall: a rectangle needs a non-zero width and height');
+    }
+    return wall;
+}
+
+// 壁を構成する線分 [{ ax, ay, bx, by, offset }]（offset は検出器上の位置 s の起点）
+function wallSegments(wall) {
+    if (wall.shape === 'segment') {
+        return [{ ax: wall.x1, ay: wall.y1, bx: wall.x2, by: wall.y2, offset: 0 }];
+    }
+    const corners = [
+        [wall.x1, wall.y1], [wall.x2, wall.y1], [wall.x2, wall.y2], [wall.x1, wall.y2]
+    ];
+    let offset = 0;
+    return corners.map((a, i) => {
+        const b = corners[(i + 1) % 4];
+        const segment = { ax: a[0], ay: a[1], bx: b[0], by: b[1], offset };
+        offset += Math.hypot(b[0] - a[0], b[1] - a[1]);
+        return segment;
+    });
+}
+
+// 経路 p0 → p1 が線分を横切るか
+// u: 経路上の割合, s: 線分上の割合, (nx, ny): 単位法線, d1: 終点の符号付き距離, side: 始点の側 (±1)
+// 始点が線上にある場合は横切らないとみなす（反射で線上に戻した直後など）
+function segmentCrossing(p0, p1, segment) {
+    const sx = segment.bx - segment.ax;
+    const sy = segment.by - segment.ay;
+    const length = Math.hypot(sx, sy);
+    const nx = -sy / length;
+    const ny = sx / length;
+    const d0 = (p0.x - segment.ax) * nx + (p0.y - segment.ay) * ny;
+    const d1 = (p1.x - segment.ax) * nx + (p1.y - segment.ay) * ny;
+    if (!((d0 > 0 && d1 <= 0) || (d0 < 0 && d1 >= 0))) return null;
+
+    const u = d0 / (d0 - d1);
+    const hx = p0.x + (p1.x - p0.x) * u;
+    const hy = p0.y + (p1.y - p0.y) * u;
+    const s = ((hx - segment.ax) * sx + (hy - segment.ay) * sy) / (length * length);
+    if (s < 0 || s > 1) return null;
+    return { u, s, nx, ny, d1, side: Math.sign(d0), length };
+}
+
+// 粒子が start から現在位置へ動く間に当たった最初の壁を処理する
+// 取り除く粒子なら true を返す（c は運動エネルギーの計算用）
+function collideWithWalls(p, start, t, h, walls, c) {
+    let hit = null;
+    for (const wall of walls) {
+        for (const segment of wallSegments(wall)) {
+            const crossing = segmentCrossing(start, p, segment);
+            if (crossing && (!hit || crossing.u < hit.u)) {
+                hit = Object.assign({ wall, segment }, crossing);
+            }
+        }
+    }
+    if (!hit) return false;
+
+    const { wall, segment } = hit;
+    if (wall.behavior === 'detector') {
+        recordDetectorHit(wall, {
+            particleId: p.id,
+            t: t + hit.u * h,
+            x: start.x + (p.x - start.x) * hit.u,
+            y: start.y + (p.y - start.y) * hit.u,
+            s: segment.offset + hit.s * hit.length,
+            energy: kineticEnergy(p, c),
+            q: p.q,
+            m: p.m
+        });
+    }
+    if (wall.behavior !== 'reflect') return true;
+
+    // 壁を越えた深さの e 倍だけ元の側に戻し（線上には置かない）、法線方向の速度を −e 倍にする
+    const e = wall.restitution;
+    const target = hit.side * Math.max(e * Math.abs(hit.d1), 1e-9);
+    const vn = p.vx * hit.nx + p.vy * hit.ny;
+    p.x -= (hit.d1 - target) * hit.nx;
+    p.y -= (hit.d1 - target) * hit.ny;
+    p.vx -= (1 + e) * vn * hit.nx;
+    p.vy -= (1 + e) * vn * hit.ny;
+    p.lastPower = null;
+    return false;
+}
+
+function isOutsideDomain(p, domain) {
+    const h = domain.halfSize;
+    return Math.abs(p.x) > h || Math.abs(p.y) > h || Math.abs(p.z) > h;
+}
+
+// 領域の境界を適用する（'absorb': 取り除く, 'wrap': 反対側に移した, null: 何もしない）
+// エミッタが放出した粒子は開いた境界でも領域の外に出たら取り除く（放出の上限に数えられたまま残らないように）
+function applyDomainBoundary(p, domain) {
+    if (!isOutsideDomain(p, domain)) return null;
+    if (domain.boundary === 'open') return p.emitterId ? 'absorb' : null;
+    if (domain.boundary === 'absorbing') return 'absorb';
+
+    const h = domain.halfSize;
+    const wrap = v => ((v + h) % (2 * h) + 2 * h) % (2 * h) - h;
+    p.x = wrap(p.x);
+    p.y = wrap(p.y);
+    p.z = wrap(p.z);
+    return 'wrap';
+}
+
+function recordDetectorHit(wall, hit) {
+    if (!detectorHits.has(wall.id)) {
+        detectorHits.set(wall.id, []);
+    }
+    detectorHits.get(wall.id).push(hit);
+}
+
+// 巻き戻して表示しているときは、その時刻までの記録だけを返す（先の記録は再生に備えて残しておく）
+function hitsForDetector(id) {
+    const hits = detectorHits.get(id) || [];
+    return historyCursor === null ? hits : hits.filter(hit => hit.t <= simulationTime + 1e-9);
+}
+
+// 時刻 t より後の記録を捨てる（逆方向のステップ用）
+function truncateDetectorHits(t) {
+    for (const [id, hits] of detectorHits) {
+        detectorHits.set(id, hits.filter(hit => hit.t <= t + 1e-9));
+    }
+}
+
+// 時刻 t までの記録の複製（新しいブランチ用）
+function detectorHitsUntil(t) {
+    return new Map([...detectorHits].map(([id, hits]) => [id, hits.filter(hit => hit.t <= t + 1e-9)]));
+}
+
+function clearDetectorHits() {
+    detectorHits.clear();
+}
+
+// 一覧表示用の短い説明
+function describeWall(wall) {
+    const behavior = WALL_BEHAVIORS[wall.behavior].label;
+    const restitution = wall.behavior === 'reflect' ? `, e=${wall.restitution}` : '';
+    const [x1, y1, x2, y2] = [wall.x1, wall.y1, wall.x2, wall.y2].map(v => +toDisplay(v, 'length').toPrecision(4));
+    return `${behavior} ${wall.id} (${WALL_SHAPES[wall.shape].label.toLowerCase()}): ` +
+        `(${x1}, ${y1}) – (${x2}, ${y2}) ${unitLabel('length')}${restitution}`;
+}
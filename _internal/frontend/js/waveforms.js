@@ -0,0 +1,150 @@
+// 時間変化する場の波形
+// 波形は時刻 t における倍率を返し、スライダーで設定した場の強さに掛けられる
+
+const WAVEFORM_TYPES = {
+    constant: {
+        label: 'Constant',
+        params: []
+    },
+    sine: {
+        label: 'Sinusoid',
+        params: [
+            { key: 'frequency', label: 'frequency', dim: 'frequency', value: 0.5 },
+            { key: 'phase_deg', label: 'phase (deg)', value: 0 },
+            { key: 'offset', label: 'offset', value: 0 }
+        ]
+    },
+    square: {
+        label: 'Square pulse train',
+        params: [
+            { key: 'period', label: 'period', dim: 'time', value: 2 },
+            { key: 'duty', label: 'duty (0–1)', value: 0.5 },
+            { key: 'low', label: 'low level', value: 0 },
+            { key: 'delay', label: 'delay', dim: 'time', value: 0 }
+        ]
+    },
+    ramp: {
+        label: 'Linear ramp',
+        params: [
+            { key: 't_start', label: 'start time', dim: 'time', value: 0 },
+            { key: 't_end', label: 'end time', dim: 'time', value: 5 },
+            { key: 'from', label: 'from', value: 0 },
+            { key: 'to', label: 'to', value: 1 }
+        ]
+    },
+    table: {
+        label: 'Piecewise table',
+        params: [
+            { key: 'points', label: 'points (t:value, ...)', dim: 'time:', value: '0:0, 1:1, 3:1, 4:0', text: true },
+            { key: 'repeat', label: 'repeat', value: 'no', options: ['no', 'yes'] }
+        ]
+    }
+};
+
+const CONSTANT_WAVEFORM = { type: 'constant' };
+
+// "t:value, t:value, ..." を時刻順の点列に変換
+function parseWaveformTable(text) {
+    const points = String(text).split(',')
+        .map(pair => pair.trim())
+        .filter(pair => pair.length > 0)
+        .map(pair => {
+            const [t, value] = pair.split(':').map(Number);
+            if (!isFinite(t) || !isFinite(value)) {
+                throw new Error(`Invalid table entry "${pair}" (expected t:value)`);
+            }
+            return { t, value };
+        })
+        .sort((a, b) => a.t - b.t);
+
+    if (points.length === 0) {
+        throw new Error('Piecewise table needs at least one point');
+    }
+    return points;
+}
+
+// 解析済みのテーブル（波形オブジェクトごと）
+const tableCache = new WeakMap();
+
+function tablePoints(waveform) {
+    let points = tableCache.get(waveform);
+    if (!points) {
+        points = parseWaveformTable(waveform.points);
+        tableCache.set(waveform, points);
+    }
+    return points;
+}
+
+// パラメータを既定値で補って波形を作成
+function createWaveform(type, params = {}) {
+    const definition = WAVEFORM_TYPES[type];
+    if (!definition) {
+        throw new Error(`Unknown waveform type: ${type}`);
+    }
+
+    const waveform = { type };
+    for (const param of definition.params) {
+        const raw = params[param.key] !== undefined ? params[param.key] : param.value;
+        if (param.text || param.options) {
+            waveform[param.key] = String(raw);
+        } else {
+            const value = parseFloat(raw);
+            if (isNaN(value)) {
+                throw new Error(`${definition.label}: ${param.label} must be a number`);
+            }
+            waveform[param.key] = value;
+        }
+    }
+
+    if (type === 'square' && waveform.period <= 0) {
+        throw new Error('Square pulse train: period must be positive');
+    }
+    if (type === 'table') {
+        tablePoints(waveform);
+    }
+
+    return waveform;
+}
+
+// 時刻 t における倍率
+function evaluateWaveform(waveform, t) {
+    switch (waveform.type) {
+        case 'sine':
+            return waveform.offset + Math.sin(2 * Math.PI * waveform.frequency * t + waveform.phase_deg * Math.PI / 180);
+
+        case 'square': {
+            const phase = (((t - waveform.delay) % waveform.period) + waveform.period) % waveform.period;
+            return phase < waveform.duty * waveform.period ? 1 : waveform.low;
+        }
+
+        case 'ramp': {
+            if (t <= waveform.t_start) return waveform.from;
+            if (t >= waveform.t_end) return waveform.to;
+            const u = (t - waveform.t_start) / (waveform.t_end - waveform.t_start);
+            return waveform.from + (waveform.to - waveform.from) * u;
+        }
+
+        case 'table': {
+            const points = tablePoints(waveform);
+            const last = points[points.length - 1];
+            let time = t;
+            if (waveform.repeat === 'yes' && last.t > 0) {
+                time = ((t % last.t) + last.t) % last.t;
+            }
+            if (time <= points[0].t) return points[0].value;
+            if (time >= last.t) return last.value;
+            // 線形補間
+            for (let i = 1; i < points.length; i++) {
+                if (time <= points[i].t) {
+                    const a = points[i - 1];
+                    const b = points[i];
+                    return a.value + (b.value - a.value) * (time - a.t) / (b.t - a.t);
+                }
+            }
+            return last.value;
+        }
+
+        default:
+            return 1;
+    }
+}
@@ -0,0 +1,209 @@
+// 物理計算を Web Worker で進める（physicsworker.js）
+// 既定で有効。再生中は Worker が実時間 × 再生速度で計算し、描画側は届いたステップを順に粒子・軌跡・プロット・履歴に書き写すだけにする
+// Worker が扱えない設定（追加の力・壁など）のときや Worker が作れないときは、これまでどおり draw() の中で計算する
+// 設定を変えると（sceneEdits が変わると）その時点の状態から読み込み直す
+
+// physicsworker.js と同じ並び
+const WORKER_FIELDS = ['x', 'y', 'z', 'vx', 'vy', 'vz', 'q', 'm', 'workE', 'initialEnergy', 'power', 'adaptiveStep'];
+const WORKER_STEP_FIELDS = ['x', 'y', 'z', 'vx', 'vy', 'vz', 'workE', 'initialEnergy', 'power', 'adaptiveStep', 'wrapped'];
+// ステップの記録 1 件はスロットと WORKER_STEP_FIELDS の値
+const WORKER_STEP_STRIDE = WORKER_STEP_FIELDS.length + 1;
+const WORKER_STEP_OFFSET = Object.fromEntries(WORKER_STEP_FIELDS.map((key, f) => [key, f + 1]));
+
+let workerEngine = {
+    enabled: true,
+    worker: null,
+    run: null,      // 計算中の読み込み { id, key, t, slots, timeScale }（null なら止まっている、slots は Worker のスロットごとの粒子）
+    runCounter: 0,
+    status: ''      // 表示用の状態（Worker で計算できない理由など）
+};
+
+// Worker で計算できない設定（空文字なら計算できる）
+function workerUnsupportedReason() {
+    const unsupported = [];
+    if (forceTerms.length) unsupported.push('additional forces');
+    if (walls.length) unsupported.push('walls');
+    if (guidingCenterSettings.motion !== 'full') unsupported.push('guiding-center integration');
+    if (relativity.enabled && relativity.compare) unsupported.push('the Newtonian comparison');
+    return unsupported.length ? `turn off ${unsupported.join(', ')}` : '';
+}
+
+function setWorkerEnabled(enabled) {
+    stopWorkerRun();
+    workerEngine.enabled = enabled;
+    if (!enabled) {
+        workerEngine.status = '';
+        return;
+    }
+    if (!workerEngine.worker) {
+        createPhysicsWorker();
+    }
+}
+
+// file: で開いたときなど、Worker が作れなければ描画側での計算に戻す
+function createPhysicsWorker() {
+    try {
+        const worker = new Worker('js/physicsworker.js');
+        worker.onmessage = (event) => {
+            if (event.data.type === 'frame') {
+                applyWorkerFrame(event.data);
+            }
+        };
+        worker.onerror = (event) => {
+            event.preventDefault();
+            console.error('Physics worker failed:', event.message);
+            disablePhysicsWorker(`the worker failed (${event.message || 'unknown error'})`);
+        };
+        workerEngine.worker = worker;
+        workerEngine.status = '';
+    } catch (error) {
+        console.warn('Physics worker is not available:', error);
+        disablePhysicsWorker(`workers are not available here (${error.message})`);
+    }
+}
+
+function disablePhysicsWorker(reason) {
+    stopWorkerRun();
+    if (workerEngine.worker) {
+        workerEngine.worker.terminate();
+    }
+    workerEngine.worker = null;
+    workerEngine.status = `Computing on the main thread: ${reason}`;
+}
+
+// advanceRealTime から呼ぶ: Worker で進めていれば true（このフレームでは描画側で計算しない）
+function runPhysicsInWorker() {
+    if (!workerEngine.enabled || !workerEngine.worker) return false;
+
+    const reason = historyCursor !== null ? 'replaying the timeline' : workerUnsupportedReason();
+    if (reason) {
+        stopWorkerRun();
+        workerEngine.status = `Computing on the main thread: ${reason}`;
+        return false;
+    }
+    workerEngine.status = 'Computing in a Web Worker';
+
+    // ステップ実行やタイムラインの操作で時刻が変わっていても読み込み直す
+    const key = workerRunKey();
+    const run = workerEngine.run;
+    if (!run || run.key !== key || run.t !== simulationTime) {
+        loadWorkerRun(key);
+    } else if (run.timeScale !== timeScale) {
+        run.timeScale = timeScale;
+        workerEngine.worker.postMessage({ type: 'run', timeScale });
+    }
+    return true;
+}
+
+// これが変わったら読み込み直す（設定の変更は sceneEdits に数えられる）
+function workerRunKey() {
+    return `${sceneEdits}|${trailLength}|${particles.map(p => p.id).join(',')}`;
+}
+
+// 現在の粒子と設定を Worker に渡して計算を始める
+function loadWorkerRun(key) {
+    stopWorkerRun();
+    prepareHistoryForStep();
+
+    const n = particles.length;
+    const state = new Float64Array(WORKER_FIELDS.length * n);
+    particles.forEach((p, i) => {
+        const power = p.lastPower && p.lastPower.t === simulationTime ? p.lastPower.value : NaN;
+        const values = [p.x, p.y, p.z, p.vx, p.vy, p.vz, p.q, p.m, p.workE,
+            p.initialEnergy === null ? NaN : p.initialEnergy, power,
+            p.adaptiveStep === undefined ? NaN : p.adaptiveStep];
+        values.forEach((value, f) => {
+            state[f * n + i] = value;
+        });
+    });
+
+    const run = { id: ++workerEngine.runCounter, key, t: simulationTime, slots: particles.slice(), timeScale };
+    workerEngine.run = run;
+    workerEngine.worker.postMessage({
+        type: 'load',
+        id: run.id,
+        count: n,
+        state,
+        meta: particles.map(p => ({ birthTime: p.birthTime, lifetime: p.lifetime, emitterId: p.emitterId })),
+        t: simulationTime,
+        config: {
+            dt: physicsDt,
+            substeps,
+            integrator,
+            tolerance: integratorTolerance,
+            c: relativity.enabled ? relativity.c : null,
+            uniform: uniformFieldSettings(),
+            sources: fieldSources,
+            interaction: interactionSettings,
+            dims: mode3D ? 3 : 2,
+            emitters,
+            emitterPending: emitters.map(emitter => emitterState(emitter).pending),
+            domain,
+            maxFrameTime: MAX_FRAME_TIME,
+            maxSteps: MAX_STEPS_PER_FRAME
+        }
+    }, [state.buffer]);
+    workerEngine.worker.postMessage({ type: 'run', timeScale });
+}
+
+// 止める（まだ届いていないフレームは捨て、次に再生するときは今の状態から読み込み直す）
+function stopWorkerRun() {
+    if (!workerEngine.run) return;
+    workerEngine.run = null;
+    workerEngine.worker.postMessage({ type: 'pause' });
+}
+
+// Worker から届いたステップを advanceSimulation と同じ順に再現する
+// 取り除かれた粒子を消し、放出された粒子を加え、状態と軌跡を書き写してから、ステップごとにプロットと履歴に記録する
+function applyWorkerFrame(frame) {
+    const run = workerEngine.run;
+    // 送られた後に設定や粒子が変わっていれば捨てる（次の描画で今の状態から読み込み直す）
+    if (!run || frame.id !== run.id || run.key !== workerRunKey()) return;
+
+    const { values } = frame;
+    const c = relativity.enabled ? relativity.c : null;
+    let k = 0;
+    for (const step of frame.steps) {
+        simulationTime = step.t;
+        removeParticles(new Set(step.removed.map(slot => run.slots[slot]).filter(p => p)));
+        for (const slot of step.removed) {
+            run.slots[slot] = null;
+        }
+        for (const birth of step.born) {
+            const particle = addParticleAt(birth.q, birth.m, birth.x, birth.y, birth.vx, birth.vy);
+            if (particle) {
+                particle.lifetime = birth.lifetime;
+                particle.emitterId = birth.emitterId;
+            }
+            run.slots[birth.slot] = particle;
+        }
+
+        for (let i = 0; i < step.count; i++, k += WORKER_STEP_STRIDE) {
+            const p = run.slots[values[k]];
+            if (!p) continue;
+            for (const key of ['x', 'y', 'z', 'vx', 'vy', 'vz', 'workE']) {
+                p[key] = values[k + WORKER_STEP_OFFSET[key]];
+            }
+            const initialEnergy = values[k + WORKER_STEP_OFFSET.initialEnergy];
+            p.initialEnergy = isNaN(initialEnergy) ? null : initialEnergy;
+            const power = values[k + WORKER_STEP_OFFSET.power];
+            p.lastPower = isNaN(power) ? null : { t: step.t, value: power };
+            const adaptiveStep = values[k + WORKER_STEP_OFFSET.adaptiveStep];
+            p.adaptiveStep = isNaN(adaptiveStep) ? undefined : adaptiveStep;
+            p.wrapped = values[k + WORKER_STEP_OFFSET.wrapped] === 1;
+            p.recordTrail(simulationTime);
+        }
+        recordTimeSeries(particles, simulationTime, c);
+        recordHistory();
+    }
+
+    emitters.forEach((emitter, i) => {
+        emitterState(emitter).pending = frame.emitterPending[i];
+    });
+    run.t = simulationTime;
+    simulationLagging = frame.lagging;
+    // 読み込み直さないように、取り除いた・放出した粒子を反映したキーにしておく
+    run.key = workerRunKey();
+
+    workerEngine.worker.postMessage({ type: 'release', id: run.id });
+}
@@ -0,0 +1,36 @@
+// 場のモデル（fields.js）の式のテスト
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const evaluate = loadScripts(['waveforms', 'fields']);
+const compileFieldExpression = evaluate('compileFieldExpression');
+
+test('指数表記の数値を識別子として扱わない', () => {
+    assert.strictEqual(compileFieldExpression('1e5 * x')(2, 0, 0), 2e5);
+    assert.strictEqual(compileFieldExpression('2.5E-3')(0, 0, 0), 2.5e-3);
+    assert.strictEqual(compileFieldExpression('1.5e+3 + y')(0, 1, 0), 1501);
+    assert.strictEqual(compileFieldExpression('.5 * t')(0, 0, 4), 2);
+});
+
+test('数字を含む未知の名前は拒否する', () => {
+    assert.throws(() => compileFieldExpression('x2'), /Unknown name "x2"/);
+    assert.throws(() => compileFieldExpression('3 * foo'), /Unknown name "foo"/);
+});
+
+test('^ はべき乗として評価する', () => {
+    assert.strictEqual(compileFieldExpression('x^2 + 1')(3, 0, 0), 10);
+    assert.strictEqual(compileFieldExpression('-(x^2)')(3, 0, 0), -9);
+    assert.strictEqual(compileFieldExpression('(-x)^2')(3, 0, 0), 9);
+});
+
+test('符号の付いた底は読める言葉で知らせる', () => {
+    assert.throws(() => compileFieldExpression('-x^2'), /Cannot parse expression: -x\^2 \(a sign in front of a power needs parentheses/);
+    assert.throws(() => compileFieldExpression('x +'), /^Error: Cannot parse expression: x \+$/);
+});
+
+test('代入や使えない文字は受け付けない', () => {
+    assert.throws(() => compileFieldExpression('x = 1'), /Invalid character/);
+    assert.throws(() => compileFieldExpression('"a"'), /Invalid character/);
+});
@@ -0,0 +1,30 @@
+// フロントエンドのテスト用ヘルパー
+// 画面を使わないモジュール（js/*.js）をブラウザと同じく 1 つのグローバル環境に順に読み込む
+// 実行: node --test _internal/frontend/tests/
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+// names のスクリプトを読み込み、その環境で式を評価する関数を返す
+// （トップレベルの const・class はグローバルオブジェクトに載らないので式で取り出す）
+function loadScripts(names) {
+    const context = vm.createContext({
+        console,
+        TextEncoder,
+        TextDecoder,
+        CompressionStream,
+        DecompressionStream,
+        btoa,
+        atob
+    });
+    for (const name of names) {
+        const file = path.join(JS_DIR, `${name}.js`);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    }
+    return (expression) => vm.runInContext(expression, context);
+}
+
+module.exports = { loadScripts };
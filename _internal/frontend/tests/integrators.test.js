@@ -0,0 +1,98 @@
+// 数値積分モジュール（integrators.js）のテスト
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const evaluate = loadScripts(['integrators']);
+const INTEGRATORS = evaluate('INTEGRATORS');
+const lorentzForce = evaluate('lorentzForce');
+
+// 一様場の中の粒子（integrators.js が使う fieldsAt と calculateForce を持つ）
+function createParticle(state, fields) {
+    return Object.assign({
+        q: 1,
+        m: 1,
+        x: 0, y: 0, z: 0,
+        vx: 0, vy: 0, vz: 0,
+        fieldsAt() {
+            return fields;
+        },
+        calculateForce(s) {
+            return lorentzForce(this.q, s, fields);
+        }
+    }, state);
+}
+
+const PURE_B = { Ex: 0, Ey: 0, Ez: 0, Bx: 0, By: 0, Bz: 1 };
+
+function speed(p) {
+    return Math.hypot(p.vx, p.vy, p.vz);
+}
+
+test('ボリス法は純磁場中で速さを保存する', () => {
+    // 刻みが粗くても回転だけなので |v| は丸め誤差の範囲で変わらない
+    const p = createParticle({ vx: 1, vz: 0.5 }, PURE_B);
+    const v0 = speed(p);
+    for (let i = 0; i < 10000; i++) {
+        INTEGRATORS.Boris.step(p, 0.3, i * 0.3);
+    }
+    assert.ok(Math.abs(speed(p) - v0) < 1e-12, `|v| changed from ${v0} to ${speed(p)}`);
+});
+
+test('RK4 の円運動の半径は mv/(qB) になる', () => {
+    // B = 1 (z方向), v = 2 (x方向), q = m = 1: 中心 (0, -2)、半径 2、周期 2π
+    const p = createParticle({ vx: 2 }, PURE_B);
+    const period = 2 * Math.PI;
+    const steps = 1000;
+    let maxError = 0;
+    for (let i = 0; i < steps; i++) {
+        INTEGRATORS.RK4.step(p, period / steps, i * period / steps);
+        maxError = Math.max(maxError, Math.abs(Math.hypot(p.x, p.y + 2) - 2));
+    }
+    assert.ok(maxError < 1e-8, `radius error ${maxError}`);
+    // 1 周期で元の位置に戻る
+    assert.ok(Math.hypot(p.x, p.y) < 1e-8, `did not return to the start: (${p.x}, ${p.y})`);
+});
+
+test('RK45 は許容誤差に見合った精度で 1 周期を積分する', () => {
+    const period = 2 * Math.PI;
+    const errorFor = (tolerance) => {
+        const p = createParticle({ vx: 2 }, PURE_B);
+        // 1 回の呼び出しで内部の刻みを選ばせる
+        INTEGRATORS.RK45.step(p, period, 0, { tolerance });
+        return Math.hypot(p.x, p.y, p.vx - 2, p.vy);
+    };
+    const loose = errorFor(1e-6);
+    const tight = errorFor(1e-10);
+    assert.ok(loose < 1e-4, `error ${loose} with tolerance 1e-6`);
+    assert.ok(tight < 1e-8, `error ${tight} with tolerance 1e-10`);
+    assert.ok(tight < loose, 'a tighter tolerance should give a smaller error');
+});
+
+test('RK45 は負の dt で時間を戻す', () => {
+    const p = createParticle({ vx: 2 }, PURE_B);
+    INTEGRATORS.RK45.step(p, 1, 0, { tolerance: 1e-10 });
+    INTEGRATORS.RK45.step(p, -1, 1, { tolerance: 1e-10 });
+    assert.ok(Math.hypot(p.x, p.y, p.vx - 2, p.vy) < 1e-8);
+});
+
+test('相対論のボリス法も純磁場中で速さを保存し、光速を超えない', () => {
+    const c = 5;
+    const p = createParticle({ vx: 4.9 }, PURE_B);
+    for (let i = 0; i < 5000; i++) {
+        INTEGRATORS.Boris.step(p, 0.05, i * 0.05, { c });
+    }
+    assert.ok(Math.abs(speed(p) - 4.9) < 1e-10, `|v| = ${speed(p)}`);
+    assert.ok(speed(p) < c);
+});
+
+test('電場だけなら RK4 は等加速度運動を厳密に再現する', () => {
+    const p = createParticle({}, { Ex: 2, Ey: 0, Ez: 0, Bx: 0, By: 0, Bz: 0 });
+    for (let i = 0; i < 10; i++) {
+        INTEGRATORS.RK4.step(p, 0.1, i * 0.1);
+    }
+    // x = a t² / 2 = 2 × 1 / 2
+    assert.ok(Math.abs(p.x - 1) < 1e-12);
+    assert.ok(Math.abs(p.vx - 2) < 1e-12);
+});
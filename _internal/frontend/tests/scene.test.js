@@ -0,0 +1,97 @@
+// シーンファイルの移行と検証（scene.js）のテスト
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const evaluate = loadScripts([
+    'units', 'integrators', 'fields', 'interactions', 'forces', 'diagnostics', 'measure',
+    'guidingcenter', 'fieldviz', 'waveforms', 'emitters', 'walls', 'trails', 'scene'
+]);
+const migrateScene = evaluate('migrateScene');
+const validateScene = evaluate('validateScene');
+const SCENE_VERSION = evaluate('SCENE_VERSION');
+
+function minimalScene(changes = {}) {
+    return Object.assign({
+        version: SCENE_VERSION,
+        units: { system: 'SI' },
+        fields: {
+            E: { magnitude: 0, angle_deg: 0 },
+            B: { magnitude: 1, angle_deg: 90 }
+        },
+        particles: [{ id: 'p0', q: 1, m: 1, x: 0, y: 0, vx: 1, vy: 0 }]
+    }, changes);
+}
+
+test('版番号のない旧形式を現在の版に移行する', () => {
+    const migrated = migrateScene({
+        simulationTime: 2.5,
+        timeScale: 3,
+        physicsDt: 0.01,
+        substeps: 4,
+        trailLength: 300,
+        fields: { E: { magnitude: 0, angle_deg: 0 }, B: { magnitude: 1, angle_deg: 90 } },
+        domain: { removeOutside: false, halfSize: 20 }
+    });
+    assert.strictEqual(migrated.version, SCENE_VERSION);
+    assert.deepStrictEqual({ ...migrated.simulation }, { time: 2.5, timeScale: 3, dt: 0.01, substeps: 4, trailLength: 300 });
+    assert.strictEqual(migrated.units.system, 'SI');
+    assert.deepStrictEqual({ ...migrated.domain }, { boundary: 'open', halfSize: 20 });
+    assert.strictEqual(migrated.simulationTime, undefined);
+    validateScene(migrated);
+});
+
+test('removeOutside のない旧形式の領域は吸収境界になる', () => {
+    const migrated = migrateScene({ domain: { halfSize: 10 } });
+    assert.strictEqual(migrated.domain.boundary, 'absorbing');
+});
+
+test('新しすぎる版や不正な版は移行しない', () => {
+    assert.throws(() => migrateScene({ version: SCENE_VERSION + 1 }), /reads up to/);
+    assert.throws(() => migrateScene({ version: 0 }), /unknown scene version/);
+    assert.throws(() => migrateScene([]), /must be a JSON object/);
+});
+
+test('正しいシーンは検証に通る（寿命 0 も含む）', () => {
+    validateScene(minimalScene());
+    validateScene(minimalScene({
+        particles: [{ id: 'p0', q: 1, m: 1, x: 0, y: 0, vx: 1, vy: 0, lifetime: 0, trail: [{ x: 0, y: 0, t: 0 }] }],
+        selectedParticle: 'p0',
+        domain: { boundary: 'periodic', halfSize: 5 },
+        simulation: { trailLength: null, integrator: 'Boris' }
+    }));
+});
+
+test('問題のある項目をパスつきで並べる', () => {
+    const scene = minimalScene({
+        particles: [
+            { id: 'p0', q: 1, m: -1, x: 0, y: 0, vx: 1, vy: 0 },
+            { id: 'p0', q: 1, m: 1, x: 0, y: 0, vx: 1, vy: 0, trail: [{ x: 0, y: 0, t: 0 }, { x: 'a' }] }
+        ],
+        selectedParticle: 'p9',
+        domain: { boundary: 'sticky', halfSize: 5 },
+        simulation: { integrator: 'Leapfrog' }
+    });
+    let message = '';
+    assert.throws(() => validateScene(scene), (error) => {
+        message = error.message;
+        return true;
+    });
+    assert.match(message, /^The scene is invalid:/);
+    assert.match(message, /particles\[0\]\.m:/);
+    assert.match(message, /particles\[1\]\.id: "p0" is used by another particle/);
+    assert.match(message, /particles\[1\]\.trail\[1\]:/);
+    assert.match(message, /selectedParticle: no particle has the id "p9"/);
+    assert.match(message, /domain\.boundary:/);
+    assert.match(message, /simulation\.integrator:/);
+});
+
+test('単位系と場は必須', () => {
+    assert.throws(() => validateScene({ version: SCENE_VERSION }), /units:.*\n.*fields:/);
+});
+
+test('エラーが多いときは上限までを示して残りの件数を添える', () => {
+    const particles = Array.from({ length: 20 }, (_, i) => ({ id: `p${i}`, q: 1, m: 0, x: 0, y: 0, vx: 0, vy: 0 }));
+    assert.throws(() => validateScene(minimalScene({ particles })), /…and 8 more$/);
+});
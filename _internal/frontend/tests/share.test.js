@@ -0,0 +1,51 @@
+// 共有リンクの符号化と復号（share.js）のテスト
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const evaluate = loadScripts(['share']);
+const encodeSceneLink = evaluate('encodeSceneLink');
+const decodeSceneLink = evaluate('decodeSceneLink');
+
+const SCENE = {
+    version: 2,
+    units: { system: 'SI' },
+    fields: { E: { magnitude: 0.5, angle_deg: 30 }, B: { magnitude: 1, angle_deg: 90 } },
+    particles: [{ id: 'p0', q: -1, m: 1.5e-3, x: 0.1, y: -2, vx: 1 / 3, vy: 0 }],
+    captions: [{ t: 0, text: 'B ⊙ の中で半円を描く' }]
+};
+
+// 別のコンテキストで作られたオブジェクトを比較できるように JSON で写す
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+test('圧縮したリンクを元のシーンに戻す', async () => {
+    const hash = await encodeSceneLink(SCENE);
+    assert.match(hash, /^#scene=z[A-Za-z0-9_-]+$/);
+    assert.deepStrictEqual(plain(await decodeSceneLink(hash)), SCENE);
+});
+
+test('CompressionStream がなければ圧縮せずに符号化する', async () => {
+    const bare = loadScripts(['share']);
+    bare('globalThis.CompressionStream = undefined');
+    const hash = await bare('encodeSceneLink')(SCENE);
+    assert.match(hash, /^#scene=j/);
+    assert.deepStrictEqual(plain(await decodeSceneLink(hash)), SCENE);
+});
+
+test('長いシーンも往復できる', async () => {
+    const particles = Array.from({ length: 3000 }, (_, i) => ({ id: `p${i}`, q: 1, m: 1, x: Math.sin(i), y: Math.cos(i), vx: i, vy: -i }));
+    const scene = Object.assign({}, SCENE, { particles });
+    // JSON を通すと -0 は 0 になるので、期待値も JSON で写して比べる
+    assert.deepStrictEqual(plain(await decodeSceneLink(await encodeSceneLink(scene))), plain(scene));
+});
+
+test('壊れたリンクは理由を添えて拒否する', async () => {
+    const hash = await encodeSceneLink(SCENE);
+    await assert.rejects(decodeSceneLink(hash.slice(0, -10)), /truncated or corrupted/);
+    await assert.rejects(decodeSceneLink('#scene=qabc'), /Unknown link format "q"/);
+    await assert.rejects(decodeSceneLink('#scene=z$$$'), /not valid base64/);
+    await assert.rejects(decodeSceneLink('#scene=jbm90IGpzb24'), /does not contain a scene/);
+});